@@ -31,7 +31,8 @@ namespace PluginUtilities
         public void Extract(Document doc, Parameters parameters, InventorParameters updateResultParameters = null)
         {
             // extract user parameters
-            InventorParameters allParams = ExtractParameters(doc, parameters);
+            Dictionary<string, string> groups = GetParameterGroups(parameters);
+            InventorParameters allParams = ExtractParameters(doc, parameters, groups);
 
             // save current state
             LogTrace("Updating");
@@ -63,7 +64,7 @@ namespace PluginUtilities
             else
             {
                 LogTrace("No non-empty iLogic forms found. Using all user parameters.");
-                resultingParameters = ExtractParameters(doc, parameters.UserParameters);
+                resultingParameters = ExtractParameters(doc, parameters.UserParameters, groups);
             }
 
             // if parameters from an update result were passed in, and if validation errors were set on any of them, replace values with the overrides
@@ -86,14 +87,40 @@ namespace PluginUtilities
             doc.Close(true);
         }
 
-        private InventorParameters ExtractParameters(Document doc, dynamic userParameters)
+        /// <summary>
+        /// Map parameter names to names of the custom parameter groups (from Parameters dialog) they belong to.
+        /// </summary>
+        private Dictionary<string, string> GetParameterGroups(dynamic parameters)
+        {
+            var groups = new Dictionary<string, string>();
+            try
+            {
+                foreach (dynamic group in parameters.CustomParameterGroups)
+                {
+                    foreach (dynamic param in group)
+                    {
+                        groups[param.Name] = group.DisplayName;
+                    }
+                }
+            }
+            catch (Exception e)
+            {
+                // grouping is optional, the parameters are usable without it
+                LogError("Can't read parameter groups: " + e.Message);
+            }
+
+            return groups;
+        }
+
+        private InventorParameters ExtractParameters(Document doc, dynamic userParameters, Dictionary<string, string> groups)
         {
             /* The resulting json will be like this:
               { 
                 "length" : {
                   "unit": "in",
                   "value": "10 in",
-                  "values": ["5 in", "10 in", "15 in"]
+                  "values": ["5 in", "10 in", "15 in"],
+                  "group": "Frame"
                 },
                 "width": {
                   "unit": "in",
@@ -135,7 +162,8 @@ namespace PluginUtilities
                         Unit = param.Units,
                         Value = nominalValue,
                         Values = param.ExpressionList?.GetExpressionList() ?? new string[0],
-                        ErrorMessage = errorMessage
+                        ErrorMessage = errorMessage,
+                        Group = groups.TryGetValue((string) param.Name, out var group) ? group : null
                     };
                     parameters.Add(param.Name, parameter);
                 }
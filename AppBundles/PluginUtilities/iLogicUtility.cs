@@ -44,6 +44,11 @@ namespace PluginUtilities
             private readonly InventorParameters _allowedParameters;
             private readonly InventorParameters _collectedParameters = new InventorParameters();
 
+            /// <summary>
+            /// Name of the innermost form group (or tab) being processed.
+            /// </summary>
+            private string _groupName;
+
             private FormExtractor(FormSpecification formSpec, InventorParameters allowedParameters)
             {
                 _formSpec = formSpec;
@@ -91,7 +96,10 @@ namespace PluginUtilities
                         switch (subContainer)
                         {
                             case ControlSpecGroupBase controlGroup:
+                                var outerGroupName = _groupName;
+                                _groupName = controlGroup.Name?.Trim();
                                 ProcessGroup(controlGroup);
+                                _groupName = outerGroupName;
                                 break;
                             case ControlRowSpec _:
                                 ProcessGroup(container, subContainer);
@@ -111,9 +119,19 @@ namespace PluginUtilities
                                         Unit = knownParameter.Unit,
                                         ReadOnly = spec.ReadOnly,
                                         Value = knownParameter.Value,
-                                        Values = knownParameter.Values
+                                        Values = knownParameter.Values,
+                                        Group = string.IsNullOrEmpty(_groupName) ? knownParameter.Group : _groupName
                                     };
 
+                    // slider defines the allowed range of the value
+                    var trackBar = spec.TrackBarProperties;
+                    if (spec.EditControlType == EditControlType.TrackBar && trackBar != null && trackBar.MaximumValue > trackBar.MinimumValue)
+                    {
+                        result.Min = trackBar.MinimumValue;
+                        result.Max = trackBar.MaximumValue;
+                        result.Step = trackBar.StepSize > 0 ? trackBar.StepSize : (double?) null;
+                    }
+
                     _collectedParameters.Add(spec.ParameterName, result);
                 }
             }
@@ -50,6 +50,22 @@ namespace Shared
 
         [JsonProperty("errormessage")]
         public string ErrorMessage { get; set; }
+
+        [JsonProperty("group")]
+        public string Group { get; set; }
+
+        /// <summary>
+        /// Limits and step of the value, in the parameter units.
+        /// Taken from the slider of iLogic form, <c>null</c> for the other parameters.
+        /// </summary>
+        [JsonProperty("min")]
+        public double? Min { get; set; }
+
+        [JsonProperty("max")]
+        public double? Max { get; set; }
+
+        [JsonProperty("step")]
+        public double? Step { get; set; }
     }
 
     /// <summary>
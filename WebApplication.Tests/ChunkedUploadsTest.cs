@@ -0,0 +1,106 @@
+﻿using System;
+using System.IO;
+using System.Threading;
+using System.Threading.Tasks;
+using WebApplication.Definitions;
+using WebApplication.State;
+using Xunit;
+
+namespace WebApplication.Tests
+{
+    public class ChunkedUploadsTest : IDisposable
+    {
+        private const string Owner = "owner";
+
+        private readonly ChunkedUploads _uploads = new ChunkedUploads();
+        private readonly string _uploadId;
+        private readonly ChunkedUploads.ChunkedUpload _upload;
+
+        public ChunkedUploadsTest()
+        {
+            _uploadId = _uploads.Start(Owner, new ProjectInfo { Name = "project" }, 10);
+            _upload = _uploads.Get(_uploadId, Owner);
+        }
+
+        public void Dispose()
+        {
+            _uploads.Remove(_uploadId, deleteFile: true);
+        }
+
+        /// <summary>
+        /// Request body, which breaks after some bytes (like lost connection).
+        /// </summary>
+        private class BrokenStream : MemoryStream
+        {
+            private readonly int _breakAfter;
+
+            public BrokenStream(byte[] data, int breakAfter) : base(data) => _breakAfter = breakAfter;
+
+            public override Task<int> ReadAsync(byte[] buffer, int offset, int count, CancellationToken cancellationToken)
+            {
+                if (Position >= _breakAfter) throw new IOException("Connection lost");
+
+                return base.ReadAsync(buffer, offset, (int) Math.Min(count, _breakAfter - Position), cancellationToken);
+            }
+        }
+
+        private static Stream Bytes(string text) => new MemoryStream(System.Text.Encoding.ASCII.GetBytes(text));
+
+        [Fact]
+        public async Task AppendsChunks()
+        {
+            Assert.Equal(4, await _uploads.AppendAsync(_upload, 0, 4, Bytes("0123")));
+            Assert.Equal(10, await _uploads.AppendAsync(_upload, 4, 6, Bytes("456789")));
+
+            Assert.Equal("0123456789", await File.ReadAllTextAsync(_upload.FileName));
+        }
+
+        [Fact(DisplayName = "Repeated chunk is ignored")]
+        public async Task IgnoresRepeatedChunk()
+        {
+            await _uploads.AppendAsync(_upload, 0, 4, Bytes("0123"));
+
+            Assert.Equal(4, await _uploads.AppendAsync(_upload, 0, 4, Bytes("0123")));
+            Assert.Equal("0123", await File.ReadAllTextAsync(_upload.FileName));
+        }
+
+        [Fact(DisplayName = "Bytes of broken chunk are dropped, and the retry continues after the acknowledged ones")]
+        public async Task DropsBrokenChunk()
+        {
+            await _uploads.AppendAsync(_upload, 0, 4, Bytes("0123"));
+
+            var broken = new BrokenStream(System.Text.Encoding.ASCII.GetBytes("456789"), 3);
+            await Assert.ThrowsAsync<IOException>(() => _uploads.AppendAsync(_upload, 4, 6, broken));
+            Assert.Equal(4, _upload.Received);
+
+            Assert.Equal(10, await _uploads.AppendAsync(_upload, 4, 6, Bytes("456789")));
+            Assert.Equal("0123456789", await File.ReadAllTextAsync(_upload.FileName));
+        }
+
+        [Fact(DisplayName = "Bytes over the package size are not written")]
+        public async Task CapsChunkAtSize()
+        {
+            Assert.Equal(10, await _uploads.AppendAsync(_upload, 0, 12, Bytes("0123456789AB")));
+            Assert.Equal("0123456789", await File.ReadAllTextAsync(_upload.FileName));
+        }
+
+        [Fact]
+        public void RemovesStaleUploads()
+        {
+            var fileName = _upload.FileName;
+            _upload.LastActivity = DateTime.UtcNow - ChunkedUploads.StaleAfter - TimeSpan.FromMinutes(1);
+
+            _uploads.RemoveStale();
+
+            Assert.Null(_uploads.Get(_uploadId, Owner));
+            Assert.False(File.Exists(fileName));
+        }
+
+        [Fact]
+        public void UploadIsAvailableToOwnerOnly()
+        {
+            Assert.Null(_uploads.Get(_uploadId, "somebody else"));
+            Assert.Null(_uploads.Get("unknown", Owner));
+        }
+    }
+}
@@ -0,0 +1,80 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Autodesk.Forge.DesignAutomation.Model;
+using WebApplication.Definitions;
+using WebApplication.Job;
+using Xunit;
+
+namespace WebApplication.Tests
+{
+    public class JobProgressTest
+    {
+        private static readonly DateTime Queued = new DateTime(2020, 1, 1);
+
+        [Fact]
+        public void PendingIsQueueing()
+        {
+            var progress = JobProgressDTO.FromStatus(new WorkItemStatus { Status = Status.Pending });
+            Assert.Equal(JobProgressDTO.Queueing, progress.Stage);
+            Assert.Null(progress.Percent);
+        }
+
+        [Fact]
+        public void FinishedHasNoProgress()
+        {
+            Assert.Null(JobProgressDTO.FromStatus(new WorkItemStatus { Status = Status.Success }));
+            Assert.Null(JobProgressDTO.FromStatus(new WorkItemStatus { Status = Status.FailedInstructions }));
+        }
+
+        [Fact(DisplayName = "Stage of running work item is detected from its statistics")]
+        public void RunningStages()
+        {
+            var stats = new Statistics { TimeQueued = Queued, TimeDownloadStarted = Queued.AddSeconds(1) };
+            Assert.Equal(JobProgressDTO.Download, Running(stats).Stage);
+
+            stats.TimeInstructionsStarted = Queued.AddSeconds(2);
+            Assert.Equal(JobProgressDTO.Processing, Running(stats).Stage);
+
+            stats.TimeInstructionsEnded = Queued.AddSeconds(3);
+            Assert.Equal(JobProgressDTO.Upload, Running(stats).Stage);
+
+            Assert.Equal(JobProgressDTO.Download, Running(null).Stage);
+        }
+
+        [Theory]
+        [InlineData("42", 42.0)]
+        [InlineData("42.5%", 42.5)]
+        [InlineData("started", null)]
+        [InlineData("150", null)]
+        [InlineData(null, null)]
+        public void Percent(string reported, double? expected)
+        {
+            Assert.Equal(expected, Running(null, reported).Percent);
+        }
+
+        [Fact]
+        public async Task ReportToCurrentJob()
+        {
+            // nothing happens outside of job
+            await JobProgress.ReportAsync(new JobProgressDTO { Stage = JobProgressDTO.Queueing });
+
+            var reported = new List<JobProgressDTO>();
+            JobProgress.Use(progress =>
+            {
+                reported.Add(progress);
+                return Task.CompletedTask;
+            });
+
+            await JobProgress.ReportAsync(new JobProgressDTO { Stage = JobProgressDTO.Upload, Percent = 10 });
+            await JobProgress.ReportAsync(null);
+
+            Assert.Equal(new[] { new JobProgressDTO { Stage = JobProgressDTO.Upload, Percent = 10 } }, reported);
+        }
+
+        private static JobProgressDTO Running(Statistics stats, string progress = null)
+        {
+            return JobProgressDTO.FromStatus(new WorkItemStatus { Status = Status.Inprogress, Stats = stats, Progress = progress });
+        }
+    }
+}
@@ -1,4 +1,5 @@
-﻿using System.Collections;
+﻿using System;
+using System.Collections;
 using System.Collections.Generic;
 using System.Linq;
 using System.Threading.Tasks;
@@ -9,6 +10,7 @@ using Microsoft.Extensions.Logging.Abstractions;
 using Microsoft.Extensions.Options;
 using Moq;
 using WebApplication.Definitions;
+using WebApplication.Job;
 using WebApplication.Processing;
 using WebApplication.Utilities;
 using Xunit;
@@ -216,5 +218,57 @@ namespace WebApplication.Tests
                 Times.Once);
             Assert.Equal(statuses[^1], workItemTask.Result.Status);
         }
+
+        [Fact]
+        public async Task CancelledJobDoesNotStartWorkItem()
+        {
+            //setup
+            var workItemsApiMock = PrepareWorkItemsApiMockForPolling(Status.Pending, Status.Success);
+
+            var publisher = InitializePublisherMock(workItemsApiMock, _resourceProviderMock, null, null,
+                CompletionCheck.Polling);
+
+            var jobCancellation = new JobCancellation();
+            jobCancellation.Register("job");
+            Assert.True(jobCancellation.Cancel("job"));
+
+            //when
+            await Assert.ThrowsAnyAsync<OperationCanceledException>(() => publisher.RunWorkItemAsync(_workItemArgs, _configMock.Object));
+
+            //then
+            workItemsApiMock.Verify(mock => mock.CreateWorkItemAsync(It.IsAny<WorkItem>(), null, null, true),
+                Times.Never);
+        }
+
+        [Fact]
+        public async Task CancelWorkItemUsingCallback()
+        {
+            //setup
+            const string callbackUrlBase = "http://fci/complete/";
+            const string trackingKey = "0c9cbd5a0d3e4e8c8b2b0e0a9d3c5f11";
+
+            var workItemsApiMock = PrepareWorkItemsApiMockForCallback(callbackUrlBase, Status.Pending);
+
+            var guidGenerator = new Mock<IGuidGenerator>();
+            guidGenerator.Setup(mock => mock.GenerateGuid()).Returns(trackingKey);
+
+            var publisher = InitializePublisherMock(workItemsApiMock, _resourceProviderMock, callbackUrlBase,
+                guidGenerator.Object, CompletionCheck.Callback);
+
+            var jobCancellation = new JobCancellation();
+            jobCancellation.Register("job");
+
+            //when
+            var workItemTask = publisher.RunWorkItemAsync(_workItemArgs, _configMock.Object);
+            jobCancellation.Cancel("job");
+
+            //then
+            await Assert.ThrowsAnyAsync<OperationCanceledException>(() => workItemTask);
+            Assert.False(publisher.Tracker.ContainsKey(trackingKey));
+            Assert.Contains(workItemsApiMock.Invocations, invocation => invocation.Method.Name == nameof(IWorkItemsApi.DeleteWorkitemAsync));
+
+            jobCancellation.Unregister("job");
+            Assert.False(jobCancellation.Cancel("job"));
+        }
     }
 }
\ No newline at end of file
@@ -23,10 +23,13 @@ import './app.css';
 import Toolbar from './components/toolbar';
 import TabsContainer from './components/tabsContainer';
 import { showAdoptWithParamsFailed, fetchShowParametersChanged } from './actions/uiFlagsActions';
-import { detectToken } from './actions/profileActions';
+import { detectToken, takeSignInState } from './actions/profileActions';
 import ModalProgress from './components/modalProgress';
 import { adoptWithParamsFailed, embeddedModeEnabled, embeddedModeUrl, adoptWithParamsProgressShowing, errorData } from './reducers/mainReducer';
 import { adoptProjectWithParameters } from './actions/adoptWithParamsActions';
+import { cancelJob, jobKinds } from './actions/jobsActions';
+import { restoreLinkState } from './actions/shareLinkActions';
+import { decodeLinkState } from './utils/shareLink';
 
 export class App extends Component {
   constructor(props) {
@@ -38,8 +41,22 @@ export class App extends Component {
     // if (!this.props.embeddedModeEnabled)
     //   this.props.fetchShowParametersChanged();
 
-    if (this.props.embeddedModeUrl != null)
+    if (this.props.embeddedModeUrl != null) {
       this.props.adoptProjectWithParameters(this.props.embeddedModeUrl);
+    } else {
+      this.restoreSharedLink();
+    }
+  }
+
+  restoreSharedLink() {
+    // the state kept over the sign in (see `signIn`) is restored the same way as shared link
+    const linkState = decodeLinkState(window.location.hash) || takeSignInState();
+    if (!linkState)
+      return;
+
+    this.props.restoreLinkState(linkState);
+    // the state lives in the store now, so the link should not override later edits on reload
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
   }
 
   render () {
@@ -56,7 +73,9 @@ export class App extends Component {
               open={true}
               title="Loading Content"
               label=" "
-              icon="/Assembly_icon.svg"/>
+              icon="/Assembly_icon.svg"
+              onCancel={() => this.props.cancelJob(jobKinds.adoptWithParameters)}
+              jobKind={jobKinds.adoptWithParameters}/>
         }
       </Surface>
     );
@@ -72,6 +91,6 @@ export default connect(function (store) {
     embeddedModeUrl: embeddedModeUrl(store),
     errorData: errorData(store)
   };}, {
-    showAdoptWithParamsFailed, adoptProjectWithParameters, fetchShowParametersChanged, detectToken
+    showAdoptWithParamsFailed, adoptProjectWithParameters, fetchShowParametersChanged, detectToken, restoreLinkState, cancelJob
 })(App);
 
@@ -65,5 +65,28 @@ describe('components', () => {
       expect(fetchShowParametersChanged).not.toHaveBeenCalled();
       expect(adoptProjectWithParameters).toBeCalledWith(url);
     });
+
+    it('restores state from the shared link', () => {
+      const restoreLinkState = jest.fn();
+      window.history.replaceState(null, '', '/?x=1#project=Wrench&tab=1');
+
+      const props = {
+        detectToken: () => {},
+        restoreLinkState
+      };
+
+      shallow(<App {...props}/>);
+      expect(restoreLinkState).toHaveBeenCalledWith({ projectId: 'Wrench', tabIndex: 1, values: {} });
+      expect(window.location.hash).toEqual('');
+      expect(window.location.search).toEqual('?x=1');
+    });
+
+    it('does not restore state without shared link', () => {
+      const restoreLinkState = jest.fn();
+      window.history.replaceState(null, '', '/');
+
+      shallow(<App detectToken={() => {}} restoreLinkState={restoreLinkState}/>);
+      expect(restoreLinkState).not.toHaveBeenCalled();
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,246 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { sampleFiles } from './FakeJobHub';
+
+/** URL flag turning on the demo mode, like `/?demo` */
+export const demoModeFlag = 'demo';
+
+/**
+ * If the demo mode is on: with the URL flag (`?demo`, `?demo=false` turns it off)
+ * or with the build setting (`REACT_APP_DEMO` variable set to 'true').
+ */
+export function demoModeEnabled(buildSetting) {
+    const flag = new URLSearchParams(window.location.search).get(demoModeFlag);
+    if (flag != null)
+        return flag !== 'false';
+
+    return buildSetting === 'true';
+}
+
+/** Sample data served in the demo mode */
+export const demoFixtures = {
+    profile: { name: 'Demo User', avatarUrl: 'logo-xs-white-BG.svg' },
+    projects: [
+        { id: 'Bicycle', label: 'Bicycle', image: 'bike.png', isAssembly: true },
+        { id: 'Wheel', label: 'Wheel', image: 'Assembly_icon.svg', isAssembly: true }
+    ],
+    parameters: {
+        Bicycle: {
+            FrameSize: { value: '540 mm', unit: 'mm', label: 'Frame Size' },
+            WheelDiameter: { value: '"700c"', unit: 'Text', label: 'Wheel Size', values: [ '"26in"', '"650b"', '"700c"' ] },
+            Color: { value: '"Red"', unit: 'Text', values: [ '"Red"', '"Black"', '"Silver"' ] },
+            Fenders: { value: 'False', unit: 'Boolean' }
+        },
+        Wheel: {
+            RimWidth: { value: '19 mm', unit: 'mm', label: 'Rim Width', min: 15, max: 30 },
+            SpokeCount: { value: '32 ul', unit: 'ul', label: 'Spoke Count', values: [ '28 ul', '32 ul', '36 ul' ] },
+            HubModel: { value: '"Standard"', unit: 'Text', label: 'Hub', readonly: true }
+        }
+    },
+    boms: {
+        Bicycle: {
+            columns: [ { label: 'Part Number' }, { label: 'Description' }, { label: 'Qty', numeric: true } ],
+            data: [ [ 'BK-100', 'Frame', 1 ], [ 'WH-700', 'Wheel', 2 ], [ 'SD-10', 'Saddle', 1 ], [ 'HB-01', 'Handlebar', 1 ] ]
+        },
+        Wheel: {
+            columns: [ { label: 'Part Number' }, { label: 'Description' }, { label: 'Qty', numeric: true } ],
+            data: [ [ 'RM-19', 'Rim', 1 ], [ 'SP-294', 'Spoke', 32 ], [ 'HB-STD', 'Hub', 1 ] ]
+        }
+    },
+    drawings: {
+        Bicycle: [ 'Bicycle.idw' ],
+        Wheel: [ 'Wheel.idw', 'Hub.idw' ]
+    }
+};
+
+const copy = (value) => value === undefined ? value : JSON.parse(JSON.stringify(value));
+
+const projectState = (projectId, hash) => {
+    const root = `/fake/${projectId}/${hash}`;
+    return {
+        hash,
+        svf: null, // there is no model for the viewer
+        bomJsonUrl: `${root}/bom.json`,
+        bomDownloadUrl: sampleFiles.bom,
+        modelDownloadUrl: sampleFiles.model
+    };
+};
+
+/** Project ID from the data URL, like `/fake/<project ID>/<hash>/bom.json` */
+const projectIdFromUrl = (url) => decodeURIComponent(url.split('/')[2] || '');
+
+const notFound = (url) => Object.assign(new Error(`Demo data '${url}' is not found`), { response: { status: 404 } });
+
+/**
+ * In-memory implementation of the repository (see Repository.js) for demos without the server.
+ * It serves the fixture data, and its changes are kept until the page is reloaded.
+ * Jobs are run by `FakeJobHub` configured with `jobHubOptions()`, so their results are visible in the data.
+ */
+export default class DemoRepository {
+
+    constructor(fixtures = demoFixtures) {
+        this.profile = copy(fixtures.profile);
+        this.parameters = copy(fixtures.parameters);
+        this.boms = copy(fixtures.boms);
+        this.drawings = copy(fixtures.drawings);
+        this.projects = fixtures.projects.map(project => this.makeProject(project));
+        this.presets = {};
+        this.showParametersChanged = true;
+    }
+
+    makeProject(project) {
+        return {
+            image: '',
+            isAssembly: false,
+            hasDrawing: !!this.drawings[project.id]?.length,
+            adoptWarnings: [],
+            ...project,
+            drawingsListUrl: `/fake/${encodeURIComponent(project.id)}/drawings.json`,
+            ...projectState(encodeURIComponent(project.id), 'DEMO')
+        };
+    }
+
+    findProject(projectId) {
+        return this.projects.find(project => project.id === projectId);
+    }
+
+    async loadProjects() {
+        return copy(this.projects);
+    }
+
+    async deleteProjects(projectList) {
+        this.projects = this.projects.filter(project => !projectList.includes(project.id));
+        projectList.forEach(projectId => {
+            delete this.parameters[projectId];
+            delete this.boms[projectId];
+            delete this.drawings[projectId];
+            delete this.presets[projectId];
+        });
+    }
+
+    async loadParameters(projectName) {
+        if (!this.findProject(projectName))
+            throw notFound('/parameters/' + projectName);
+
+        return copy(this.parameters[projectName] || {});
+    }
+
+    invalidateProject() {
+        // nothing is cached
+    }
+
+    async loadShowParametersChanged() {
+        return this.showParametersChanged;
+    }
+
+    async sendShowParametersChanged(value) {
+        this.showParametersChanged = value;
+        return value;
+    }
+
+    async loadProfile() {
+        return copy(this.profile);
+    }
+
+    /** Resolves with package ID for the adopt job, rejected with 409 (Conflict) for existing project */
+    async uploadPackage(form, signal, onProgress) {
+        const packageId = form.file.name.replace(/\.[^.]*$/, '');
+        if (this.findProject(packageId))
+            throw { response: { status: 409 } };
+
+        onProgress?.({ loaded: form.file.size, total: form.file.size });
+        return packageId;
+    }
+
+    async loadPresets(projectId) {
+        return copy(this.presets[projectId] || []);
+    }
+
+    async savePresets(projectId, presets) {
+        this.presets[projectId] = copy(presets);
+        return presets;
+    }
+
+    async loadRules() {
+        return null;
+    }
+
+    async loadBom(bomUrl) {
+        const bom = this.boms[projectIdFromUrl(bomUrl)];
+        if (!bom)
+            throw notFound(bomUrl);
+
+        return copy(bom);
+    }
+
+    async loadDrawingsList(drawingsListUrl) {
+        return copy(this.drawings[projectIdFromUrl(drawingsListUrl)] || []);
+    }
+
+    // the demo runs for anonymous user, the token is kept only to look like signed in
+    getAccessToken() { return this._accessToken; }
+    setAccessToken(value) { this._accessToken = value; }
+    forgetAccessToken() { delete this._accessToken; }
+    hasAccessToken() { return !!this._accessToken; }
+    getAccessTokenExpiration() { return null; }
+    setUnauthorizedHandler() {}
+
+    async refreshAccessToken() {
+        throw new Error('Demo mode has no sign in');
+    }
+
+    /** Add project adopted by a job, the job has no package to get data from */
+    addProject(project) {
+        const added = this.makeProject(project);
+        this.projects = [ ...this.projects.filter(item => item.id !== added.id), added ];
+        this.parameters[added.id] = this.parameters[added.id] || {};
+        return copy(added);
+    }
+
+    /**
+     * Options for `FakeJobHub`, which keep the demo data in sync with the job results.
+     * @param options Optional `FakeJobHub` options to apply on top, e.g. delays or failures.
+     */
+    jobHubOptions(options = {}) {
+        return {
+            ...options,
+            parameters: copy(this.parameters),
+            outputs: {
+                CreateUpdateJob: (args, jobId, hub) => {
+                    const [ projectId ] = args;
+                    const [ state, ...results ] = hub.defaultOutput('CreateUpdateJob', args, jobId);
+                    const { parameters, ...baseState } = { ...state, ...projectState(encodeURIComponent(projectId), state.hash) };
+
+                    this.parameters[projectId] = copy(parameters);
+                    this.projects = this.projects.map(project => project.id === projectId ? { ...project, ...baseState } : project);
+                    return [ { ...baseState, parameters }, ...results ];
+                },
+                CreateAdoptJob: (args, jobId, hub) => {
+                    const [ project, ...results ] = hub.defaultOutput('CreateAdoptJob', args, jobId);
+                    return [ this.addProject({ id: project.id, label: project.label, isAssembly: project.isAssembly }), ...results ];
+                },
+                CreateAdoptProjectWithParametersJob: (args, jobId, hub) => {
+                    const [ project, ...results ] = hub.defaultOutput('CreateAdoptProjectWithParametersJob', args, jobId);
+                    return [ this.addProject({ id: project.id, label: project.label, isAssembly: project.isAssembly }), ...results ];
+                },
+                ...options?.outputs
+            }
+        };
+    }
+}
@@ -0,0 +1,140 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import DemoRepository, { demoFixtures, demoModeEnabled } from './DemoRepository';
+import { JobManager } from './JobManager';
+import { FakeJobHub } from './FakeJobHub';
+
+jest.mock('./Repository');
+import repoInstance from './Repository';
+
+const policy = { connectRetryDelays: [ 0, 0 ], jobTimeout: 1000, jobRetries: 1 };
+
+describe('DemoRepository', () => {
+
+    let repo;
+
+    beforeEach(() => {
+        repo = new DemoRepository();
+    });
+
+    it('serves the sample data', async () => {
+        const projects = await repo.loadProjects();
+        expect(projects.map(project => project.id)).toEqual([ 'Bicycle', 'Wheel' ]);
+
+        const [ bicycle ] = projects;
+        expect(await repo.loadParameters('Bicycle')).toEqual(demoFixtures.parameters.Bicycle);
+        expect(await repo.loadBom(bicycle.bomJsonUrl)).toEqual(demoFixtures.boms.Bicycle);
+        expect(bicycle.bomDownloadUrl).toEqual('demo/DemoBom.csv');
+        expect(bicycle.modelDownloadUrl).toEqual('demo/DemoModel.zip');
+        expect(await repo.loadDrawingsList(bicycle.drawingsListUrl)).toEqual([ 'Bicycle.idw' ]);
+        expect(await repo.loadProfile()).toEqual(demoFixtures.profile);
+        expect(await repo.loadRules('Bicycle')).toBeNull();
+    });
+
+    it('does not share the data with the caller', async () => {
+        const parameters = await repo.loadParameters('Wheel');
+        parameters.RimWidth.value = '25 mm';
+
+        expect((await repo.loadParameters('Wheel')).RimWidth.value).toEqual('19 mm');
+    });
+
+    it('deletes projects', async () => {
+        await repo.deleteProjects([ 'Wheel' ]);
+
+        expect((await repo.loadProjects()).map(project => project.id)).toEqual([ 'Bicycle' ]);
+        await expect(repo.loadParameters('Wheel')).rejects.toMatchObject({ response: { status: 404 } });
+    });
+
+    it('rejects upload of existing project', async () => {
+        expect(await repo.uploadPackage({ file: { name: 'Frame.zip' }, root: 'Frame.iam' })).toEqual('Frame');
+        await expect(repo.uploadPackage({ file: { name: 'Wheel.ipt' }, root: '' })).rejects.toEqual({ response: { status: 409 } });
+    });
+
+    it('keeps presets', async () => {
+        await repo.savePresets('Bicycle', [ { name: 'Kids' } ]);
+
+        expect(await repo.loadPresets('Bicycle')).toEqual([ { name: 'Kids' } ]);
+        expect(await repo.loadPresets('Wheel')).toEqual([]);
+    });
+
+    describe('with fake jobs', () => {
+
+        let jobManager;
+
+        beforeEach(() => {
+            repoInstance.getAccessToken.mockReturnValue(undefined);
+            const hub = new FakeJobHub(repo.jobHubOptions({ delay: 0 }));
+            jobManager = new JobManager(policy, hub.createConnection);
+        });
+
+        it('updates the project', async () => {
+            const result = await jobManager.updateModel('Wheel', { RimWidth: { value: '25 mm' } });
+            expect(result.state.parameters.RimWidth).toEqual({ value: '25 mm', unit: 'mm', label: 'Rim Width', min: 15, max: 30 });
+            expect(result.state.svf).toBeNull();
+
+            expect((await repo.loadParameters('Wheel')).RimWidth.value).toEqual('25 mm');
+            const wheel = (await repo.loadProjects()).find(project => project.id === 'Wheel');
+            expect(wheel.hash).toEqual(result.state.hash);
+            expect(await repo.loadBom(wheel.bomJsonUrl)).toEqual(demoFixtures.boms.Wheel);
+        });
+
+        it('adds the adopted project', async () => {
+            const result = await jobManager.adoptProject('Frame');
+            expect(result.state).toMatchObject({ id: 'Frame', label: 'Frame' });
+
+            expect((await repo.loadProjects()).map(project => project.id)).toEqual([ 'Bicycle', 'Wheel', 'Frame' ]);
+            expect(await repo.loadParameters('Frame')).toEqual({});
+        });
+
+        it('exports drawing to the sample PDF', async () => {
+            const result = await jobManager.exportDrawing('Bicycle', 'DEMO', 'Bicycle.idw');
+            expect(result.url).toEqual('SampleDrawingPdf.pdf');
+            expect(result.stats.credits).toBeGreaterThan(0);
+        });
+
+        it('completes downloads with the sample files', async () => {
+            const rfa = await jobManager.download('CreateRFAJob', 'Bicycle', 'DEMO');
+            expect(rfa.url).toEqual('demo/DemoFamily.zip');
+
+            const drawings = await jobManager.download('CreateDrawingDownloadJob', 'Bicycle', 'DEMO');
+            expect(drawings.url).toEqual('SampleDrawingPdf.pdf');
+        });
+    });
+});
+
+describe('demoModeEnabled', () => {
+
+    const openUrl = (url) => window.history.replaceState(null, '', url);
+
+    afterEach(() => openUrl('/'));
+
+    it('is turned on with URL flag', () => {
+        openUrl('/?demo');
+        expect(demoModeEnabled()).toEqual(true);
+
+        openUrl('/?demo=false');
+        expect(demoModeEnabled('true')).toEqual(false);
+    });
+
+    it('is turned on with build setting', () => {
+        expect(demoModeEnabled('true')).toEqual(true);
+        expect(demoModeEnabled('false')).toEqual(false);
+        expect(demoModeEnabled()).toEqual(false);
+    });
+});
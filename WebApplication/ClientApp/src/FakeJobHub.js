@@ -0,0 +1,284 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+import { jobStages } from './JobManager';
+import { wait } from './utils/concurrency';
+
+/** Local storage item to turn on the fake hub in browser. The value is 'true' or JSON with `FakeJobHub` options. */
+export const fakeJobHubStorageKey = 'fakeJobHub';
+
+export const defaultFakeJobHubOptions = {
+    delay: 2000,            // duration of a job (in ms), split between the job stages
+    connectDelay: 0,        // duration of the connection start
+    connectFailures: 0,     // how many connection attempts fail before the successful one
+    failures: {},           // method name -> `true`, error data or `(args, jobId) => error data`
+    outputs: {},            // method name -> `onComplete` arguments or `(args, jobId) => onComplete arguments`
+    parameters: {}          // project ID -> raw parameters, updated by `CreateUpdateJob`
+};
+
+/** Sample files (from the public folder) downloaded as the job results, there are no real models without the server */
+export const sampleFiles = {
+    model: 'demo/DemoModel.zip',
+    bom: 'demo/DemoBom.csv',
+    rfa: 'demo/DemoFamily.zip',
+    drawings: 'SampleDrawingPdf.pdf', // the drawing shown in the Drawing tab is downloaded too
+    drawingPdf: 'SampleDrawingPdf.pdf'
+};
+
+const fakeStats = { credits: 0.25, queueing: 0.5, download: 1.5, processing: 4, upload: 1, total: 7 };
+
+/** Stable hash of the value, looks like parameters hash of the server */
+export function fakeHash(value) {
+    let hash = 0;
+    for (const char of JSON.stringify(value)) {
+        hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    }
+
+    return (hash >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+const projectState = (projectId, hash) => {
+    const root = `/fake/${projectId}/${hash}`;
+    return {
+        hash,
+        svf: `${root}/svf`,
+        bomJsonUrl: `${root}/bom.json`,
+        bomDownloadUrl: sampleFiles.bom,
+        modelDownloadUrl: sampleFiles.model
+    };
+};
+
+const fakeProject = (projectId) => {
+    return {
+        id: projectId,
+        label: projectId,
+        image: '',
+        isAssembly: true,
+        hasDrawing: false,
+        adoptWarnings: [],
+        ...projectState(projectId, fakeHash(projectId))
+    };
+};
+
+const reportUrl = (jobId) => `/fake/reports/${jobId}.txt`;
+
+/** Canned outputs of the hub methods: `(args, jobId, hub) => onComplete arguments` */
+const defaultOutputs = {
+    CreateUpdateJob: ([ projectId, parameters ], jobId, hub) => {
+        const updated = hub.updateParameters(projectId, parameters);
+        return [ { ...projectState(projectId, fakeHash(updated)), parameters: updated }, fakeStats, reportUrl(jobId) ];
+    },
+    CreateAdoptJob: ([ packageId ], jobId) => [ fakeProject(packageId), fakeStats, reportUrl(jobId) ],
+    CreateAdoptProjectWithParametersJob: () => [ fakeProject('AdoptedProject') ],
+    CreateRFAJob: (args, jobId) => [ sampleFiles.rfa, fakeStats, reportUrl(jobId) ],
+    CreateDrawingDownloadJob: (args, jobId) => [ sampleFiles.drawings, fakeStats, reportUrl(jobId) ],
+    CreateDrawingPdfJob: (args, jobId) => [ sampleFiles.drawingPdf, fakeStats, reportUrl(jobId) ]
+};
+
+/** Client side of the fake hub, implements the used part of SignalR `HubConnection` */
+class FakeConnection {
+
+    constructor(hub) {
+        this.hub = hub;
+        this.handlers = {};
+        this.closeHandlers = [];
+        this.connected = false;
+    }
+
+    on(methodName, handler) {
+        this.handlers[methodName] = handler;
+    }
+
+    onclose(handler) {
+        this.closeHandlers.push(handler);
+    }
+
+    async start() {
+        await this.hub.connect(this);
+        this.connected = true;
+    }
+
+    async stop() {
+        this.close();
+    }
+
+    async invoke(methodName, ...args) {
+        if (!this.connected)
+            throw new Error(`Cannot invoke '${methodName}', the connection is not started`);
+
+        return this.hub.invoke(this, methodName, args);
+    }
+
+    /** Call the client method, like the server does */
+    send(methodName, ...args) {
+        const handler = this.handlers[methodName];
+        if (this.connected && handler)
+            handler(...args);
+    }
+
+    close(error) {
+        if (!this.connected)
+            return;
+
+        this.connected = false;
+        this.closeHandlers.forEach(handler => handler(error));
+    }
+}
+
+/**
+ * In-process replacement of the server jobs hub, for development without the server and for tests.
+ * Jobs go through the same stages as the real ones, and finish with the canned outputs or the configured failures.
+ *
+ * Usage: `new JobManager(policy, new FakeJobHub(options).createConnection)`, see `defaultFakeJobHubOptions` for options.
+ */
+export class FakeJobHub {
+
+    constructor(options) {
+        this.options = { ...defaultFakeJobHubOptions, ...options };
+        this.parameters = { ...this.options.parameters };
+        this.connections = [];
+        this.connectAttempts = 0;
+        this.running = new Set();   // IDs of running jobs
+        this.cancelled = new Set(); // IDs of running jobs to be cancelled
+
+        // used as a transport function
+        this.createConnection = this.createConnection.bind(this);
+    }
+
+    /** Transport for `JobManager` */
+    createConnection() {
+        return new FakeConnection(this);
+    }
+
+    /** Change the options, the running jobs use the new ones for the next stage */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /** Simulate lost connection */
+    disconnect(error = new Error('Fake hub is disconnected')) {
+        const connections = this.connections;
+        this.connections = [];
+        connections.forEach(connection => connection.close(error));
+    }
+
+    async connect(connection) {
+        await wait(this.options.connectDelay);
+
+        this.connectAttempts++;
+        if (this.connectAttempts <= this.options.connectFailures)
+            throw new Error('Fake hub refused the connection');
+
+        this.connections.push(connection);
+    }
+
+    /** Hub methods get job ID first and access token last */
+    async invoke(connection, methodName, args) {
+        if (methodName === 'CancelJob')
+            return this.cancel(args[0]);
+
+        if (!defaultOutputs[methodName] && !this.options.outputs[methodName])
+            throw new Error(`Fake hub doesn't know method '${methodName}'`);
+
+        const [ jobId, ...jobArgs ] = args;
+        jobArgs.pop();
+
+        await this.runJob(connection, methodName, jobId, jobArgs);
+    }
+
+    cancel(jobId) {
+        if (!this.running.has(jobId))
+            return false;
+
+        this.cancelled.add(jobId);
+        return true;
+    }
+
+    async runJob(connection, methodName, jobId, args) {
+        this.running.add(jobId);
+        try {
+            for (const stage of jobStages) {
+                connection.send('onProgress', jobId, { stage });
+                await wait(this.options.delay / jobStages.length);
+
+                if (this.cancelled.has(jobId)) {
+                    connection.send('onCancelled', jobId);
+                    return;
+                }
+            }
+
+            const failure = this.options.failures[methodName];
+            if (failure) {
+                connection.send('onError', jobId, this.errorData(failure, args, jobId));
+                return;
+            }
+
+            connection.send('onComplete', jobId, ...this.output(methodName, args, jobId));
+        } finally {
+            this.running.delete(jobId);
+            this.cancelled.delete(jobId);
+        }
+    }
+
+    output(methodName, args, jobId) {
+        const output = this.options.outputs[methodName] || defaultOutputs[methodName];
+        return typeof output === 'function' ? output(args, jobId, this) : output;
+    }
+
+    /** Canned output of the method, for the configured outputs building on it */
+    defaultOutput(methodName, args, jobId) {
+        return defaultOutputs[methodName](args, jobId, this);
+    }
+
+    errorData(failure, args, jobId) {
+        if (typeof failure === 'function')
+            return failure(args, jobId);
+
+        if (failure === true)
+            return { jobId, errorType: 2 /* WebApplication.Job.ErrorInfoType.Messages */, title: 'Fake failure', messages: [ 'The job is failed by the fake hub' ] };
+
+        return { jobId, ...failure };
+    }
+
+    /** Apply the parameter values sent with `CreateUpdateJob` to the known project parameters */
+    updateParameters(projectId, parameters) {
+        const updated = { ...this.parameters[projectId] };
+        for (const [ name, { value } ] of Object.entries(parameters || {})) {
+            updated[name] = { ...updated[name], value };
+        }
+
+        this.parameters[projectId] = updated;
+        return updated;
+    }
+}
+
+/**
+ * Options of the fake hub, if it's turned on with `fakeJobHub` local storage item or with the build setting
+ * (`REACT_APP_FAKE_JOB_HUB` variable). The value is 'true' or JSON with the options. Returns null if the fake hub is off.
+ */
+export function fakeJobHubSettings(buildSetting) {
+    const value = window.localStorage?.getItem(fakeJobHubStorageKey) || buildSetting;
+    if (!value || value === 'false')
+        return null;
+
+    try {
+        const options = JSON.parse(value);
+        return typeof options === 'object' && options ? options : {};
+    } catch (e) {
+        return {};
+    }
+}
@@ -0,0 +1,183 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { JobManager, JobResult, DownloadResult, JobError, JobCancelledError, retryReasons } from './JobManager';
+import { FakeJobHub, fakeJobHubSettings, fakeHash, sampleFiles } from './FakeJobHub';
+
+jest.mock('./Repository');
+import repoInstance from './Repository';
+
+// the jobs run with real timers, so keep them short
+const policy = { connectRetryDelays: [ 0, 0 ], jobTimeout: 1000, jobRetries: 1 };
+
+describe('FakeJobHub', () => {
+
+    let hub;
+    let jobManager;
+
+    beforeEach(() => {
+        repoInstance.getAccessToken.mockReturnValue('token');
+        hub = new FakeJobHub({ delay: 0 });
+        jobManager = new JobManager(policy, hub.createConnection);
+    });
+
+    it('runs the job through the stages', async () => {
+        const onProgress = jest.fn();
+        const result = await jobManager.adoptProject('package', { onProgress });
+
+        expect(onProgress.mock.calls.map(([ progress ]) => progress.stage)).toEqual([ 'queueing', 'download', 'processing', 'upload' ]);
+        expect(result).toBeInstanceOf(JobResult);
+        expect(result.state).toMatchObject({ id: 'package', label: 'package', hash: fakeHash('package') });
+        expect(result.stats.credits).toBeGreaterThan(0);
+        expect(result.reportUrl).toEqual(`/fake/reports/${result.jobId}.txt`);
+    });
+
+    it('updates the project parameters', async () => {
+        hub = new FakeJobHub({ delay: 0, parameters: { projectA: { Length: { value: '10 mm', unit: 'mm' }, Size: { value: '"Small"', unit: 'Text' } } } });
+        jobManager = new JobManager(policy, hub.createConnection);
+
+        const first = await jobManager.updateModel('projectA', { Length: { value: '20 mm' } });
+        expect(first.state.parameters).toEqual({ Length: { value: '20 mm', unit: 'mm' }, Size: { value: '"Small"', unit: 'Text' } });
+
+        const second = await jobManager.updateModel('projectA', { Length: { value: '10 mm' } });
+        expect(second.state.hash).not.toEqual(first.state.hash);
+        expect(second.state.bomJsonUrl).toEqual(`/fake/projectA/${second.state.hash}/bom.json`);
+    });
+
+    it('generates downloads', async () => {
+        const rfa = await jobManager.download('CreateRFAJob', 'projectA', 'hash');
+        expect(rfa).toBeInstanceOf(DownloadResult);
+        expect(rfa.url).toEqual('demo/DemoFamily.zip/token');
+
+        const pdf = await jobManager.exportDrawing('projectA', 'hash', 'drawing.idw');
+        expect(pdf.url).toEqual('SampleDrawingPdf.pdf');
+    });
+
+    it('links the sample files of the public folder', () => {
+        const fs = require('fs');
+        const path = require('path');
+
+        // eslint-disable-next-line no-undef
+        const publicFolder = path.join(__dirname, '..', 'public');
+        Object.values(sampleFiles).forEach(file => {
+            expect(fs.existsSync(path.join(publicFolder, file))).toEqual(true);
+        });
+    });
+
+    it('uses configured outputs', async () => {
+        hub.configure({ outputs: {
+            CreateRFAJob: [ 'canned.rfa', { credits: 5 } ],
+            CreateDrawingPdfJob: ([ projectId ], jobId) => [ `${projectId}-${jobId}.pdf` ]
+        } });
+
+        const rfa = await jobManager.download('CreateRFAJob', 'projectA', 'hash');
+        expect(rfa.url).toEqual('canned.rfa/token');
+        expect(rfa.stats).toEqual({ credits: 5 });
+
+        const pdf = await jobManager.exportDrawing('projectA', 'hash', 'drawing');
+        expect(pdf.url).toEqual(`projectA-${pdf.jobId}.pdf`);
+    });
+
+    it('fails the jobs', async () => {
+        hub.configure({ failures: {
+            CreateUpdateJob: true,
+            CreateAdoptJob: { errorType: 1, reportUrl: 'report' },
+            CreateRFAJob: (args, jobId) => ({ jobId, errorType: 2, title: 'Failed RFA', messages: args })
+        } });
+
+        const update = await jobManager.updateModel('projectA', {}).catch(e => e);
+        expect(update).toBeInstanceOf(JobError);
+        expect(update.errorData).toMatchObject({ errorType: 2, title: 'Fake failure' });
+
+        const adopt = await jobManager.adoptProject('package').catch(e => e);
+        expect(adopt.reportUrl).toEqual('report');
+
+        const rfa = await jobManager.download('CreateRFAJob', 'projectA', 'hash').catch(e => e);
+        expect(rfa.errorData).toMatchObject({ title: 'Failed RFA', messages: [ 'projectA', 'hash' ] });
+    });
+
+    it('rejects unknown method', async () => {
+        const error = await jobManager.run('CreateUnknownJob', []).catch(e => e);
+
+        expect(error).toBeInstanceOf(JobError);
+        expect(error.message).toMatch(/doesn't know method 'CreateUnknownJob'/);
+    });
+
+    it('cancels running job', async () => {
+        hub.configure({ delay: 40 });
+
+        let jobId;
+        const job = jobManager.adoptProject('package', { onStart: (id) => { jobId = id; } }).catch(e => e);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        jobManager.cancelJob(jobId);
+
+        expect(await job).toBeInstanceOf(JobCancelledError);
+    });
+
+    it('restarts idempotent job after lost connection', async () => {
+        hub.configure({ delay: 40 });
+        const onRetry = jest.fn();
+
+        const job = jobManager.download('CreateRFAJob', 'projectA', 'hash', null, { onRetry });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        hub.disconnect();
+
+        const result = await job;
+        expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ reason: retryReasons.connectionLost, attempt: 1 }));
+        expect(result.url).toEqual('demo/DemoFamily.zip/token');
+    });
+
+    it('retries refused connection', async () => {
+        hub.configure({ connectFailures: 2 });
+        const onRetry = jest.fn();
+
+        await jobManager.adoptProject('package', { onRetry });
+        expect(onRetry).toHaveBeenCalledTimes(2);
+        expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ reason: retryReasons.connection }));
+    });
+
+    it('fails the job when connection is refused', async () => {
+        hub.configure({ connectFailures: 3 });
+
+        const error = await jobManager.adoptProject('package').catch(e => e);
+        expect(error.message).toMatch(/refused the connection/);
+    });
+});
+
+describe('fakeJobHubSettings', () => {
+
+    it('is off by default', () => {
+        expect(fakeJobHubSettings(undefined)).toBeNull();
+        expect(fakeJobHubSettings('false')).toBeNull();
+    });
+
+    it('parses the options', () => {
+        expect(fakeJobHubSettings('true')).toEqual({});
+        expect(fakeJobHubSettings('{"delay":100}')).toEqual({ delay: 100 });
+        expect(fakeJobHubSettings('on')).toEqual({});
+    });
+
+    it('reads local storage', () => {
+        window.localStorage.setItem('fakeJobHub', '{"connectFailures":1}');
+        try {
+            expect(fakeJobHubSettings()).toEqual({ connectFailures: 1 });
+        } finally {
+            window.localStorage.removeItem('fakeJobHub');
+        }
+    });
+});
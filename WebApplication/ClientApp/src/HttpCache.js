@@ -0,0 +1,159 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+/** How long (in ms) the cached response is used without asking the server */
+export const defaultMaxAge = 5 * 60 * 1000;
+
+const IfNoneMatchHeader = 'If-None-Match';
+
+/** Promise rejected when `signal` aborts, so the caller can stop waiting for the shared request */
+function whenAborted(signal) {
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            const error = new Error('canceled');
+            error.name = 'AbortError';
+            reject(error);
+        };
+
+        if (signal.aborted)
+            abort();
+        else
+            signal.addEventListener('abort', abort);
+    });
+}
+
+/**
+ * Cache of GET responses keyed by URL.
+ * Fresh responses are reused as is, stale ones are revalidated with the ETag (`If-None-Match` header),
+ * and the server answers with 304 (Not Modified) if the data is unchanged.
+ * Identical requests running at the same time share a single HTTP request.
+ */
+export default class HttpCache {
+
+    /**
+     * @param request Async function `(url, config)` resolving with axios-like response `{ status, data, headers }`.
+     *                It's called with `validateStatus`, which accepts 304.
+     * @param maxAge  How long (in ms) the response is considered fresh.
+     */
+    constructor(request, maxAge = defaultMaxAge) {
+        this._request = request;
+        this._maxAge = maxAge;
+        this._entries = new Map();  // url -> { etag, data, fetchedAt }
+        this._pending = new Map();  // url -> { promise, controller, callers }
+    }
+
+    /**
+     * Get data from the URL.
+     * @param signal Optional AbortController signal. The shared request is aborted only when all its callers abort.
+     */
+    async get(url, signal) {
+        const entry = this._entries.get(url);
+        if (entry && Date.now() - entry.fetchedAt < this._maxAge)
+            return entry.data;
+
+        let pending = this._pending.get(url);
+        if (!pending) {
+            pending = this._fetch(url, entry);
+            this._pending.set(url, pending);
+        }
+
+        pending.callers++;
+        if (!signal)
+            return pending.promise;
+
+        const onAbort = () => {
+            if (--pending.callers === 0 && this._pending.get(url) === pending)
+                pending.controller.abort();
+        };
+        signal.addEventListener('abort', onAbort);
+
+        try {
+            return await Promise.race([pending.promise, whenAborted(signal)]);
+        } finally {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    _fetch(url, entry) {
+        // callers without abort signal are counted as well, so they keep the request running
+        const pending = { controller: new AbortController(), callers: 0 };
+        const headers = entry?.etag ? { [IfNoneMatchHeader]: entry.etag } : {};
+
+        pending.promise = this._request(url, {
+            headers,
+            signal: pending.controller.signal,
+            validateStatus: status => (status >= 200 && status < 300) || status === 304
+        }).then(response => {
+            // the entry could have been invalidated meanwhile, so the old data is reused only if it's still there
+            const cached = this._entries.get(url);
+            if (response.status === 304 && cached === entry) {
+                const revalidated = { ...cached, fetchedAt: Date.now() };
+                this._entries.set(url, revalidated);
+                return revalidated.data;
+            }
+
+            if (response.status === 304)
+                return this._refetch(url, pending);
+
+            const etag = response.headers?.etag;
+            if (etag && this._pending.get(url) === pending)
+                this._entries.set(url, { etag, data: response.data, fetchedAt: Date.now() });
+
+            return response.data;
+        }).finally(() => {
+            if (this._pending.get(url) === pending)
+                this._pending.delete(url);
+        });
+
+        return pending;
+    }
+
+    /** Repeat the request without ETag, used when the cached data was dropped while revalidating */
+    async _refetch(url, pending) {
+        const response = await this._request(url, { signal: pending.controller.signal });
+        if (this._pending.get(url) === pending && response.headers?.etag)
+            this._entries.set(url, { etag: response.headers.etag, data: response.data, fetchedAt: Date.now() });
+
+        return response.data;
+    }
+
+    /** Forget cached responses (and running requests) of the URLs matching the `predicate` */
+    invalidate(predicate) {
+        for (const url of [...this._entries.keys()]) {
+            if (predicate(url))
+                this._entries.delete(url);
+        }
+
+        for (const url of [...this._pending.keys()]) {
+            if (predicate(url))
+                this._pending.delete(url);
+        }
+    }
+
+    /** Forget cached responses of the project data (URLs with project ID as a path segment), and the project list */
+    invalidateProject(projectId) {
+        const segment = projectId && encodeURIComponent(projectId);
+        this.invalidate(url => url === '/projects' || (!!segment && url.split(/[/?#]/).includes(segment)));
+    }
+
+    /** Forget everything, e.g. when user signs in or out */
+    clear() {
+        this._entries.clear();
+        this._pending.clear();
+    }
+}
@@ -0,0 +1,174 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import HttpCache from './HttpCache';
+
+const ok = (data, etag) => ({ status: 200, data, headers: etag ? { etag } : {} });
+const notModified = { status: 304, data: '', headers: {} };
+
+describe('HttpCache', () => {
+
+    it('reuses fresh response', async () => {
+        const request = jest.fn(async () => ok('data', '"1"'));
+        const cache = new HttpCache(request);
+
+        expect(await cache.get('/projects')).toEqual('data');
+        expect(await cache.get('/projects')).toEqual('data');
+        expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not cache response without ETag', async () => {
+        const request = jest.fn(async () => ok('data'));
+        const cache = new HttpCache(request);
+
+        await cache.get('/projects');
+        await cache.get('/projects');
+        expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    it('revalidates stale response with ETag', async () => {
+        const request = jest.fn()
+            .mockResolvedValueOnce(ok('data', '"1"'))
+            .mockResolvedValueOnce(notModified);
+        const cache = new HttpCache(request, 0);
+
+        await cache.get('/projects');
+        expect(await cache.get('/projects')).toEqual('data');
+
+        const config = request.mock.calls[1][1];
+        expect(config.headers).toEqual({ 'If-None-Match': '"1"' });
+        expect(config.validateStatus(304)).toEqual(true);
+        expect(config.validateStatus(404)).toEqual(false);
+    });
+
+    it('replaces changed response', async () => {
+        const request = jest.fn()
+            .mockResolvedValueOnce(ok('old', '"1"'))
+            .mockResolvedValueOnce(ok('new', '"2"'))
+            .mockResolvedValueOnce(notModified);
+        const cache = new HttpCache(request, 0);
+
+        await cache.get('/projects');
+        expect(await cache.get('/projects')).toEqual('new');
+        expect(await cache.get('/projects')).toEqual('new');
+        expect(request.mock.calls[2][1].headers).toEqual({ 'If-None-Match': '"2"' });
+    });
+
+    it('sends identical requests once', async () => {
+        let respond;
+        const request = jest.fn(() => new Promise(resolve => { respond = resolve; }));
+        const cache = new HttpCache(request);
+
+        const first = cache.get('/bom/a');
+        const second = cache.get('/bom/a');
+        respond(ok('bom', '"1"'));
+
+        expect(await first).toEqual('bom');
+        expect(await second).toEqual('bom');
+        expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('aborts shared request when all callers abort', async () => {
+        const request = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('canceled')));
+        }));
+        const cache = new HttpCache(request);
+        const first = new AbortController();
+        const second = new AbortController();
+
+        const firstGet = cache.get('/bom/a', first.signal);
+        const secondGet = cache.get('/bom/a', second.signal);
+
+        first.abort();
+        await expect(firstGet).rejects.toThrow('canceled');
+        expect(request.mock.calls[0][1].signal.aborted).toEqual(false);
+
+        second.abort();
+        await expect(secondGet).rejects.toThrow('canceled');
+        expect(request.mock.calls[0][1].signal.aborted).toEqual(true);
+    });
+
+    it('keeps shared request running for caller without signal', async () => {
+        let respond;
+        const request = jest.fn(() => new Promise(resolve => { respond = resolve; }));
+        const cache = new HttpCache(request);
+        const controller = new AbortController();
+
+        const aborted = cache.get('/bom/a', controller.signal);
+        const kept = cache.get('/bom/a');
+        controller.abort();
+        await expect(aborted).rejects.toThrow('canceled');
+
+        respond(ok('bom', '"1"'));
+        expect(await kept).toEqual('bom');
+        expect(request.mock.calls[0][1].signal.aborted).toEqual(false);
+    });
+
+    it('does not share failed request', async () => {
+        const request = jest.fn()
+            .mockRejectedValueOnce(new Error('Network'))
+            .mockResolvedValueOnce(ok('data', '"1"'));
+        const cache = new HttpCache(request);
+
+        await expect(cache.get('/projects')).rejects.toThrow('Network');
+        expect(await cache.get('/projects')).toEqual('data');
+    });
+
+    it('invalidates project data and project list', async () => {
+        const request = jest.fn(async (url) => ok(url, '"1"'));
+        const cache = new HttpCache(request);
+        const urls = [ '/projects', '/parameters/projectA', '/bom/projectA/hash', '/data/user/projectA/hash/drawings.json', '/parameters/projectB', '/parameters/projectAB' ];
+
+        for (const url of urls)
+            await cache.get(url);
+
+        cache.invalidateProject('projectA');
+        request.mockClear();
+
+        for (const url of urls)
+            await cache.get(url);
+
+        expect(request.mock.calls.map(call => call[0])).toEqual(urls.slice(0, 4));
+    });
+
+    it('does not store response of request running during invalidation', async () => {
+        let respond;
+        const request = jest.fn(() => new Promise(resolve => { respond = resolve; }));
+        const cache = new HttpCache(request);
+
+        const running = cache.get('/parameters/projectA');
+        cache.invalidateProject('projectA');
+        respond(ok('old', '"1"'));
+        expect(await running).toEqual('old');
+
+        const reloading = cache.get('/parameters/projectA');
+        respond(ok('new', '"2"'));
+        expect(await reloading).toEqual('new');
+        expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    it('forgets everything on clear', async () => {
+        const request = jest.fn(async () => ok('data', '"1"'));
+        const cache = new HttpCache(request);
+
+        await cache.get('/projects');
+        cache.clear();
+        await cache.get('/projects');
+        expect(request).toHaveBeenCalledTimes(2);
+    });
+});
@@ -18,161 +18,469 @@
 
 import * as signalR from '@aspnet/signalr';
 import repo from './Repository';
+import { wait } from './utils/concurrency';
+
+/** Stages of the job progress, named as the timings of job statistics */
+export const jobStages = ['queueing', 'download', 'processing', 'upload'];
+
+/** Delays (in ms) between the attempts to restore the lost connection */
+export const reconnectDelays = [0, 2000, 10000, 30000];
+
+/**
+ * Default retry and timeout policy, can be overridden with `JobManager` constructor argument.
+ * - connectRetryDelays: delays (in ms) before the next attempt to start the hub connection
+ * - jobTimeout: time (in ms) to wait for the job result
+ * - jobRetries: how many times idempotent job (downloads, drawing PDFs) is re-invoked after timeout or lost connection
+ */
+export const defaultJobPolicy = {
+    connectRetryDelays: [1000, 3000, 10000],
+    jobTimeout: 20 * 60 * 1000,
+    jobRetries: 2
+};
+
+/** Why the job or connection is retried, passed to `onRetry` */
+export const retryReasons = {
+    connection: 'connection',
+    timeout: 'timeout',
+    connectionLost: 'connectionLost'
+};
+
+/** Error data in the format of the server `MessagesError`, so it can be shown by the failure dialogs */
+export function jobError(jobId, title, messages) {
+    return { jobId, errorType: 2 /* WebApplication.Job.ErrorInfoType.Messages */, title, messages };
+}
 
-class JobManager {
+/** Human readable description of `onRetry` argument */
+export function retryMessage({ reason, attempt, error }) {
+    switch (reason) {
+        case retryReasons.connection:
+            return `Connection to the server failed (${error}), retrying (attempt ${attempt + 1})`;
+        case retryReasons.timeout:
+            return `Job timed out, restarting it (attempt ${attempt + 1})`;
+        case retryReasons.connectionLost:
+            return `Connection to the server was lost, restarting the job (attempt ${attempt + 1})`;
+        default:
+            return `Retrying (attempt ${attempt + 1})`;
+    }
+}
 
-    async startConnection() {
-        const connection = new signalR.HubConnectionBuilder()
-                            .withUrl('/signalr/connection')
-                            .configureLogging(signalR.LogLevel.Warning)
-                            .build();
+/** Result of the successful job. `state` is job specific: updated project state, adopted project, etc. */
+export class JobResult {
+    constructor(jobId, state, stats, reportUrl) {
+        this.jobId = jobId;
+        this.state = state;
+        this.stats = stats;
+        this.reportUrl = reportUrl;
+    }
+}
 
-        await connection.start();
-        return connection;
+/** Result of the job generating a file, `state` is URL of the file */
+export class DownloadResult extends JobResult {
+    get url() {
+        return this.state;
     }
+}
 
-    async doUpdateJob(projectId, parameters, onStart, onComplete, onError) {
-        const connection = await this.startConnection();
+/** Failed job. `errorData` is the server `ProcessingError` or made with `jobError`, so it can be shown by the failure dialogs. */
+export class JobError extends Error {
+    constructor(jobId, errorData) {
+        super(errorData?.messages?.join(', ') || errorData?.title || 'Job failed');
+        this.name = 'JobError';
+        this.jobId = jobId;
+        this.errorData = errorData;
+    }
 
-        if (onStart)
-            onStart();
+    get reportUrl() {
+        return this.errorData?.reportUrl;
+    }
+}
 
-        connection.on("onComplete", (updatedState, stats, reportUrl) => {
-            // stop connection
-            connection.stop();
+/** The job is cancelled, by the user or by the server */
+export class JobCancelledError extends Error {
+    constructor(jobId) {
+        super('Job is cancelled');
+        this.name = 'JobCancelledError';
+        this.jobId = jobId;
+    }
+}
 
-            if (onComplete)
-                onComplete(updatedState, stats, reportUrl);
-        });
+/**
+ * Default transport: SignalR connection to the jobs hub of the server.
+ * @param sessionId Identifies the client across reconnects, so the server can cancel the jobs started over the lost connection.
+ */
+export function createHubConnection(sessionId) {
+    return new signalR.HubConnectionBuilder()
+                .withUrl(`/signalr/connection?sessionId=${encodeURIComponent(sessionId)}`)
+                .configureLogging(signalR.LogLevel.Warning)
+                .build();
+}
+
+/**
+ * Runs jobs on the server over single long-lived SignalR connection.
+ * Every job gets client generated ID, the server sends it back with the results,
+ * so concurrent jobs (e.g. download while update is running) get their own results.
+ *
+ * Failed connection start is retried with backoff, job without result is failed after timeout.
+ * Idempotent jobs are re-invoked instead, each invocation gets own ID on the server,
+ * but the callbacks always see the ID of the first one.
+ */
+export class JobManager {
+
+    /**
+     * @param policy           Overrides of `defaultJobPolicy`.
+     * @param createConnection Transport: makes a connection with the SignalR `HubConnection` interface
+     *                         (`on`, `onclose`, `start`, `invoke`, `stop`) for the session ID,
+     *                         e.g. the fake hub for development and tests.
+     */
+    constructor(policy, createConnection = createHubConnection) {
+        this.policy = { ...defaultJobPolicy, ...policy };
+        this.createConnection = createConnection;
+        this.connection = null;
+        this.connecting = null;
+        this.jobs = new Map(); // job ID -> { jobId, invocationId, attempt, idempotent, callbacks, timer, resolve, reject }
+        this.jobCounter = 0;
+        this.reconnectTimer = null;
+        this.sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}${Math.random().toString(36).substring(2, 10)}`;
+        this.lostInvocations = []; // IDs of invocations running on the server over the lost connection
+    }
+
+    /**
+     * Get connected hub connection, connect if necessary. Concurrent callers share the same connection attempt.
+     * @param onRetry Called before the next connection attempt with { reason, attempt, error }.
+     */
+    async startConnection(onRetry) {
+        if (this.connection)
+            return this.connection;
+
+        if (!this.connecting) {
+            this.connecting = this.connectWithRetries(onRetry).finally(() => { this.connecting = null; });
+        }
+
+        return this.connecting;
+    }
+
+    async connectWithRetries(onRetry) {
+        const delays = this.policy.connectRetryDelays;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.connect();
+            } catch (error) {
+                if (attempt >= delays.length)
+                    throw error;
+
+                if (onRetry)
+                    onRetry({ reason: retryReasons.connection, attempt: attempt + 1, error });
+                await wait(delays[attempt]);
+            }
+        }
+    }
 
-        connection.on("onError", (errorData) => {
+    /** Replace the transport, before any job is started. The current connection is dropped, the next job connects with the new transport. */
+    useTransport(createConnection) {
+        const connection = this.connection;
+        this.createConnection = createConnection;
+        this.connection = null;
+        if (connection)
             connection.stop();
+    }
 
-            if (onError)
-                onError(errorData);
-        });
+    async connect() {
+        const connection = this.createConnection(this.sessionId);
 
-        await connection.invoke('CreateUpdateJob', projectId, parameters, repo.getAccessToken());
+        connection.on("onComplete", (jobId, ...args) => this.onJobResult(jobId, 'onComplete', args));
+        connection.on("onError", (jobId, errorData) => this.onJobResult(jobId, 'onError', [ errorData ]));
+        connection.on("onCancelled", (jobId) => this.onJobResult(jobId, 'onCancel', []));
+        connection.on("onProgress", (jobId, progress) => this.onJobProgress(jobId, progress));
+        connection.onclose((error) => this.onConnectionClosed(connection, error));
+
+        await connection.start();
+        this.connection = connection;
+
+        // nobody waits for their results anymore
+        this.lostInvocations.splice(0).forEach(invocationId => this.stopInvocation(invocationId));
+
+        return connection;
     }
 
+    /** Find the job by ID of its current invocation */
+    findInvocation(invocationId) {
+        for (const job of this.jobs.values()) {
+            if (job.invocationId === invocationId)
+                return job;
+        }
 
-    async doAdoptJob(packageId, onStart, onComplete, onError) {
-        const connection = await this.startConnection();
+        return null;
+    }
 
-        if (onStart)
-            onStart();
+    /** Route job results to the callbacks of the job, results of unknown jobs are ignored */
+    onJobResult(invocationId, callbackName, args) {
+        const job = this.findInvocation(invocationId);
+        if (job)
+            this.finishJob(job, callbackName, args);
+    }
 
-        connection.on("onComplete", (newProject, stats, reportUrl) => {
-            // stop connection
-            connection.stop();
+    /** Intermediate progress of the job: { stage, percent }. The job keeps running. */
+    onJobProgress(invocationId, progress) {
+        const job = this.findInvocation(invocationId);
+        if (job && job.callbacks.onProgress)
+            job.callbacks.onProgress(progress);
+    }
 
-            if (onComplete)
-                onComplete(newProject,stats,reportUrl);
-        });
+    /** Forget the job, call its callback and resolve the pending job promise, if it's not resolved yet */
+    finishJob(job, callbackName, args) {
+        this.jobs.delete(job.jobId);
+        clearTimeout(job.timer);
 
-        connection.on("onError", (errorData) => {
-            connection.stop();
+        const callback = job.callbacks[callbackName];
+        if (callback)
+            callback(...args);
 
-            if (onError)
-                onError(errorData);
-        });
+        job.resolve();
+    }
 
-        await connection.invoke('CreateAdoptJob', packageId, repo.getAccessToken());
+    canRetry(job) {
+        return job.idempotent && job.attempt < this.policy.jobRetries;
     }
 
-    async doAdoptWithParameters(parameters, onStart, onComplete, onError) {
-        const connection = await this.startConnection();
+    /**
+     * Results of running jobs are sent to the lost connection, so the jobs fail or are re-invoked, if possible.
+     * The connection is restored in background, so it's ready for the next job, and the jobs still running
+     * on the server for the lost connection are stopped then.
+     */
+    onConnectionClosed(connection, error) {
+        if (this.connection !== connection)
+            return;
+
+        this.connection = null;
+
+        const jobs = [ ...this.jobs.values() ];
+        for (const job of jobs) {
+            this.lostInvocations.push(job.invocationId);
+            if (this.canRetry(job)) {
+                this.retryJob(job, retryReasons.connectionLost);
+            } else {
+                const message = 'Connection to the server was lost' + (error ? `: ${error.message || error}` : '');
+                this.finishJob(job, 'onError', [ jobError(job.jobId, 'Connection lost', [ message ]) ]);
+            }
+        }
 
-        if (onStart)
-            onStart();
+        this.scheduleReconnect(0);
+    }
 
-        connection.on("onComplete", (newProject) => {
-            // stop connection
-            connection.stop();
+    scheduleReconnect(attempt) {
+        if (attempt >= reconnectDelays.length)
+            return;
 
-            if (onComplete)
-                onComplete(newProject);
-        });
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (this.connection)
+                return;
 
-        connection.on("onError", (jobId, reportUrl) => {
-            connection.stop();
+            try {
+                await this.startConnection();
+            } catch (e) {
+                this.scheduleReconnect(attempt + 1);
+            }
+        }, reconnectDelays[attempt]);
+    }
 
-            if (onError)
-                onError(jobId, reportUrl);
-        });
+    /** The job result is not received in time: re-invoke idempotent job, fail the rest */
+    onJobTimeout(job) {
+        this.stopInvocation(job.invocationId);
+
+        if (this.canRetry(job)) {
+            this.retryJob(job, retryReasons.timeout);
+        } else {
+            const minutes = Math.round(this.policy.jobTimeout / 60000);
+            const message = `The server did not finish the job in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+            this.finishJob(job, 'onError', [ jobError(job.jobId, 'Job timed out', [ message ]) ]);
+        }
+    }
 
-        await connection.invoke("CreateAdoptProjectWithParametersJob", parameters, repo.getAccessToken());
+    /** Ask the server to stop the job invocation, it's forgotten on client anyway */
+    async stopInvocation(invocationId) {
+        try {
+            if (this.connection)
+                await this.connection.invoke('CancelJob', invocationId);
+        } catch (error) {
+            // lost connection stops the job too
+        }
     }
 
-    /**
-     * Generic way to generate a download and get URL to it.
-     *
-     * @param methodName SignalR method to call.
-     * @param projectId  Project ID.
-     * @param hash       Parameters hash.
-     * @param onStart    Callback to be called on start. No arguments.
-     * @param onSuccess  Callback to be called on success. Argument: url to the generated download.
-     * @param onError    Callback to be called on error. Arguments: job ID, report url.
-     * */
-    async doDownloadJob(methodName, projectId, hash, key, onStart, onSuccess, onError) {
+    retryJob(job, reason) {
+        job.attempt++;
+        job.invocationId = `${job.jobId}.${job.attempt}`;
+        clearTimeout(job.timer);
 
-        const connection = await this.startConnection();
+        if (job.callbacks.onRetry)
+            job.callbacks.onRetry({ jobId: job.jobId, reason, attempt: job.attempt });
 
-        if (onStart) onStart();
+        this.invoke(job);
+    }
 
-        connection.on("onComplete", (downloadUrl, stats, reportUrl) => {
+    /** Invoke the job method on the server, the job promise is rejected if the current invocation fails */
+    async invoke(job) {
+        const invocationId = job.invocationId;
+        const isCurrent = () => this.jobs.get(job.jobId) === job && job.invocationId === invocationId;
 
-            connection.stop();
+        try {
+            const connection = await this.startConnection(job.callbacks.onRetry);
+            if (!isCurrent())
+                return;
+
+            job.timer = setTimeout(() => this.onJobTimeout(job), this.policy.jobTimeout);
+            await connection.invoke(job.methodName, invocationId, ...job.args, repo.getAccessToken());
 
-            if (! downloadUrl && ! stats) {
-                if (onError) onError("no outputs", "Downloads are not found");
+            // the job without result keeps waiting for it until timeout
+            if (isCurrent())
+                job.resolve();
+        } catch (error) {
+            if (!isCurrent())
                 return;
-            }
 
-            if (onSuccess) {
-                const token = repo.getAccessToken();
-                if (token) {
-                    downloadUrl += "/" + token;
-                }
-                onSuccess(downloadUrl, stats, reportUrl);
-            }
-        });
+            this.jobs.delete(job.jobId);
+            clearTimeout(job.timer);
+            job.reject(error);
+        }
+    }
+
+    /**
+     * Cancel the running job. The server is asked to stop the job, but the job is finished on client immediately:
+     * pending job promise is resolved, `onCancel` is called instead of `onComplete` or `onError`.
+     *
+     * @param jobId Job ID, as passed to `onStart`.
+     * @returns true if the job was running.
+     */
+    async cancelJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job)
+            return false;
+
+        this.finishJob(job, 'onCancel', []);
+        await this.stopInvocation(job.invocationId);
+
+        return true;
+    }
 
-        connection.on("onError", (errorData) => {
+    newJobId() {
+        this.jobCounter++;
+        return `${Date.now().toString(36)}-${this.jobCounter}-${Math.random().toString(36).substring(2, 8)}`;
+    }
 
-            connection.stop();
-            if (onError) onError(errorData);
+    /**
+     * Start job on the server.
+     *
+     * @param methodName SignalR method to call.
+     * @param args       Method arguments, job ID and access token are added automatically.
+     * @param callbacks  { onStart, onComplete, onError, onCancel, onProgress, onRetry }. `onStart` gets the job ID,
+     *                   `onProgress` gets { stage, percent }, where stage is one of `jobStages`,
+     *                   `onRetry` gets { jobId, reason, attempt, error }, where reason is one of `retryReasons`.
+     *                   Failed job (timed out, lost connection) gets `onError` with `jobError` data.
+     * @param idempotent The job can be safely re-invoked after timeout or lost connection.
+     * @returns Promise, resolved when the server finished the job invocation or when the job is finished on client
+     *          (cancelled, timed out). Rejected if connection can't be started or the invocation fails.
+     * */
+    async runJob(methodName, args, callbacks, idempotent = false) {
+        await this.startConnection(callbacks.onRetry);
+
+        const jobId = this.newJobId();
+        const job = { jobId, invocationId: jobId, attempt: 0, idempotent, methodName, args, callbacks, timer: null };
+        const finished = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
         });
+        this.jobs.set(jobId, job);
+
+        if (callbacks.onStart)
+            callbacks.onStart(jobId);
 
-        if (key != null)
-            await connection.invoke(methodName, projectId, hash, key, repo.getAccessToken());
-        else
-            await connection.invoke(methodName, projectId, hash, repo.getAccessToken());
+        this.invoke(job);
+        await finished;
     }
 
-    async doDrawingExportJob(projectId, hash, drawingKey, onStart, onComplete, onError) {
-        const connection = await this.startConnection();
+    /**
+     * Run job and wait for its result.
+     *
+     * @param methodName SignalR method to call.
+     * @param args       Method arguments, job ID and access token are added automatically.
+     * @param events     { onStart, onProgress, onRetry }, see `runJob`.
+     * @param idempotent The job can be safely re-invoked after timeout or lost connection.
+     * @param makeResult Converts arguments of the server `onComplete` to the job result.
+     * @returns Promise with `JobResult`. Rejected with `JobCancelledError` when the job is cancelled,
+     *          and with `JobError` when the job fails (including connection failures).
+     */
+    run(methodName, args, events = {}, idempotent = false, makeResult = (jobId, ...results) => new JobResult(jobId, ...results)) {
+        return new Promise((resolve, reject) => {
+            let jobId;
+            const callbacks = {
+                ...events,
+                onStart: (id) => {
+                    jobId = id;
+                    if (events.onStart)
+                        events.onStart(id);
+                },
+                onComplete: (...results) => {
+                    try {
+                        resolve(makeResult(jobId, ...results));
+                    } catch (error) {
+                        reject(error);
+                    }
+                },
+                onError: (errorData) => reject(new JobError(jobId, errorData)),
+                onCancel: () => reject(new JobCancelledError(jobId))
+            };
+
+            this.runJob(methodName, args, callbacks, idempotent)
+                .catch(error => reject(new JobError(jobId, jobError(jobId, 'Job failed', [ `${error.message || error}` ]))));
+        });
+    }
 
-        if (onStart)
-            onStart();
+    /** Update project with the parameters. Result state is the updated project state, including parameters. */
+    updateModel(projectId, parameters, events) {
+        return this.run('CreateUpdateJob', [ projectId, parameters ], events);
+    }
 
-        connection.on("onComplete", (drawingUrl, stats, reportUrl) => {
-            // stop connection
-            connection.stop();
+    /** Adopt uploaded package. Result state is the new project. */
+    adoptProject(packageId, events) {
+        return this.run('CreateAdoptJob', [ packageId ], events);
+    }
 
-            if (onComplete) {
-                onComplete(drawingUrl, stats, reportUrl);
+    /** Adopt project described by the payload. Result state is the new project. */
+    adoptProjectWithParameters(payloadUrl, events) {
+        return this.run('CreateAdoptProjectWithParametersJob', [ payloadUrl ], events);
+    }
+
+    /**
+     * Generic way to generate a download and get URL to it.
+     *
+     * @param methodName SignalR method to call.
+     * @param projectId  Project ID.
+     * @param hash       Parameters hash.
+     * @param key        Optional key of the download (e.g. drawing key).
+     * @returns Promise with `DownloadResult`, the URL includes access token.
+     * */
+    download(methodName, projectId, hash, key, events) {
+        const makeResult = (jobId, downloadUrl, stats, reportUrl) => {
+            if (! downloadUrl && ! stats)
+                throw new JobError(jobId, jobError(jobId, 'No outputs', [ 'Downloads are not found' ]));
+
+            const token = repo.getAccessToken();
+            if (token) {
+                downloadUrl += "/" + token;
             }
-        });
 
-        connection.on("onError", (errorData) => {
-            connection.stop();
+            return new DownloadResult(jobId, downloadUrl, stats, reportUrl);
+        };
 
-            if (onError)
-                onError(errorData);
-        });
+        const args = key != null ? [ projectId, hash, key ] : [ projectId, hash ];
+        return this.run(methodName, args, events, true, makeResult);
+    }
 
-        await connection.invoke('CreateDrawingPdfJob', projectId, hash, drawingKey, repo.getAccessToken());
+    /** Export drawing to PDF. Result is `DownloadResult` with URL of the PDF. */
+    exportDrawing(projectId, hash, drawingKey, events) {
+        return this.run('CreateDrawingPdfJob', [ projectId, hash, drawingKey ], events, true,
+            (jobId, ...results) => new DownloadResult(jobId, ...results));
     }
 }
 
@@ -181,5 +489,3 @@ const jobManager = new JobManager();
 export function Jobs() {
   return jobManager;
 }
-
-
@@ -0,0 +1,523 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { JobManager, reconnectDelays, retryReasons, retryMessage, JobResult, DownloadResult, JobError, JobCancelledError } from './JobManager';
+
+jest.mock('./Repository');
+import repoInstance from './Repository';
+
+// every built connection is recorded, so tests can talk to it
+const mockConnections = [];
+let mockStartError = null;
+
+jest.mock('@aspnet/signalr', () => {
+    function makeConnection(url) {
+        const connection = {
+            url,
+            handlers: {},
+            invocations: [],
+            start: jest.fn(async () => { if (mockStartError) throw mockStartError; }),
+            on: (name, fn) => { connection.handlers[name] = fn; },
+            onclose: (fn) => { connection.closeHandler = fn; },
+            invoke: jest.fn((...args) => new Promise((resolve, reject) => connection.invocations.push({ args, resolve, reject }))),
+            stop: jest.fn()
+        };
+        mockConnections.push(connection);
+        return connection;
+    }
+
+    return {
+        LogLevel: { Warning: 3 },
+        HubConnectionBuilder: function() {
+            let url;
+            return {
+                withUrl: function(hubUrl) { url = hubUrl; return this; },
+                configureLogging: function() { return this; },
+                build: () => makeConnection(url)
+            };
+        }
+    };
+});
+
+// let the pending promises settle, works with fake timers too
+const flush = async () => {
+    for (let i = 0; i < 10; i++)
+        await Promise.resolve();
+};
+
+describe('JobManager', () => {
+
+    let jobManager;
+
+    beforeEach(() => {
+        mockConnections.length = 0;
+        mockStartError = null;
+        repoInstance.getAccessToken.mockReturnValue('token');
+        jobManager = new JobManager();
+    });
+
+    const jobIdOf = (invocation) => invocation.args[1];
+
+    // callback level API, the typed job methods are built on it
+    const runUpdate = (callbacks) => jobManager.runJob('CreateUpdateJob', [ 'projectA', {} ], callbacks);
+    const runDrawing = (callbacks) => jobManager.runJob('CreateDrawingPdfJob', [ 'projectA', 'hash', 'drawing' ], callbacks, true);
+
+    it('sends job ID and token with the job', async () => {
+        const onStart = jest.fn();
+        jobManager.updateModel('projectA', { a: 1 }, { onStart });
+        await flush();
+
+        const [ invocation ] = mockConnections[0].invocations;
+        expect(invocation.args).toEqual([ 'CreateUpdateJob', expect.any(String), 'projectA', { a: 1 }, 'token' ]);
+        expect(onStart).toHaveBeenCalledWith(jobIdOf(invocation));
+    });
+
+    it('shares single connection by the jobs', async () => {
+        jobManager.updateModel('projectA', {});
+        jobManager.exportDrawing('projectA', 'hash', 'drawing');
+        await flush();
+        jobManager.adoptProject('package');
+        await flush();
+        jobManager.adoptProjectWithParameters('payload');
+        await flush();
+
+        expect(mockConnections).toHaveLength(1);
+        expect(mockConnections[0].start).toHaveBeenCalledTimes(1);
+        expect(mockConnections[0].invocations.map(item => item.args[0])).toEqual([ 'CreateUpdateJob', 'CreateDrawingPdfJob', 'CreateAdoptJob', 'CreateAdoptProjectWithParametersJob' ]);
+        expect(mockConnections[0].stop).not.toHaveBeenCalled();
+    });
+
+    it('routes results of concurrent jobs', async () => {
+        const updateJob = jobManager.updateModel('projectA', {});
+        const downloadJob = jobManager.download('CreateRFAJob', 'projectA', 'hash');
+        await flush();
+
+        const connection = mockConnections[0];
+        const [ updateInvocation, downloadInvocation ] = connection.invocations;
+        expect(downloadInvocation.args).toEqual([ 'CreateRFAJob', expect.any(String), 'projectA', 'hash', 'token' ]);
+        expect(jobIdOf(updateInvocation)).not.toEqual(jobIdOf(downloadInvocation));
+
+        // download finishes first
+        connection.handlers.onComplete(jobIdOf(downloadInvocation), 'url', { credits: 1 }, 'report');
+        downloadInvocation.resolve();
+        connection.handlers.onError(jobIdOf(updateInvocation), { errorType: 1, reportUrl: 'failure' });
+        updateInvocation.resolve();
+
+        const download = await downloadJob;
+        expect(download).toBeInstanceOf(DownloadResult);
+        expect(download.jobId).toEqual(jobIdOf(downloadInvocation));
+        expect(download.url).toEqual('url/token');
+        expect(download.stats).toEqual({ credits: 1 });
+        expect(download.reportUrl).toEqual('report');
+
+        const error = await updateJob.catch(e => e);
+        expect(error).toBeInstanceOf(JobError);
+        expect(error.jobId).toEqual(jobIdOf(updateInvocation));
+        expect(error.errorData).toEqual({ errorType: 1, reportUrl: 'failure' });
+        expect(error.reportUrl).toEqual('failure');
+    });
+
+    it('resolves update with the updated state', async () => {
+        const job = jobManager.updateModel('projectA', {});
+        await flush();
+
+        const state = { parameters: {}, hash: 'hash' };
+        mockConnections[0].handlers.onComplete(jobIdOf(mockConnections[0].invocations[0]), state, { credits: 2 }, 'report');
+
+        const result = await job;
+        expect(result).toBeInstanceOf(JobResult);
+        expect(result).toEqual(new JobResult(jobIdOf(mockConnections[0].invocations[0]), state, { credits: 2 }, 'report'));
+    });
+
+    it('ignores late or unknown results', async () => {
+        const callbacks = { onComplete: jest.fn(), onError: jest.fn() };
+        runUpdate(callbacks);
+        await flush();
+
+        const connection = mockConnections[0];
+        const jobId = jobIdOf(connection.invocations[0]);
+        connection.handlers.onError(jobId, { messages: [ 'failed' ] });
+        connection.handlers.onComplete(jobId, {});
+        connection.handlers.onComplete('unknown', {});
+        expect(callbacks.onError).toHaveBeenCalledWith({ messages: [ 'failed' ] });
+        expect(callbacks.onComplete).not.toHaveBeenCalled();
+    });
+
+    it('reports download without outputs', async () => {
+        const job = jobManager.download('CreateRFAJob', 'projectA', 'hash', 'key');
+        await flush();
+
+        const [ invocation ] = mockConnections[0].invocations;
+        expect(invocation.args).toEqual([ 'CreateRFAJob', expect.any(String), 'projectA', 'hash', 'key', 'token' ]);
+        mockConnections[0].handlers.onComplete(jobIdOf(invocation));
+
+        const error = await job.catch(e => e);
+        expect(error).toBeInstanceOf(JobError);
+        expect(error.errorData).toEqual({ jobId: jobIdOf(invocation), errorType: 2, title: 'No outputs', messages: [ 'Downloads are not found' ] });
+    });
+
+    it('forgets the job when invocation fails', async () => {
+        const onComplete = jest.fn();
+        const job = jobManager.runJob('CreateAdoptProjectWithParametersJob', [ 'payload' ], { onComplete });
+        await flush();
+
+        const [ invocation ] = mockConnections[0].invocations;
+        invocation.reject(new Error('Invocation failed'));
+        await expect(job).rejects.toThrow('Invocation failed');
+
+        mockConnections[0].handlers.onComplete(jobIdOf(invocation), {});
+        expect(onComplete).not.toHaveBeenCalled();
+    });
+
+    it('fails the job when invocation fails', async () => {
+        const job = jobManager.adoptProjectWithParameters('payload');
+        await flush();
+
+        const [ invocation ] = mockConnections[0].invocations;
+        invocation.reject(new Error('Invocation failed'));
+
+        const error = await job.catch(e => e);
+        expect(error).toBeInstanceOf(JobError);
+        expect(error.message).toEqual('Invocation failed');
+        expect(error.errorData).toEqual({ jobId: jobIdOf(invocation), errorType: 2, title: 'Job failed', messages: [ 'Invocation failed' ] });
+    });
+
+    it('cancels running job', async () => {
+        const callbacks = { onComplete: jest.fn(), onError: jest.fn(), onCancel: jest.fn() };
+        let finished = false;
+        runUpdate(callbacks).then(() => { finished = true; });
+        await flush();
+
+        const connection = mockConnections[0];
+        const [ invocation ] = connection.invocations;
+        const cancelled = jobManager.cancelJob(jobIdOf(invocation));
+        await flush();
+
+        // the pending job is finished without waiting for the server
+        expect(finished).toEqual(true);
+        expect(callbacks.onCancel).toHaveBeenCalledTimes(1);
+        expect(connection.invocations[1].args).toEqual([ 'CancelJob', jobIdOf(invocation) ]);
+
+        connection.invocations[1].reject(new Error('Job is already finished'));
+        expect(await cancelled).toEqual(true);
+
+        // results of the cancelled job are ignored
+        connection.handlers.onError(jobIdOf(invocation), { messages: [ 'Cancelled' ] });
+        connection.handlers.onCancelled(jobIdOf(invocation));
+        expect(callbacks.onError).not.toHaveBeenCalled();
+        expect(callbacks.onCancel).toHaveBeenCalledTimes(1);
+        expect(callbacks.onComplete).not.toHaveBeenCalled();
+    });
+
+    it('rejects cancelled job', async () => {
+        const job = jobManager.updateModel('projectA', {});
+        await flush();
+
+        const jobId = jobIdOf(mockConnections[0].invocations[0]);
+        jobManager.cancelJob(jobId);
+
+        const error = await job.catch(e => e);
+        expect(error).toBeInstanceOf(JobCancelledError);
+        expect(error.jobId).toEqual(jobId);
+    });
+
+    it('does not cancel unknown job', async () => {
+        expect(await jobManager.cancelJob('unknown')).toEqual(false);
+        expect(mockConnections).toHaveLength(0);
+    });
+
+    it('reports job cancelled by the server', async () => {
+        const job = jobManager.exportDrawing('projectA', 'hash', 'drawing');
+        await flush();
+
+        mockConnections[0].handlers.onCancelled(jobIdOf(mockConnections[0].invocations[0]));
+        await expect(job).rejects.toBeInstanceOf(JobCancelledError);
+    });
+
+    it('reports progress of running job', async () => {
+        const onProgress = jest.fn();
+        const job = jobManager.download('CreateRFAJob', 'projectA', 'hash', null, { onProgress });
+        await flush();
+
+        const connection = mockConnections[0];
+        const jobId = jobIdOf(connection.invocations[0]);
+        connection.handlers.onProgress(jobId, { stage: 'queueing' });
+        connection.handlers.onProgress(jobId, { stage: 'processing', percent: 50 });
+        connection.handlers.onProgress('unknown', { stage: 'upload' });
+        expect(onProgress.mock.calls).toEqual([ [{ stage: 'queueing' }], [{ stage: 'processing', percent: 50 }] ]);
+
+        // the job is still running
+        connection.handlers.onComplete(jobId, 'url');
+        expect((await job).url).toEqual('url/token');
+
+        connection.handlers.onProgress(jobId, { stage: 'upload' });
+        expect(onProgress).toHaveBeenCalledTimes(2);
+    });
+
+    it('fails running jobs and reconnects when connection is lost', async () => {
+        jest.useFakeTimers();
+        try {
+            const job = jobManager.updateModel('projectA', {});
+            await flush();
+
+            const jobId = jobIdOf(mockConnections[0].invocations[0]);
+            mockConnections[0].closeHandler(new Error('Network'));
+            const error = await job.catch(e => e);
+            expect(error.errorData).toEqual(expect.objectContaining({
+                errorType: 2,
+                title: 'Connection lost',
+                messages: [ 'Connection to the server was lost: Network' ]
+            }));
+
+            // the first reconnect attempt fails
+            mockStartError = new Error('Offline');
+            jest.advanceTimersByTime(reconnectDelays[0]);
+            await flush();
+            expect(mockConnections).toHaveLength(2);
+
+            mockStartError = null;
+            jest.advanceTimersByTime(reconnectDelays[1]);
+            await flush();
+            expect(mockConnections).toHaveLength(3);
+
+            // the job still running on the server is stopped, the session ID is kept, so the server can find it
+            const restored = mockConnections[2];
+            expect(restored.invocations[0].args).toEqual([ 'CancelJob', jobId ]);
+            expect(restored.url).toEqual(mockConnections[0].url);
+            expect(restored.url).toEqual(`/signalr/connection?sessionId=${jobManager.sessionId}`);
+
+            // the restored connection is used for the next job
+            jobManager.adoptProject('package');
+            await flush();
+            expect(mockConnections).toHaveLength(3);
+            expect(restored.invocations).toHaveLength(2);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    it('ignores close of replaced connection', async () => {
+        jobManager.adoptProject('package').catch(() => {});
+        await flush();
+
+        const oldConnection = mockConnections[0];
+        oldConnection.closeHandler();
+        jobManager.adoptProject('package');
+        await flush();
+
+        oldConnection.closeHandler();
+        expect(jobManager.connection).toBe(mockConnections[mockConnections.length - 1]);
+    });
+
+    it('uses injected transport', async () => {
+        const connection = { on: jest.fn(), onclose: jest.fn(), start: jest.fn(), invoke: jest.fn(async () => {}), stop: jest.fn() };
+        jobManager = new JobManager({}, () => connection);
+
+        jobManager.adoptProject('package');
+        await flush();
+
+        expect(mockConnections).toHaveLength(0);
+        expect(connection.invoke).toHaveBeenCalledWith('CreateAdoptJob', expect.any(String), 'package', 'token');
+    });
+
+    it('switches the transport', async () => {
+        jobManager.adoptProject('package').catch(() => {});
+        await flush();
+        const oldConnection = mockConnections[0];
+
+        const connection = { on: jest.fn(), onclose: jest.fn(), start: jest.fn(), invoke: jest.fn(async () => {}), stop: jest.fn() };
+        jobManager.useTransport(() => connection);
+        expect(oldConnection.stop).toHaveBeenCalled();
+
+        jobManager.adoptProject('package');
+        await flush();
+        expect(connection.invoke).toHaveBeenCalledWith('CreateAdoptJob', expect.any(String), 'package', 'token');
+    });
+
+    describe('retry and timeout policy', () => {
+        const policy = { connectRetryDelays: [ 100, 500 ], jobTimeout: 1000, jobRetries: 1 };
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            jobManager = new JobManager(policy);
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('retries failed connection with backoff', async () => {
+            const onRetry = jest.fn();
+            mockStartError = new Error('Offline');
+            const job = jobManager.updateModel('projectA', {}, { onRetry });
+            await flush();
+
+            expect(mockConnections).toHaveLength(1);
+            expect(onRetry).toHaveBeenLastCalledWith({ reason: retryReasons.connection, attempt: 1, error: mockStartError });
+
+            jest.advanceTimersByTime(100);
+            await flush();
+            expect(mockConnections).toHaveLength(2);
+
+            mockStartError = null;
+            jest.advanceTimersByTime(500);
+            await flush();
+            expect(mockConnections).toHaveLength(3);
+            expect(onRetry).toHaveBeenCalledTimes(2);
+
+            const [ invocation ] = mockConnections[2].invocations;
+            expect(invocation.args[0]).toEqual('CreateUpdateJob');
+            mockConnections[2].handlers.onComplete(jobIdOf(invocation), {});
+            await job;
+        });
+
+        it('gives up connecting when retries are exhausted', async () => {
+            mockStartError = new Error('Offline');
+            let failure = null;
+            jobManager.updateModel('projectA', {}).catch(error => { failure = error; });
+
+            for (const ms of policy.connectRetryDelays) {
+                await flush();
+                jest.advanceTimersByTime(ms);
+            }
+
+            await flush();
+            expect(failure).toBeInstanceOf(JobError);
+            expect(failure.message).toEqual('Offline');
+            expect(mockConnections).toHaveLength(3);
+        });
+
+        it('fails the job without result in time', async () => {
+            const callbacks = { onComplete: jest.fn(), onError: jest.fn(), onRetry: jest.fn() };
+            runUpdate(callbacks);
+            await flush();
+
+            const connection = mockConnections[0];
+            const jobId = jobIdOf(connection.invocations[0]);
+            jest.advanceTimersByTime(policy.jobTimeout);
+
+            // update is not retried
+            expect(callbacks.onRetry).not.toHaveBeenCalled();
+            expect(callbacks.onError).toHaveBeenCalledWith({ jobId, errorType: 2, title: 'Job timed out', messages: [ 'The server did not finish the job in 0 minutes' ] });
+            expect(connection.invocations[1].args).toEqual([ 'CancelJob', jobId ]);
+
+            // late result is ignored
+            connection.handlers.onComplete(jobId, {});
+            expect(callbacks.onComplete).not.toHaveBeenCalled();
+        });
+
+        it('does not time out finished job', async () => {
+            const onError = jest.fn();
+            runUpdate({ onComplete: jest.fn(), onError });
+            await flush();
+
+            mockConnections[0].handlers.onComplete(jobIdOf(mockConnections[0].invocations[0]), {});
+            jest.advanceTimersByTime(policy.jobTimeout);
+            expect(onError).not.toHaveBeenCalled();
+        });
+
+        it('re-invokes idempotent job after timeout', async () => {
+            const callbacks = { onStart: jest.fn(), onComplete: jest.fn(), onError: jest.fn(), onRetry: jest.fn() };
+            runDrawing(callbacks);
+            await flush();
+
+            const connection = mockConnections[0];
+            const jobId = jobIdOf(connection.invocations[0]);
+            jest.advanceTimersByTime(policy.jobTimeout);
+            await flush();
+
+            expect(callbacks.onRetry).toHaveBeenCalledWith({ jobId, reason: retryReasons.timeout, attempt: 1 });
+            const [ , cancel, retry ] = connection.invocations;
+            expect(cancel.args).toEqual([ 'CancelJob', jobId ]);
+            expect(retry.args).toEqual([ 'CreateDrawingPdfJob', `${jobId}.1`, 'projectA', 'hash', 'drawing', 'token' ]);
+
+            // the result of the stopped invocation is ignored, the callbacks see the original job ID
+            connection.handlers.onComplete(jobId, 'stale');
+            expect(callbacks.onComplete).not.toHaveBeenCalled();
+            connection.handlers.onComplete(`${jobId}.1`, 'url');
+            expect(callbacks.onComplete).toHaveBeenCalledWith('url');
+            expect(callbacks.onStart).toHaveBeenCalledTimes(1);
+
+            // the finished job doesn't time out
+            jest.advanceTimersByTime(policy.jobTimeout);
+            expect(callbacks.onError).not.toHaveBeenCalled();
+        });
+
+        it('fails idempotent job when retries are exhausted', async () => {
+            const job = jobManager.download('CreateRFAJob', 'projectA', 'hash');
+            await flush();
+
+            jest.advanceTimersByTime(policy.jobTimeout);
+            await flush();
+            jest.advanceTimersByTime(policy.jobTimeout);
+
+            const error = await job.catch(e => e);
+            expect(error.errorData).toEqual(expect.objectContaining({ title: 'Job timed out' }));
+        });
+
+        it('re-invokes idempotent job on restored connection', async () => {
+            const onRetry = jest.fn();
+            const download = jobManager.download('CreateRFAJob', 'projectA', 'hash', null, { onRetry });
+            const update = jobManager.updateModel('projectA', {});
+            await flush();
+
+            const jobId = jobIdOf(mockConnections[0].invocations[0]);
+            mockConnections[0].closeHandler(new Error('Network'));
+            await flush();
+
+            const error = await update.catch(e => e);
+            expect(error.errorData).toEqual(expect.objectContaining({ title: 'Connection lost' }));
+            expect(onRetry).toHaveBeenCalledWith({ jobId, reason: retryReasons.connectionLost, attempt: 1 });
+
+            const restored = mockConnections[1];
+            expect(restored.invocations.map(invocation => invocation.args.slice(0, 2))).toEqual(expect.arrayContaining([
+                [ 'CancelJob', jobId ],
+                [ 'CreateRFAJob', `${jobId}.1` ]
+            ]));
+            restored.handlers.onComplete(`${jobId}.1`, 'url');
+
+            const result = await download;
+            expect(result.jobId).toEqual(jobId);
+            expect(result.url).toEqual('url/token');
+        });
+
+        it('cancels retried job', async () => {
+            const onCancel = jest.fn();
+            runDrawing({ onCancel });
+            await flush();
+
+            const connection = mockConnections[0];
+            const jobId = jobIdOf(connection.invocations[0]);
+            jest.advanceTimersByTime(policy.jobTimeout);
+            await flush();
+
+            const cancelled = jobManager.cancelJob(jobId);
+            expect(onCancel).toHaveBeenCalledTimes(1);
+            expect(connection.invocations[3].args).toEqual([ 'CancelJob', `${jobId}.1` ]);
+
+            connection.invocations[3].resolve(true);
+            expect(await cancelled).toEqual(true);
+        });
+    });
+
+    it('describes retries', () => {
+        expect(retryMessage({ reason: retryReasons.connection, attempt: 1, error: 'Offline' })).toEqual('Connection to the server failed (Offline), retrying (attempt 2)');
+        expect(retryMessage({ reason: retryReasons.timeout, attempt: 2 })).toEqual('Job timed out, restarting it (attempt 3)');
+        expect(retryMessage({ reason: retryReasons.connectionLost, attempt: 1 })).toEqual('Connection to the server was lost, restarting the job (attempt 2)');
+    });
+});
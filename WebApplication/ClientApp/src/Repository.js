@@ -17,16 +17,47 @@
 /////////////////////////////////////////////////////////////////////
 
 import axios from 'axios';
+import HttpCache from './HttpCache';
+import DemoRepository, { demoModeEnabled } from './DemoRepository';
+import { wait } from './utils/concurrency';
 
 const AuthorizationHeader = 'Authorization';
+const PresetsStoragePrefix = 'parameterPresets:';
+const RefreshTokenUrl = '/login/refresh';
+const UploadsUrl = '/projects/uploads';
 
-/** Kind-of data layer, which hides all interaction with backend. */
+/** Packages are uploaded in chunks, failed chunk is repeated after the delays (in ms) */
+export const defaultUploadPolicy = {
+    chunkSize: 8 * 1024 * 1024,
+    retryDelays: [ 1000, 5000, 15000 ]
+};
+
+/** Network errors and server failures are worth to repeat, the rest won't get better */
+const isRetryable = (error) => !error.response || error.response.status >= 500;
+
+/** Uploads of the same file (e.g. repeated after failure) are resumed */
+const uploadKey = (form) => [ form.file.name, form.file.size, form.file.lastModified, form.root ].join(':');
+
+/**
+ * Kind-of data layer, which hides all interaction with backend.
+ * It's the server implementation, `DemoRepository` implements the same methods with in-memory data.
+ */
 class Repository {
 
+    constructor() {
+        // requests failed with 401 are repeated once, if the handler managed to refresh the token
+        axios.interceptors.response.use(null, (error) => this.retryUnauthorized(error));
+
+        // project data is revalidated with ETags, and identical requests running at the same time are sent once
+        this._cache = new HttpCache((url, config) => axios.get(url, config));
+
+        this.uploadPolicy = defaultUploadPolicy;
+        this._uploads = {}; // upload key -> upload ID, for unfinished uploads
+    }
+
     /** Get list of projects */
     async loadProjects() {
-        const response = await axios.get("/projects");
-        return response.data;
+        return this._cache.get("/projects");
     }
     /** Delete projects */
     async deleteProjects(projectList) {
@@ -36,12 +67,17 @@ class Repository {
             },
             data: JSON.stringify(projectList)
         });
+        projectList.forEach(projectId => this.invalidateProject(projectId));
         return response.data;
     }
-    /** Get project parameters */
-    async loadParameters(projectName) {
-        const response = await axios.get("/parameters/" + projectName);
-        return response.data;
+    /** Get project parameters. The request is aborted with the optional AbortController `signal`. */
+    async loadParameters(projectName, signal) {
+        return this._cache.get("/parameters/" + projectName, signal);
+    }
+
+    /** Forget cached data of the project (and the project list), e.g. when a job changed them */
+    invalidateProject(projectId) {
+        this._cache.invalidateProject(projectId);
     }
 
     /** Get the information if we should show the strip informing customer that parameters changed */
@@ -66,47 +102,209 @@ class Repository {
         return response.data;
     }
 
-    /**Uploads package to the server */
-    async uploadPackage(form) {
-        const formData = new FormData();
+    /**
+     * Uploads package to the server in chunks. Failed chunks are repeated from the bytes received by the server,
+     * and the upload of the same file is resumed if it's started again after failure.
+     *
+     * @param form       { file, root } from the upload dialog.
+     * @param signal     Optional AbortController signal, the aborted upload is dropped on the server.
+     * @param onProgress Optional `({ loaded, total }) => void`, called as the bytes are sent.
+     * @returns Package ID for the adopt job. Rejected with 409 (Conflict) if the project exists.
+     */
+    async uploadPackage(form, signal, onProgress = () => {}) {
+        const key = uploadKey(form);
+        const total = form.file.size;
+
+        let upload = this._uploads[key] && await this.loadUpload(this._uploads[key], signal);
+        if (!upload) {
+            const response = await axios.post(UploadsUrl, { fileName: form.file.name, root: form.root, size: total }, { signal });
+            upload = response.data;
+            this._uploads[key] = upload.uploadId;
+        }
+
+        try {
+            let received = upload.received;
+            let failures = 0;
+            onProgress({ loaded: received, total });
+
+            while (received < total) {
+                const chunk = form.file.slice(received, Math.min(received + this.uploadPolicy.chunkSize, total));
+                const offset = received;
+                try {
+                    const response = await axios.put(`${UploadsUrl}/${upload.uploadId}?offset=${offset}`, chunk, {
+                        headers: { 'content-type': 'application/octet-stream' },
+                        signal,
+                        onUploadProgress: (event) => onProgress({ loaded: offset + Math.min(event.loaded, chunk.size), total })
+                    });
+                    received = response.data.received;
+                    failures = 0;
+                } catch (error) {
+                    const delay = this.uploadPolicy.retryDelays[failures++];
+                    if (signal?.aborted || !isRetryable(error) || delay == null)
+                        throw error;
+
+                    // the chunk is sent again from the last acknowledged byte. If the server got it already
+                    // (and the response is lost), it ignores the chunk and tells how many bytes it has
+                    await wait(delay);
+                }
+
+                onProgress({ loaded: received, total });
+            }
+
+            const result = await axios.post(`${UploadsUrl}/${upload.uploadId}/complete`, null, { signal });
+            delete this._uploads[key];
+            this._cache.invalidate(url => url === '/projects');
+            return result.data;
+        } catch (error) {
+            if (signal?.aborted) {
+                delete this._uploads[key];
+                axios.delete(`${UploadsUrl}/${upload.uploadId}`).catch(() => {});
+            }
+
+            throw error;
+        }
+    }
+
+    /** Get state of the unfinished upload, null if the server doesn't know it (anymore) */
+    async loadUpload(uploadId, signal) {
+        try {
+            const response = await axios.get(`${UploadsUrl}/${uploadId}`, { signal });
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 404)
+                return null;
+
+            throw error;
+        }
+    }
+
+    /**
+     * Get named parameter presets of the project. Anonymous user keeps them in the browser.
+     * Anything but a list (e.g. HTML page from a server without presets) means no presets.
+     */
+    async loadPresets(projectId) {
+        let presets;
+        if (! this.hasAccessToken()) {
+            const stored = window.localStorage.getItem(PresetsStoragePrefix + projectId);
+            presets = stored ? JSON.parse(stored) : [];
+        } else {
+            const response = await axios.get("/presets/" + projectId);
+            presets = response.data;
+        }
+
+        return Array.isArray(presets) ? presets : [];
+    }
+
+    /** Store all named parameter presets of the project */
+    async savePresets(projectId, presets) {
+        if (! this.hasAccessToken()) {
+            window.localStorage.setItem(PresetsStoragePrefix + projectId, JSON.stringify(presets));
+            return presets;
+        }
 
-        formData.append('package', form.file);
-        formData.append('root', form.root);
-        const result = await axios.post('/projects', formData, {
+        const response = await axios.put("/presets/" + projectId, presets, {
             headers: {
-            'Content-Type': 'multipart/form-data'
+                'content-type': 'application/json'
             }
         });
-        return result.data;
+        return response.data;
+    }
+
+    /**
+     * Get parameter rules document of the project, null if the project has no rules.
+     * Response without `rules` list (e.g. HTML page from a server without rules) means no rules too.
+     */
+    async loadRules(projectId) {
+        try {
+            const response = await axios.get("/rules/" + projectId, { headers: { accept: 'application/json' } });
+            const document = response.data;
+            return Array.isArray(document?.rules) ? document : null;
+        } catch (error) {
+            if (error.response?.status === 404)
+                return null;
+
+            throw error;
+        }
     }
 
     getAccessToken() { return this._accessToken; }
 
-    setAccessToken(value) {
+    /**
+     * @param value     Access token.
+     * @param expiresIn Optional lifetime of the token (in seconds).
+     */
+    setAccessToken(value, expiresIn) {
+        // refreshed token belongs to the same user, so the cached data is still valid
+        if (!this._accessToken)
+            this._cache.clear();
+
         this._accessToken = value;
+        this._accessTokenExpiresAt = expiresIn > 0 ? Date.now() + expiresIn * 1000 : null;
         axios.defaults.headers.common[AuthorizationHeader] = `Bearer ${value}`;
     }
 
     forgetAccessToken() {
         delete axios.defaults.headers.common[AuthorizationHeader];
         delete this._accessToken;
+        delete this._accessTokenExpiresAt;
+        this._cache.clear();
     }
 
-    hasAccessToken() { return !! this._accessToken; }
+    /** Time (in ms since epoch) when the access token expires, null if unknown */
+    getAccessTokenExpiration() { return this._accessTokenExpiresAt || null; }
 
-    /** Get BOM data */
-    async loadBom(bomUrl) {
-        const response = await axios.get(bomUrl);
+    /**
+     * Get new access token without user interaction (the server keeps refresh token in a cookie).
+     * Resolves with { accessToken, expiresIn } and uses the new token, rejected if user has to sign in again.
+     */
+    async refreshAccessToken() {
+        const response = await axios.post(RefreshTokenUrl);
+        const { accessToken, expiresIn } = response.data;
+        this.setAccessToken(accessToken, expiresIn);
         return response.data;
     }
 
-    /** Get list of drawings */
-    async loadDrawingsList(drawingsListUrl) {
-        const response = await axios.get(drawingsListUrl);
+    /**
+     * Set handler of the requests rejected with 401 (Unauthorized). It's an async function, which resolves with `true`
+     * when the access token is refreshed, and the request should be repeated. Concurrent failures share a single call.
+     */
+    setUnauthorizedHandler(handler) {
+        this._unauthorizedHandler = handler;
+    }
 
-        return response.data;
+    async retryUnauthorized(error) {
+        const config = error?.config;
+        if (error?.response?.status !== 401 || !config || config.retriedUnauthorized || config.url === RefreshTokenUrl || !this._unauthorizedHandler)
+            throw error;
+
+        if (!this._unauthorizedHandling) {
+            this._unauthorizedHandling = Promise.resolve(this._unauthorizedHandler())
+                .catch(() => false)
+                .finally(() => { this._unauthorizedHandling = null; });
+        }
+
+        const refreshed = await this._unauthorizedHandling;
+        if (!refreshed)
+            throw error;
+
+        config.retriedUnauthorized = true;
+        config.headers = { ...config.headers, [AuthorizationHeader]: `Bearer ${this._accessToken}` };
+        return axios.request(config);
+    }
+
+    hasAccessToken() { return !! this._accessToken; }
+
+    /** Get BOM data. The request is aborted with the optional AbortController `signal`. */
+    async loadBom(bomUrl, signal) {
+        return this._cache.get(bomUrl, signal);
+    }
+
+    /** Get list of drawings. The request is aborted with the optional AbortController `signal`. */
+    async loadDrawingsList(drawingsListUrl, signal) {
+        return this._cache.get(drawingsListUrl, signal);
     }
 }
 
-/** Singleton with repo */
-export default new Repository();
\ No newline at end of file
+/** Singleton with repo, the in-memory one in the demo mode (see DemoRepository.js) */
+// eslint-disable-next-line no-undef
+export default demoModeEnabled(process.env.REACT_APP_DEMO) ? new DemoRepository() : new Repository();
\ No newline at end of file
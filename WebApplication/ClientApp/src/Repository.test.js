@@ -0,0 +1,350 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import axios from 'axios';
+
+jest.mock('axios', () => {
+    const mockAxios = {
+        defaults: { headers: { common: {} } },
+        interceptors: { response: { use: jest.fn() } },
+        get: jest.fn(),
+        post: jest.fn(),
+        put: jest.fn(),
+        delete: jest.fn(),
+        request: jest.fn()
+    };
+    return mockAxios;
+});
+
+import repo, { defaultUploadPolicy } from './Repository';
+
+// the interceptor is installed once, when the repository is created
+const [ [ , onRejected ] ] = axios.interceptors.response.use.mock.calls;
+
+const unauthorized = (config = { url: '/projects', headers: {} }) => ({ config, response: { status: 401 } });
+
+describe('Repository access token', () => {
+
+    beforeEach(() => {
+        repo.forgetAccessToken();
+        repo.setUnauthorizedHandler(null);
+        axios.post.mockReset();
+        axios.request.mockReset();
+    });
+
+    it('uses the token for the requests', () => {
+        repo.setAccessToken('token');
+
+        expect(axios.defaults.headers.common['Authorization']).toEqual('Bearer token');
+        expect(repo.getAccessTokenExpiration()).toBeNull();
+    });
+
+    it('tracks the token expiration', () => {
+        const now = Date.now();
+        repo.setAccessToken('token', 60);
+
+        expect(repo.getAccessTokenExpiration()).toBeGreaterThanOrEqual(now + 60000);
+
+        repo.forgetAccessToken();
+        expect(repo.getAccessTokenExpiration()).toBeNull();
+        expect(axios.defaults.headers.common['Authorization']).toBeUndefined();
+    });
+
+    it('refreshes the token', async () => {
+        axios.post.mockResolvedValue({ data: { accessToken: 'new', expiresIn: 3600 } });
+
+        await repo.refreshAccessToken();
+
+        expect(axios.post).toHaveBeenCalledWith('/login/refresh');
+        expect(repo.getAccessToken()).toEqual('new');
+        expect(repo.getAccessTokenExpiration()).toBeGreaterThan(Date.now());
+    });
+
+    it('repeats unauthorized request with the refreshed token', async () => {
+        repo.setAccessToken('old');
+        repo.setUnauthorizedHandler(async () => {
+            repo.setAccessToken('new');
+            return true;
+        });
+        axios.request.mockResolvedValue({ data: 'projects' });
+
+        const response = await onRejected(unauthorized());
+
+        expect(response).toEqual({ data: 'projects' });
+        expect(axios.request).toHaveBeenCalledWith(expect.objectContaining({ url: '/projects', headers: { Authorization: 'Bearer new' }, retriedUnauthorized: true }));
+    });
+
+    it('refreshes the token once for concurrent failures', async () => {
+        const handler = jest.fn(async () => true);
+        repo.setUnauthorizedHandler(handler);
+        axios.request.mockResolvedValue({});
+
+        await Promise.all([ onRejected(unauthorized()), onRejected(unauthorized()) ]);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(axios.request).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects the request when the token is not refreshed', async () => {
+        repo.setUnauthorizedHandler(async () => false);
+        const error = unauthorized();
+
+        await expect(onRejected(error)).rejects.toBe(error);
+        expect(axios.request).not.toHaveBeenCalled();
+    });
+
+    it('does not repeat the request twice', async () => {
+        const handler = jest.fn(async () => true);
+        repo.setUnauthorizedHandler(handler);
+        const error = unauthorized({ url: '/projects', headers: {}, retriedUnauthorized: true });
+
+        await expect(onRejected(error)).rejects.toBe(error);
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('passes other errors through', async () => {
+        const handler = jest.fn(async () => true);
+        repo.setUnauthorizedHandler(handler);
+        const notFound = { config: { url: '/projects' }, response: { status: 404 } };
+        const refresh = unauthorized({ url: '/login/refresh', headers: {} });
+
+        await expect(onRejected(notFound)).rejects.toBe(notFound);
+        await expect(onRejected(refresh)).rejects.toBe(refresh);
+        expect(handler).not.toHaveBeenCalled();
+    });
+});
+
+describe('Repository cache', () => {
+
+    beforeEach(() => {
+        repo.forgetAccessToken();
+        axios.get.mockReset();
+    });
+
+    it('loads project data once', async () => {
+        axios.get.mockResolvedValue({ status: 200, data: [ 'param' ], headers: { etag: '"1"' } });
+
+        await repo.loadParameters('projectA');
+        const data = await repo.loadParameters('projectA');
+
+        expect(data).toEqual([ 'param' ]);
+        expect(axios.get).toHaveBeenCalledTimes(1);
+        expect(axios.get).toHaveBeenCalledWith('/parameters/projectA', expect.objectContaining({ signal: expect.any(AbortSignal) }));
+    });
+
+    it('reloads data of the invalidated project', async () => {
+        axios.get.mockResolvedValue({ status: 200, data: [], headers: { etag: '"1"' } });
+
+        await repo.loadProjects();
+        await repo.loadBom('/bom/projectA/hash');
+        repo.invalidateProject('projectA');
+        await repo.loadProjects();
+        await repo.loadBom('/bom/projectA/hash');
+
+        expect(axios.get).toHaveBeenCalledTimes(4);
+    });
+
+    it('forgets the cache of signed out user', async () => {
+        axios.get.mockResolvedValue({ status: 200, data: [], headers: { etag: '"1"' } });
+
+        await repo.loadProjects();
+        repo.forgetAccessToken();
+        await repo.loadProjects();
+
+        expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('Repository package upload', () => {
+
+    const makeForm = () => ({ file: new File([ '0123456789' ], 'a.zip', { lastModified: 1 }), root: 'a.iam' });
+    const uploadState = (received) => ({ data: { uploadId: 'upload1', size: 10, received } });
+    const networkError = () => Object.assign(new Error('Network Error'), { request: {} });
+
+    // the server acknowledges the whole chunk
+    const acknowledge = (url, chunk) => {
+        const offset = Number(url.split('offset=')[1]);
+        return Promise.resolve(uploadState(offset + chunk.size));
+    };
+
+    beforeEach(() => {
+        repo.uploadPolicy = { ...defaultUploadPolicy, chunkSize: 4, retryDelays: [ 0, 0 ] };
+        axios.get.mockReset();
+        axios.post.mockReset();
+        axios.put.mockReset();
+        axios.delete.mockReset().mockResolvedValue({});
+
+        axios.post.mockImplementation(async (url) => url.endsWith('/complete') ? { data: 'package1' } : uploadState(0));
+    });
+
+    it('sends the package in chunks', async () => {
+        axios.put.mockImplementation(acknowledge);
+        const onProgress = jest.fn();
+
+        expect(await repo.uploadPackage(makeForm(), undefined, onProgress)).toEqual('package1');
+
+        expect(axios.post).toHaveBeenCalledWith('/projects/uploads', { fileName: 'a.zip', root: 'a.iam', size: 10 }, { signal: undefined });
+        expect(axios.put.mock.calls.map(([ url, chunk ]) => [ url, chunk.size ])).toEqual([
+            [ '/projects/uploads/upload1?offset=0', 4 ],
+            [ '/projects/uploads/upload1?offset=4', 4 ],
+            [ '/projects/uploads/upload1?offset=8', 2 ]
+        ]);
+        expect(axios.post).toHaveBeenLastCalledWith('/projects/uploads/upload1/complete', null, { signal: undefined });
+        expect(onProgress).toHaveBeenLastCalledWith({ loaded: 10, total: 10 });
+    });
+
+    it('reports the bytes being sent', async () => {
+        const onProgress = jest.fn();
+        axios.put.mockImplementation((url, chunk, { onUploadProgress }) => {
+            onUploadProgress({ loaded: 2 });
+            return acknowledge(url, chunk);
+        });
+
+        await repo.uploadPackage(makeForm(), undefined, onProgress);
+
+        expect(onProgress.mock.calls.map(([ progress ]) => progress.loaded)).toEqual([ 0, 2, 4, 6, 8, 10, 10 ]);
+    });
+
+    it('repeats the failed chunk from the acknowledged bytes', async () => {
+        axios.put
+            .mockImplementationOnce(acknowledge)
+            .mockRejectedValueOnce(networkError())
+            .mockImplementation(acknowledge);
+
+        expect(await repo.uploadPackage(makeForm())).toEqual('package1');
+        expect(axios.put.mock.calls.map(([ url ]) => url.split('=')[1])).toEqual([ '0', '4', '4', '8' ]);
+    });
+
+    it('continues from the bytes the server has', async () => {
+        // the response of the second chunk is lost, the server tells it has it already
+        axios.put
+            .mockImplementationOnce(acknowledge)
+            .mockRejectedValueOnce(networkError())
+            .mockResolvedValueOnce(uploadState(8))
+            .mockImplementation(acknowledge);
+
+        await repo.uploadPackage(makeForm());
+        expect(axios.put.mock.calls.map(([ url ]) => url.split('=')[1])).toEqual([ '0', '4', '4', '8' ]);
+    });
+
+    it('resumes the failed upload of the same file', async () => {
+        axios.put
+            .mockImplementationOnce(acknowledge)
+            .mockRejectedValue(networkError());
+
+        await expect(repo.uploadPackage(makeForm())).rejects.toThrow('Network Error');
+
+        axios.post.mockClear();
+        axios.put.mockReset().mockImplementation(acknowledge);
+        axios.get.mockResolvedValue(uploadState(4));
+
+        expect(await repo.uploadPackage(makeForm())).toEqual('package1');
+        expect(axios.get).toHaveBeenCalledWith('/projects/uploads/upload1', { signal: undefined });
+        expect(axios.post).not.toHaveBeenCalledWith('/projects/uploads', expect.anything(), expect.anything());
+        expect(axios.put.mock.calls[0][0]).toEqual('/projects/uploads/upload1?offset=4');
+    });
+
+    it('starts again when the server forgot the upload', async () => {
+        axios.put.mockRejectedValueOnce({ response: { status: 404 } });
+        await expect(repo.uploadPackage(makeForm())).rejects.toEqual({ response: { status: 404 } });
+
+        axios.put.mockImplementation(acknowledge);
+        axios.get.mockRejectedValue({ response: { status: 404 } });
+
+        expect(await repo.uploadPackage(makeForm())).toEqual('package1');
+        expect(axios.post).toHaveBeenCalledWith('/projects/uploads', expect.anything(), expect.anything());
+    });
+
+    it('does not repeat rejected chunk', async () => {
+        axios.put.mockRejectedValue({ response: { status: 400 } });
+
+        await expect(repo.uploadPackage({ ...makeForm(), root: 'b.iam' })).rejects.toEqual({ response: { status: 400 } });
+        expect(axios.put).toHaveBeenCalledTimes(1);
+    });
+
+    it('drops the aborted upload', async () => {
+        const controller = new AbortController();
+        axios.put.mockImplementation(() => {
+            controller.abort();
+            return Promise.reject(new Error('canceled'));
+        });
+
+        await expect(repo.uploadPackage({ ...makeForm(), root: 'c.iam' }, controller.signal)).rejects.toThrow('canceled');
+        expect(axios.put).toHaveBeenCalledTimes(1);
+        expect(axios.delete).toHaveBeenCalledWith('/projects/uploads/upload1');
+    });
+});
+
+describe('Repository presets', () => {
+
+    beforeEach(() => {
+        repo.forgetAccessToken();
+        window.localStorage.clear();
+        axios.get.mockReset();
+    });
+
+    it('keeps presets of anonymous user in the browser', async () => {
+        await repo.savePresets('projectA', [ { name: 'Small' } ]);
+
+        expect(await repo.loadPresets('projectA')).toEqual([ { name: 'Small' } ]);
+        expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it('loads presets of signed in user from the server', async () => {
+        repo.setAccessToken('token');
+        axios.get.mockResolvedValue({ data: [ { name: 'Large' } ] });
+
+        expect(await repo.loadPresets('projectA')).toEqual([ { name: 'Large' } ]);
+        expect(axios.get).toHaveBeenCalledWith('/presets/projectA');
+    });
+
+    it('treats response without list as no presets', async () => {
+        repo.setAccessToken('token');
+        axios.get.mockResolvedValue({ data: '<!doctype html><html></html>' });
+
+        expect(await repo.loadPresets('projectA')).toEqual([]);
+    });
+});
+
+describe('Repository rules', () => {
+
+    beforeEach(() => {
+        axios.get.mockReset();
+    });
+
+    it('loads rules document', async () => {
+        const document = { rules: [ { when: { Size: 'Small' }, hide: [ 'Handle' ] } ] };
+        axios.get.mockResolvedValue({ data: document });
+
+        expect(await repo.loadRules('projectA')).toEqual(document);
+        expect(axios.get).toHaveBeenCalledWith('/rules/projectA', expect.anything());
+    });
+
+    it('treats missing document as no rules', async () => {
+        axios.get.mockRejectedValue({ response: { status: 404 } });
+        expect(await repo.loadRules('projectA')).toBeNull();
+    });
+
+    it('treats response without rules list as no rules', async () => {
+        axios.get.mockResolvedValue({ data: '<!doctype html><html></html>' });
+        expect(await repo.loadRules('projectA')).toBeNull();
+
+        axios.get.mockResolvedValue({ data: { rules: 'none' } });
+        expect(await repo.loadRules('projectA')).toBeNull();
+    });
+});
@@ -16,51 +16,44 @@
 // UNINTERRUPTED OR ERROR FREE.
 /////////////////////////////////////////////////////////////////////
 
-import { addError, addLog } from './notificationActions';
+import { addLog } from './notificationActions';
 import { Jobs } from '../JobManager';
 import { showAdoptWithParametersProgress, updateActiveTabIndex } from './uiFlagsActions';
 import { updateActiveProject } from '../actions/projectListActions';
 import { addProject } from './projectListActions';
+import { trackJob, jobKinds } from './jobsActions';
+import { broadcast } from '../tabSync';
 
 export const adoptProjectWithParameters = (parameters) => async (dispatch) => {
     dispatch(addLog('adoptProjectWithParameters invoked'));
 
-    const jobManager = Jobs();
-
     // launch progress dialog immediately before we started connection to the server
     dispatch(showAdoptWithParametersProgress(true));
 
+    let result;
     try {
-        await jobManager.doAdoptWithParameters(parameters,
-            // start job
-            () => {
-                dispatch(addLog('JobManager: HubConnection started for adopt project with params'));
-            },
-            // onComplete
-            (project) => {
-                dispatch(addLog('JobManager: Adopt project with paramscReceived onComplete'));
-
-                // hide modal dialog
-                dispatch(showAdoptWithParametersProgress(false));
-                dispatch(addProject(project));
-                dispatch(updateActiveProject(project.id));
-                dispatch(updateActiveTabIndex(0));
-            },
-            // onError
-            (errorData) => {
-                if ('messages' in errorData) {
-                    dispatch(addLog('JobManager: Adopt project with params Received onError: ' + errorData.messages[0]));
-                }
-
-                if ('reportUrl' in errorData) {
-                    dispatch(addLog('JobManager: Adopt project with params Received onError, report URL: ' + errorData.reportUrl));
-                }
-
-                // hide progress modal dialog
-                dispatch(showAdoptWithParametersProgress(false));
-            }
-        );
+        result = await dispatch(trackJob(jobKinds.adoptWithParameters, { title: 'Adopt project with parameters' },
+            (events) => Jobs().adoptProjectWithParameters(parameters, events)));
     } catch (error) {
-        dispatch(addError('JobManager: Error : ' + error));
+        const errorData = error.errorData;
+        if (errorData && 'messages' in errorData) {
+            dispatch(addLog('JobManager: Adopt project with params Received onError: ' + errorData.messages[0]));
+        }
+
+        if (errorData && 'reportUrl' in errorData) {
+            dispatch(addLog('JobManager: Adopt project with params Received onError, report URL: ' + errorData.reportUrl));
+        }
+
+        // hide progress modal dialog
+        dispatch(showAdoptWithParametersProgress(false));
+        return;
     }
-};
\ No newline at end of file
+
+    const project = result.state;
+
+    // hide modal dialog
+    dispatch(showAdoptWithParametersProgress(false));
+    dispatch(broadcast(addProject(project)));
+    dispatch(updateActiveProject(project.id));
+    dispatch(updateActiveTabIndex(0));
+};
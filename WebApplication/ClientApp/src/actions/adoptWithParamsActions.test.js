@@ -21,7 +21,7 @@ import { adoptProjectWithParameters } from './adoptWithParamsActions';
 import { actionTypes as uiFlagsActionTypes } from './uiFlagsActions';
 import { actionTypes as projectListActionTypes } from './projectListActions';
 
-import signalRConnectionMock from '../test/mockSignalR';
+import signalRConnectionMock, { flushJobs } from '../test/mockSignalR';
 
 // mock store
 import configureMockStore from 'redux-mock-store';
@@ -37,10 +37,12 @@ describe('adoptProjectWithParameters workflows for embedded mode', () => {
     });
 
     it('check adoptProjectWithParameters success path', async () => {
-        await store.dispatch(adoptProjectWithParameters("url"));
+        const job = store.dispatch(adoptProjectWithParameters("url"));
+        await flushJobs();
         const projectData = { id: "1", data: "someData" };
 
         signalRConnectionMock.simulateComplete(projectData, "cloudCrreditStats");
+        await job;
 
         // check expected store actions
         const actions = store.getActions();
@@ -54,8 +56,10 @@ describe('adoptProjectWithParameters workflows for embedded mode', () => {
     });
 
     it('check adoptProjectWithParameters error path', async () => {
-        await store.dispatch(adoptProjectWithParameters("url"));
+        const job = store.dispatch(adoptProjectWithParameters("url"));
+        await flushJobs();
         signalRConnectionMock.simulateErrorWithReport("jobId", "errorReportLink");
+        await job;
 
         // check expected store actions
         const actions = store.getActions();
@@ -0,0 +1,159 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { addLog } from './notificationActions';
+import { formatParameters } from './parametersActions';
+import { trackJob, jobKinds } from './jobsActions';
+import { Jobs, JobCancelledError } from '../JobManager';
+import { applyVariant } from '../utils/designTable';
+import { runWithConcurrency } from '../utils/concurrency';
+import { validateParameters } from '../utils/parameterValidation';
+
+const actionTypes = {
+    BATCH_STARTED: 'BATCH_STARTED',
+    BATCH_VARIANT_UPDATED: 'BATCH_VARIANT_UPDATED',
+    BATCH_FINISHED: 'BATCH_FINISHED',
+    BATCH_CLEARED: 'BATCH_CLEARED'
+};
+
+export default actionTypes;
+
+/** How many update jobs of a batch can run at the same time */
+export const batchConcurrency = 3;
+
+export const startBatch = (projectId, variants) => {
+    return {
+        type: actionTypes.BATCH_STARTED,
+        projectId,
+        variants
+    };
+};
+
+export const updateVariant = (projectId, index, data) => {
+    return {
+        type: actionTypes.BATCH_VARIANT_UPDATED,
+        projectId,
+        index,
+        data
+    };
+};
+
+export const finishBatch = (projectId) => {
+    return {
+        type: actionTypes.BATCH_FINISHED,
+        projectId
+    };
+};
+
+export const clearBatch = (projectId) => {
+    return {
+        type: actionTypes.BATCH_CLEARED,
+        projectId
+    };
+};
+
+/** Check the variant values before wasting a job on them, returns error message or null */
+const variantError = (unknown, parameters) => {
+    if (unknown.length > 0)
+        return 'Unknown parameters: ' + unknown.join(', ');
+
+    const invalid = Object.entries(validateParameters(parameters));
+    if (invalid.length > 0)
+        return invalid.map(([name, error]) => `${name}: ${error}`).join(', ');
+
+    return null;
+};
+
+/** Error data of the variant, which job has failed or was cancelled */
+const jobErrorData = (error) => error instanceof JobCancelledError ? 'Cancelled' : error.errorData;
+
+/** Run update job for a single variant, resolves when the job is finished either way */
+const runVariant = (projectId, index, variant, baseParameters) => async (dispatch) => {
+    const { parameters, unknown } = applyVariant(baseParameters, variant.values);
+    const error = variantError(unknown, parameters);
+    if (error) {
+        dispatch(updateVariant(projectId, index, { status: 'failed', errorData: error }));
+        return;
+    }
+
+    try {
+        // failures and retries are reported by `trackJob`
+        const result = await dispatch(trackJob(jobKinds.update, { title: `Variant ${variant.name}`, projectId },
+            (events) => Jobs().updateModel(projectId, formatParameters(parameters), {
+                ...events,
+                onStart: (jobId) => {
+                    events.onStart(jobId);
+                    dispatch(updateVariant(projectId, index, { status: 'running' }));
+                }
+            })));
+
+        const { hash, modelDownloadUrl, bomDownloadUrl } = result.state;
+        dispatch(updateVariant(projectId, index, { status: 'done', stats: result.stats, reportUrl: result.reportUrl, hash, modelDownloadUrl, bomDownloadUrl }));
+    } catch (error) {
+        dispatch(updateVariant(projectId, index, { status: 'failed', errorData: jobErrorData(error), reportUrl: error.reportUrl }));
+    }
+};
+
+/**
+ * Generate the project variants, one update job per variant.
+ * Variant values are applied on top of the parameters being edited.
+ *
+ * @param {string} projectId    Project ID.
+ * @param {Array}  variants     Array of { name, values }, see `parseDesignTable`.
+ * @param {number} concurrency  Max number of jobs running at the same time.
+ */
+export const runBatch = (projectId, variants, concurrency = batchConcurrency) => async (dispatch, getState) => {
+    if (!projectId || !variants?.length)
+        return;
+
+    if (getState().batch[projectId]?.running)
+        return;
+
+    dispatch(addLog(`runBatch invoked for ${variants.length} variants`));
+    const baseParameters = getState().updateParameters[projectId] || [];
+
+    dispatch(startBatch(projectId, variants));
+    await runWithConcurrency(variants, concurrency, (variant, index) => dispatch(runVariant(projectId, index, variant, baseParameters)));
+    dispatch(finishBatch(projectId));
+
+    const failed = getState().batch[projectId].variants.filter(variant => variant.status === 'failed').length;
+    dispatch(addLog(`runBatch finished, ${variants.length - failed} succeeded, ${failed} failed`));
+};
+
+/** Generate RFA for the finished variant and store its URL */
+export const fetchVariantRfa = (projectId, index) => async (dispatch, getState) => {
+    const variant = getState().batch[projectId]?.variants[index];
+    if (!variant?.hash)
+        return;
+
+    dispatch(addLog(`fetchVariantRfa invoked for '${variant.name}'`));
+    try {
+        const result = await dispatch(trackJob(jobKinds.download, { title: `RFA of variant ${variant.name}`, projectId },
+            (events) => Jobs().download('CreateRFAJob', projectId, variant.hash, null, {
+                ...events,
+                onStart: (jobId) => {
+                    events.onStart(jobId);
+                    dispatch(updateVariant(projectId, index, { rfaStatus: 'running' }));
+                }
+            })));
+
+        dispatch(updateVariant(projectId, index, { rfaStatus: 'done', rfaUrl: result.url }));
+    } catch (error) {
+        dispatch(updateVariant(projectId, index, { rfaStatus: 'failed' }));
+    }
+};
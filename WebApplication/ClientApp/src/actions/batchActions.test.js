@@ -0,0 +1,189 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { createStore, combineReducers, applyMiddleware } from 'redux';
+import thunk from 'redux-thunk';
+import batchReducer from '../reducers/batchReducer';
+import batchActionTypes, { runBatch, fetchVariantRfa } from './batchActions';
+import jobsActionTypes from './jobsActions';
+
+const mockJobManager = {
+    updateModel: jest.fn(),
+    download: jest.fn()
+};
+
+jest.mock('../JobManager', () => ({
+    ...jest.requireActual('../JobManager'),
+    Jobs: () => mockJobManager
+}));
+
+import { JobResult, DownloadResult, JobError, JobCancelledError } from '../JobManager';
+
+const projectId = '1';
+const parameters = [
+    { name: 'Width', value: '5 mm', units: 'mm', allowedValues: [] },
+    { name: 'Height', value: '6 mm', units: 'mm', allowedValues: [] }
+];
+
+// real store with the batch reducer, so the thunks can see the progress
+const mockStore = (batch = {}) => {
+    const actions = [];
+    const recorder = () => next => action => {
+        actions.push(action);
+        return next(action);
+    };
+
+    const reducer = combineReducers({ updateParameters: (state = { [projectId]: parameters }) => state, batch: batchReducer });
+    const store = createStore(reducer, { batch }, applyMiddleware(thunk, recorder));
+    store.getActions = () => actions;
+    store.batch = () => store.getState().batch[projectId];
+    return store;
+};
+
+describe('batch actions', () => {
+    beforeEach(() => {
+        mockJobManager.updateModel.mockReset();
+        mockJobManager.download.mockReset();
+    });
+
+    it('runs update job for each variant', async () => {
+        mockJobManager.updateModel.mockImplementation(async (id, params, { onStart }) => {
+            onStart('job');
+            if (params.Width.value === '3 mm')
+                throw new JobError('job', { jobId: 'job', reportUrl: 'http://report' });
+
+            return new JobResult('job', { hash: 'hash' + params.Width.value, modelDownloadUrl: 'model', bomDownloadUrl: 'bom', parameters: {} }, { credits: 1 }, 'http://log');
+        });
+
+        const store = mockStore();
+        await store.dispatch(runBatch(projectId, [
+            { name: 'A', values: { Width: '1 mm' } },
+            { name: 'B', values: { Width: '3 mm' } }
+        ]));
+
+        expect(mockJobManager.updateModel).toHaveBeenCalledTimes(2);
+        expect(mockJobManager.updateModel.mock.calls[0][1]).toEqual({ Width: { value: '1 mm' }, Height: { value: '6 mm' } });
+
+        const batch = store.batch();
+        expect(batch.running).toEqual(false);
+        expect(batch.variants[0]).toMatchObject({ status: 'done', hash: 'hash1 mm', modelDownloadUrl: 'model', bomDownloadUrl: 'bom', stats: { credits: 1 }, reportUrl: 'http://log' });
+        expect(batch.variants[1]).toMatchObject({ status: 'failed', reportUrl: 'http://report' });
+
+        const types = store.getActions().map(action => action.type);
+        expect(types[types.length - 2]).toEqual(batchActionTypes.BATCH_FINISHED);
+    });
+
+    it('tracks the variant jobs in the job tray', async () => {
+        mockJobManager.updateModel.mockImplementation(async (id, params, { onStart, onProgress, onRetry }) => {
+            expect(onProgress).toBeDefined();
+            expect(onRetry).toBeDefined();
+            onStart('job1');
+            return new JobResult('job1', { hash: 'h' }, { credits: 1 }, null);
+        });
+
+        const store = mockStore();
+        await store.dispatch(runBatch(projectId, [{ name: 'A', values: { Width: '1 mm' } }]));
+
+        const actions = store.getActions();
+        expect(actions.find(a => a.type === jobsActionTypes.JOB_STARTED)).toMatchObject({ kind: 'update', jobId: 'job1', title: 'Variant A', projectId });
+        expect(actions.find(a => a.type === jobsActionTypes.JOB_FINISHED)).toMatchObject({ jobId: 'job1', status: 'completed' });
+    });
+
+    it('marks cancelled variant', async () => {
+        mockJobManager.updateModel.mockImplementation(async (id, params, { onStart }) => {
+            onStart('job1');
+            throw new JobCancelledError('job1');
+        });
+
+        const store = mockStore();
+        await store.dispatch(runBatch(projectId, [{ name: 'A', values: { Width: '1 mm' } }]));
+
+        expect(store.batch().variants[0]).toMatchObject({ status: 'failed', errorData: 'Cancelled' });
+        expect(store.getActions().find(a => a.type === jobsActionTypes.JOB_FINISHED)).toMatchObject({ jobId: 'job1', status: 'cancelled' });
+    });
+
+    it('does not run jobs for unknown or invalid values', async () => {
+        const store = mockStore();
+        await store.dispatch(runBatch(projectId, [
+            { name: 'A', values: { Depth: '1 mm' } },
+            { name: 'B', values: { Width: '10 mn' } }
+        ]));
+
+        expect(mockJobManager.updateModel).not.toHaveBeenCalled();
+        expect(store.batch().variants[0]).toMatchObject({ status: 'failed', errorData: 'Unknown parameters: Depth' });
+        expect(store.batch().variants[1]).toMatchObject({ status: 'failed', errorData: "Width: Unknown unit 'mn'" });
+    });
+
+    it('marks variant as failed when the job cannot start', async () => {
+        const errorData = { errorType: 2, title: 'Job failed', messages: [ 'no connection' ] };
+        mockJobManager.updateModel.mockRejectedValue(new JobError(undefined, errorData));
+
+        const store = mockStore();
+        await store.dispatch(runBatch(projectId, [{ name: 'A', values: { Width: '1 mm' } }]));
+
+        expect(store.batch().variants[0]).toMatchObject({ status: 'failed', errorData });
+    });
+
+    it('limits the number of running jobs', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        mockJobManager.updateModel.mockImplementation(async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 1));
+            running--;
+            return new JobResult('job', { hash: 'h' }, {}, null);
+        });
+
+        const variants = [1, 2, 3, 4, 5].map(index => ({ name: `V${index}`, values: { Width: `${index} mm` } }));
+        await mockStore().dispatch(runBatch(projectId, variants, 2));
+
+        expect(mockJobManager.updateModel).toHaveBeenCalledTimes(5);
+        expect(maxRunning).toEqual(2);
+    });
+
+    it('does not start another batch while running', async () => {
+        const store = mockStore({ [projectId]: { running: true, variants: [] } });
+        await store.dispatch(runBatch(projectId, [{ name: 'A', values: {} }]));
+
+        expect(store.getActions()).toEqual([]);
+    });
+
+    it('fetches RFA for the variant', async () => {
+        mockJobManager.download.mockImplementation(async (method, id, hash, key, { onStart }) => {
+            onStart('job');
+            return new DownloadResult('job', 'http://rfa');
+        });
+
+        const store = mockStore({ [projectId]: { running: false, variants: [{ name: 'A', status: 'done', hash: 'hash' }] } });
+        await store.dispatch(fetchVariantRfa(projectId, 0));
+
+        expect(mockJobManager.download.mock.calls[0].slice(0, 4)).toEqual(['CreateRFAJob', projectId, 'hash', null]);
+        expect(store.batch().variants[0]).toMatchObject({ rfaStatus: 'done', rfaUrl: 'http://rfa' });
+        expect(store.getActions().find(a => a.type === jobsActionTypes.JOB_STARTED)).toMatchObject({ kind: 'download', title: 'RFA of variant A' });
+    });
+
+    it('marks RFA as failed', async () => {
+        mockJobManager.download.mockRejectedValue(new JobError('job', { jobId: 'job' }));
+
+        const store = mockStore({ [projectId]: { running: false, variants: [{ name: 'A', status: 'done', hash: 'hash' }] } });
+        await store.dispatch(fetchVariantRfa(projectId, 0));
+
+        expect(store.batch().variants[0].rfaStatus).toEqual('failed');
+    });
+});
@@ -18,6 +18,8 @@
 
 import repo from '../Repository';
 import { addError, addLog } from './notificationActions';
+import { isActiveProject } from '../reducers/mainReducer';
+import { latestRequest } from '../utils/concurrency';
 
 const actionTypes = {
     BOM_UPDATED: 'BOM_UPDATED'
@@ -33,15 +35,31 @@ export const updateBom = (projectId, bomData) => {
     };
 };
 
-export const fetchBom = (project) => async (dispatch) => {
+// BOM of the previous project is not needed anymore, when BOM of another one is requested
+const bomRequest = latestRequest();
+
+export const fetchBom = (project) => async (dispatch, getState) => {
     if (! project.id) return;
 
     dispatch(addLog('get bom invoked'));
+    const signal = bomRequest.start();
     try {
-        const bomData = await repo.loadBom(project.bomJsonUrl);
+        const bomData = await repo.loadBom(project.bomJsonUrl, signal);
+        if (signal.aborted || ! isActiveProject(project.id, getState())) {
+            dispatch(addLog('bom of inactive project ' + project.id + ' is dropped'));
+            return;
+        }
+
         dispatch(addLog('bom received'));
         dispatch(updateBom(project.id, bomData));
     } catch (error) {
+        if (signal.aborted) {
+            dispatch(addLog('get bom cancelled for ' + project.id));
+            return;
+        }
+
         dispatch(addError('Failed to get bom for ' + project.id + '. (' + error + ')'));
+    } finally {
+        bomRequest.finish(signal);
     }
 };
@@ -17,6 +17,7 @@
 /////////////////////////////////////////////////////////////////////
 
 import actionTypes, { fetchBom } from './bomActions';
+import notificationTypes from './notificationActions';
 
 // the test based on https://redux.js.org/recipes/writing-tests#async-action-creators
 
@@ -47,8 +48,7 @@ describe('load BOM', () => {
         loadBomMock.mockClear();
         loadBomMock.mockResolvedValue(newBOM);
 
-        // prepare empty 'updated parameters' data
-        const state = {};
+        const state = { projectList: { activeProjectId: 'projectA' } };
 
         store = mockStore(state);
         store.getState = () => state;
@@ -57,7 +57,7 @@ describe('load BOM', () => {
     it('updates the bom state after fetch BOM', async () => {
         const project = { id: 'projectA', bomJsonUrl: 'bomUrl'};
         await store.dispatch(fetchBom(project));
-        expect(loadBomMock).toBeCalledWith('bomUrl');
+        expect(loadBomMock).toBeCalledWith('bomUrl', expect.any(AbortSignal));
 
         // check expected store actions
         const actions = store.getActions();
@@ -65,4 +65,24 @@ describe('load BOM', () => {
         expect(updateAction.projectId).toEqual(project.id);
         expect(updateAction.bomData).toEqual(newBOM);
     });
+
+    it('aborts loading BOM of the previous project', async () => {
+        loadBomMock.mockImplementationOnce((url, signal) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('canceled')));
+        }));
+
+        const previous = store.dispatch(fetchBom({ id: 'previous', bomJsonUrl: 'previousUrl' }));
+        await store.dispatch(fetchBom({ id: 'projectA', bomJsonUrl: 'bomUrl' }));
+        await previous;
+
+        const actions = store.getActions();
+        expect(actions.filter(a => a.type === actionTypes.BOM_UPDATED).map(a => a.projectId)).toEqual([ 'projectA' ]);
+        expect(actions.some(a => a.type === notificationTypes.ADD_ERROR)).toEqual(false);
+    });
+
+    it('drops BOM of inactive project', async () => {
+        await store.dispatch(fetchBom({ id: 'inactive', bomJsonUrl: 'bomUrl' }));
+
+        expect(store.getActions().some(a => a.type === actionTypes.BOM_UPDATED)).toEqual(false);
+    });
 });
\ No newline at end of file
@@ -0,0 +1,91 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { addLog } from './notificationActions';
+import { editParameters } from './parametersActions';
+
+const actionTypes = {
+    CONFIGURATION_ADDED: 'CONFIGURATION_ADDED',
+    CONFIGURATION_HISTORY_CLEARED: 'CONFIGURATION_HISTORY_CLEARED'
+};
+
+export default actionTypes;
+
+/** Max number of configurations kept per project, the oldest are dropped */
+export const historyLimit = 50;
+
+export const addConfiguration = (projectId, configuration) => {
+    return {
+        type: actionTypes.CONFIGURATION_ADDED,
+        projectId,
+        configuration
+    };
+};
+
+export const clearConfigurationHistory = (projectId) => {
+    return {
+        type: actionTypes.CONFIGURATION_HISTORY_CLEARED,
+        projectId
+    };
+};
+
+/**
+ * Create history entry from the result of successful update.
+ *
+ * @param {Array} parameters Updated parameters in the client format.
+ * @param {Object} projectState Updated project state without parameters (hash, svf, download urls).
+ * @param {Object} stats Job statistics, with the consumed credits.
+ * @param {string} reportUrl Link to the job report.
+ */
+export function makeConfiguration(parameters, projectState, stats, reportUrl) {
+    const values = (parameters || []).reduce((obj, param) => {
+        obj[param.name] = param.value;
+        return obj;
+    }, {});
+
+    return {
+        timestamp: new Date().toISOString(),
+        values,
+        hash: projectState?.hash,
+        projectState,
+        credits: stats?.credits,
+        reportUrl
+    };
+}
+
+/** Parameters with different values in the two configurations, as array of { name, left, right } */
+export function compareConfigurations(left, right) {
+    const names = [ ...new Set([ ...Object.keys(left?.values || {}), ...Object.keys(right?.values || {}) ]) ];
+    return names
+        .filter(name => left?.values[name] !== right?.values[name])
+        .map(name => ({ name, left: left?.values[name], right: right?.values[name] }));
+}
+
+/** Put the configuration values into the parameters being edited */
+export const restoreConfiguration = (projectId, configuration) => (dispatch, getState) => {
+    const parameters = getState().updateParameters[projectId];
+    if (!parameters || !configuration)
+        return;
+
+    dispatch(addLog(`restore configuration from ${configuration.timestamp} invoked`));
+    const edits = parameters
+        .filter(param => configuration.values[param.name] !== undefined && configuration.values[param.name] !== param.value)
+        .map(param => ({ name: param.name, value: configuration.values[param.name] }));
+    if (edits.length > 0)
+        dispatch(editParameters(projectId, edits));
+};
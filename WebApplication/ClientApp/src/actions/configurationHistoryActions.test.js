@@ -0,0 +1,78 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import actionTypes, { makeConfiguration, compareConfigurations, restoreConfiguration } from './configurationHistoryActions';
+import parameterActionTypes from './parametersActions';
+
+import configureMockStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+
+const middlewares = [thunk];
+const mockStore = configureMockStore(middlewares);
+
+const projectId = 'projectA';
+const parameters = [
+    { name: 'Width', value: '20 mm', units: 'mm' },
+    { name: 'Size', value: 'Small', units: 'Text', allowedValues: ['Small', 'Large'] }
+];
+
+describe('configuration history actions', () => {
+
+    it('makes configuration from update result', () => {
+        const projectState = { hash: 'ABCDEF0123', svf: 'svfUrl' };
+        const configuration = makeConfiguration(parameters, projectState, { credits: 2.5 }, 'reportUrl');
+
+        expect(configuration).toEqual({
+            timestamp: expect.any(String),
+            values: { Width: '20 mm', Size: 'Small' },
+            hash: 'ABCDEF0123',
+            projectState,
+            credits: 2.5,
+            reportUrl: 'reportUrl'
+        });
+    });
+
+    it('compares configurations', () => {
+        const left = { values: { Width: '20 mm', Size: 'Small' } };
+        const right = { values: { Width: '30 mm', Size: 'Small', Height: '5 mm' } };
+
+        expect(compareConfigurations(left, right)).toEqual([
+            { name: 'Width', left: '20 mm', right: '30 mm' },
+            { name: 'Height', left: undefined, right: '5 mm' }
+        ]);
+        expect(compareConfigurations(left, left)).toEqual([]);
+    });
+
+    it('restores the changed values', () => {
+        const store = mockStore({ updateParameters: { [projectId]: parameters } });
+        store.dispatch(restoreConfiguration(projectId, { timestamp: 't', values: { Width: '30 mm', Size: 'Small', Unknown: '1' } }));
+
+        const edits = store.getActions().filter(a => a.type === parameterActionTypes.PARAMETERS_EDITED);
+        expect(edits).toEqual([{ type: parameterActionTypes.PARAMETERS_EDITED, projectId, parameters: [ { name: 'Width', value: '30 mm' } ] }]);
+    });
+
+    it('does nothing without parameters', () => {
+        const store = mockStore({ updateParameters: {} });
+        store.dispatch(restoreConfiguration(projectId, { values: {} }));
+        expect(store.getActions()).toEqual([]);
+    });
+
+    it('has action types', () => {
+        expect(actionTypes.CONFIGURATION_ADDED).toEqual('CONFIGURATION_ADDED');
+    });
+});
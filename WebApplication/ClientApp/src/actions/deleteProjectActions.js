@@ -19,6 +19,7 @@
 import repo from '../Repository';
 import { checkedProjects } from '../reducers/mainReducer';
 import { updateProjectList } from './projectListActions';
+import { broadcast } from '../tabSync';
 import { clearCheckedProjects, showModalProgress } from './uiFlagsActions';
 
 export const deleteProject = () => async (dispatch, getState) => {
@@ -28,7 +29,7 @@ export const deleteProject = () => async (dispatch, getState) => {
     try {
         await repo.deleteProjects(checkedProjects(getState()));
         const data = await repo.loadProjects();
-        dispatch(updateProjectList(data));
+        dispatch(broadcast(updateProjectList(data))); // the other tabs drop the deleted projects too
         // the projects won't be there anymore (hopefully)
         dispatch(clearCheckedProjects());
         dispatch(showModalProgress(false));
@@ -79,6 +79,7 @@ describe('deleteProject', () => {
             const actions = store.getActions();
             const updateAction = actions.find(a => a.type === projectListActionTypes.PROJECT_LIST_UPDATED);
             expect(updateAction.projectList).toEqual(remainingProjects);
+            expect(updateAction.broadcast).toEqual(true); // other tabs drop the deleted projects too
 
             expect(actions.some(a => a.type === uiFlagsActionTypes.CLEAR_CHECKED_PROJECTS)).toEqual(true);
         });
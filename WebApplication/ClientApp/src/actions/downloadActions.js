@@ -16,10 +16,11 @@
 // UNINTERRUPTED OR ERROR FREE.
 /////////////////////////////////////////////////////////////////////
 
-import { addError, addLog } from './notificationActions';
-import { Jobs } from '../JobManager';
-import { showDownloadProgress, showDownloadFailed, setDownloadLink, setErrorData, setStats, setReportUrl, hideDownloadProgress } from './uiFlagsActions';
+import { addLog } from './notificationActions';
+import { Jobs, JobCancelledError } from '../JobManager';
+import { showDownloadProgress, showDownloadFailed, setDownloadLink, setErrorData, hideDownloadProgress } from './uiFlagsActions';
 import { showDrawingExportProgress, setDrawingPdfUrl } from './uiFlagsActions';
+import { trackJob, jobKinds } from './jobsActions';
 
 /**
  * Generic method to handle generation of downloads. The following happens:
@@ -37,39 +38,26 @@ import { showDrawingExportProgress, setDrawingPdfUrl } from './uiFlagsActions';
 export const getDownloadLink = (methodName, projectId, hash, dialogTitle, key) => async (dispatch) => {
     dispatch(addLog(`getDownloadLink invoked for ${methodName}`));
 
-    const jobManager = Jobs();
-
     // show progress
     dispatch(showDownloadProgress(true, dialogTitle));
+    dispatch(setErrorData(null)); // cleanup url link
 
     // launch signalR to generate download and wait for result
     try {
-        await jobManager.doDownloadJob(methodName, projectId, hash, key,
-            // start job
-            () => {
-                dispatch(addLog(`JobManager.doDownloadJob: '${methodName}' started for project : ${projectId}`));
-                dispatch(setErrorData(null)); // cleanup url link
-            },
-            // onComplete
-            (downloadUrl, stats, reportUrl) => {
-                dispatch(addLog(`JobManager.doDownloadJob: '${methodName}' completed for project : ${projectId}`));
-                // set download link, it will show link in UI
-                dispatch(setDownloadLink(downloadUrl));
-                dispatch(setStats(stats));
-                dispatch(setReportUrl(reportUrl));
-            },
-            // onError
-            (errorData) => {
-                dispatch(addLog('JobManager.doDownloadJob: Received onError with jobId: ' + errorData.jobId));
-                // hide progress modal dialog
-                dispatch(hideDownloadProgress());
-                // show error modal dialog
-                dispatch(setErrorData(errorData));
-                dispatch(showDownloadFailed(true));
-            }
-        );
+        const result = await dispatch(trackJob(jobKinds.download, { title: dialogTitle, projectId },
+            (events) => Jobs().download(methodName, projectId, hash, key, events)));
+
+        // set download link, it will show link in UI
+        dispatch(setDownloadLink(result.url));
     } catch (error) {
-        dispatch(addError('JobManager.doDownloadJob: Error : ' + error));
+        // hide progress modal dialog
+        dispatch(hideDownloadProgress());
+
+        // show error modal dialog
+        if (!(error instanceof JobCancelledError)) {
+            dispatch(setErrorData(error.errorData));
+            dispatch(showDownloadFailed(true));
+        }
     }
 };
 
@@ -78,34 +66,18 @@ export const fetchDrawing = (project, drawingKey) => async (dispatch) => {
 
     dispatch(addLog('fetchDrawing invoked'));
 
-    const jobManager = Jobs();
-
     // show progress
     dispatch(showDrawingExportProgress(true));
 
     // launch signalR to export drawing and wait for result
     try {
-        await jobManager.doDrawingExportJob(project.id, project.hash, drawingKey,
-            // start job
-            () => {
-                dispatch(addLog('JobManager.doDrawingExportJob: HubConnection started for project : ' + project.id + ' (drawing: ' + drawingKey + ')'));
-            },
-            // onComplete
-            (drawingPdfUrl, stats, reportUrl) => {
-                dispatch(addLog('JobManager.doDrawingExportJob: Received onComplete'));
-                // store drawings link
-                dispatch(setDrawingPdfUrl(drawingKey, drawingPdfUrl));
-                dispatch(setStats(stats, drawingKey));
-                dispatch(setReportUrl(reportUrl));
-            },
-            // onError
-            (errorData) => {
-                dispatch(addLog('JobManager: Received onError with jobId: ' + errorData.jobId));
-                // hide progress modal dialog
-                dispatch(showDrawingExportProgress(false));
-            }
-        );
+        const result = await dispatch(trackJob(jobKinds.drawing, { title: 'Drawing ' + drawingKey, projectId: project.id, statsKey: drawingKey },
+            (events) => Jobs().exportDrawing(project.id, project.hash, drawingKey, events)));
+
+        // store drawings link
+        dispatch(setDrawingPdfUrl(drawingKey, result.url));
     } catch (error) {
-        dispatch(addError('JobManager.doDrawingExportJob: Error : ' + error));
+        // hide progress modal dialog
+        dispatch(showDrawingExportProgress(false));
     }
-};
\ No newline at end of file
+};
@@ -22,6 +22,8 @@ import configureMockStore from 'redux-mock-store';
 import thunk from 'redux-thunk';
 import * as downloadActions from './downloadActions';
 import { actionTypes as uiFlagsActionTypes } from './uiFlagsActions';
+import jobsActionTypes from './jobsActions';
+import notificationTypes from './notificationActions';
 
 const aLink = 'https://some.link';
 const tokenMock = 'theToken';
@@ -31,7 +33,7 @@ const errorReportLink = 'https://error.link';
 const jobId = 'job1';
 const theStats = { credits: 1 };
 
-import signalRConnectionMock from '../test/mockSignalR';
+import signalRConnectionMock, { flushJobs } from '../test/mockSignalR';
 
 import repoInstance from '../Repository';
 repoInstance.getAccessToken = function() {
@@ -57,9 +59,11 @@ describe('downloadActions', () => {
 
     describe('DownloadLink', () => {
         it('check getDownloadLink onComplete action', async () => {
-            await store.dispatch(downloadActions.getDownloadLink("Method", "ProjectId", "hash", "title"));
+            const job = store.dispatch(downloadActions.getDownloadLink("Method", "ProjectId", "hash", "title"));
+            await flushJobs();
             // simulate conection.onComplete(rfaLink);
             signalRConnectionMock.simulateComplete(aLink, theStats);
+            await job;
 
             // check expected store actions
             const actions = store.getActions();
@@ -70,8 +74,10 @@ describe('downloadActions', () => {
         });
 
         it('check getDownloadLink onError action', async () => {
-            await store.dispatch(downloadActions.getDownloadLink("Method", "ProjectId", "hash", "title"));
+            const job = store.dispatch(downloadActions.getDownloadLink("Method", "ProjectId", "hash", "title"));
+            await flushJobs();
             signalRConnectionMock.simulateErrorWithReport(jobId, errorReportLink);
+            await job;
 
             // check expected store actions
             const actions = store.getActions();
@@ -79,12 +85,64 @@ describe('downloadActions', () => {
             expect(actions.some(a => (a.type === uiFlagsActionTypes.SET_ERROR_DATA && a.errorData?.reportUrl === errorReportLink))).toEqual(true);
             expect(actions.some(a => a.type === uiFlagsActionTypes.SHOW_DOWNLOAD_FAILED)).toEqual(true);
         });
+
+        it('check getDownloadLink progress', async () => {
+            store.dispatch(downloadActions.getDownloadLink("Method", "ProjectId", "hash", "title"));
+            await flushJobs();
+            signalRConnectionMock.simulateProgress({ stage: 'processing', percent: 20 });
+
+            const actions = store.getActions();
+            const started = actions.find(a => a.type === jobsActionTypes.JOB_STARTED);
+            expect(started.kind).toEqual('download');
+            expect(started.title).toEqual('title');
+            expect(started.projectId).toEqual('ProjectId');
+            expect(actions[actions.length - 1]).toEqual({ type: jobsActionTypes.JOB_PROGRESS, jobId: started.jobId, stage: 'processing', percent: 20 });
+        });
+
+        it('check getDownloadLink keeps the result in the job tray', async () => {
+            const job = store.dispatch(downloadActions.getDownloadLink("Method", "ProjectId", "hash", "title"));
+            await flushJobs();
+            signalRConnectionMock.simulateComplete(aLink, theStats);
+            await job;
+
+            const finished = store.getActions().find(a => a.type === jobsActionTypes.JOB_FINISHED);
+            expect(finished).toMatchObject({ status: 'completed', stats: theStats, resultUrl: fullLink });
+        });
+
+        it('check getDownloadLink restarts the job when connection is lost', async () => {
+            const job = store.dispatch(downloadActions.getDownloadLink("Method", "ProjectId", "hash", "title"));
+            await flushJobs();
+            signalRConnectionMock.simulateClose(new Error('Network'));
+            await flushJobs();
+
+            const actions = store.getActions();
+            expect(actions.some(a => a.type === notificationTypes.ADD_ERROR && a.info.includes('restarting the job'))).toEqual(true);
+            expect(actions.some(a => a.type === uiFlagsActionTypes.SHOW_DOWNLOAD_FAILED)).toEqual(false);
+
+            signalRConnectionMock.simulateComplete(aLink, theStats);
+            await job;
+            expect(store.getActions().find(a => a.type === uiFlagsActionTypes.SET_DOWNLOAD_LINK).url).toEqual(fullLink);
+        });
+
+        it('check getDownloadLink reports failed invocation', async () => {
+            const invoke = jest.spyOn(signalRConnectionMock, 'invoke').mockRejectedValueOnce(new Error('Invocation failed'));
+            await store.dispatch(downloadActions.getDownloadLink("Method", "ProjectId", "hash", "title"));
+            invoke.mockRestore();
+
+            const actions = store.getActions();
+            expect(actions.some(a => a.type === uiFlagsActionTypes.HIDE_DOWNLOAD_PROGRESS)).toEqual(true);
+            const errorData = actions.filter(a => a.type === uiFlagsActionTypes.SET_ERROR_DATA).pop().errorData;
+            expect(errorData).toMatchObject({ errorType: 2, title: 'Job failed', messages: [ 'Invocation failed' ] });
+            expect(actions.some(a => a.type === uiFlagsActionTypes.SHOW_DOWNLOAD_FAILED)).toEqual(true);
+        });
     });
 
     describe('Drawing', () => {
         it('check fetchDrawing action', async () => {
-            await store.dispatch(downloadActions.fetchDrawing({ id: "ProjectId" }, "DrawingKey"));
+            const job = store.dispatch(downloadActions.fetchDrawing({ id: "ProjectId" }, "DrawingKey"));
+            await flushJobs();
             signalRConnectionMock.simulateComplete(aLink, theStats);
+            await job;
 
             // check expected store actions
             const actions = store.getActions();
@@ -96,8 +154,10 @@ describe('downloadActions', () => {
         });
 
         it('check fetchDrawing error handling', async () => {
-            await store.dispatch(downloadActions.fetchDrawing({ id: "ProjectId" }, "DrawingKey"));
+            const job = store.dispatch(downloadActions.fetchDrawing({ id: "ProjectId" }, "DrawingKey"));
+            await flushJobs();
             signalRConnectionMock.simulateErrorWithReport(jobId,errorReportLink);
+            await job;
 
             // check expected store actions
             const actions = store.getActions();
@@ -19,16 +19,34 @@
 import repo from '../Repository';
 import {addError, addLog} from './notificationActions';
 import {updateDrawingsList} from './uiFlagsActions';
+import {isActiveProject} from '../reducers/mainReducer';
+import {latestRequest} from '../utils/concurrency';
 
-export const fetchDrawingsList = (project) => async (dispatch) => {
+// the drawings list is kept for the active project only, so the new request supersedes the running one
+const drawingsListRequest = latestRequest();
+
+export const fetchDrawingsList = (project) => async (dispatch, getState) => {
     if(!project.id) return;
 
     dispatch(addLog('Load Drawings list invoked'));
+    const signal = drawingsListRequest.start();
     try {
-        const data = await repo.loadDrawingsList(project.drawingsListUrl);
+        const data = await repo.loadDrawingsList(project.drawingsListUrl, signal);
+        if (signal.aborted || !isActiveProject(project.id, getState())) {
+            dispatch(addLog('Drawings list of inactive project ' + project.id + ' is dropped'));
+            return;
+        }
+
         dispatch(addLog('Drawings list received'));
         dispatch(updateDrawingsList(data));
     } catch (error) {
+        if (signal.aborted) {
+            dispatch(addLog('Load Drawings list cancelled for ' + project.id));
+            return;
+        }
+
         dispatch(addError('Failed to get Drawings list for ' + project.id + '. (' + error + ')'));
+    } finally {
+        drawingsListRequest.finish(signal);
     }
 };
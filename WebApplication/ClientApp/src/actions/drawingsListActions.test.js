@@ -18,6 +18,7 @@
 
 import { fetchDrawingsList } from './drawingsListActions';
 import { actionTypes as uiFlagsActionTypes } from './uiFlagsActions';
+import notificationTypes from './notificationActions';
 
 // the test based on https://redux.js.org/recipes/writing-tests#async-action-creators
 
@@ -47,8 +48,7 @@ describe('fetch Drawing List', () => {
         loadDrawingsListMock.mockClear();
         loadDrawingsListMock.mockResolvedValue(drawingsList);
 
-        // prepare empty 'updated parameters' data
-        const state = {};
+        const state = { projectList: { activeProjectId: project.id } };
 
         store = mockStore(state);
         store.getState = () => state;
@@ -59,7 +59,7 @@ describe('fetch Drawing List', () => {
 
             await store.dispatch(fetchDrawingsList(project));
             expect(loadDrawingsListMock).toHaveBeenCalledTimes(1);
-            expect(loadDrawingsListMock).toHaveBeenCalledWith(project.drawingsListUrl);
+            expect(loadDrawingsListMock).toHaveBeenCalledWith(project.drawingsListUrl, expect.any(AbortSignal));
 
             // check expected store actions
             const actions = store.getActions();
@@ -67,4 +67,26 @@ describe('fetch Drawing List', () => {
             expect(updateAction.drawingsList).toEqual(drawingsList);
         });
     });
+
+    describe('superseded requests', () => {
+        it('aborts loading drawings of the previous project', async () => {
+            loadDrawingsListMock.mockImplementationOnce((url, signal) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new Error('canceled')));
+            }));
+
+            const previous = store.dispatch(fetchDrawingsList({ id: 'previous', drawingsListUrl: 'previousUrl' }));
+            await store.dispatch(fetchDrawingsList(project));
+            await previous;
+
+            const actions = store.getActions();
+            expect(actions.filter(a => a.type === uiFlagsActionTypes.DRAWING_LIST_UPDATED)).toHaveLength(1);
+            expect(actions.some(a => a.type === notificationTypes.ADD_ERROR)).toEqual(false);
+        });
+
+        it('drops drawings of inactive project', async () => {
+            await store.dispatch(fetchDrawingsList({ id: 'inactive', drawingsListUrl: 'url' }));
+
+            expect(store.getActions().some(a => a.type === uiFlagsActionTypes.DRAWING_LIST_UPDATED)).toEqual(false);
+        });
+    });
 });
\ No newline at end of file
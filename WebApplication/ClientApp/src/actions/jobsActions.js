@@ -0,0 +1,171 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+import { addError, addLog } from './notificationActions';
+import { Jobs, JobCancelledError, retryMessage } from '../JobManager';
+import { setStats, setReportUrl } from './uiFlagsActions';
+import { getRunningJobId } from '../reducers/mainReducer';
+import repo from '../Repository';
+
+const actionTypes = {
+    JOB_STARTED: 'JOB_STARTED',
+    JOB_PROGRESS: 'JOB_PROGRESS',
+    JOB_FINISHED: 'JOB_FINISHED',
+    FINISHED_JOBS_CLEARED: 'FINISHED_JOBS_CLEARED'
+};
+
+export default actionTypes;
+
+/** Kinds of jobs, tracked in the job tray */
+export const jobKinds = {
+    update: 'update',
+    download: 'download',
+    drawing: 'drawing',
+    adopt: 'adopt',
+    adoptWithParameters: 'adoptWithParameters'
+};
+
+export const jobStatuses = {
+    running: 'running',
+    completed: 'completed',
+    failed: 'failed',
+    cancelled: 'cancelled'
+};
+
+/** Kinds of jobs, which change project data (or the project list) on the server */
+const dataChangingJobKinds = [ jobKinds.update, jobKinds.adopt, jobKinds.adoptWithParameters ];
+
+/** How many finished jobs are kept in the tray */
+export const finishedJobsLimit = 20;
+
+/**
+ * @param kind      One of `jobKinds`.
+ * @param jobId     Job ID assigned by JobManager.
+ * @param details   { title, projectId } to show in the job tray.
+ */
+export const jobStarted = (kind, jobId, details = {}, startedAt = Date.now()) => {
+    return {
+        type: actionTypes.JOB_STARTED,
+        kind,
+        jobId,
+        title: details.title,
+        projectId: details.projectId,
+        startedAt
+    };
+};
+
+/** Intermediate progress of the job, `progress` is { stage, percent } */
+export const jobProgress = (jobId, progress) => {
+    return {
+        type: actionTypes.JOB_PROGRESS,
+        jobId,
+        stage: progress.stage,
+        percent: progress.percent
+    };
+};
+
+/**
+ * @param jobId     Job ID assigned by JobManager.
+ * @param result    { status, stats, resultUrl, reportUrl }, where status is one of `jobStatuses`.
+ */
+export const jobFinished = (jobId, result, finishedAt = Date.now()) => {
+    return {
+        type: actionTypes.JOB_FINISHED,
+        jobId,
+        status: result.status,
+        stats: result.stats,
+        resultUrl: result.resultUrl,
+        reportUrl: result.reportUrl,
+        finishedAt
+    };
+};
+
+export const clearFinishedJobs = () => {
+    return {
+        type: actionTypes.FINISHED_JOBS_CLEARED
+    };
+};
+
+/** Cancel the running job of the kind. The pending job is rejected with `JobCancelledError`. */
+export const cancelJob = (kind) => async (dispatch, getState) => {
+    const jobId = getRunningJobId(kind, getState());
+    if (!jobId)
+        return;
+
+    dispatch(addLog(`JobManager: cancelling ${kind} job ${jobId}`));
+    await Jobs().cancelJob(jobId);
+};
+
+/** Cancel the job with the ID, e.g. picked in the job tray where several jobs of the same kind can run. */
+export const cancelJobById = (jobId) => async (dispatch) => {
+    dispatch(addLog(`JobManager: cancelling job ${jobId}`));
+    await Jobs().cancelJob(jobId);
+};
+
+/**
+ * Run the job and track it in the job tray. Progress, retries and the outcome of the job are reported here,
+ * stats and report URL of the successful job are stored for the progress dialogs.
+ *
+ * @param kind      One of `jobKinds`.
+ * @param details   { title, projectId } to show in the job tray, `statsKey` to store the stats with.
+ * @param start     Starts the job: `(events) => Promise`, where `events` are passed to JobManager (e.g. `Jobs().updateModel`).
+ * @returns Promise with `JobResult`. Rejected with `JobCancelledError` or `JobError`, as returned by JobManager.
+ */
+export const trackJob = (kind, details, start) => async (dispatch) => {
+    let runningJobId = null;
+    const events = {
+        onStart: (jobId) => {
+            runningJobId = jobId;
+            dispatch(addLog(`JobManager: ${kind} job ${jobId} started` + (details.projectId ? ` for project : ${details.projectId}` : '')));
+            dispatch(jobStarted(kind, jobId, details));
+        },
+        onProgress: (progress) => {
+            dispatch(jobProgress(runningJobId, progress));
+        },
+        onRetry: (retry) => {
+            dispatch(addError(`JobManager: ${kind} job: ` + retryMessage(retry)));
+        }
+    };
+
+    try {
+        const result = await start(events);
+
+        dispatch(addLog(`JobManager: ${kind} job ${result.jobId} completed`));
+        if (dataChangingJobKinds.includes(kind))
+            repo.invalidateProject(details.projectId);
+
+        dispatch(jobFinished(runningJobId, { status: jobStatuses.completed, stats: result.stats, resultUrl: result.url, reportUrl: result.reportUrl }));
+        if (result.stats) {
+            dispatch(setStats(result.stats, details.statsKey));
+            dispatch(setReportUrl(result.reportUrl));
+        }
+
+        return result;
+    } catch (error) {
+        const cancelled = error instanceof JobCancelledError;
+        if (cancelled) {
+            dispatch(addLog(`JobManager: ${kind} job ${runningJobId} cancelled`));
+        } else {
+            dispatch(addError(`JobManager: ${kind} job failed : ${error}`));
+        }
+
+        if (runningJobId)
+            dispatch(jobFinished(runningJobId, { status: cancelled ? jobStatuses.cancelled : jobStatuses.failed, reportUrl: error.reportUrl }));
+
+        throw error;
+    }
+};
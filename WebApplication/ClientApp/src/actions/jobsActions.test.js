@@ -0,0 +1,153 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+import jobsActionTypes, { cancelJob, cancelJobById, trackJob, jobKinds } from './jobsActions';
+import notificationTypes from './notificationActions';
+import { actionTypes as uiFlagsActionTypes } from './uiFlagsActions';
+
+import configureMockStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+
+const mockCancelJob = jest.fn();
+jest.mock('../JobManager', () => ({
+    ...jest.requireActual('../JobManager'),
+    Jobs: () => ({ cancelJob: mockCancelJob })
+}));
+
+import { JobResult, DownloadResult, JobError, JobCancelledError } from '../JobManager';
+import repo from '../Repository';
+
+const middlewares = [thunk];
+const mockStore = configureMockStore(middlewares);
+
+describe('jobs actions', () => {
+
+    beforeEach(() => {
+        mockCancelJob.mockReset();
+    });
+
+    it('cancels the running job of the kind', async () => {
+        const store = mockStore({ jobs: [ { jobId: 'job1', kind: 'update', status: 'running' }, { jobId: 'job2', kind: 'download', status: 'running' } ] });
+
+        await store.dispatch(cancelJob(jobKinds.download));
+
+        expect(mockCancelJob).toHaveBeenCalledWith('job2');
+        expect(store.getActions()).toEqual([{ type: notificationTypes.ADD_LOG, info: 'JobManager: cancelling download job job2' }]);
+    });
+
+    it('does nothing without running job', async () => {
+        const store = mockStore({ jobs: [ { jobId: 'job1', kind: 'update', status: 'completed' } ] });
+
+        await store.dispatch(cancelJob(jobKinds.update));
+
+        expect(mockCancelJob).not.toHaveBeenCalled();
+        expect(store.getActions()).toEqual([]);
+    });
+
+    it('cancels the job by ID', async () => {
+        const store = mockStore({ jobs: [ { jobId: 'job1', kind: 'download', status: 'running' }, { jobId: 'job2', kind: 'download', status: 'running' } ] });
+
+        await store.dispatch(cancelJobById('job1'));
+
+        expect(mockCancelJob).toHaveBeenCalledWith('job1');
+        expect(store.getActions()).toEqual([{ type: notificationTypes.ADD_LOG, info: 'JobManager: cancelling job job1' }]);
+    });
+
+    describe('trackJob', () => {
+        const details = { title: 'Drawing A', projectId: 'projectA', statsKey: 'A' };
+
+        it('tracks the successful job', async () => {
+            const store = mockStore({});
+            const stats = { credits: 2 };
+            const start = jest.fn(async ({ onStart, onProgress }) => {
+                onStart('job1');
+                onProgress({ stage: 'processing', percent: 10 });
+                return new DownloadResult('job1', 'url', stats, 'report');
+            });
+
+            const result = await store.dispatch(trackJob(jobKinds.drawing, details, start));
+            expect(result.url).toEqual('url');
+
+            const actions = store.getActions();
+            expect(actions.find(a => a.type === jobsActionTypes.JOB_STARTED)).toMatchObject({ kind: 'drawing', jobId: 'job1', title: 'Drawing A', projectId: 'projectA' });
+            expect(actions.find(a => a.type === jobsActionTypes.JOB_PROGRESS)).toMatchObject({ jobId: 'job1', stage: 'processing', percent: 10 });
+            expect(actions.find(a => a.type === jobsActionTypes.JOB_FINISHED)).toMatchObject({ jobId: 'job1', status: 'completed', stats, resultUrl: 'url', reportUrl: 'report' });
+            expect(actions).toContainEqual({ type: uiFlagsActionTypes.SET_STATS, stats, key: 'A' });
+            expect(actions).toContainEqual({ type: uiFlagsActionTypes.SET_REPORT_URL, reportUrl: 'report' });
+        });
+
+        it('does not store stats of job without them', async () => {
+            const store = mockStore({});
+            await store.dispatch(trackJob(jobKinds.adoptWithParameters, {}, async () => new JobResult('job1', { id: 'project' })));
+
+            expect(store.getActions().some(a => a.type === uiFlagsActionTypes.SET_STATS)).toEqual(false);
+        });
+
+        it('invalidates cached data of the project changed by the job', async () => {
+            const invalidateProject = jest.spyOn(repo, 'invalidateProject');
+            const store = mockStore({});
+
+            await store.dispatch(trackJob(jobKinds.drawing, details, async () => new DownloadResult('job1', 'url')));
+            expect(invalidateProject).not.toHaveBeenCalled();
+
+            await store.dispatch(trackJob(jobKinds.update, details, async () => new JobResult('job2')));
+            expect(invalidateProject).toHaveBeenCalledWith('projectA');
+
+            invalidateProject.mockRestore();
+        });
+
+        it('tracks the failed job', async () => {
+            const store = mockStore({});
+            const error = new JobError('job1', { errorType: 1, reportUrl: 'report' });
+            const start = async ({ onStart }) => {
+                onStart('job1');
+                throw error;
+            };
+
+            await expect(store.dispatch(trackJob(jobKinds.update, details, start))).rejects.toBe(error);
+
+            const actions = store.getActions();
+            expect(actions.find(a => a.type === jobsActionTypes.JOB_FINISHED)).toMatchObject({ jobId: 'job1', status: 'failed', reportUrl: 'report' });
+            expect(actions.some(a => a.type === notificationTypes.ADD_ERROR)).toEqual(true);
+        });
+
+        it('tracks the cancelled job', async () => {
+            const store = mockStore({});
+            const start = async ({ onStart }) => {
+                onStart('job1');
+                throw new JobCancelledError('job1');
+            };
+
+            await expect(store.dispatch(trackJob(jobKinds.update, details, start))).rejects.toBeInstanceOf(JobCancelledError);
+
+            const actions = store.getActions();
+            expect(actions.find(a => a.type === jobsActionTypes.JOB_FINISHED)).toMatchObject({ jobId: 'job1', status: 'cancelled' });
+            expect(actions.some(a => a.type === notificationTypes.ADD_ERROR)).toEqual(false);
+        });
+
+        it('reports retries', async () => {
+            const store = mockStore({});
+            const start = async ({ onRetry }) => {
+                onRetry({ reason: 'timeout', attempt: 1 });
+                return new JobResult('job1');
+            };
+
+            await store.dispatch(trackJob(jobKinds.download, details, start));
+            expect(store.getActions()).toContainEqual({ type: notificationTypes.ADD_ERROR, info: 'JobManager: download job: Job timed out, restarting it (attempt 2)' });
+        });
+    });
+});
@@ -18,15 +18,25 @@
 
 import repo from '../Repository';
 import { addError, addLog } from './notificationActions';
-import { Jobs } from '../JobManager';
-import { showModalProgress, showUpdateFailed, setErrorData, setStats, setReportUrl } from './uiFlagsActions';
+import { Jobs, JobCancelledError } from '../JobManager';
+import { showModalProgress, showUpdateFailed, setErrorData } from './uiFlagsActions';
 
 import { updateProject } from './projectListActions';
+import { addConfiguration, makeConfiguration } from './configurationHistoryActions';
+import { trackJob, jobKinds } from './jobsActions';
+import { broadcast } from '../tabSync';
+import { parseQuantity, convertValue, formatQuantity, isPlainValue } from '../utils/units';
+import { latestRequest } from '../utils/concurrency';
+import { isActiveProject } from '../reducers/mainReducer';
+import { parseParameterFile, mapImportedParameters } from '../utils/parameterFile';
 
 const actionTypes = {
     PARAMETERS_UPDATED: 'PARAMETERS_UPDATED',
     PARAMETER_EDITED: 'PARAMETER_EDITED',
-    PARAMETERS_RESET: 'PARAMETERS_RESET'
+    PARAMETERS_EDITED: 'PARAMETERS_EDITED',
+    PARAMETERS_RESET: 'PARAMETERS_RESET',
+    PARAMETERS_UNDONE: 'PARAMETERS_UNDONE',
+    PARAMETERS_REDONE: 'PARAMETERS_REDONE'
 };
 
 export default actionTypes;
@@ -47,6 +57,15 @@ export const editParameter = (projectId, parameter) => {
     };
 };
 
+/** Edit several parameters at once (e.g. from preset or file), undone as a single change */
+export const editParameters = (projectId, parameters) => {
+    return {
+        type: actionTypes.PARAMETERS_EDITED,
+        projectId,
+        parameters
+    };
+};
+
 export const resetParameters = (projectId, parameters) => {
     return {
         type: actionTypes.PARAMETERS_RESET,
@@ -55,6 +74,32 @@ export const resetParameters = (projectId, parameters) => {
     };
 };
 
+/** Return edited parameters of the project to the state before the last change */
+export const undoParameters = (projectId) => (dispatch, getState) => {
+    const past = getState().parametersHistory[projectId]?.past;
+    if (!past?.length)
+        return;
+
+    dispatch({
+        type: actionTypes.PARAMETERS_UNDONE,
+        projectId,
+        parameters: past[past.length - 1]
+    });
+};
+
+/** Re-apply the last undone change of the project parameters */
+export const redoParameters = (projectId) => (dispatch, getState) => {
+    const future = getState().parametersHistory[projectId]?.future;
+    if (!future?.length)
+        return;
+
+    dispatch({
+        type: actionTypes.PARAMETERS_REDONE,
+        projectId,
+        parameters: future[0]
+    });
+};
+
 /**
  * Convert incoming raw parameters into expected parameters format.
  * @param {Object} rawParameters Object with parameter data.
@@ -76,9 +121,16 @@ export const resetParameters = (projectId, parameters) => {
  *           "value": "10 mm",
  *           "unit": "mm",
  *           "label": "Jaw Offset",
- *           "readonly": false
+ *           "readonly": false,
+ *           "min": 5,
+ *           "max": 50,
+ *           "step": 0.5,
+ *           "group": "Jaw"
  *       }
  * }
+ * The validation metadata ("min", "max", "step", "required", "pattern", "patternMessage") and "group" are optional.
+ * The extractor fills "min", "max" and "step" from sliders of iLogic form and "group" from parameter groups,
+ * "required", "pattern" and "patternMessage" are not produced by the server yet.
  */
 export function adaptParameters(rawParameters) {
     const unquote = function(input) {
@@ -99,11 +151,23 @@ export function adaptParameters(rawParameters) {
             units: param.unit,
             label: param.label || key,
             readonly: !! param.readonly,
-            errormessage: param.errormessage
+            errormessage: param.errormessage,
+            min: param.min,
+            max: param.max,
+            step: param.step,
+            required: param.required,
+            pattern: param.pattern,
+            patternMessage: param.patternMessage,
+            group: param.group
         };
     });
 }
 
+// parameters being loaded, so parallel callers wait for the same request
+const parametersRequests = {};
+// parameters of another project supersede the ones being loaded
+const parametersRequest = latestRequest();
+
 export const fetchParameters = (projectId) => async (dispatch, getState) => {
     if (!projectId)
         return;
@@ -112,17 +176,55 @@ export const fetchParameters = (projectId) => async (dispatch, getState) => {
         return;
     }
 
+    if (parametersRequests[projectId])
+        return parametersRequests[projectId];
+
     dispatch(addLog('get parameters invoked'));
-    try {
-        const rawData = await repo.loadParameters(projectId);
-        const parameters = adaptParameters(rawData);
-        dispatch(addLog('parameters received'));
-        dispatch(updateParameters(projectId, parameters));
-    } catch (error) {
-        dispatch(addError('Failed to get parameters for ' + projectId + '. (' + error + ')'));
-    }
+    const request = (async () => {
+        const signal = parametersRequest.start();
+        try {
+            const rawData = await repo.loadParameters(projectId, signal);
+            if (signal.aborted || !isActiveProject(projectId, getState())) {
+                dispatch(addLog('parameters of inactive project ' + projectId + ' are dropped'));
+                return;
+            }
+
+            const parameters = adaptParameters(rawData);
+            dispatch(addLog('parameters received'));
+            dispatch(updateParameters(projectId, parameters));
+        } catch (error) {
+            if (signal.aborted) {
+                dispatch(addLog('get parameters cancelled for ' + projectId));
+                return;
+            }
+
+            dispatch(addError('Failed to get parameters for ' + projectId + '. (' + error + ')'));
+        } finally {
+            delete parametersRequests[projectId];
+            parametersRequest.finish(signal);
+        }
+    })();
+
+    parametersRequests[projectId] = request;
+    return request;
 };
 
+// parameters without numeric value
+const nonNumericUnits = ['Text', 'Boolean'];
+
+/**
+ * Inventor value for the parameter. Values entered in other units (like '2 in' for 'mm' parameter)
+ * or as mixed units (like '1 ft 2 in') are converted to the parameter units,
+ * the rest (plain values, expressions) is passed as is.
+ */
+function toInventorValue(param) {
+    if (nonNumericUnits.includes(param.units) || param.value == null || isPlainValue(param.value, param.units))
+        return param.value;
+
+    const number = convertValue(param.value, param.units, param.units);
+    return number == null ? param.value : formatQuantity(number, param.units);
+}
+
 export function formatParameters(clientParameters) {
     const quote = function(input) {
         if (input == null)
@@ -134,7 +236,7 @@ export function formatParameters(clientParameters) {
 
     const invFormatedParameters = clientParameters.reduce( (obj, param) => {
         const quoteValues = param.allowedValues != null && param.allowedValues.length > 0;
-        const value = quoteValues ? quote(param.value) : param.value;
+        const value = quoteValues ? quote(param.value) : toInventorValue(param);
         // we are creating parameter HASH only from key and value, so post only these values
         // others are not necessary
         obj[param.name] = { value: value };
@@ -149,46 +251,52 @@ export const updateModelWithParameters = (projectId, data) => async (dispatch) =
 
     // update 'data' parameters back to inventor format
     const invFormattedParameters = formatParameters(data);
-    const jobManager = Jobs();
 
     // launch progress dialog immediately before we start connection to the server
     dispatch(showModalProgress(true));
+    dispatch(setErrorData(null)); // cleanup url link
 
+    let result;
     try {
-        await jobManager.doUpdateJob(projectId, invFormattedParameters,
-            // start job
-            () => {
-                dispatch(addLog('JobManager: HubConnection started for project : ' + projectId));
-                dispatch(setErrorData(null)); // cleanup url link
-            },
-            // onComplete
-            (updatedState, stats, reportUrl) => {
-                dispatch(addLog('JobManager: Received onComplete'));
-                dispatch(setStats(stats));
-                dispatch(setReportUrl(reportUrl));
-
-                // parameters and "base project state" should be handled differently,
-                // so split the incoming updated state to pieces.
-                const { parameters, ...baseProjectState } = updatedState;
-
-                // launch update
-                const adaptedParams = adaptParameters(parameters);
-                dispatch(updateParameters(projectId, adaptedParams));
-                dispatch(updateProject(projectId, baseProjectState));
-            },
-            // onError
-            (errorData) => {
-                dispatch(addLog('JobManager: Received onError with jobId: ' + errorData.jobId));
-                // hide progress modal dialog
-                dispatch(showModalProgress(false));
-                // show error modal dialog
-                dispatch(setErrorData(errorData));
-                dispatch(showUpdateFailed(true));
-            }
-        );
+        result = await dispatch(trackJob(jobKinds.update, { title: 'Update', projectId },
+            (events) => Jobs().updateModel(projectId, invFormattedParameters, events)));
     } catch (error) {
-        dispatch(addError('JobManager: Error : ' + error));
+        // hide progress modal dialog
+        dispatch(showModalProgress(false));
+
+        // the model is not changed for cancelled job, show error modal dialog otherwise
+        if (!(error instanceof JobCancelledError)) {
+            dispatch(setErrorData(error.errorData));
+            dispatch(showUpdateFailed(true));
+        }
+
+        return;
     }
+
+    // parameters and "base project state" should be handled differently,
+    // so split the incoming updated state to pieces.
+    const { parameters, ...baseProjectState } = result.state;
+
+    // launch update, the other tabs get the updated project too
+    const adaptedParams = adaptParameters(parameters);
+    dispatch(broadcast(updateParameters(projectId, adaptedParams)));
+    dispatch(broadcast(updateProject(projectId, baseProjectState)));
+    dispatch(broadcast(addConfiguration(projectId, makeConfiguration(adaptedParams, baseProjectState, result.stats, result.reportUrl))));
+};
+
+/**
+ * Import parameter values from JSON or CSV file content into the parameters being edited.
+ * Throws if the file can't be parsed, otherwise resolves with the mapping report (see `mapImportedParameters`).
+ */
+export const importParameters = (projectId, text, fileName) => async (dispatch, getState) => {
+    dispatch(addLog(`importParameters invoked for ${fileName}`));
+
+    const parameters = getState().updateParameters[projectId] || [];
+    const { edits, report } = mapImportedParameters(parseParameterFile(text, fileName), parameters);
+    if (edits.length > 0)
+        dispatch(editParameters(projectId, edits));
+
+    return report;
 };
 
 const stripUnits = (parameter) => {
@@ -200,6 +308,15 @@ const stripUnits = (parameter) => {
     return stripped.trim();
 };
 
+/** Parse numeric parameter value, null for non-numeric parameters or values */
+const parameterQuantity = (parameter) => {
+    if (nonNumericUnits.includes(parameter.units))
+        return null;
+
+    const quantity = parseQuantity(parameter.value, parameter.units);
+    return (quantity && !quantity.error) ? quantity : null;
+};
+
 // Compares the two parameter values and returns true if they represent the same value
 export const compareParameters = (firstParameter, secondParameter) => {
     if(!firstParameter || !secondParameter) {
@@ -210,6 +327,17 @@ export const compareParameters = (firstParameter, secondParameter) => {
         return true;
     }
 
+    // compare numbers in the same dimension, like '1 in' and '25.4 mm'
+    const first = parameterQuantity(firstParameter);
+    const second = parameterQuantity(secondParameter);
+    if (first && second) {
+        if (first.dimension !== second.dimension)
+            return false;
+
+        const tolerance = 1e-9 * Math.max(1, Math.abs(first.value), Math.abs(second.value));
+        return Math.abs(first.value - second.value) <= tolerance;
+    }
+
     if(firstParameter.units !== secondParameter.units) {
         // no unit conversions
         return false;
@@ -16,7 +16,7 @@
 // UNINTERRUPTED OR ERROR FREE.
 /////////////////////////////////////////////////////////////////////
 
-import { fetchParameters, formatParameters, updateModelWithParameters, compareParameters } from './parametersActions';
+import { fetchParameters, formatParameters, updateModelWithParameters, compareParameters, undoParameters, redoParameters, importParameters } from './parametersActions';
 import parameterActionTypes from './parametersActions';
 import notificationTypes from '../actions/notificationActions';
 
@@ -24,11 +24,12 @@ import notificationTypes from '../actions/notificationActions';
 // prepare mock for signalR
 import { actionTypes as uiFlagsActionTypes } from './uiFlagsActions';
 import { actionTypes as projectListActionTypes } from './projectListActions';
+import configurationHistoryActionTypes from './configurationHistoryActions';
 
 const errorReportLink = 'https://error.link';
 const jobId = 'job1';
 
-import signalRConnectionMock from '../test/mockSignalR';
+import signalRConnectionMock, { flushJobs } from '../test/mockSignalR';
 
 // end of "for testing the updateModelWithParameters"
 
@@ -70,6 +71,7 @@ describe('fetchParameters', () => {
 
         // prepare empty 'updated parameters' data
         const fakeState = {
+            projectList: { activeProjectId: projectId },
             updateParameters: {}
         };
         cachedParameters = fakeState.updateParameters;
@@ -97,6 +99,7 @@ describe('fetchParameters', () => {
             // check expected actions and their types
             expect(updateAction.projectId).toEqual(projectId);
             expect(updateAction.parameters).toHaveLength(4); // not testing for exact content, as adaptParameters messes them up
+            expect(updateAction.broadcast).toBeUndefined(); // the other tabs load the parameters themselves
         });
 
         it('should fetch parameters from the server if there is empty parameter array in the project', async () => {
@@ -115,6 +118,18 @@ describe('fetchParameters', () => {
             expect(updateAction.parameters).toHaveLength(4); // not testing for exact content, as adaptParameters messes them up
         });
 
+        it('should fetch parameters only once for parallel requests', async () => {
+
+            await Promise.all([
+                store.dispatch(fetchParameters(projectId)),
+                store.dispatch(fetchParameters(projectId))
+            ]);
+            expect(loadParametersMock).toHaveBeenCalledTimes(1);
+
+            const updateActions = store.getActions().filter(a => a.type === parameterActionTypes.PARAMETERS_UPDATED);
+            expect(updateActions).toHaveLength(1);
+        });
+
         it('should NOT fetch parameters from the server if there are SOME in the project', async () => {
 
             cachedParameters[projectId] = [{ name: 'JawOffset', value: '10 mm', units: 'mm' }];
@@ -216,6 +231,55 @@ describe('fetchParameters', () => {
                 const formatted = formatParameters(internalParameters);
                 expect(formatted).toMatchObject(invParameters);
             });
+
+            it('converts values in other units to the parameter units', () => {
+
+                const internalParameters = [
+                    { name: 'Plain', value: '12', units: 'mm', allowedValues: [] },
+                    { name: 'Same', value: '12 mm', units: 'mm', allowedValues: [] },
+                    { name: 'Other', value: '1.5 in', units: 'mm', allowedValues: [] },
+                    { name: 'Mixed', value: '1 ft 2 in', units: 'in', allowedValues: [] },
+                    { name: 'Expression', value: 'Width * 2', units: 'mm', allowedValues: [] },
+                    { name: 'Note', value: '2 in', units: 'Text', allowedValues: [] }
+                ];
+
+                expect(formatParameters(internalParameters)).toEqual({
+                    Plain: { value: '12' },
+                    Same: { value: '12 mm' },
+                    Other: { value: '38.1 mm' },
+                    Mixed: { value: '14 in' },
+                    Expression: { value: 'Width * 2' },
+                    Note: { value: '2 in' }
+                });
+            });
+        });
+    });
+
+    describe('superseded requests', () => {
+
+        it('aborts loading of the previous project', async () => {
+            loadParametersMock.mockImplementationOnce((id, signal) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new Error('canceled')));
+            }));
+            loadParametersMock.mockReturnValueOnce(fakeInventorParams);
+
+            const first = store.dispatch(fetchParameters('previous'));
+            await store.dispatch(fetchParameters(projectId));
+            await first;
+
+            const actions = store.getActions();
+            const updateActions = actions.filter(a => a.type === parameterActionTypes.PARAMETERS_UPDATED);
+            expect(updateActions.map(a => a.projectId)).toEqual([ projectId ]);
+            expect(actions.some(a => a.type === notificationTypes.ADD_ERROR)).toEqual(false);
+        });
+
+        it('drops parameters of inactive project', async () => {
+            loadParametersMock.mockReturnValue(fakeInventorParams);
+
+            await store.dispatch(fetchParameters('inactive'));
+
+            expect(loadParametersMock).toHaveBeenCalledTimes(1);
+            expect(store.getActions().some(a => a.type === parameterActionTypes.PARAMETERS_UPDATED)).toEqual(false);
         });
     });
 
@@ -244,7 +308,8 @@ describe('fetchParameters', () => {
         });
 
         it('check updateModelWithParameters success path', async () => {
-            await store.dispatch(updateModelWithParameters(projectId, []));
+            const job = store.dispatch(updateModelWithParameters(projectId, []));
+            await flushJobs();
             const parameters = { "a1": { "value": "7", "values": [], "unit": "mm" } };
             const adaptedParams = [ { "name": "a1", "value": "7", "allowedValues": [], "units": "mm", "readonly": false, "label": "a1" } ];
             const projectData = { "data": "someData" };
@@ -255,6 +320,7 @@ describe('fetchParameters', () => {
             const theStats = { credits: 1 };
 
             signalRConnectionMock.simulateComplete(updatedState, theStats);
+            await job;
 
             // check expected store actions
             const actions = store.getActions();
@@ -265,13 +331,23 @@ describe('fetchParameters', () => {
             const updateProject = actions.find(a => a.type === projectListActionTypes.UPDATE_PROJECT);
             expect(updateProject.activeProjectId).toEqual(projectId);
             expect(updateProject.data).toEqual(projectData);
+            // the other tabs get the update result too
+            expect(updateParams.broadcast).toEqual(true);
+            expect(updateProject.broadcast).toEqual(true);
             // verify stats
             expect(actions.some(a => a.type === uiFlagsActionTypes.SET_STATS && a.stats === theStats)).toBeTruthy();
+            // the applied configuration is kept in history
+            const configuration = actions.find(a => a.type === configurationHistoryActionTypes.CONFIGURATION_ADDED).configuration;
+            expect(configuration.values).toEqual({ a1: "7" });
+            expect(configuration.projectState).toEqual(projectData);
+            expect(configuration.credits).toEqual(1);
         });
 
         it('check updateModelWithParameters error path', async () => {
-            await store.dispatch(updateModelWithParameters(projectId, []));
+            const job = store.dispatch(updateModelWithParameters(projectId, []));
+            await flushJobs();
             signalRConnectionMock.simulateErrorWithReport(jobId, errorReportLink);
+            await job;
 
             // check expected store actions
             const actions = store.getActions();
@@ -279,6 +355,54 @@ describe('fetchParameters', () => {
             expect(actions.some(a => (a.type === uiFlagsActionTypes.SET_ERROR_DATA && a.errorData?.reportUrl === errorReportLink))).toEqual(true);
             expect(actions.some(a => a.type === uiFlagsActionTypes.SHOW_UPDATE_FAILED)).toEqual(true);
         });
+
+        it('check updateModelWithParameters cancel path', async () => {
+            const job = store.dispatch(updateModelWithParameters(projectId, []));
+            await flushJobs();
+            signalRConnectionMock.simulateCancelled();
+            await job;
+
+            // progress is hidden, but no failure is reported
+            const actions = store.getActions();
+            expect(actions[actions.length - 1]).toEqual({ type: uiFlagsActionTypes.SHOW_MODAL_PROGRESS, visible: false });
+            expect(actions.some(a => a.type === uiFlagsActionTypes.SHOW_UPDATE_FAILED)).toEqual(false);
+            expect(actions.some(a => a.type === parameterActionTypes.PARAMETERS_UPDATED)).toEqual(false);
+        });
+
+        it('check updateModelWithParameters reports failed invocation', async () => {
+            const invoke = jest.spyOn(signalRConnectionMock, 'invoke').mockRejectedValueOnce(new Error('Invocation failed'));
+            await store.dispatch(updateModelWithParameters(projectId, []));
+            invoke.mockRestore();
+
+            // progress doesn't keep spinning, the failure is shown
+            const actions = store.getActions();
+            expect(actions).toContainEqual({ type: uiFlagsActionTypes.SHOW_MODAL_PROGRESS, visible: false });
+            expect(actions.some(a => a.type === notificationTypes.ADD_ERROR)).toEqual(true);
+            const errorData = actions.filter(a => a.type === uiFlagsActionTypes.SET_ERROR_DATA).pop().errorData;
+            expect(errorData).toMatchObject({ errorType: 2, title: 'Job failed', messages: [ 'Invocation failed' ] });
+            expect(actions.some(a => a.type === uiFlagsActionTypes.SHOW_UPDATE_FAILED)).toEqual(true);
+        });
+    });
+
+    describe('importParameters', () => {
+        const parameters = [
+            { name: 'Width', value: '10 mm', units: 'mm', allowedValues: [] },
+            { name: 'Height', value: '20 mm', units: 'mm', allowedValues: [] }
+        ];
+
+        it('edits the imported values and returns the report', async () => {
+            const store = mockStore({ updateParameters: { [projectId]: parameters } });
+            const report = await store.dispatch(importParameters(projectId, 'Name,Value,Unit\nWidth,1,in\nHeight,20 mm,mm\nDepth,1,mm', 'values.csv'));
+
+            const edits = store.getActions().filter(a => a.type === parameterActionTypes.PARAMETERS_EDITED);
+            expect(edits).toEqual([{ type: parameterActionTypes.PARAMETERS_EDITED, projectId, parameters: [ { name: 'Width', value: '25.4 mm' } ] }]);
+            expect(report.map(row => row.status)).toEqual(['converted', 'unchanged', 'unknown']);
+        });
+
+        it('throws for invalid file', async () => {
+            const store = mockStore({ updateParameters: { [projectId]: parameters } });
+            await expect(store.dispatch(importParameters(projectId, '{', 'values.json'))).rejects.toThrow(/^Invalid JSON/);
+        });
     });
 
     describe('parameter comparison', () => {
@@ -311,9 +435,54 @@ describe('fetchParameters', () => {
             expect(compareParameters({ value: "12000 cm", units: "mm"}, { value: "12000 km", units: "mm"})).toBeFalsy();
         });
 
+        it('converts units', () => {
+            expect(compareParameters({ value: "1 in", units: "in" }, { value: "25.4 mm", units: "mm" })).toBeTruthy();
+            expect(compareParameters({ value: "14 in", units: "in" }, { value: "1 ft 2 in", units: "in" })).toBeTruthy();
+            expect(compareParameters({ value: "180 deg", units: "deg" }, { value: "3.14159265358979 rad", units: "rad" })).toBeTruthy();
+            expect(compareParameters({ value: "1 in", units: "in" }, { value: "25 mm", units: "mm" })).toBeFalsy();
+        });
+
+        it('does not compare different dimensions', () => {
+            expect(compareParameters({ value: "1 kg", units: "kg" }, { value: "1 m", units: "m" })).toBeFalsy();
+        });
+
+        it('does not treat text as numbers', () => {
+            expect(compareParameters({ value: "1", units: "Text" }, { value: "1.0", units: "Text" })).toBeFalsy();
+        });
+
         it('handles undefined parameters', () => {
             expect(compareParameters(first, undefined)).toBeFalsy();
             expect(compareParameters(first, null)).toBeFalsy();
         });
     });
+
+    describe('undo and redo', () => {
+        const before = [{ name: 'A', value: '1' }];
+        const current = [{ name: 'A', value: '2' }];
+        const after = [{ name: 'A', value: '3' }];
+
+        let store;
+        beforeEach(() => {
+            const fakeState = {
+                parametersHistory: { [projectId]: { past: [before], present: current, future: [after] } }
+            };
+            store = mockStore(fakeState);
+        });
+
+        it('restores the previous parameter set', () => {
+            store.dispatch(undoParameters(projectId));
+            expect(store.getActions()).toEqual([{ type: parameterActionTypes.PARAMETERS_UNDONE, projectId, parameters: before }]);
+        });
+
+        it('restores the undone parameter set', () => {
+            store.dispatch(redoParameters(projectId));
+            expect(store.getActions()).toEqual([{ type: parameterActionTypes.PARAMETERS_REDONE, projectId, parameters: after }]);
+        });
+
+        it('does nothing without history', () => {
+            store.dispatch(undoParameters('unknown'));
+            store.dispatch(redoParameters('unknown'));
+            expect(store.getActions()).toEqual([]);
+        });
+    });
 });
@@ -0,0 +1,118 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import repo from '../Repository';
+import { addError, addLog } from './notificationActions';
+import { editParameters } from './parametersActions';
+
+const actionTypes = {
+    PRESETS_UPDATED: 'PRESETS_UPDATED'
+};
+
+export default actionTypes;
+
+export const updatePresets = (projectId, presets) => {
+    return {
+        type: actionTypes.PRESETS_UPDATED,
+        projectId,
+        presets
+    };
+};
+
+/**
+ * Create preset from the parameters being edited.
+ * Only name and value are stored, the rest comes from the project parameters.
+ */
+export function makePreset(name, parameters) {
+    const values = (parameters || []).reduce((obj, param) => {
+        obj[param.name] = param.value;
+        return obj;
+    }, {});
+
+    return { name, values, created: new Date().toISOString() };
+}
+
+export const fetchPresets = (projectId) => async (dispatch) => {
+    if (!projectId)
+        return;
+
+    dispatch(addLog('get presets invoked'));
+    try {
+        const presets = await repo.loadPresets(projectId);
+        dispatch(addLog('presets received'));
+        dispatch(updatePresets(projectId, Array.isArray(presets) ? presets : []));
+    } catch (error) {
+        dispatch(addError('Failed to get presets for ' + projectId + '. (' + error + ')'));
+    }
+};
+
+/** Store the modified preset list, and update the store only when persisted */
+const storePresets = (projectId, presets, description) => async (dispatch) => {
+    dispatch(addLog(`${description} invoked`));
+    try {
+        await repo.savePresets(projectId, presets);
+        dispatch(updatePresets(projectId, presets));
+    } catch (error) {
+        dispatch(addError(`Failed to ${description} for ${projectId}. (${error})`));
+    }
+};
+
+const currentPresets = (getState, projectId) => getState().presets[projectId] || [];
+
+/** Save current edited parameters as a named preset. Preset with the same name is overwritten. */
+export const savePreset = (projectId, name) => async (dispatch, getState) => {
+    const presetName = name?.trim();
+    if (!projectId || !presetName)
+        return;
+
+    const preset = makePreset(presetName, getState().updateParameters[projectId]);
+    const presets = currentPresets(getState, projectId).filter(item => item.name !== presetName).concat(preset);
+
+    await dispatch(storePresets(projectId, presets, 'save preset'));
+};
+
+export const renamePreset = (projectId, oldName, newName) => async (dispatch, getState) => {
+    const presetName = newName?.trim();
+    if (!presetName || presetName === oldName)
+        return;
+
+    const presets = currentPresets(getState, projectId)
+        .filter(item => item.name !== presetName)
+        .map(item => item.name === oldName ? { ...item, name: presetName } : item);
+
+    await dispatch(storePresets(projectId, presets, 'rename preset'));
+};
+
+export const deletePreset = (projectId, name) => async (dispatch, getState) => {
+    const presets = currentPresets(getState, projectId).filter(item => item.name !== name);
+    await dispatch(storePresets(projectId, presets, 'delete preset'));
+};
+
+/** Put preset values into the edited parameters. Values of unknown parameters are skipped. */
+export const applyPreset = (projectId, preset) => (dispatch, getState) => {
+    const parameters = getState().updateParameters[projectId];
+    if (!parameters || !preset)
+        return;
+
+    dispatch(addLog(`apply preset '${preset.name}' invoked`));
+    const edits = parameters
+        .filter(param => preset.values[param.name] !== undefined && preset.values[param.name] !== param.value)
+        .map(param => ({ name: param.name, value: preset.values[param.name] }));
+    if (edits.length > 0)
+        dispatch(editParameters(projectId, edits));
+};
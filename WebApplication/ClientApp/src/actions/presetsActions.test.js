@@ -0,0 +1,132 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import actionTypes, { fetchPresets, savePreset, renamePreset, deletePreset, applyPreset, makePreset } from './presetsActions';
+import parameterActionTypes from './parametersActions';
+import notificationTypes from './notificationActions';
+
+// prepare mock for Repository module
+jest.mock('../Repository');
+import repoInstance from '../Repository';
+
+import configureMockStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+
+const middlewares = [thunk];
+const mockStore = configureMockStore(middlewares);
+
+const projectId = 'projectA';
+const parameters = [
+    { name: 'Width', value: '20 mm', units: 'mm' },
+    { name: 'Size', value: 'Small', units: 'Text', allowedValues: ['Small', 'Large'] }
+];
+const smallPreset = { name: 'Small', values: { Width: '10 mm', Size: 'Small' } };
+const largePreset = { name: 'Large', values: { Width: '100 mm', Size: 'Large', Unknown: '1' } };
+
+describe('presets actions', () => {
+
+    let store;
+
+    beforeEach(() => {
+        repoInstance.loadPresets.mockReset();
+        repoInstance.savePresets.mockReset();
+        repoInstance.savePresets.mockImplementation(async (id, presets) => presets);
+
+        const state = {
+            updateParameters: { [projectId]: parameters },
+            presets: { [projectId]: [ smallPreset, largePreset ] }
+        };
+        store = mockStore(state);
+        store.getState = () => state;
+    });
+
+    const storedPresets = () => store.getActions().find(a => a.type === actionTypes.PRESETS_UPDATED).presets;
+
+    it('makes preset from parameters', () => {
+        const preset = makePreset('Mine', parameters);
+        expect(preset.name).toEqual('Mine');
+        expect(preset.values).toEqual({ Width: '20 mm', Size: 'Small' });
+        expect(preset.created).toBeDefined();
+    });
+
+    it('fetches presets', async () => {
+        repoInstance.loadPresets.mockResolvedValue([ smallPreset ]);
+        await store.dispatch(fetchPresets(projectId));
+        expect(repoInstance.loadPresets).toHaveBeenCalledWith(projectId);
+        expect(storedPresets()).toEqual([ smallPreset ]);
+    });
+
+    it('ignores fetched value which is not a list', async () => {
+        repoInstance.loadPresets.mockResolvedValue('<!doctype html><html></html>');
+        await store.dispatch(fetchPresets(projectId));
+        expect(storedPresets()).toEqual([]);
+    });
+
+    it('reports failed fetch', async () => {
+        repoInstance.loadPresets.mockRejectedValue('boom');
+        await store.dispatch(fetchPresets(projectId));
+        expect(store.getActions().some(a => a.type === notificationTypes.ADD_ERROR)).toEqual(true);
+    });
+
+    it('saves current parameters as a preset, overwriting the same name', async () => {
+        await store.dispatch(savePreset(projectId, ' Small '));
+        const presets = storedPresets();
+        expect(repoInstance.savePresets).toHaveBeenCalledWith(projectId, presets);
+        expect(presets.map(p => p.name)).toEqual([ 'Large', 'Small' ]);
+        expect(presets[1].values).toEqual({ Width: '20 mm', Size: 'Small' });
+    });
+
+    it('does not save preset without name', async () => {
+        await store.dispatch(savePreset(projectId, '  '));
+        expect(repoInstance.savePresets).not.toHaveBeenCalled();
+    });
+
+    it('does not update store when saving failed', async () => {
+        repoInstance.savePresets.mockRejectedValue('boom');
+        await store.dispatch(savePreset(projectId, 'New'));
+        const actions = store.getActions();
+        expect(actions.some(a => a.type === actionTypes.PRESETS_UPDATED)).toEqual(false);
+        expect(actions.some(a => a.type === notificationTypes.ADD_ERROR)).toEqual(true);
+    });
+
+    it('renames preset', async () => {
+        await store.dispatch(renamePreset(projectId, 'Small', 'Tiny'));
+        expect(storedPresets().map(p => p.name)).toEqual([ 'Tiny', 'Large' ]);
+    });
+
+    it('deletes preset', async () => {
+        await store.dispatch(deletePreset(projectId, 'Small'));
+        expect(storedPresets()).toEqual([ largePreset ]);
+    });
+
+    it('applies preset as a single edit of known and changed parameters', () => {
+        store.dispatch(applyPreset(projectId, largePreset));
+        const edits = store.getActions().filter(a => a.type === parameterActionTypes.PARAMETERS_EDITED);
+        expect(edits).toHaveLength(1);
+        expect(edits[0].projectId).toEqual(projectId);
+        expect(edits[0].parameters).toEqual([
+            { name: 'Width', value: '100 mm' },
+            { name: 'Size', value: 'Large' }
+        ]);
+    });
+
+    it('does not edit anything when preset has the current values', () => {
+        store.dispatch(applyPreset(projectId, { name: 'Current', values: { Width: '20 mm' } }));
+        expect(store.getActions().some(a => a.type === parameterActionTypes.PARAMETERS_EDITED)).toEqual(false);
+    });
+});
@@ -19,8 +19,25 @@
 import repo from '../Repository';
 import { addError, addLog } from './notificationActions';
 import { showLoginFailed } from './uiFlagsActions';
+import { getActiveProject, getPendingChanges, activeTabIndex } from '../reducers/mainReducer';
+import { encodeLinkState, decodeLinkState } from '../utils/shareLink';
 
 export const UPDATE_PROFILE = 'UPDATE_PROFILE';
+export const SESSION_UPDATED = 'SESSION_UPDATED';
+export const SESSION_EXPIRING = 'SESSION_EXPIRING';
+export const SESSION_EXPIRED = 'SESSION_EXPIRED';
+
+export const sessionStatuses = {
+    active: 'active',
+    expiring: 'expiring', // the token can't be refreshed, user should sign in again
+    expired: 'expired'
+};
+
+/** How long before the access token expiration it's refreshed, or the user is warned */
+export const sessionWarningPeriod = 5 * 60 * 1000;
+
+/** Session storage item with the state to restore after sign in (see `signIn`) */
+export const signInStateKey = 'signInState';
 
 export const updateProfile = (profile, isLoggedIn) => (dispatch) => {
     dispatch({
@@ -30,6 +47,26 @@ export const updateProfile = (profile, isLoggedIn) => (dispatch) => {
     });
 };
 
+/** Session of the signed in user, `expiresAt` is time of the access token expiration (in ms since epoch), null if unknown */
+export const sessionUpdated = (expiresAt) => {
+    return {
+        type: SESSION_UPDATED,
+        expiresAt
+    };
+};
+
+export const sessionExpiring = () => {
+    return {
+        type: SESSION_EXPIRING
+    };
+};
+
+export const sessionExpired = () => {
+    return {
+        type: SESSION_EXPIRED
+    };
+};
+
 /** Extract access token from URL query parameters */
 function extractTokenFromQuery(urlSearch) {
     const params = new URLSearchParams(urlSearch);
@@ -43,6 +80,12 @@ function extractTokenFromHash(urlHash) {
     return m ? m[1] : undefined;
 }
 
+/** Extract access token lifetime (in seconds) from URL query parameters */
+function extractExpiresInFromQuery(urlSearch) {
+    const params = new URLSearchParams(urlSearch);
+    return parseInt(params.get('expires_in'), 10) || null;
+}
+
 /** Extract error from URL query parameters */
 function extractErrorFromQuery(urlSearch) {
     const params = new URLSearchParams(urlSearch);
@@ -71,7 +114,9 @@ export const detectToken = () => (dispatch) => {
 
         if (accessToken) {
             dispatch(addLog(`Detected access token`));
-            repo.setAccessToken(accessToken);
+            repo.setAccessToken(accessToken, extractExpiresInFromQuery(window.location.search));
+            repo.setUnauthorizedHandler(() => dispatch(refreshSession(true)));
+            dispatch(watchSession());
 
             // Clean up URL - remove both query params and hash
             window.history.replaceState({}, document.title, window.location.pathname);
@@ -100,3 +145,75 @@ export const loadProfile = () => async (dispatch) => {
         }
     }
 };
+
+let sessionTimers = [];
+
+/**
+ * Track expiration of the access token: shortly before it the token is refreshed silently,
+ * the user is warned if it's not possible.
+ */
+export const watchSession = () => (dispatch) => {
+    sessionTimers.forEach(timer => clearTimeout(timer));
+    sessionTimers = [];
+
+    const expiresAt = repo.getAccessTokenExpiration();
+    dispatch(sessionUpdated(expiresAt));
+    if (!expiresAt)
+        return;
+
+    const remaining = expiresAt - Date.now();
+    sessionTimers.push(setTimeout(() => dispatch(refreshSession()), Math.max(0, remaining - sessionWarningPeriod)));
+    sessionTimers.push(setTimeout(() => dispatch(sessionExpired()), Math.max(0, remaining)));
+};
+
+/**
+ * Get new access token without user interaction.
+ * @param unauthorized The current token is rejected by the server already.
+ * @returns Promise with `true` if the token is refreshed, `false` if the user has to sign in again.
+ */
+export const refreshSession = (unauthorized = false) => async (dispatch) => {
+    dispatch(addLog('Refresh access token invoked'));
+    try {
+        await repo.refreshAccessToken();
+    } catch (error) {
+        dispatch(addLog('Failed to refresh access token. (' + error + ')'));
+        const expiresAt = repo.getAccessTokenExpiration();
+        const expired = unauthorized || !expiresAt || expiresAt <= Date.now();
+        dispatch(expired ? sessionExpired() : sessionExpiring());
+        return false;
+    }
+
+    dispatch(addLog('Access token refreshed'));
+    dispatch(watchSession());
+    return true;
+};
+
+/**
+ * Go to the sign in page. The active project, tab and unsaved parameter edits are kept in session storage,
+ * and restored after the sign in (see `takeSignInState`).
+ */
+export const signIn = () => (dispatch, getState) => {
+    const state = getState();
+    const projectId = getActiveProject(state).id;
+    if (projectId) {
+        const values = {};
+        for (const change of getPendingChanges(projectId, state)) {
+            if (change.newValue != null)
+                values[change.name] = change.newValue;
+        }
+
+        window.sessionStorage.setItem(signInStateKey, encodeLinkState({ projectId, tabIndex: activeTabIndex(state), values }));
+    }
+
+    window.location.href = '/login';
+};
+
+/** State stored before the sign in, in `restoreLinkState` format. Null if there is no such state. It's restored once only. */
+export function takeSignInState() {
+    const stored = window.sessionStorage.getItem(signInStateKey);
+    if (!stored)
+        return null;
+
+    window.sessionStorage.removeItem(signInStateKey);
+    return decodeLinkState(stored);
+}
@@ -16,7 +16,9 @@
 // UNINTERRUPTED OR ERROR FREE.
 /////////////////////////////////////////////////////////////////////
 
-import { detectToken, loadProfile } from './profileActions';
+import { detectToken, loadProfile, watchSession, refreshSession, signIn, takeSignInState, sessionWarningPeriod,
+    SESSION_UPDATED, SESSION_EXPIRING, SESSION_EXPIRED, signInStateKey } from './profileActions';
+import { decodeLinkState } from '../utils/shareLink';
 import notificationTypes from '../actions/notificationActions';
 
 // prepare mock for Repository module
@@ -53,7 +55,7 @@ describe('detectToken', () => {
 
             detectToken()(store.dispatch);
 
-            expect(repoInstance.setAccessToken).toHaveBeenCalledWith('foo');
+            expect(repoInstance.setAccessToken).toHaveBeenCalledWith('foo', null);
             expect(replaceStateSpy).toHaveBeenCalled();
 
             replaceStateSpy.mockRestore();
@@ -70,7 +72,7 @@ describe('detectToken', () => {
 
             detectToken()(store.dispatch);
 
-            expect(repoInstance.setAccessToken).toHaveBeenCalledWith('foo');
+            expect(repoInstance.setAccessToken).toHaveBeenCalledWith('foo', null);
             expect(replaceStateSpy).toHaveBeenCalled();
 
             replaceStateSpy.mockRestore();
@@ -109,6 +111,24 @@ describe('detectToken', () => {
         });
     });
 
+    describe('session', () => {
+        it('remembers token lifetime and watches the session', () => {
+            repoInstance.setAccessToken.mockReset();
+            repoInstance.setUnauthorizedHandler.mockClear();
+            repoInstance.getAccessTokenExpiration.mockReturnValue(null);
+            window.location = { search: '?access_token=foo&expires_in=3599', hash: '', pathname: '/test' };
+            const replaceStateSpy = jest.spyOn(window.history, 'replaceState').mockImplementation(() => {});
+
+            detectToken()(store.dispatch);
+
+            expect(repoInstance.setAccessToken).toHaveBeenCalledWith('foo', 3599);
+            expect(repoInstance.setUnauthorizedHandler).toHaveBeenCalledWith(expect.any(Function));
+            expect(store.getActions()).toContainEqual({ type: SESSION_UPDATED, expiresAt: null });
+
+            replaceStateSpy.mockRestore();
+        });
+    });
+
     describe('failure', () => {
         it('should log error on failure and forget access token', () => {
 
@@ -182,3 +202,105 @@ describe('loadProfile', () => {
         });
     });
 });
+
+describe('session', () => {
+
+    let store;
+    beforeEach(() => {
+        jest.useFakeTimers();
+        store = mockStore({});
+        repoInstance.refreshAccessToken.mockReset();
+        repoInstance.getAccessTokenExpiration.mockReset();
+    });
+
+    afterEach(() => {
+        // stop the session timers
+        repoInstance.getAccessTokenExpiration.mockReturnValue(null);
+        store.dispatch(watchSession());
+        jest.useRealTimers();
+    });
+
+    it('refreshes the token before it expires', async () => {
+        const expiresAt = Date.now() + sessionWarningPeriod + 1000;
+        repoInstance.getAccessTokenExpiration.mockReturnValue(expiresAt);
+        repoInstance.refreshAccessToken.mockResolvedValue({ accessToken: 'new', expiresIn: 3600 });
+
+        store.dispatch(watchSession());
+        expect(store.getActions()).toEqual([ { type: SESSION_UPDATED, expiresAt } ]);
+
+        jest.advanceTimersByTime(1000);
+        expect(repoInstance.refreshAccessToken).toHaveBeenCalledTimes(1);
+    });
+
+    it('warns when the token can not be refreshed', async () => {
+        repoInstance.getAccessTokenExpiration.mockReturnValue(Date.now() + 1000);
+        repoInstance.refreshAccessToken.mockRejectedValue(new Error('401'));
+
+        expect(await store.dispatch(refreshSession())).toEqual(false);
+        expect(store.getActions().pop()).toEqual({ type: SESSION_EXPIRING });
+    });
+
+    it('expires the session rejected by the server', async () => {
+        repoInstance.getAccessTokenExpiration.mockReturnValue(Date.now() + 1000);
+        repoInstance.refreshAccessToken.mockRejectedValue(new Error('401'));
+
+        expect(await store.dispatch(refreshSession(true))).toEqual(false);
+        expect(store.getActions().pop()).toEqual({ type: SESSION_EXPIRED });
+    });
+
+    it('expires the session when the token expires', () => {
+        repoInstance.getAccessTokenExpiration.mockReturnValue(Date.now() + 1000);
+        repoInstance.refreshAccessToken.mockReturnValue(new Promise(() => {}));
+
+        store.dispatch(watchSession());
+        jest.advanceTimersByTime(1000);
+
+        expect(store.getActions().pop()).toEqual({ type: SESSION_EXPIRED });
+    });
+
+    it('watches the refreshed session', async () => {
+        const expiresAt = Date.now() + 3600 * 1000;
+        repoInstance.refreshAccessToken.mockResolvedValue({ accessToken: 'new', expiresIn: 3600 });
+        repoInstance.getAccessTokenExpiration.mockReturnValue(expiresAt);
+
+        expect(await store.dispatch(refreshSession())).toEqual(true);
+        expect(store.getActions().pop()).toEqual({ type: SESSION_UPDATED, expiresAt });
+    });
+});
+
+describe('signIn', () => {
+
+    const state = {
+        projectList: { activeProjectId: 'p1', projects: [ { id: 'p1' } ] },
+        uiFlags: { activeTabIndex: 1 },
+        parameters: { p1: [ { name: 'Width', value: '10 mm', units: 'mm' }, { name: 'Height', value: '5 mm', units: 'mm' } ] },
+        updateParameters: { p1: [ { name: 'Width', value: '12 mm', units: 'mm' }, { name: 'Height', value: '5 mm', units: 'mm' } ] }
+    };
+
+    beforeEach(() => {
+        window.sessionStorage.clear();
+        delete window.location;
+        window.location = { href: '/', search: '', hash: '' };
+    });
+
+    it('keeps the unsaved edits over the sign in', () => {
+        mockStore(state).dispatch(signIn());
+
+        expect(window.location.href).toEqual('/login');
+        expect(decodeLinkState(window.sessionStorage.getItem(signInStateKey))).toEqual({ projectId: 'p1', tabIndex: 1, values: { Width: '12 mm' } });
+    });
+
+    it('restores the state once', () => {
+        mockStore(state).dispatch(signIn());
+
+        expect(takeSignInState()).toEqual({ projectId: 'p1', tabIndex: 1, values: { Width: '12 mm' } });
+        expect(takeSignInState()).toBeNull();
+    });
+
+    it('does not keep state without project', () => {
+        mockStore({ ...state, projectList: { activeProjectId: null, projects: [] } }).dispatch(signIn());
+
+        expect(window.location.href).toEqual('/login');
+        expect(takeSignInState()).toBeNull();
+    });
+});
@@ -0,0 +1,49 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import repo from '../Repository';
+import { addError, addLog } from './notificationActions';
+
+const actionTypes = {
+    RULES_UPDATED: 'RULES_UPDATED'
+};
+
+export default actionTypes;
+
+export const updateRules = (projectId, rules) => {
+    return {
+        type: actionTypes.RULES_UPDATED,
+        projectId,
+        rules
+    };
+};
+
+/** Load the optional parameter rules of the project */
+export const fetchRules = (projectId) => async (dispatch, getState) => {
+    if (!projectId || getState().rules[projectId] !== undefined)
+        return;
+
+    dispatch(addLog('get rules invoked'));
+    try {
+        const rules = await repo.loadRules(projectId);
+        dispatch(addLog('rules received'));
+        dispatch(updateRules(projectId, rules || null));
+    } catch (error) {
+        dispatch(addError('Failed to get rules for ' + projectId + '. (' + error + ')'));
+    }
+};
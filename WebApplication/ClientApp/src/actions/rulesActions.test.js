@@ -0,0 +1,78 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import actionTypes, { fetchRules } from './rulesActions';
+import notificationTypes from './notificationActions';
+
+// prepare mock for Repository module
+jest.mock('../Repository');
+import repoInstance from '../Repository';
+
+import configureMockStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+
+const middlewares = [thunk];
+const mockStore = configureMockStore(middlewares);
+
+const projectId = 'projectA';
+const rules = { rules: [ { when: { HasHandle: 'False' }, hide: [ 'HandleLength' ] } ] };
+
+describe('rules actions', () => {
+
+    beforeEach(() => {
+        repoInstance.loadRules.mockReset();
+    });
+
+    it('fetches the rules', async () => {
+        repoInstance.loadRules.mockResolvedValue(rules);
+        const store = mockStore({ rules: {} });
+
+        await store.dispatch(fetchRules(projectId));
+
+        expect(repoInstance.loadRules).toHaveBeenCalledWith(projectId);
+        expect(store.getActions()).toContainEqual({ type: actionTypes.RULES_UPDATED, projectId, rules });
+    });
+
+    it('stores missing rules as null', async () => {
+        repoInstance.loadRules.mockResolvedValue(null);
+        const store = mockStore({ rules: {} });
+
+        await store.dispatch(fetchRules(projectId));
+        expect(store.getActions()).toContainEqual({ type: actionTypes.RULES_UPDATED, projectId, rules: null });
+    });
+
+    it('does not fetch the rules twice', async () => {
+        const store = mockStore({ rules: { [projectId]: null } });
+
+        await store.dispatch(fetchRules(projectId));
+        await store.dispatch(fetchRules(undefined));
+        expect(repoInstance.loadRules).not.toHaveBeenCalled();
+        expect(store.getActions()).toEqual([]);
+    });
+
+    it('reports the failure', async () => {
+        repoInstance.loadRules.mockRejectedValue('Network error');
+        const store = mockStore({ rules: {} });
+
+        await store.dispatch(fetchRules(projectId));
+
+        const actions = store.getActions();
+        expect(actions.some(a => a.type === actionTypes.RULES_UPDATED)).toEqual(false);
+        expect(actions).toContainEqual({ type: notificationTypes.ADD_ERROR, info: 'Failed to get rules for projectA. (Network error)' });
+    });
+});
@@ -0,0 +1,56 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { addLog } from './notificationActions';
+import { updateActiveProject } from './projectListActions';
+import { updateActiveTabIndex } from './uiFlagsActions';
+import { fetchParameters, editParameters } from './parametersActions';
+
+/**
+ * Restore state from a shared link: activate the project and the tab, and apply the parameter values.
+ * Values are applied once the project parameters are loaded, unknown parameters are ignored.
+ *
+ * @param {object} linkState { projectId, tabIndex, values }, see `decodeLinkState`.
+ */
+export const restoreLinkState = (linkState) => async (dispatch, getState) => {
+    if (!linkState?.projectId)
+        return;
+
+    const { projectId, tabIndex, values } = linkState;
+    dispatch(addLog(`restoreLinkState invoked for ${projectId}`));
+
+    dispatch(updateActiveProject(projectId));
+    if (tabIndex != null)
+        dispatch(updateActiveTabIndex(tabIndex));
+
+    if (!values || Object.keys(values).length === 0)
+        return;
+
+    await dispatch(fetchParameters(projectId));
+
+    const parameters = getState().updateParameters[projectId];
+    if (!parameters)
+        return;
+
+    // all the values are undone as a single change
+    const edits = Object.entries(values)
+        .filter(([name, value]) => parameters.some(param => param.name === name && param.value !== String(value)))
+        .map(([name, value]) => ({ name, value: String(value) }));
+    if (edits.length > 0)
+        dispatch(editParameters(projectId, edits));
+};
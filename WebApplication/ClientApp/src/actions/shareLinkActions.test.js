@@ -0,0 +1,102 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import configureMockStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import { restoreLinkState } from './shareLinkActions';
+import { actionTypes as projectListActionTypes } from './projectListActions';
+import { actionTypes as uiFlagsActionTypes } from './uiFlagsActions';
+import parameterActionTypes from './parametersActions';
+
+jest.mock('../Repository');
+import repoInstance from '../Repository';
+
+const mockStore = configureMockStore([thunk]);
+
+const projectId = 'Wrench';
+const parameters = [
+    { name: 'Width', value: '10 mm', units: 'mm' },
+    { name: 'Height', value: '20 mm', units: 'mm' }
+];
+
+const actionsOfType = (store, type) => store.getActions().filter(action => action.type === type);
+
+describe('restoreLinkState', () => {
+
+    beforeEach(() => {
+        repoInstance.loadParameters.mockClear();
+    });
+
+    it('activates the project and the tab', async () => {
+        const store = mockStore({ updateParameters: {} });
+        await store.dispatch(restoreLinkState({ projectId, tabIndex: 2, values: {} }));
+
+        expect(actionsOfType(store, projectListActionTypes.ACTIVE_PROJECT_UPDATED)).toEqual([{ type: projectListActionTypes.ACTIVE_PROJECT_UPDATED, activeProjectId: projectId }]);
+        expect(actionsOfType(store, uiFlagsActionTypes.UPDATE_ACTIVE_TAB_INDEX)).toEqual([{ type: uiFlagsActionTypes.UPDATE_ACTIVE_TAB_INDEX, index: 2 }]);
+        expect(repoInstance.loadParameters).not.toHaveBeenCalled();
+    });
+
+    it('applies the changed values of known parameters', async () => {
+        const store = mockStore({ updateParameters: { [projectId]: parameters } });
+        await store.dispatch(restoreLinkState({ projectId, tabIndex: null, values: { Width: '15 mm', Height: '20 mm', Depth: '1 mm' } }));
+
+        expect(actionsOfType(store, uiFlagsActionTypes.UPDATE_ACTIVE_TAB_INDEX)).toHaveLength(0);
+        expect(actionsOfType(store, parameterActionTypes.PARAMETERS_EDITED)).toEqual([
+            { type: parameterActionTypes.PARAMETERS_EDITED, projectId, parameters: [ { name: 'Width', value: '15 mm' } ] }
+        ]);
+    });
+
+    it('applies all the values as a single edit', async () => {
+        const store = mockStore({ updateParameters: { [projectId]: parameters } });
+        await store.dispatch(restoreLinkState({ projectId, values: { Width: '15 mm', Height: 30 } }));
+
+        expect(actionsOfType(store, parameterActionTypes.PARAMETER_EDITED)).toHaveLength(0);
+        expect(actionsOfType(store, parameterActionTypes.PARAMETERS_EDITED)).toEqual([
+            { type: parameterActionTypes.PARAMETERS_EDITED, projectId, parameters: [ { name: 'Width', value: '15 mm' }, { name: 'Height', value: '30' } ] }
+        ]);
+    });
+
+    it('does not edit anything when the values are not changed', async () => {
+        const store = mockStore({ updateParameters: { [projectId]: parameters } });
+        await store.dispatch(restoreLinkState({ projectId, values: { Height: '20 mm' } }));
+
+        expect(actionsOfType(store, parameterActionTypes.PARAMETERS_EDITED)).toHaveLength(0);
+    });
+
+    it('loads the parameters before applying the values', async () => {
+        const state = { projectList: { activeProjectId: projectId }, updateParameters: {} };
+        const store = mockStore(() => state);
+        repoInstance.loadParameters.mockImplementation(async () => {
+            state.updateParameters = { [projectId]: parameters };
+            return {};
+        });
+
+        await store.dispatch(restoreLinkState({ projectId, values: { Height: 30 } }));
+
+        expect(repoInstance.loadParameters).toHaveBeenCalledWith(projectId, expect.any(AbortSignal));
+        expect(actionsOfType(store, parameterActionTypes.PARAMETERS_EDITED)).toEqual([
+            { type: parameterActionTypes.PARAMETERS_EDITED, projectId, parameters: [ { name: 'Height', value: '30' } ] }
+        ]);
+    });
+
+    it('ignores state without project', async () => {
+        const store = mockStore({});
+        await store.dispatch(restoreLinkState(null));
+        expect(store.getActions()).toEqual([]);
+    });
+});
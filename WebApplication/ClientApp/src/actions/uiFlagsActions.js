@@ -48,9 +48,16 @@ export const actionTypes = {
     SET_STATS: 'SET_STATS',
     SET_REPORT_URL: 'SET_REPORT_URL',
     ACTIVE_DRAWING_UPDATED: 'ACTIVE_DRAWING_UPDATED',
-    DRAWING_LIST_UPDATED: 'DRAWING_LIST_UPDATED'
+    DRAWING_LIST_UPDATED: 'DRAWING_LIST_UPDATED',
+    SET_DISPLAY_UNITS: 'SET_DISPLAY_UNITS',
+    SHOW_BATCH_VARIANTS: 'SHOW_BATCH_VARIANTS',
+    SHOW_PARAMETERS_FILE: 'SHOW_PARAMETERS_FILE',
+    SHOW_CONFIGURATION_HISTORY: 'SHOW_CONFIGURATION_HISTORY'
 };
 
+/** Local storage key for the preferred unit system */
+export const displayUnitsStorageKey = 'displayUnits';
+
 export default actionTypes;
 
 export const closeParametersEditedMessage = () => {
@@ -191,6 +198,27 @@ export const showDeleteProject = (visible) => {
     };
 };
 
+export const showBatchVariants = (visible) => {
+    return {
+        type: actionTypes.SHOW_BATCH_VARIANTS,
+        visible
+    };
+};
+
+export const showParametersFile = (visible) => {
+    return {
+        type: actionTypes.SHOW_PARAMETERS_FILE,
+        visible
+    };
+};
+
+export const showConfigurationHistory = (visible) => {
+    return {
+        type: actionTypes.SHOW_CONFIGURATION_HISTORY,
+        visible
+    };
+};
+
 export const setProjectChecked = (projectId, checked) => {
     return {
         type: actionTypes.SET_PROJECT_CHECKED,
@@ -274,4 +302,18 @@ export const updateDrawingsList = drawingsList => {
         type: actionTypes.DRAWING_LIST_UPDATED,
         drawingsList
     };
-};
\ No newline at end of file
+};
+
+/** Set unit system to display parameter values in, the choice is remembered in the browser */
+export const setDisplayUnits = (system) => (dispatch) => {
+    try {
+        window.localStorage.setItem(displayUnitsStorageKey, system);
+    } catch (error) {
+        // not critical, the choice will be just forgotten
+    }
+
+    dispatch({
+        type: actionTypes.SET_DISPLAY_UNITS,
+        system
+    });
+};
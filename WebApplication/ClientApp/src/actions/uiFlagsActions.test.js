@@ -118,6 +118,21 @@ describe('uiFlagsActions', () => {
         expect(store.getActions()).toMatchSnapshot();
     });
 
+    it('check showBatchVariants action', () => {
+        store.dispatch(uiFlagsActions.showBatchVariants(true));
+        expect(store.getActions()).toEqual([{ type: uiFlagsActions.actionTypes.SHOW_BATCH_VARIANTS, visible: true }]);
+    });
+
+    it('check showParametersFile action', () => {
+        store.dispatch(uiFlagsActions.showParametersFile(true));
+        expect(store.getActions()).toEqual([{ type: uiFlagsActions.actionTypes.SHOW_PARAMETERS_FILE, visible: true }]);
+    });
+
+    it('check showConfigurationHistory action', () => {
+        store.dispatch(uiFlagsActions.showConfigurationHistory(true));
+        expect(store.getActions()).toEqual([{ type: uiFlagsActions.actionTypes.SHOW_CONFIGURATION_HISTORY, visible: true }]);
+    });
+
     it('check setCheckedProjects action', () => {
         store.dispatch(uiFlagsActions.setCheckedProjects(['1','2']));
         expect(store.getActions()).toMatchSnapshot();
@@ -127,4 +142,11 @@ describe('uiFlagsActions', () => {
         store.dispatch(uiFlagsActions.clearCheckedProjects());
         expect(store.getActions()).toMatchSnapshot();
     });
+
+    it('check setDisplayUnits action stores the choice', () => {
+        store.dispatch(uiFlagsActions.setDisplayUnits('imperial'));
+        expect(store.getActions()).toEqual([{ type: uiFlagsActions.actionTypes.SET_DISPLAY_UNITS, system: 'imperial' }]);
+        expect(window.localStorage.getItem(uiFlagsActions.displayUnitsStorageKey)).toEqual('imperial');
+        window.localStorage.clear();
+    });
 });
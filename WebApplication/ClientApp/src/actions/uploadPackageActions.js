@@ -19,21 +19,31 @@
 import repo from '../Repository';
 import { uploadPackageData } from '../reducers/mainReducer';
 import { addProject } from './projectListActions';
-import { setProjectAlreadyExists, showUploadPackage, setStats, setReportUrl } from './uiFlagsActions';
-import { addError, addLog } from './notificationActions';
-import { Jobs } from '../JobManager';
+import { setProjectAlreadyExists, showUploadPackage } from './uiFlagsActions';
+import { addLog } from './notificationActions';
+import { Jobs, JobCancelledError } from '../JobManager';
 import { resetParameters } from "./parametersActions";
+import { trackJob, jobKinds, cancelJob } from './jobsActions';
+import { broadcast } from '../tabSync';
+import { uploadProgressTracker } from '../utils/uploadProgress';
 
 const actionTypes = {
     SET_UPLOAD_PROGRESS_VISIBLE: 'SET_UPLOAD_PROGRESS_VISIBLE',
     SET_UPLOAD_PROGRESS_HIDDEN: 'SET_UPLOAD_PROGRESS_HIDDEN',
     SET_UPLOAD_PROGRESS_DONE: 'SET_UPLOAD_PROGRESS_DONE',
+    SET_UPLOAD_BYTES_PROGRESS: 'SET_UPLOAD_BYTES_PROGRESS',
     SET_UPLOAD_FAILED: 'SET_UPLOAD_FAILED',
     HIDE_UPLOAD_FAILED: 'HIDE_UPLOAD_FAILED'
 };
 
 export default actionTypes;
 
+// aborts the running package upload, the adopt job is cancelled with `cancelJob`
+let uploadController = null;
+
+// how often (in ms) the upload dialog gets the sent bytes
+const bytesProgressInterval = 250;
+
 export const uploadPackage = () => async (dispatch, getState) => {
     const packageData = uploadPackageData(getState());
 
@@ -43,49 +53,75 @@ export const uploadPackage = () => async (dispatch, getState) => {
 
         let uploadResponse = null;
 
+        const controller = new AbortController();
+        uploadController = controller;
+
+        const trackProgress = uploadProgressTracker();
+        let reportedAt = 0;
+        const onProgress = ({ loaded, total }) => {
+            const progress = trackProgress(loaded, total);
+            const now = Date.now();
+            if (loaded < total && now - reportedAt < bytesProgressInterval)
+                return;
+
+            reportedAt = now;
+            dispatch(setUploadBytesProgress(progress));
+        };
+
         try {
-            uploadResponse = await repo.uploadPackage(packageData);
+            uploadResponse = await repo.uploadPackage(packageData, controller.signal, onProgress);
         } catch (e) {
             dispatch(setUploadProgressHidden());
 
-            const httpStatus = e.response.status;
+            if (controller.signal.aborted) {
+                dispatch(addLog('Upload cancelled'));
+                return;
+            }
+
+            // no response means the connection is lost, the received chunks are kept on the server
+            const httpStatus = e.response?.status;
             if (httpStatus === 409) {
                 dispatch(setProjectAlreadyExists(true));
+            } else if (httpStatus === undefined) {
+                dispatch(setUploadFailed('Connection lost, upload the package again to resume'));
             } else {
                 dispatch(setUploadFailed(`Upload failed with ${httpStatus} error`));
             }
 
             return;
+        } finally {
+            uploadController = null;
         }
 
-        const jobManager = Jobs();
+        let result;
         try {
-            await jobManager.doAdoptJob(uploadResponse,
-                // start job
-                () => {
-                    dispatch(addLog('JobManager: HubConnection started for adopt project : ' + uploadResponse));
-                },
-                // onComplete
-                (newProject, stats, reportUrl) => {
-                    dispatch(addLog('JobManager: Received onComplete'));
-                    dispatch(resetParameters(newProject.id, null));
-                    dispatch(addProject(newProject));
-                    dispatch(setStats(stats));
-                    dispatch(setReportUrl(reportUrl));
-                    dispatch(setUploadProgressDone());
-                },
-                // onError
-                (errorData) => {
-                    dispatch(addLog('JobManager: Received onError with jobId: ' + errorData.jobId));
-                    dispatch(setUploadProgressHidden());
-                    // show error modal dialog
-                    dispatch(setUploadFailed(errorData));
-                }
-            );
+            result = await dispatch(trackJob(jobKinds.adopt, { title: 'Adopt ' + packageData.file.name },
+                (events) => Jobs().adoptProject(uploadResponse, events)));
         } catch (error) {
-            dispatch(addError('JobManager: Error : ' + error));
+            dispatch(setUploadProgressHidden());
+
+            // show error modal dialog
+            if (!(error instanceof JobCancelledError))
+                dispatch(setUploadFailed(error.errorData));
+
+            return;
         }
+
+        const newProject = result.state;
+        dispatch(broadcast(resetParameters(newProject.id, null)));
+        dispatch(broadcast(addProject(newProject)));
+        dispatch(setUploadProgressDone());
+    }
+};
+
+/** Cancel the running upload: abort the package upload, or cancel the adopt job if the package is uploaded already */
+export const cancelUpload = () => async (dispatch) => {
+    if (uploadController) {
+        uploadController.abort();
+        return;
     }
+
+    await dispatch(cancelJob(jobKinds.adopt));
 };
 
 export const setUploadProgressVisible = () => {
@@ -100,6 +136,14 @@ export const setUploadProgressHidden = () => {
     };
 };
 
+/** Sent bytes of the package: { loaded, total, percent, speed, eta } (see `uploadProgressTracker`) */
+export const setUploadBytesProgress = (progress) => {
+    return {
+        type: actionTypes.SET_UPLOAD_BYTES_PROGRESS,
+        progress
+    };
+};
+
 export const setUploadProgressDone = () => {
     return {
         type: actionTypes.SET_UPLOAD_PROGRESS_DONE
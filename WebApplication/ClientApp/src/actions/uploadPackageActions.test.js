@@ -16,13 +16,14 @@
 // UNINTERRUPTED OR ERROR FREE.
 /////////////////////////////////////////////////////////////////////
 
-import actionTypes, { uploadPackage } from './uploadPackageActions';
+import actionTypes, { uploadPackage, cancelUpload } from './uploadPackageActions';
+import jobsActionTypes from './jobsActions';
 import projectListActions from './projectListActions';
 import { actionTypes as uiFlagsActionTypes } from './uiFlagsActions';
 
 // the test based on https://redux.js.org/recipes/writing-tests#async-action-creators
 
-import signalRConnectionMock from '../test/mockSignalR';
+import signalRConnectionMock, { flushJobs } from '../test/mockSignalR';
 
 // prepare mock for Repository module
 jest.mock('../Repository');
@@ -51,13 +52,15 @@ describe('uploadPackage', () => {
 
         const store = mockStore({ uiFlags: { package: { file: {name: "a.zip"}, root: "a.asm"}} });
 
-        await store.dispatch(uploadPackage()); // demand projects loading
+        const job = store.dispatch(uploadPackage()); // demand projects loading
+        await flushJobs();
         // ensure that the mock called once
         expect(uploadPackageMock).toHaveBeenCalledTimes(1);
 
         const newProject = { name: "newProject" };
         const theStats = { credits: 1 };
         signalRConnectionMock.simulateComplete(newProject, theStats);
+        await job;
 
         const actions = store.getActions();
 
@@ -65,13 +68,31 @@ describe('uploadPackage', () => {
         expect(actions[0].type).toEqual(uiFlagsActionTypes.SHOW_UPLOAD_PACKAGE);
         expect(actions[1].type).toEqual(actionTypes.SET_UPLOAD_PROGRESS_VISIBLE);
         // there are some logs in action in between...
-        expect(actions[actions.length-4].type).toEqual(projectListActions.ADD_PROJECT);
-        expect(actions[actions.length-3].type).toEqual(uiFlagsActionTypes.SET_STATS);
-        expect(actions[actions.length-3].stats).toEqual(theStats);
-        expect(actions[actions.length-2].type).toEqual(uiFlagsActionTypes.SET_REPORT_URL);
+        expect(actions.find(a => a.type === uiFlagsActionTypes.SET_STATS).stats).toEqual(theStats);
+        expect(actions.some(a => a.type === uiFlagsActionTypes.SET_REPORT_URL)).toEqual(true);
+        expect(actions[actions.length-2].type).toEqual(projectListActions.ADD_PROJECT);
         expect(actions[actions.length-1].type).toEqual(actionTypes.SET_UPLOAD_PROGRESS_DONE);
     });
 
+    it('should report the sent bytes', async () => {
+
+        uploadPackageMock.mockImplementation(async (data, signal, onProgress) => {
+            onProgress({ loaded: 0, total: 100 });
+            onProgress({ loaded: 50, total: 100 }); // too soon after the previous one
+            onProgress({ loaded: 100, total: 100 });
+            return 'package';
+        });
+
+        const store = mockStore({ uiFlags: { package: { file: {name: "a.zip"}, root: "a.asm"}}, jobs: [] });
+
+        store.dispatch(uploadPackage());
+        await flushJobs();
+
+        const progress = store.getActions().filter(a => a.type === actionTypes.SET_UPLOAD_BYTES_PROGRESS).map(a => a.progress);
+        expect(progress.map(p => p.loaded)).toEqual([ 0, 100 ]);
+        expect(progress[1]).toMatchObject({ total: 100, percent: 100 });
+    });
+
     it('should handle conflict', async () => {
 
         // set expected value for the mock
@@ -109,6 +130,63 @@ describe('uploadPackage', () => {
         expect(uploadFailedAction.errorData).toMatch(/Upload failed with 422 error/);
     });
 
+    it('should handle upload failed without response', async () => {
+
+        // emulate lost connection during upload
+        uploadPackageMock.mockImplementation(() => { throw new Error('Network Error'); });
+
+        const store = mockStore({ uiFlags: { package: { file: {name: "a.zip"}, root: "a.asm"}} });
+
+        await store.dispatch(uploadPackage());
+        expect(uploadPackageMock).toHaveBeenCalledTimes(1);
+
+        const actions = store.getActions();
+        const uploadFailedAction = actions.find(a => a.type === actionTypes.SET_UPLOAD_FAILED);
+        expect(uploadFailedAction.errorData).toMatch(/Connection lost, upload the package again to resume/);
+        expect(actions.some(a => a.type === uiFlagsActionTypes.PROJECT_EXISTS)).toEqual(false);
+    });
+
+    it('should abort the package upload', async () => {
+
+        // the upload waits for the abort signal
+        uploadPackageMock.mockImplementation((data, signal) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('canceled')));
+        }));
+
+        const store = mockStore({ uiFlags: { package: { file: {name: "a.zip"}, root: "a.asm"}} });
+
+        const upload = store.dispatch(uploadPackage());
+        await store.dispatch(cancelUpload());
+        await upload;
+
+        const actions = store.getActions();
+        expect(actions[actions.length - 2].type).toEqual(actionTypes.SET_UPLOAD_PROGRESS_HIDDEN);
+        expect(actions[actions.length - 1].info).toEqual('Upload cancelled');
+        expect(actions.some(a => a.type === actionTypes.SET_UPLOAD_FAILED)).toEqual(false);
+    });
+
+    it('should cancel the adopt job', async () => {
+
+        uploadPackageMock.mockReturnValue('package');
+
+        const store = mockStore({ uiFlags: { package: { file: {name: "a.zip"}, root: "a.asm"}}, jobs: [] });
+
+        const upload = store.dispatch(uploadPackage());
+        await flushJobs();
+        const started = store.getActions().find(a => a.type === jobsActionTypes.JOB_STARTED);
+        expect(started.kind).toEqual('adopt');
+
+        // the job is still running on the server
+        const runningStore = mockStore({ jobs: [ { jobId: started.jobId, kind: 'adopt', status: 'running' } ] });
+        await runningStore.dispatch(cancelUpload());
+        await upload;
+
+        const actions = store.getActions();
+        expect(actions[actions.length - 1].type).toEqual(actionTypes.SET_UPLOAD_PROGRESS_HIDDEN);
+        expect(actions[actions.length - 2]).toMatchObject({ type: jobsActionTypes.JOB_FINISHED, jobId: started.jobId, status: 'cancelled' });
+        expect(actions.some(a => a.type === actionTypes.SET_UPLOAD_FAILED)).toEqual(false);
+    });
+
     it('should do nothing when all the form values are empty', async () => {
 
         const store = mockStore({ uiFlags: { package: { file: null, root: ''}} });
@@ -151,7 +229,9 @@ describe('uploadPackage', () => {
 
         uploadPackageMock.mockImplementation(() => { return { response: { status: 200 }}; });
 
-        await store.dispatch(uploadPackage());
+        // the adopt job keeps running
+        store.dispatch(uploadPackage());
+        await flushJobs();
         expect(uploadPackageMock).toHaveBeenCalledTimes(1);
 
         const actions = store.getActions();
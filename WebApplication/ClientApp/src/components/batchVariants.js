@@ -0,0 +1,244 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import Modal from '@hig/modal';
+import Button from '@hig/button';
+import IconButton from '@hig/icon-button';
+import Input from '@hig/input';
+import Label from '@hig/label';
+import Spacer from '@hig/spacer';
+import { Folder24 } from '@hig/icons';
+import merge from "lodash.merge";
+import { getActiveProject, getBatch, getBatchSummary, batchVariantsDlgVisible } from '../reducers/mainReducer';
+import { showBatchVariants } from '../actions/uiFlagsActions';
+import { runBatch, clearBatch, fetchVariantRfa } from '../actions/batchActions';
+import { parseDesignTable } from '../utils/designTable';
+import { getDownloadUrls } from './downloads';
+import HyperLink from './hyperlink';
+import './batchVariants.css';
+
+const statusLabels = {
+    ready: 'Ready',
+    queued: 'Queued',
+    running: 'Running',
+    done: 'Done',
+    failed: 'Failed'
+};
+
+/** Text describing why the variant failed */
+export function variantErrorMessage(errorData) {
+    if (!errorData)
+        return null;
+
+    if (typeof errorData === 'string')
+        return errorData;
+
+    return errorData.messages?.join(', ') || errorData.title || (errorData.reportUrl ? null : 'Update failed');
+}
+
+export class BatchVariants extends Component {
+
+    constructor(props) {
+        super(props);
+        this.onFileChange = this.onFileChange.bind(this);
+        this.state = {
+            fileName: '',
+            variants: null,
+            parseError: null
+        };
+    }
+
+    async onFileChange(e) {
+        if (e.target.files.length === 0)
+            return;
+
+        const file = e.target.files[0];
+        this.loadTable(await file.text(), file.name);
+    }
+
+    loadTable(text, fileName) {
+        try {
+            this.setState({ fileName, variants: parseDesignTable(text, fileName), parseError: null });
+        } catch (error) {
+            this.setState({ fileName, variants: null, parseError: error.message });
+        }
+
+        // new table replaces results of the previous one
+        if (!this.props.batch?.running)
+            this.props.clearBatch(this.props.activeProject.id);
+    }
+
+    onGenerateClick() {
+        this.props.runBatch(this.props.activeProject.id, this.state.variants);
+    }
+
+    renderDownloads(variant, index) {
+        if (variant.status !== 'done')
+            return null;
+
+        const { modelDownloadUrl, bomDownloadUrl } = getDownloadUrls(variant);
+        let rfa;
+        if (variant.rfaStatus === 'done') {
+            rfa = <HyperLink link="RFA" href={variant.rfaUrl} />;
+        } else if (variant.rfaStatus === 'running') {
+            rfa = <span>Preparing RFA...</span>;
+        } else {
+            rfa = <a href="" className="variantRfa" onClick={(e) => {
+                e.preventDefault();
+                this.props.fetchVariantRfa(this.props.activeProject.id, index);
+            }}>{variant.rfaStatus === 'failed' ? 'Retry RFA' : 'Prepare RFA'}</a>;
+        }
+
+        return (
+            <div className="variantDownloads">
+                {modelDownloadUrl && <HyperLink link="Model" href={modelDownloadUrl} />}
+                {bomDownloadUrl && <HyperLink link="BOM" href={bomDownloadUrl} />}
+                {rfa}
+            </div>
+        );
+    }
+
+    renderVariant(variant, index) {
+        const status = variant.status || 'ready';
+        const error = status === 'failed' && variantErrorMessage(variant.errorData);
+
+        return (
+            <tr key={index} className={`variantRow ${status}`}>
+                <td className="variantName">{variant.name}</td>
+                <td className="variantStatus">{statusLabels[status]}</td>
+                <td>
+                    {status === 'ready' && <span className="variantValues">{Object.entries(variant.values).map(([name, value]) => `${name}=${value}`).join(', ')}</span>}
+                    {error && <div className="variantError">{error}</div>}
+                    {status === 'failed' && variant.reportUrl && <HyperLink link="Open log file" href={variant.reportUrl} />}
+                    {this.renderDownloads(variant, index)}
+                </td>
+            </tr>
+        );
+    }
+
+    renderSummary() {
+        const summary = this.props.batchSummary;
+        if (!summary || this.props.batch.running)
+            return null;
+
+        const failed = this.props.batch.variants.filter(variant => variant.status === 'failed').map(variant => variant.name);
+        return (
+            <div className="batchSummary">
+                {`${summary.done} of ${summary.total} variants succeeded`}
+                {failed.length > 0 && `, failed: ${failed.join(', ')}`}
+            </div>
+        );
+    }
+
+    render() {
+        const modalStyles = /* istanbul ignore next */ styles =>
+            merge(styles, {
+                modal: {
+                    window: { // by design
+                        width: "700px"
+                    }
+                }
+            });
+
+        const batch = this.props.batch;
+        const running = batch?.running === true;
+        const variants = batch ? batch.variants : this.state.variants;
+
+        return (
+            <Modal
+            open={this.props.batchVariantsDlgVisible}
+            title="Generate variants"
+            onCloseClick={() => { this.props.showBatchVariants(false); }}
+            stylesheet={modalStyles} >
+                <div id="batchVariantsModal">
+                    <div className="fileBrowseContainer">
+                        <div className="stretch">
+                            <Label variant="top" disabled={false}>
+                                Design table (CSV or JSON, one parameter set per row)
+                            </Label>
+                            <Input id="batch_file"
+                                variant="box"
+                                value={this.state.fileName}
+                                disabled={true}
+                            />
+                        </div>
+                        <div className="browseButton">
+                            <label htmlFor="batchFileInput">
+                                <IconButton
+                                    icon={<Folder24 />}
+                                    title="Browse design table"
+                                    disabled={running}
+                                    onClick={ () => { document.getElementById("batchFileInput").click(); }}
+                                />
+                            </label>
+                            <input id="batchFileInput"
+                                type="file"
+                                accept=".csv,.json"
+                                onChange={this.onFileChange}
+                            />
+                        </div>
+                    </div>
+                    {this.state.parseError && <div className="batchParseError">{this.state.parseError}</div>}
+                    <Spacer spacing="s"/>
+                    {variants &&
+                        <div className="batchVariantsList">
+                            <table>
+                                <tbody>
+                                    {variants.map((variant, index) => this.renderVariant(variant, index))}
+                                </tbody>
+                            </table>
+                        </div>
+                    }
+                    {this.renderSummary()}
+                    <Spacer spacing="l"/>
+                    <div className="buttonsContainer">
+                        <Button
+                            id="batch_generate_button"
+                            size="standard"
+                            title="Generate"
+                            type="primary"
+                            disabled={running || !this.state.variants}
+                            onClick={() => this.onGenerateClick()}
+                        />
+                        <div style={{width: '14px'}}/>
+                        <Button
+                            id="batch_close_button"
+                            size="standard"
+                            title="Close"
+                            type="secondary"
+                            onClick={() => { this.props.showBatchVariants(false); }}
+                        />
+                    </div>
+                </div>
+            </Modal>
+        );
+    }
+}
+
+/* istanbul ignore next */
+export default connect(function (store) {
+    const activeProject = getActiveProject(store);
+    return {
+        activeProject: activeProject,
+        batchVariantsDlgVisible: batchVariantsDlgVisible(store),
+        batch: getBatch(activeProject.id, store),
+        batchSummary: getBatchSummary(activeProject.id, store)
+    };
+}, { showBatchVariants, runBatch, clearBatch, fetchVariantRfa })(BatchVariants);
@@ -0,0 +1,122 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import React from 'react';
+import Enzyme, { shallow } from 'enzyme';
+import Adapter from '@wojtekmaj/enzyme-adapter-react-17';
+import { BatchVariants, variantErrorMessage } from './batchVariants';
+
+Enzyme.configure({ adapter: new Adapter() });
+
+const projectId = '1';
+const csv = 'Variant,Width\nSmall,10 mm\nLarge,20 mm\n';
+
+const baseProps = {
+    activeProject: { id: projectId },
+    batchVariantsDlgVisible: true,
+    showBatchVariants: () => {},
+    clearBatch: () => {},
+    runBatch: () => {}
+};
+
+describe('batch variants', () => {
+    it('shows the parsed table', () => {
+        const clearBatchMock = jest.fn();
+        const wrapper = shallow(<BatchVariants {...baseProps} clearBatch={clearBatchMock} />);
+
+        wrapper.instance().loadTable(csv, 'sizes.csv');
+        wrapper.update();
+
+        expect(wrapper.find('#batch_file').prop('value')).toEqual('sizes.csv');
+        const rows = wrapper.find('.variantRow');
+        expect(rows).toHaveLength(2);
+        expect(rows.at(0).find('.variantName').text()).toEqual('Small');
+        expect(rows.at(0).find('.variantValues').text()).toEqual('Width=10 mm');
+        expect(clearBatchMock).toHaveBeenCalledWith(projectId);
+        expect(wrapper.find('#batch_generate_button').prop('disabled')).toEqual(false);
+    });
+
+    it('shows error for invalid table', () => {
+        const wrapper = shallow(<BatchVariants {...baseProps} />);
+
+        wrapper.instance().loadTable('[]', 'sizes.json');
+        wrapper.update();
+
+        expect(wrapper.find('.batchParseError').text()).toEqual('The table has no parameter sets');
+        expect(wrapper.find('#batch_generate_button').prop('disabled')).toEqual(true);
+    });
+
+    it('generates the variants', () => {
+        const runBatchMock = jest.fn();
+        const wrapper = shallow(<BatchVariants {...baseProps} runBatch={runBatchMock} />);
+
+        wrapper.instance().loadTable(csv, 'sizes.csv');
+        wrapper.find('#batch_generate_button').simulate('click');
+
+        expect(runBatchMock).toHaveBeenCalledWith(projectId, [
+            { name: 'Small', values: { Width: '10 mm' } },
+            { name: 'Large', values: { Width: '20 mm' } }
+        ]);
+    });
+
+    it('shows progress and disables generating while running', () => {
+        const batch = { running: true, variants: [{ name: 'Small', values: {}, status: 'running' }, { name: 'Large', values: {}, status: 'queued' }] };
+        const wrapper = shallow(<BatchVariants {...baseProps} batch={batch} batchSummary={{ total: 2 }} />);
+
+        expect(wrapper.find('.variantStatus').map(item => item.text())).toEqual(['Running', 'Queued']);
+        expect(wrapper.find('#batch_generate_button').prop('disabled')).toEqual(true);
+        expect(wrapper.find('.batchSummary')).toHaveLength(0);
+    });
+
+    it('shows summary, downloads and errors when finished', () => {
+        const fetchVariantRfaMock = jest.fn();
+        const batch = { running: false, variants: [
+            { name: 'Small', values: {}, status: 'done', modelDownloadUrl: 'http://model', bomDownloadUrl: 'http://bom' },
+            { name: 'Medium', values: {}, status: 'done', modelDownloadUrl: 'http://model2', rfaStatus: 'done', rfaUrl: 'http://rfa' },
+            { name: 'Large', values: {}, status: 'failed', errorData: { errorType: 1, reportUrl: 'http://report' }, reportUrl: 'http://report' }
+        ] };
+        const summary = { total: 3, done: 2, failed: 1 };
+        const wrapper = shallow(<BatchVariants {...baseProps} batch={batch} batchSummary={summary} fetchVariantRfa={fetchVariantRfaMock} />);
+
+        expect(wrapper.find('.batchSummary').text()).toEqual('2 of 3 variants succeeded, failed: Large');
+
+        const rows = wrapper.find('.variantRow');
+        expect(rows.at(0).find('HyperLink').map(item => item.prop('link'))).toEqual(['Model', 'BOM']);
+        expect(rows.at(1).find('HyperLink').map(item => item.prop('href'))).toEqual(['http://model2', 'http://rfa']);
+        expect(rows.at(2).find('HyperLink').prop('href')).toEqual('http://report');
+
+        rows.at(0).find('.variantRfa').simulate('click', { preventDefault: () => {} });
+        expect(fetchVariantRfaMock).toHaveBeenCalledWith(projectId, 0);
+    });
+
+    it('closes the dialog', () => {
+        const showBatchVariantsMock = jest.fn();
+        const wrapper = shallow(<BatchVariants {...baseProps} showBatchVariants={showBatchVariantsMock} />);
+
+        wrapper.find('#batch_close_button').simulate('click');
+        expect(showBatchVariantsMock).toHaveBeenCalledWith(false);
+    });
+
+    it('describes variant errors', () => {
+        expect(variantErrorMessage(null)).toBeNull();
+        expect(variantErrorMessage('Unknown parameters: A')).toEqual('Unknown parameters: A');
+        expect(variantErrorMessage({ errorType: 2, messages: ['a', 'b'] })).toEqual('a, b');
+        expect(variantErrorMessage({ errorType: 1, reportUrl: 'http://report' })).toBeNull();
+        expect(variantErrorMessage({ jobId: 'job' })).toEqual('Update failed');
+    });
+});
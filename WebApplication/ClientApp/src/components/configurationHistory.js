@@ -0,0 +1,180 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import Modal from '@hig/modal';
+import Button from '@hig/button';
+import Checkbox from '@hig/checkbox';
+import merge from "lodash.merge";
+import { getActiveProject, getConfigurationHistory, configurationHistoryDlgVisible } from '../reducers/mainReducer';
+import { showConfigurationHistory } from '../actions/uiFlagsActions';
+import { restoreConfiguration, compareConfigurations } from '../actions/configurationHistoryActions';
+import { significantDigits } from '../utils/conversion';
+import HyperLink from './hyperlink';
+import './configurationHistory.css';
+
+/** Short form of the project state hash */
+const shortHash = (hash) => hash ? hash.substring(0, 8) : '';
+
+export class ConfigurationHistory extends Component {
+
+    constructor(props) {
+        super(props);
+        this.state = {
+            selected: [] // indices of the entries to compare, up to two
+        };
+    }
+
+    toggleSelected(index) {
+        const selected = this.state.selected;
+        if (selected.includes(index)) {
+            this.setState({ selected: selected.filter(item => item !== index) });
+        } else {
+            // the oldest selection gives way to the new one
+            this.setState({ selected: selected.concat(index).slice(-2) });
+        }
+    }
+
+    onRestoreClick(configuration) {
+        this.props.restoreConfiguration(this.props.activeProject.id, configuration);
+        this.props.showConfigurationHistory(false);
+    }
+
+    renderEntry(configuration, index, history) {
+        const previous = history[index - 1];
+        const changed = previous ? compareConfigurations(previous, configuration).length : null;
+
+        return (
+            <tr key={index} className="configurationRow">
+                <td>
+                    <Checkbox
+                        checked={this.state.selected.includes(index)}
+                        onChange={() => this.toggleSelected(index)}
+                    />
+                </td>
+                <td className="configurationTime">{new Date(configuration.timestamp).toLocaleString()}</td>
+                <td className="configurationChanges">{changed == null ? 'First update' : `${changed} changed`}</td>
+                <td className="configurationHash" title={configuration.hash}>{shortHash(configuration.hash)}</td>
+                <td className="configurationCredits">{configuration.credits != null && `${significantDigits(configuration.credits, 5)} credits`}</td>
+                <td>{configuration.reportUrl && <HyperLink link="Report" href={configuration.reportUrl} />}</td>
+                <td>
+                    <a href="" className="configurationRestore" onClick={(e) => {
+                        e.preventDefault();
+                        this.onRestoreClick(configuration);
+                    }}>Restore</a>
+                </td>
+            </tr>
+        );
+    }
+
+    renderComparison(history) {
+        if (this.state.selected.length !== 2)
+            return null;
+
+        // compare older to newer, regardless of the selection order
+        const [ leftIndex, rightIndex ] = [ ...this.state.selected ].sort((a, b) => a - b);
+        const left = history[leftIndex];
+        const right = history[rightIndex];
+        if (!left || !right)
+            return null;
+
+        const differences = compareConfigurations(left, right);
+        return (
+            <div className="configurationComparison">
+                {differences.length === 0 ? 'The configurations are identical' :
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Parameter</th>
+                                <th>{new Date(left.timestamp).toLocaleString()}</th>
+                                <th>{new Date(right.timestamp).toLocaleString()}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {differences.map(item => (
+                                <tr key={item.name} className="comparisonRow">
+                                    <td>{item.name}</td>
+                                    <td>{item.left}</td>
+                                    <td>{item.right}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                }
+            </div>
+        );
+    }
+
+    render() {
+        const modalStyles = /* istanbul ignore next */ styles =>
+            merge(styles, {
+                modal: {
+                    window: { // by design
+                        width: "700px"
+                    }
+                }
+            });
+
+        const history = this.props.history || [];
+        const entries = history.map((configuration, index) => this.renderEntry(configuration, index, history)).reverse();
+
+        return (
+            <Modal
+            open={this.props.configurationHistoryDlgVisible}
+            title="Configuration history"
+            onCloseClick={() => { this.props.showConfigurationHistory(false); }}
+            stylesheet={modalStyles} >
+                <div id="configurationHistoryModal">
+                    {history.length === 0 ? <div className="configurationEmpty">No configurations applied yet</div> :
+                        <div className="configurationList">
+                            <table>
+                                <tbody>
+                                    {entries}
+                                </tbody>
+                            </table>
+                        </div>
+                    }
+                    {history.length > 1 && this.state.selected.length < 2 &&
+                        <div className="configurationHint">Select two configurations to compare them</div>
+                    }
+                    {this.renderComparison(history)}
+                    <div className="buttonsContainer">
+                        <Button
+                            id="configuration_history_close_button"
+                            size="standard"
+                            title="Close"
+                            type="secondary"
+                            onClick={() => { this.props.showConfigurationHistory(false); }}
+                        />
+                    </div>
+                </div>
+            </Modal>
+        );
+    }
+}
+
+/* istanbul ignore next */
+export default connect(function (store) {
+    const activeProject = getActiveProject(store);
+    return {
+        activeProject: activeProject,
+        configurationHistoryDlgVisible: configurationHistoryDlgVisible(store),
+        history: getConfigurationHistory(activeProject.id, store)
+    };
+}, { showConfigurationHistory, restoreConfiguration })(ConfigurationHistory);
@@ -0,0 +1,114 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import React from 'react';
+import Enzyme, { shallow } from 'enzyme';
+import Adapter from '@wojtekmaj/enzyme-adapter-react-17';
+import { ConfigurationHistory } from './configurationHistory';
+
+Enzyme.configure({ adapter: new Adapter() });
+
+const projectId = 'Wrench';
+const history = [
+    { timestamp: '2020-01-01T10:00:00.000Z', values: { Width: '10 mm', Size: 'Small' }, hash: 'AAAAAAAAAAAA', credits: 1.5, reportUrl: 'report1' },
+    { timestamp: '2020-01-01T11:00:00.000Z', values: { Width: '20 mm', Size: 'Small' }, hash: 'BBBBBBBBBBBB', credits: 2 },
+    { timestamp: '2020-01-01T12:00:00.000Z', values: { Width: '20 mm', Size: 'Large' }, hash: 'CCCCCCCCCCCC' }
+];
+
+const baseProps = {
+    activeProject: { id: projectId },
+    configurationHistoryDlgVisible: true,
+    history,
+    showConfigurationHistory: () => {}
+};
+
+describe('configuration history', () => {
+
+    it('shows the newest configuration first', () => {
+        const wrapper = shallow(<ConfigurationHistory {...baseProps} />);
+
+        const rows = wrapper.find('.configurationRow');
+        expect(rows).toHaveLength(3);
+        expect(wrapper.find('.configurationHash').map(item => item.text())).toEqual([ 'CCCCCCCC', 'BBBBBBBB', 'AAAAAAAA' ]);
+        expect(wrapper.find('.configurationChanges').map(item => item.text())).toEqual([ '1 changed', '1 changed', 'First update' ]);
+        expect(rows.at(2).find('HyperLink').prop('href')).toEqual('report1');
+        expect(wrapper.find('.configurationCredits').at(1).text()).toContain('credits');
+    });
+
+    it('shows message for empty history', () => {
+        const wrapper = shallow(<ConfigurationHistory {...baseProps} history={undefined} />);
+        expect(wrapper.find('.configurationEmpty')).toHaveLength(1);
+        expect(wrapper.find('.configurationHint')).toHaveLength(0);
+    });
+
+    it('compares two selected configurations', () => {
+        const wrapper = shallow(<ConfigurationHistory {...baseProps} />);
+        expect(wrapper.find('.configurationHint')).toHaveLength(1);
+
+        // rows are in reverse order, select the newest and the oldest
+        wrapper.find('Checkbox').at(0).simulate('change');
+        wrapper.find('Checkbox').at(2).simulate('change');
+
+        expect(wrapper.find('.configurationHint')).toHaveLength(0);
+        const rows = wrapper.find('.comparisonRow');
+        expect(rows.map(row => row.find('td').map(cell => cell.text()))).toEqual([
+            [ 'Width', '10 mm', '20 mm' ],
+            [ 'Size', 'Small', 'Large' ]
+        ]);
+    });
+
+    it('keeps up to two selected configurations', () => {
+        const wrapper = shallow(<ConfigurationHistory {...baseProps} />);
+        wrapper.instance().toggleSelected(0);
+        wrapper.instance().toggleSelected(1);
+        wrapper.instance().toggleSelected(2);
+        expect(wrapper.state('selected')).toEqual([ 1, 2 ]);
+
+        wrapper.instance().toggleSelected(1);
+        expect(wrapper.state('selected')).toEqual([ 2 ]);
+    });
+
+    it('reports identical configurations', () => {
+        const same = [ history[0], { ...history[0], timestamp: '2020-01-02T10:00:00.000Z' } ];
+        const wrapper = shallow(<ConfigurationHistory {...baseProps} history={same} />);
+        wrapper.instance().toggleSelected(0);
+        wrapper.instance().toggleSelected(1);
+        expect(wrapper.find('.configurationComparison').text()).toEqual('The configurations are identical');
+    });
+
+    it('restores the configuration and closes', () => {
+        const restoreConfiguration = jest.fn();
+        const showConfigurationHistory = jest.fn();
+        const wrapper = shallow(<ConfigurationHistory {...baseProps} restoreConfiguration={restoreConfiguration} showConfigurationHistory={showConfigurationHistory} />);
+
+        const preventDefault = jest.fn();
+        wrapper.find('.configurationRestore').at(2).simulate('click', { preventDefault });
+
+        expect(preventDefault).toHaveBeenCalled();
+        expect(restoreConfiguration).toHaveBeenCalledWith(projectId, history[0]);
+        expect(showConfigurationHistory).toHaveBeenCalledWith(false);
+    });
+
+    it('closes the dialog', () => {
+        const showConfigurationHistory = jest.fn();
+        const wrapper = shallow(<ConfigurationHistory {...baseProps} showConfigurationHistory={showConfigurationHistory} />);
+
+        wrapper.find('#configuration_history_close_button').simulate('click');
+        expect(showConfigurationHistory).toHaveBeenCalledWith(false);
+    });
+});
@@ -24,6 +24,7 @@ import { getActiveProject, downloadProgressShowing, downloadProgressTitle, downl
 import { downloadDrawingFailedShowing } from '../reducers/mainReducer';
 import { getDownloadLink } from '../actions/downloadActions';
 import { showDownloadProgress, showDownloadFailed } from '../actions/uiFlagsActions';
+import { cancelJob, jobKinds } from '../actions/jobsActions';
 import ModalDownloadProgress from './modalDownloadProgress';
 import ModalFail from './modalFail';
 
@@ -69,7 +70,7 @@ export const downloadColumns = [
 ];
 
 // add token to download URLs if necessary
-function getDownloadUrls(project) {
+export function getDownloadUrls(project) {
 
     const { modelDownloadUrl, bomDownloadUrl } = project;
 
@@ -175,6 +176,8 @@ export class Downloads extends Component {
                     label={project.id}
                     icon='/Archive.svg'
                     onClose={ () => this.props.showDownloadProgress(false) }
+                    onCancel={ () => this.props.cancelJob(jobKinds.download) }
+                    jobKind={ jobKinds.download }
                     url={ this.props.downloadUrl } />}
 
                 {this.props.downloadFailedShowing && <ModalFail
@@ -202,4 +205,4 @@ export default connect(function(store) {
         errorData: errorData(store),
         drawingDownloadFailedShowing: downloadDrawingFailedShowing(store)
     };
-}, { Downloads, getDownloadLink, showDownloadProgress, showDownloadFailed })(Downloads);
+}, { Downloads, getDownloadLink, showDownloadProgress, showDownloadFailed, cancelJob })(Downloads);
@@ -24,6 +24,7 @@ import ForgePdfView from './forgePdfView';
 import { fetchDrawing } from '../actions/downloadActions';
 import ModalProgress from './modalProgress';
 import { showDrawingExportProgress } from '../actions/uiFlagsActions';
+import { cancelJob, jobKinds } from '../actions/jobsActions';
 import DrawingsContainer from './drawingsContainer';
 
 export class Drawing extends Component {
@@ -78,6 +79,8 @@ export class Drawing extends Component {
               label={this.props.activeProject.id}
               icon="/Assembly_icon.svg"
               onClose={() => this.onModalProgressClose()}
+              onCancel={() => this.props.cancelJob(jobKinds.drawing)}
+              jobKind={jobKinds.drawing}
               statsKey={this.props.activeDrawing}
           />
         }
@@ -97,4 +100,4 @@ export default connect(function (store) {
     drawingPdf: getDrawingPdfUrl(store),
     drawingProgressShowing: drawingProgressShowing(store)
   };
-}, { fetchDrawing, hideModalProgress: () => async (dispatch) => { dispatch(showDrawingExportProgress(false)); } })(Drawing);
+}, { fetchDrawing, cancelJob, hideModalProgress: () => async (dispatch) => { dispatch(showDrawingExportProgress(false)); } })(Drawing);
@@ -24,6 +24,7 @@ import { getActiveProject, getDrawingsList, getActiveDrawing, downloadProgressSh
 import { getDownloadLink } from '../actions/downloadActions';
 import { showDownloadProgress, showDownloadFailed } from '../actions/uiFlagsActions';
 import { fetchDrawingsList } from '../actions/drawingsListActions';
+import { cancelJob, jobKinds } from '../actions/jobsActions';
 import { updateActiveDrawing } from '../actions/uiFlagsActions';
 import BaseTable, { AutoResizer, Column } from 'react-base-table';
 import 'react-base-table/styles.css';
@@ -153,6 +154,8 @@ export class DrawingsContainer extends Component {
                     label={project.id}
                     icon='/Archive.svg'
                     onClose={ () => this.props.showDownloadProgress(false) }
+                    onCancel={ () => this.props.cancelJob(jobKinds.download) }
+                    jobKind={ jobKinds.download }
                     url={ this.props.downloadUrl }
                     statsKey={ this.props.activeDrawing } />}
 
@@ -181,4 +184,4 @@ export default connect(function (store) {
         activeDrawing: getActiveDrawing(store),
         drawingsList: getDrawingsList(store)
     };
-}, { getDownloadLink, fetchDrawingsList, updateActiveDrawing, showDownloadProgress, showDownloadFailed })(DrawingsContainer);
+}, { getDownloadLink, fetchDrawingsList, updateActiveDrawing, showDownloadProgress, showDownloadFailed, cancelJob })(DrawingsContainer);
@@ -0,0 +1,49 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import React, { Component } from 'react';
+import Button from '@hig/button';
+import './modalProgress.css';
+
+/** Cancel and "Run in background" buttons of the progress dialogs, shown while the job is running */
+export class JobDialogButtons extends Component {
+    render() {
+        return (
+            <div className="modalCancel">
+                <Button className="button" style={
+                    { width: '116px', height: '36px', borderRadius: '2px', marginLeft: '12px'}}
+                    type="secondary"
+                    size="small"
+                    title="Cancel"
+                    onClick={this.props.onCancel}
+                />
+                {this.props.onBackground &&
+                    <Button className="button" style={
+                        { height: '36px', borderRadius: '2px', marginLeft: '12px'}}
+                        type="secondary"
+                        size="small"
+                        title="Run in background"
+                        onClick={this.props.onBackground}
+                    />
+                }
+            </div>
+        );
+    }
+}
+
+export default JobDialogButtons;
@@ -0,0 +1,41 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import React from 'react';
+import Enzyme, { shallow } from 'enzyme';
+import Adapter from '@wojtekmaj/enzyme-adapter-react-17';
+import { JobDialogButtons } from './jobDialogButtons';
+
+Enzyme.configure({ adapter: new Adapter() });
+
+describe('job dialog buttons', () => {
+    it('cancels the job or lets it continue in background', () => {
+        const cancelMockFn = jest.fn();
+        const backgroundMockFn = jest.fn();
+        const wrapper = shallow(<JobDialogButtons onCancel={cancelMockFn} onBackground={backgroundMockFn} />);
+
+        wrapper.find({ title: "Cancel"}).simulate('click');
+        expect(cancelMockFn).toHaveBeenCalledTimes(1);
+
+        wrapper.find({ title: "Run in background"}).simulate('click');
+        expect(backgroundMockFn).toHaveBeenCalledTimes(1);
+
+        const foreground = shallow(<JobDialogButtons onCancel={cancelMockFn} />);
+        expect(foreground.find({ title: "Run in background"}).length).toEqual(0);
+    });
+});
@@ -0,0 +1,79 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import Typography from "@hig/typography";
+import { getJobProgress } from '../reducers/mainReducer';
+import { jobStages } from '../JobManager';
+import { formatDuration } from '../utils/conversion';
+
+/** Stage names as shown by `CreditCost` when the job is finished */
+export const stageLabels = {
+    queueing: 'Queuing',
+    download: 'Download',
+    processing: 'Processing',
+    upload: 'Upload'
+};
+
+/** Current stage and elapsed time of the running job */
+export class JobProgress extends Component {
+
+    constructor(props) {
+        super(props);
+        this.state = { now: Date.now() };
+    }
+
+    componentDidMount() {
+        this.timer = setInterval(() => this.setState({ now: Date.now() }), 1000);
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.timer);
+    }
+
+    render() {
+        const job = this.props.job;
+        if (!job)
+            return null;
+
+        const current = jobStages.indexOf(job.stage);
+        const elapsed = (this.state.now - job.startedAt) / 1000;
+
+        return (
+            <div className="jobProgress">
+                {current >= 0 && jobStages.map((stage, index) => {
+                    const status = index < current ? 'done' : (index === current ? 'current' : 'pending');
+                    const percent = (index === current && job.percent != null) ? ` ${Math.round(job.percent)}%` : '';
+                    return (
+                        <Typography key={stage} className={`jobStage ${status}`}>
+                            {status === 'current' ? <b>{stageLabels[stage]}{percent}</b> : stageLabels[stage]}
+                        </Typography>
+                    );
+                })}
+                <Typography className="jobElapsed">Elapsed time: {formatDuration(elapsed)}</Typography>
+            </div>
+        );
+    }
+}
+
+/* istanbul ignore next */
+export default connect(function (store, ownProps) {
+    return {
+        job: getJobProgress(ownProps.kind, store)
+    };
+})(JobProgress);
@@ -0,0 +1,65 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+import React from 'react';
+import Enzyme, { shallow } from 'enzyme';
+import Adapter from '@wojtekmaj/enzyme-adapter-react-17';
+import { JobProgress } from './jobProgress';
+
+Enzyme.configure({ adapter: new Adapter() });
+
+describe('job progress', () => {
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('shows nothing without running job', () => {
+        const wrapper = shallow(<JobProgress />);
+        expect(wrapper.isEmptyRender()).toEqual(true);
+    });
+
+    it('shows elapsed time before the first progress message', () => {
+        const wrapper = shallow(<JobProgress job={{ jobId: 'job', startedAt: Date.now() - 5500 }} />);
+        expect(wrapper.find('.jobStage')).toHaveLength(0);
+        expect(wrapper.find('.jobElapsed').prop('children')).toEqual([ 'Elapsed time: ', '5 s' ]);
+    });
+
+    it('marks the current stage', () => {
+        const job = { jobId: 'job', startedAt: Date.now(), stage: 'processing', percent: 42.4 };
+        const wrapper = shallow(<JobProgress job={job} />);
+
+        const stages = wrapper.find('.jobStage');
+        expect(stages.map(stage => stage.prop('className'))).toEqual([ 'jobStage done', 'jobStage done', 'jobStage current', 'jobStage pending' ]);
+        expect(stages.at(2).html()).toContain('<b>Processing 42%</b>');
+        expect(stages.at(0).html()).toContain('Queuing');
+    });
+
+    it('updates elapsed time every second', () => {
+        jest.useFakeTimers();
+        const wrapper = shallow(<JobProgress job={{ jobId: 'job', startedAt: Date.now() }} />);
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 3000);
+
+        jest.advanceTimersByTime(1000);
+        expect(wrapper.find('.jobElapsed').prop('children')).toEqual([ 'Elapsed time: ', '3 s' ]);
+
+        Date.now.mockRestore();
+        wrapper.unmount();
+        expect(jest.getTimerCount()).toEqual(0);
+    });
+});
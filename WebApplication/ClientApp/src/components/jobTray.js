@@ -0,0 +1,123 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import Typography from "@hig/typography";
+import { getJobs } from '../reducers/mainReducer';
+import { cancelJobById, clearFinishedJobs, jobKinds, jobStatuses } from '../actions/jobsActions';
+import { significantDigits, formatDuration } from '../utils/conversion';
+import { stageLabels } from './jobProgress';
+import HyperLink from './hyperlink';
+import './jobTray.css';
+
+const statusLabels = {
+    [jobStatuses.running]: 'Running',
+    [jobStatuses.completed]: 'Completed',
+    [jobStatuses.failed]: 'Failed',
+    [jobStatuses.cancelled]: 'Cancelled'
+};
+
+/** Running and finished jobs of the session. Results of the finished jobs can be reopened from here. */
+export class JobTray extends Component {
+
+    constructor(props) {
+        super(props);
+        this.state = { now: Date.now() };
+    }
+
+    componentDidMount() {
+        // durations of the running jobs are ticking
+        this.timer = setInterval(() => {
+            if (this.props.jobs?.some(job => job.status === jobStatuses.running))
+                this.setState({ now: Date.now() });
+        }, 1000);
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.timer);
+    }
+
+    statusText(job) {
+        if (job.status !== jobStatuses.running)
+            return statusLabels[job.status];
+
+        const stage = stageLabels[job.stage] || statusLabels[jobStatuses.running];
+        return job.percent != null ? `${stage} ${Math.round(job.percent)}%` : stage;
+    }
+
+    renderJob(job) {
+        const running = job.status === jobStatuses.running;
+        const duration = (job.finishedAt || this.state.now) - job.startedAt;
+        const credits = job.stats?.credits;
+
+        return (
+            <tr key={job.jobId} className={`jobTrayRow ${job.status}`}>
+                <td className="jobTrayTitle">
+                    <div>{job.title}</div>
+                    {job.projectId && <div className="jobTrayProject">{job.projectId}</div>}
+                </td>
+                <td className="jobTrayStatus">{this.statusText(job)}</td>
+                <td className="jobTrayDuration">{formatDuration(duration / 1000)}</td>
+                <td className="jobTrayCredits">{credits != null && `${significantDigits(credits, 5)} credits`}</td>
+                <td className="jobTrayLinks">
+                    {job.resultUrl && <HyperLink link={job.kind === jobKinds.download ? 'Download' : 'Open'} href={job.resultUrl} download={job.kind === jobKinds.download} />}
+                    {job.reportUrl && <HyperLink link="Report" href={job.reportUrl} />}
+                    {running &&
+                        <a href="" className="jobTrayCancel" onClick={(e) => {
+                            e.preventDefault();
+                            this.props.cancelJobById(job.jobId);
+                        }}>Cancel</a>
+                    }
+                </td>
+            </tr>
+        );
+    }
+
+    render() {
+        const jobs = this.props.jobs || [];
+        const hasFinished = jobs.some(job => job.status !== jobStatuses.running);
+
+        return (
+            <div className="jobTray">
+                <Typography className="jobTrayHeader"><b>Jobs</b></Typography>
+                {jobs.length === 0 ? <div className="jobTrayEmpty">No jobs in this session</div> :
+                    <div className="jobTrayList">
+                        <table>
+                            <tbody>
+                                {jobs.map(job => this.renderJob(job)).reverse()}
+                            </tbody>
+                        </table>
+                    </div>
+                }
+                {hasFinished &&
+                    <a href="" className="jobTrayClear" onClick={(e) => {
+                        e.preventDefault();
+                        this.props.clearFinishedJobs();
+                    }}>Clear finished</a>
+                }
+            </div>
+        );
+    }
+}
+
+/* istanbul ignore next */
+export default connect(function (store) {
+    return {
+        jobs: getJobs(store)
+    };
+}, { cancelJobById, clearFinishedJobs })(JobTray);
@@ -0,0 +1,102 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+import React from 'react';
+import Enzyme, { shallow } from 'enzyme';
+import Adapter from '@wojtekmaj/enzyme-adapter-react-17';
+import { JobTray } from './jobTray';
+
+Enzyme.configure({ adapter: new Adapter() });
+
+const jobs = [
+    { jobId: 'job1', kind: 'download', title: 'Preparing RFA', projectId: 'projectA', status: 'completed',
+        startedAt: 1000, finishedAt: 126000, stats: { credits: 2.5 }, resultUrl: 'rfa-url', reportUrl: 'report-url' },
+    { jobId: 'job2', kind: 'update', title: 'Update', projectId: 'projectA', status: 'failed',
+        startedAt: 1000, finishedAt: 5000, reportUrl: 'failure-report' },
+    { jobId: 'job3', kind: 'drawing', title: 'Drawing A.idw', status: 'running', stage: 'processing', percent: 42.4, startedAt: Date.now() }
+];
+
+describe('job tray', () => {
+    it('shows empty session', () => {
+        const wrapper = shallow(<JobTray jobs={[]} />);
+        expect(wrapper.find('.jobTrayEmpty').length).toEqual(1);
+        expect(wrapper.find('.jobTrayClear').length).toEqual(0);
+    });
+
+    it('shows jobs with the latest first', () => {
+        const wrapper = shallow(<JobTray jobs={jobs} />);
+        const rows = wrapper.find('.jobTrayRow');
+        expect(rows.map(row => row.key())).toEqual([ 'job3', 'job2', 'job1' ]);
+
+        expect(rows.at(0).find('.jobTrayStatus').text()).toEqual('Processing 42%');
+        expect(rows.at(1).find('.jobTrayStatus').text()).toEqual('Failed');
+        expect(rows.at(2).find('.jobTrayStatus').text()).toEqual('Completed');
+        expect(rows.at(2).find('.jobTrayDuration').text()).toEqual('2 min 5 s');
+        expect(rows.at(2).find('.jobTrayCredits').text()).toEqual('2.5 credits');
+        expect(rows.at(2).find('.jobTrayProject').text()).toEqual('projectA');
+    });
+
+    it('links results and reports of the finished jobs', () => {
+        const wrapper = shallow(<JobTray jobs={jobs} />);
+        const rows = wrapper.find('.jobTrayRow');
+
+        const downloadLinks = rows.at(2).find('HyperLink');
+        expect(downloadLinks.map(link => link.props())).toEqual([
+            { link: 'Download', href: 'rfa-url', download: true },
+            { link: 'Report', href: 'report-url' }
+        ]);
+
+        const failureLinks = rows.at(1).find('HyperLink');
+        expect(failureLinks.map(link => link.prop('href'))).toEqual([ 'failure-report' ]);
+    });
+
+    it('cancels running job', () => {
+        const cancelJobById = jest.fn();
+        const wrapper = shallow(<JobTray jobs={jobs} cancelJobById={cancelJobById} />);
+
+        const cancelLinks = wrapper.find('.jobTrayCancel');
+        expect(cancelLinks.length).toEqual(1);
+
+        cancelLinks.simulate('click', { preventDefault: () => {} });
+        expect(cancelJobById).toHaveBeenCalledWith('job3');
+    });
+
+    it('cancels the picked job when more jobs of the same kind run', () => {
+        const cancelJobById = jest.fn();
+        const running = [
+            { jobId: 'job4', kind: 'download', title: 'Preparing RFA', status: 'running', startedAt: Date.now() },
+            { jobId: 'job5', kind: 'download', title: 'Preparing drawings', status: 'running', startedAt: Date.now() }
+        ];
+        const wrapper = shallow(<JobTray jobs={running} cancelJobById={cancelJobById} />);
+
+        // the latest job is the first row, cancel the older one
+        wrapper.find('.jobTrayCancel').at(1).simulate('click', { preventDefault: () => {} });
+        expect(cancelJobById).toHaveBeenCalledTimes(1);
+        expect(cancelJobById).toHaveBeenCalledWith('job4');
+    });
+
+    it('clears finished jobs', () => {
+        const clearFinishedJobs = jest.fn();
+        const wrapper = shallow(<JobTray jobs={jobs} clearFinishedJobs={clearFinishedJobs} />);
+
+        wrapper.find('.jobTrayClear').simulate('click', { preventDefault: () => {} });
+        expect(clearFinishedJobs).toHaveBeenCalledTimes(1);
+
+        const running = shallow(<JobTray jobs={[ jobs[2] ]} />);
+        expect(running.find('.jobTrayClear').length).toEqual(0);
+    });
+});
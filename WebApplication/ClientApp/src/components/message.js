@@ -19,8 +19,10 @@
 import React, { Component } from 'react';
 import { connect } from 'react-redux';
 
-import { getProfile, getActiveProject, parametersEditedMessageVisible} from '../reducers/mainReducer';
+import { getProfile, getActiveProject, parametersEditedMessageVisible, getParameters, getPendingChanges } from '../reducers/mainReducer';
 import { hideUpdateMessageBanner } from '../actions/uiFlagsActions';
+import { editParameter, resetParameters } from '../actions/parametersActions';
+import PendingChanges from './pendingChanges';
 
 import './message.css';
 import Banner from '@hig/banner';
@@ -44,6 +46,8 @@ export class Message extends Component {
     constructor(props) {
         super(props);
         this.onDismiss = this.onDismiss.bind(this);
+        this.onRevert = this.onRevert.bind(this);
+        this.onRevertAll = this.onRevertAll.bind(this);
         this.dontShowAgain = false;
     }
 
@@ -51,6 +55,14 @@ export class Message extends Component {
         this.props.hideUpdateMessageBanner(this.dontShowAgain);
     }
 
+    onRevert(change) {
+        this.props.editParameter(this.props.activeProject.id, { name: change.name, value: change.oldValue });
+    }
+
+    onRevertAll() {
+        this.props.resetParameters(this.props.activeProject.id, this.props.projectSourceParameters);
+    }
+
     render() {
         const loggedIn = this.props.profile.isLoggedIn;
         const visible = this.props.parametersEditedMessageVisible;
@@ -95,6 +107,13 @@ export class Message extends Component {
             >
             The model is out-of-date. Click Update to display the updated state.
             </Banner>
+            {visible &&
+              <PendingChanges
+                changes={this.props.pendingChanges}
+                onRevert={this.onRevert}
+                onRevertAll={this.onRevertAll}
+              />
+            }
             </Fixed>
             </ThemeContext.Provider>
             );
@@ -103,9 +122,12 @@ export class Message extends Component {
 
 /* istanbul ignore next */
 export default connect(function (store) {
+    const activeProject = getActiveProject(store);
     return {
-        activeProject: getActiveProject(store),
+        activeProject: activeProject,
         profile: getProfile(store),
-        parametersEditedMessageVisible: parametersEditedMessageVisible(store)
+        parametersEditedMessageVisible: parametersEditedMessageVisible(store),
+        projectSourceParameters: getParameters(activeProject?.id, store),
+        pendingChanges: getPendingChanges(activeProject?.id, store)
     };
-}, { hideUpdateMessageBanner })(Message);
\ No newline at end of file
+}, { hideUpdateMessageBanner, editParameter, resetParameters })(Message);
\ No newline at end of file
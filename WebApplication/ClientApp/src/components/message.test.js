@@ -89,5 +89,52 @@ describe('components', () => {
         const dontShowAgain = wrapper.find(Checkbox);
         expect(dontShowAgain.length).toEqual(1);
       });
+      describe('pending changes', () => {
+        const sourceParameters = [{ name: 'Length', value: '10 mm' }];
+        const change = { name: 'Length', label: 'Length', oldValue: '10 mm', newValue: '20 mm' };
+
+        it('shows pending changes with the banner', () => {
+          const props = {
+            parametersEditedMessageVisible: true,
+            profile: {isLoggedIn: true},
+            pendingChanges: [change]
+          };
+
+          const wrapper = shallow(<Message {...props}/>);
+          expect(wrapper.find('PendingChanges').prop('changes')).toEqual([change]);
+        });
+        it('hides pending changes when the banner is hidden', () => {
+          const props = {
+            parametersEditedMessageVisible: false,
+            profile: {isLoggedIn: true},
+            pendingChanges: [change]
+          };
+
+          const wrapper = shallow(<Message {...props}/>);
+          expect(wrapper.find('PendingChanges').length).toEqual(0);
+        });
+        it('reverts one or all changes', () => {
+          const editParameterMock = jest.fn();
+          const resetParametersMock = jest.fn();
+          const props = {
+            parametersEditedMessageVisible: true,
+            profile: {isLoggedIn: true},
+            activeProject: { id: '1' },
+            projectSourceParameters: sourceParameters,
+            pendingChanges: [change],
+            editParameter: editParameterMock,
+            resetParameters: resetParametersMock
+          };
+
+          const wrapper = shallow(<Message {...props}/>);
+          const pendingChanges = wrapper.find('PendingChanges');
+
+          pendingChanges.prop('onRevert')(change);
+          expect(editParameterMock).toHaveBeenCalledWith('1', { name: 'Length', value: '10 mm' });
+
+          pendingChanges.prop('onRevertAll')();
+          expect(resetParametersMock).toHaveBeenCalledWith('1', sourceParameters);
+        });
+      });
   });
 });
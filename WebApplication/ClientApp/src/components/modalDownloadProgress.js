@@ -26,6 +26,8 @@ import Button from '@hig/button';
 import HyperLink from './hyperlink';
 import CreditCost from './creditCost';
 import ReportUrl from './reportUrl';
+import JobProgress from './jobProgress';
+import JobDialogButtons from './jobDialogButtons';
 
 export class ModalDownloadProgress extends Component {
 
@@ -63,6 +65,8 @@ export class ModalDownloadProgress extends Component {
                       {!done && <ProgressBar className="modalProgress"/>}
                   </div>
               </div>
+              {(!done && this.props.jobKind) && <JobProgress kind={this.props.jobKind}/>}
+              {(!done && this.props.onCancel) && <JobDialogButtons onCancel={this.props.onCancel} onBackground={this.props.onClose}/>}
               {(done) &&
                 <React.Fragment>
                     <CreditCost/>
@@ -106,4 +106,25 @@ describe('modal progress', () => {
         const hyperlink = wrapper.find('HyperLink');
         expect(hyperlink.prop('href')).toEqual(props.url);
     });
+
+    it('should offer job buttons only while the job is running', () => {
+        const cancelMockFn = jest.fn();
+        const closeMockFn = jest.fn();
+        const wrapper = shallow(<ModalDownloadProgress onCancel={cancelMockFn} onClose={closeMockFn} />);
+        expect(wrapper.find('JobDialogButtons').props()).toEqual({ onCancel: cancelMockFn, onBackground: closeMockFn });
+
+        const done = shallow(<ModalDownloadProgress url='http://example.com' onCancel={jest.fn()} />);
+        expect(done.find('JobDialogButtons').length).toEqual(0);
+
+        const notCancellable = shallow(<ModalDownloadProgress />);
+        expect(notCancellable.find('JobDialogButtons').length).toEqual(0);
+    });
+
+    it('should show progress of the running job', () => {
+        const wrapper = shallow(<ModalDownloadProgress jobKind="update" />);
+        expect(wrapper.find({ kind: "update" }).length).toEqual(1);
+
+        const done = shallow(<ModalDownloadProgress url='http://example.com' jobKind="update" />);
+        expect(done.find({ kind: "update" }).length).toEqual(0);
+    });
 });
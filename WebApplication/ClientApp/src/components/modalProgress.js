@@ -28,6 +28,8 @@ import merge from "lodash.merge";
 import CreditCost from './creditCost';
 import Button from '@hig/button';
 import ReportUrl from './reportUrl';
+import JobProgress from './jobProgress';
+import JobDialogButtons from './jobDialogButtons';
 import { getStats } from '../reducers/mainReducer';
 
 export class ModalProgress extends Component {
@@ -105,6 +107,8 @@ export class ModalProgress extends Component {
                         }
                     </div>
                 </div>
+                {(!done && this.props.jobKind) && <JobProgress kind={this.props.jobKind}/>}
+                {(!done && this.props.onCancel) && <JobDialogButtons onCancel={this.props.onCancel} onBackground={this.props.onClose}/>}
                 {(done) &&
                 <React.Fragment>
                     {withWarnings && <div id='warningMsg'>
@@ -127,4 +127,25 @@ describe('modal progress', () => {
         doneBtn.simulate('click');
         expect(doneHandlerMock).toHaveBeenCalled();
     });
+
+    it('should offer job buttons only while the job is running', () => {
+        const cancelMockFn = jest.fn();
+        const closeMockFn = jest.fn();
+        const wrapper = shallow(<ModalProgress onCancel={cancelMockFn} onClose={closeMockFn} />);
+        expect(wrapper.find('JobDialogButtons').props()).toEqual({ onCancel: cancelMockFn, onBackground: closeMockFn });
+
+        const done = shallow(<ModalProgress stats={{}} onCancel={jest.fn()} />);
+        expect(done.find('JobDialogButtons').length).toEqual(0);
+
+        const notCancellable = shallow(<ModalProgress />);
+        expect(notCancellable.find('JobDialogButtons').length).toEqual(0);
+    });
+
+    it('should show progress of the running job', () => {
+        const wrapper = shallow(<ModalProgress jobKind="update" />);
+        expect(wrapper.find({ kind: "update" }).length).toEqual(1);
+
+        const done = shallow(<ModalProgress stats={{}} jobKind="update" />);
+        expect(done.find({ kind: "update" }).length).toEqual(0);
+    });
 });
@@ -28,11 +28,17 @@ import Button from '@hig/button';
 import IconButton from "@hig/icon-button";
 import CreditCost from './creditCost';
 import ReportUrl from './reportUrl';
+import JobProgress from './jobProgress';
+import JobDialogButtons from './jobDialogButtons';
+import { formatUploadProgress } from '../utils/uploadProgress';
 
 export class ModalProgressUpload extends Component {
 
     render() {
         const done = this.props.isDone();
+        // sent bytes are shown until the package is uploaded, then the adopt job progress
+        const bytesProgress = this.props.bytesProgress;
+        const uploading = !done && bytesProgress != null && bytesProgress.loaded < bytesProgress.total;
         const withWarnings = this.props.warningMsg?.length > 0;
         const doneColor = "rgb(135, 179, 64)";
         const warningColor = "rgb(250, 162, 27)";
@@ -101,9 +107,12 @@ export class ModalProgressUpload extends Component {
                         <Typography>
                             {this.props.label ? this.props.label : "Missing label."}
                         </Typography>
-                        {!done && <ProgressBar className="modalProgress"/>}
+                        {!done && <ProgressBar className="modalProgress" percentComplete={uploading ? Math.floor(bytesProgress.percent) : undefined}/>}
+                        {uploading && <Typography className="uploadBytesProgress">{formatUploadProgress(bytesProgress)}</Typography>}
                     </div>
                 </div>
+                {(!done && !uploading && this.props.jobKind) && <JobProgress kind={this.props.jobKind}/>}
+                {(!done && this.props.onCancel) && <JobDialogButtons onCancel={this.props.onCancel} onBackground={this.props.onClose}/>}
                 {done &&
                     <div>
                         {withWarnings && <div id='warningMsg'>
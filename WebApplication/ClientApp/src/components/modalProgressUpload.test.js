@@ -35,6 +35,22 @@ describe('modal progress', () => {
         expect(button.length).toBe(0);
     });
 
+    it('shows the sent bytes until the package is uploaded', () => {
+
+        const bytesProgress = { loaded: 512, total: 2048, percent: 25, speed: null, eta: null };
+        const props = { isDone: () => { return false;}, jobKind: 'adopt', bytesProgress };
+
+        const wrapper = shallow(<ModalProgressUpload {...props} />);
+        expect(wrapper.find('.modalProgress').prop('percentComplete')).toEqual(25);
+        expect(wrapper.find('.uploadBytesProgress').children().text()).toEqual('25% · 512 B of 2.0 KB');
+        expect(wrapper.find('Connect(JobProgress)').length).toBe(0);
+
+        wrapper.setProps({ bytesProgress: { ...bytesProgress, loaded: 2048, percent: 100 } });
+        expect(wrapper.find('.modalProgress').prop('percentComplete')).toBeUndefined();
+        expect(wrapper.find('.uploadBytesProgress').length).toBe(0);
+        expect(wrapper.find('Connect(JobProgress)').length).toBe(1);
+    });
+
     it('check that here are TWO buttons available when is update progress set to done', () => {
 
         const props = { isDone: () => { return true;} };
@@ -83,4 +99,25 @@ describe('modal progress', () => {
         openButton.simulate('click');
         expect(openMockFn).toHaveBeenCalledTimes(1);
     });
+
+    it('should offer job buttons only while the job is running', () => {
+        const cancelMockFn = jest.fn();
+        const closeMockFn = jest.fn();
+        const wrapper = shallow(<ModalProgressUpload isDone={() => false} onCancel={cancelMockFn} onClose={closeMockFn} />);
+        expect(wrapper.find('JobDialogButtons').props()).toEqual({ onCancel: cancelMockFn, onBackground: closeMockFn });
+
+        const done = shallow(<ModalProgressUpload isDone={() => true} onCancel={jest.fn()} />);
+        expect(done.find('JobDialogButtons').length).toEqual(0);
+
+        const notCancellable = shallow(<ModalProgressUpload isDone={() => false} />);
+        expect(notCancellable.find('JobDialogButtons').length).toEqual(0);
+    });
+
+    it('should show progress of the running job', () => {
+        const wrapper = shallow(<ModalProgressUpload isDone={() => false} jobKind="update" />);
+        expect(wrapper.find({ kind: "update" }).length).toEqual(1);
+
+        const done = shallow(<ModalProgressUpload isDone={() => true} jobKind="update" />);
+        expect(done.find({ kind: "update" }).length).toEqual(0);
+    });
 });
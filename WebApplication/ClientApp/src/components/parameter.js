@@ -19,13 +19,18 @@
 import React, { Component } from 'react';
 import {connect} from 'react-redux';
 import { editParameter } from '../actions/parametersActions';
-import { getActiveProject } from '../reducers/mainReducer';
+import { getActiveProject, displayUnits } from '../reducers/mainReducer';
 import './parametersContainer.css';
 import Input from '@hig/input';
 import Checkbox from '@hig/checkbox';
 import Dropdown from '@hig/dropdown';
 import Tooltip from '@hig/tooltip';
 import Spacer from "@hig/spacer";
+import IconButton from '@hig/icon-button';
+import { CaretUp16, CaretDown16 } from "@hig/icons";
+import { validateParameter, isNumericParameter } from '../utils/parameterValidation';
+import { displayUnitFor, toDisplayValue, appendUnit } from '../utils/units';
+import { hasRange, numericValue, stepValue, sliderValue, coarseFactor, fineFactor } from '../utils/numericParameter';
 
 const paramTooltipRenderer = (parameter) => {
     const title = parameter.errormessage ? "Parameter Error" : "Parameter has changed";
@@ -44,13 +49,22 @@ export class Parameter extends Component {
         this.onComboChange = this.onComboChange.bind(this);
         this.onCheckboxChange = this.onCheckboxChange.bind(this);
         this.onEditChange = this.onEditChange.bind(this);
+        this.onEditFocus = this.onEditFocus.bind(this);
+        this.onEditBlur = this.onEditBlur.bind(this);
+        this.onEditKeyDown = this.onEditKeyDown.bind(this);
+        this.onSliderChange = this.onSliderChange.bind(this);
         this.showTooltip = this.showTooltip.bind(this);
         this.hideTooltip = this.hideTooltip.bind(this);
         this.state = {
-            showDropdownTooltip: false
+            showDropdownTooltip: false,
+            editText: null // text being typed, when the value is shown in other units
         };
     }
 
+    displayUnit() {
+        return displayUnitFor(this.props.parameter.units, this.props.displayUnits);
+    }
+
     showTooltip() {
         this.setState({
             showDropdownTooltip: true
@@ -72,17 +86,91 @@ export class Parameter extends Component {
     }
 
     onEditChange(data) {
-        this.props.editParameter(this.props.activeProject.id, {name: this.props.parameter.name, value: data.target.value});
+        const displayUnit = this.displayUnit();
+        let value = data.target.value;
+        if (displayUnit) {
+            // keep the typed text as is, and interpret numbers without unit in the display unit
+            this.setState({ editText: value });
+            value = appendUnit(value, displayUnit);
+        }
+
+        this.props.editParameter(this.props.activeProject.id, {name: this.props.parameter.name, value});
+    }
+
+    onEditFocus() {
+        const displayUnit = this.displayUnit();
+        if (displayUnit)
+            this.setState({ editText: toDisplayValue(this.props.parameter.value, this.props.parameter.units, displayUnit) });
+    }
+
+    onEditBlur() {
+        this.setState({ editText: null });
+    }
+
+    /** Change numeric value by steps, the value stays in the parameter units */
+    step(direction, factor = 1) {
+        const value = stepValue(this.props.parameter, direction, factor);
+        if (value == null)
+            return;
+
+        this.props.editParameter(this.props.activeProject.id, {name: this.props.parameter.name, value});
+        // keep the text being edited in sync
+        if (this.state.editText != null)
+            this.setState({ editText: toDisplayValue(value, this.props.parameter.units, this.displayUnit()) });
+    }
+
+    /** Arrow keys step the numeric value, Shift for coarse and Alt for fine steps */
+    onEditKeyDown(e) {
+        if (!isNumericParameter(this.props.parameter) || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown'))
+            return;
+
+        e.preventDefault();
+        const factor = e.shiftKey ? coarseFactor : (e.altKey ? fineFactor : 1);
+        this.step(e.key === 'ArrowUp' ? 1 : -1, factor);
+    }
+
+    onSliderChange(e) {
+        this.props.editParameter(this.props.activeProject.id, {name: this.props.parameter.name, value: sliderValue(this.props.parameter, e.target.value)});
+    }
+
+    renderSlider() {
+        const parameter = this.props.parameter;
+        const number = numericValue(parameter);
+        const position = number == null ? parameter.min : Math.min(Math.max(number, parameter.min), parameter.max);
+        return (
+            <div className="parameterSlider">
+                <span className="parameterSliderLimit">{parameter.min}</span>
+                <input type="range"
+                    disabled={parameter.readonly}
+                    min={parameter.min}
+                    max={parameter.max}
+                    step={parameter.step > 0 ? parameter.step : 'any'}
+                    value={position}
+                    onChange={this.onSliderChange}
+                />
+                <span className="parameterSliderLimit">{parameter.max}</span>
+            </div>
+        );
+    }
+
+    inputValue() {
+        if (this.state.editText != null)
+            return this.state.editText;
+
+        return toDisplayValue(this.props.parameter.value, this.props.parameter.units, this.displayUnit());
     }
 
     render() {
+        const validationError = validateParameter(this.props.parameter);
+        const validationErrorMessage = validationError && <div className="parameterValidationError">{validationError}</div>;
+
         let parameterInputClassName = this.props.parameter.changedOnUpdate == true ? "changedOnUpdate" : "";
         const showToolTip = this.props.parameter.changedOnUpdate || (this.props.parameter.errormessage != null);
         const tooltipProps = showToolTip ? {openOnHover: true} : {open: false}; // not used for dropdown, see below
         // for debugging the tooltip, replace the above two lines with these:
         // const parameterInputClassName = "changedOnUpdate";
         // const tooltipProps = {openOnHover: true};
-        if (this.props.parameter.errormessage) {
+        if (this.props.parameter.errormessage || validationError) {
             parameterInputClassName += " error";
         }
         if (this.props.parameter.units === "Boolean")
@@ -115,7 +203,7 @@ export class Parameter extends Component {
                         <Dropdown className={parameterInputClassName}
                             variant="box"
                             disabled={this.props.parameter.readonly}
-                            error={false}
+                            error={validationError != null}
                             required=""
                             multiple={false}
                             onChange={this.onComboChange}
@@ -127,8 +215,46 @@ export class Parameter extends Component {
                             value={this.props.parameter.value}
                         />
                     </Tooltip>
+                    {validationErrorMessage}
                 </div>
             );
+        else if (isNumericParameter(this.props.parameter))
+            return (
+            <div className="parameter numeric">
+                {this.props.parameter.label}
+                <Tooltip {...tooltipProps} className="paramTooltip" anchorPoint="top-center" content={paramTooltipRenderer(this.props.parameter)}>
+                    <div className="parameterNumeric">
+                        <Input className={parameterInputClassName}
+                            disabled={this.props.parameter.readonly}
+                            onFocus={this.onEditFocus}
+                            onBlur={this.onEditBlur}
+                            onChange={this.onEditChange}
+                            onKeyDown={this.onEditKeyDown}
+                            onMouseEnter={null}
+                            onMouseLeave={null}
+                            variant="box"
+                            value={this.inputValue()}
+                        />
+                        <div className="parameterStepper">
+                            <IconButton className="stepUp"
+                                icon={<CaretUp16 />}
+                                title="Increase (Arrow Up, Shift for larger steps)"
+                                disabled={this.props.parameter.readonly}
+                                onClick={() => this.step(1)}
+                            />
+                            <IconButton className="stepDown"
+                                icon={<CaretDown16 />}
+                                title="Decrease (Arrow Down, Shift for larger steps)"
+                                disabled={this.props.parameter.readonly}
+                                onClick={() => this.step(-1)}
+                            />
+                        </div>
+                    </div>
+                </Tooltip>
+                {hasRange(this.props.parameter) && this.renderSlider()}
+                {validationErrorMessage}
+            </div>
+        );
         else
             return (
             <div className="parameter">
@@ -136,14 +262,16 @@ export class Parameter extends Component {
                 <Tooltip {...tooltipProps} className="paramTooltip" anchorPoint="top-center" content={paramTooltipRenderer(this.props.parameter)}>
                     <Input className={parameterInputClassName}
                         disabled={this.props.parameter.readonly}
-                        onBlur={null}
+                        onFocus={this.onEditFocus}
+                        onBlur={this.onEditBlur}
                         onChange={this.onEditChange}
                         onMouseEnter={null}
                         onMouseLeave={null}
                         variant="box"
-                        value={this.props.parameter.value}
+                        value={this.inputValue()}
                     />
                 </Tooltip>
+                {validationErrorMessage}
             </div>
         );
     }
@@ -152,6 +280,7 @@ export class Parameter extends Component {
 /* istanbul ignore next */
 export default connect(function (store){
     return {
-        activeProject: getActiveProject(store)
+        activeProject: getActiveProject(store),
+        displayUnits: displayUnits(store)
     };
   }, { editParameter } )(Parameter);
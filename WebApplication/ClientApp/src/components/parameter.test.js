@@ -153,6 +153,132 @@ describe('components', () => {
         expect(secondWrapperComponent.hasClass('changedOnUpdate')).toBeFalsy();
       });
 
+      it('shows inline error for invalid value', () => {
+        const invalidParam = { ...editboxParam, value: '10 mn' };
+        const wrapper = shallow(<Parameter parameter={invalidParam} />);
+        expect(wrapper.find('Input').hasClass('error')).toBeTruthy();
+        expect(wrapper.find('.parameterValidationError').text()).toEqual("Unknown unit 'mn'");
+
+        const validWrapper = shallow(<Parameter parameter={editboxParam} />);
+        expect(validWrapper.find('Input').hasClass('error')).toBeFalsy();
+        expect(validWrapper.find('.parameterValidationError').length).toEqual(0);
+      });
+
+      it('marks dropdown with value out of allowed values', () => {
+        const wrapper = shallow(<Parameter parameter={{ ...listboxParam, value: 'pink' }} />);
+        expect(wrapper.find('Dropdown').prop('error')).toEqual(true);
+        expect(wrapper.find('.parameterValidationError').length).toEqual(1);
+      });
+
+      describe('display units', () => {
+        const props = {
+          parameter: editboxParam,
+          activeProject: { id: "1" },
+          displayUnits: 'imperial'
+        };
+
+        it('shows value converted to the display units', () => {
+          const wrapper = shallow(<Parameter {...props} />);
+          expect(wrapper.find('Input').prop('value')).toEqual('39.3701 in');
+        });
+
+        it('does not convert in model units', () => {
+          const wrapper = shallow(<Parameter {...props} displayUnits='model' />);
+          expect(wrapper.find('Input').prop('value')).toEqual('1000 mm');
+        });
+
+        it('keeps typed text and interprets plain numbers in display units', () => {
+          const editParameterMock = jest.fn();
+          const wrapper = shallow(<Parameter {...props} editParameter={editParameterMock} />);
+
+          wrapper.find('Input').simulate('focus');
+          expect(wrapper.find('Input').prop('value')).toEqual('39.3701 in');
+
+          wrapper.find('Input').simulate('change', { target: { value: '2' } });
+          expect(editParameterMock).toHaveBeenCalledWith("1", { name: "editbox", value: "2 in" });
+          expect(wrapper.find('Input').prop('value')).toEqual('2');
+
+          wrapper.find('Input').simulate('change', { target: { value: '50 mm' } });
+          expect(editParameterMock).toHaveBeenLastCalledWith("1", { name: "editbox", value: "50 mm" });
+
+          wrapper.find('Input').simulate('blur');
+          wrapper.setProps({ parameter: { ...editboxParam, value: '50 mm' } });
+          expect(wrapper.find('Input').prop('value')).toEqual('1.9685 in');
+        });
+      });
+
+      describe('numeric widgets', () => {
+        const rangeParam = { ...editboxParam, value: '10 mm', min: 0, max: 50, step: 2.5 };
+        const makeProps = (parameter, editParameter, displayUnits) => ({
+          parameter,
+          activeProject: { id: "1" },
+          editParameter,
+          displayUnits
+        });
+
+        it('steps the value with the buttons', () => {
+          const editParameterMock = jest.fn();
+          const wrapper = shallow(<Parameter {...makeProps(rangeParam, editParameterMock)} />);
+
+          wrapper.find('.stepUp').simulate('click');
+          expect(editParameterMock).toHaveBeenLastCalledWith("1", { name: "editbox", value: "12.5 mm" });
+          wrapper.find('.stepDown').simulate('click');
+          expect(editParameterMock).toHaveBeenLastCalledWith("1", { name: "editbox", value: "7.5 mm" });
+        });
+
+        it('steps the value with arrow keys and modifiers', () => {
+          const editParameterMock = jest.fn();
+          const wrapper = shallow(<Parameter {...makeProps(editboxParam, editParameterMock)} />);
+          const keyDown = (key, modifiers = {}) => {
+            const event = { key, preventDefault: jest.fn(), ...modifiers };
+            wrapper.find('Input').simulate('keydown', event);
+            return event;
+          };
+
+          expect(keyDown('ArrowUp').preventDefault).toHaveBeenCalled();
+          expect(editParameterMock).toHaveBeenLastCalledWith("1", { name: "editbox", value: "1001 mm" });
+          keyDown('ArrowDown', { shiftKey: true });
+          expect(editParameterMock).toHaveBeenLastCalledWith("1", { name: "editbox", value: "990 mm" });
+          keyDown('ArrowUp', { altKey: true });
+          expect(editParameterMock).toHaveBeenLastCalledWith("1", { name: "editbox", value: "1000.1 mm" });
+
+          editParameterMock.mockClear();
+          expect(keyDown('a').preventDefault).not.toHaveBeenCalled();
+          expect(editParameterMock).not.toHaveBeenCalled();
+        });
+
+        it('keeps edited text in display units in sync', () => {
+          const editParameterMock = jest.fn();
+          const wrapper = shallow(<Parameter {...makeProps({ ...editboxParam, value: '25.4 mm' }, editParameterMock, 'imperial')} />);
+
+          wrapper.find('Input').simulate('focus');
+          wrapper.find('.stepUp').simulate('click');
+          expect(editParameterMock).toHaveBeenLastCalledWith("1", { name: "editbox", value: "26 mm" });
+          expect(wrapper.find('Input').prop('value')).toEqual('1.02362 in');
+        });
+
+        it('shows slider for parameters with range', () => {
+          const editParameterMock = jest.fn();
+          const wrapper = shallow(<Parameter {...makeProps(rangeParam, editParameterMock)} />);
+          const slider = wrapper.find('input[type="range"]');
+          expect(slider.prop('min')).toEqual(0);
+          expect(slider.prop('max')).toEqual(50);
+          expect(slider.prop('step')).toEqual(2.5);
+          expect(slider.prop('value')).toEqual(10);
+
+          slider.simulate('change', { target: { value: '30' } });
+          expect(editParameterMock).toHaveBeenCalledWith("1", { name: "editbox", value: "30 mm" });
+
+          expect(shallow(<Parameter parameter={editboxParam} />).find('.parameterSlider').length).toEqual(0);
+          expect(shallow(<Parameter parameter={{ ...rangeParam, value: 'abc' }} />).find('input[type="range"]').prop('value')).toEqual(0);
+        });
+
+        it('does not show steppers for text', () => {
+          const wrapper = shallow(<Parameter parameter={{ ...editboxParam, units: 'Text', value: 'abc' }} />);
+          expect(wrapper.find('.parameterStepper').length).toEqual(0);
+        });
+      });
+
       describe('readonly flag', () => {
 
         /** Create read-only parameter */
@@ -170,6 +296,12 @@ describe('components', () => {
           const component = wrapper.find(componentType);
           expect(component.prop("disabled")).toBe(true);
         });
+
+        it('disables numeric widgets', () => {
+          const wrapper = shallow(<Parameter parameter={ makeRO({ ...editboxParam, min: 0, max: 2000 }) }/>);
+          expect(wrapper.find('IconButton').map(button => button.prop('disabled'))).toEqual([true, true]);
+          expect(wrapper.find('input[type="range"]').prop('disabled')).toBe(true);
+        });
       });
   });
 });
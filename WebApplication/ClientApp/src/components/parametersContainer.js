@@ -20,35 +20,169 @@ import React, { Component } from 'react';
 import { connect } from 'react-redux';
 import './parametersContainer.css';
 import Parameter from './parameter';
-import { getActiveProject, getParameters, getUpdateParameters, modalProgressShowing, updateFailedShowing, errorData } from '../reducers/mainReducer';
-import { fetchParameters, resetParameters, updateModelWithParameters } from '../actions/parametersActions';
-import { showModalProgress, showUpdateFailed, invalidateDrawing } from '../actions/uiFlagsActions';
+import Presets from './presets';
+import BatchVariants from './batchVariants';
+import ParametersFile from './parametersFile';
+import ConfigurationHistory from './configurationHistory';
+import { getActiveProject, getParameters, getUpdateParameters, modalProgressShowing, updateFailedShowing, errorData,
+    canUndoParameters, canRedoParameters, displayUnits, activeTabIndex, getPendingChanges, getRules } from '../reducers/mainReducer';
+import { fetchParameters, resetParameters, updateModelWithParameters, undoParameters, redoParameters } from '../actions/parametersActions';
+import { fetchRules } from '../actions/rulesActions';
+import { cancelJob, jobKinds } from '../actions/jobsActions';
+import { showModalProgress, showUpdateFailed, invalidateDrawing, setDisplayUnits, showBatchVariants, showParametersFile, showConfigurationHistory } from '../actions/uiFlagsActions';
 import Button from '@hig/button';
 import Tooltip from '@hig/tooltip';
-import { Alert24 } from "@hig/icons";
+import IconButton from '@hig/icon-button';
+import Dropdown from '@hig/dropdown';
+import Input from '@hig/input';
+import Checkbox from '@hig/checkbox';
+import { Alert24, Undo16, Redo16, CaretDown16, CaretRight16, Grid16, Link16, ExportMove16, Clock16 } from "@hig/icons";
 
 import ModalProgress from './modalProgress';
 import ModalFail from './modalFail';
 import { fullWarningMsg } from '../utils/conversion';
+import { validateParameters, hasInvalidParameters } from '../utils/parameterValidation';
+import { unitSystems } from '../utils/units';
+import { groupParameters } from '../utils/parameterGroups';
+import { makeShareLink } from '../utils/shareLink';
+import { applyRules, visibleParameters } from '../utils/parameterRules';
+
+/** True for elements where the keys edit text, like parameter inputs or search box */
+const isEditable = (target) => target != null && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+/** Describe the invalid parameters and combinations, so user knows why Update is not possible */
+const invalidParametersMessage = (invalidParameters, parameterList, ruleErrors = []) => {
+    const lines = Object.entries(invalidParameters).map(([name, error]) => {
+        const label = parameterList.find(param => param.name === name)?.label || name;
+        return `${label}: ${error}`;
+    });
+    return ['Fix the invalid parameters before updating:', ...lines, ...ruleErrors].join('\n');
+};
 
 export class ParametersContainer extends Component {
 
+    constructor(props) {
+        super(props);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.state = {
+            searchText: '',
+            onlyChanged: false,
+            collapsed: {}, // group name -> true when the group is collapsed
+            linkCopied: false
+        };
+    }
+
     componentDidMount() {
         this.props.fetchParameters(this.props.activeProject.id);
+        this.props.fetchRules(this.props.activeProject.id);
+        document.addEventListener('keydown', this.onKeyDown);
+    }
+
+    componentWillUnmount() {
+        document.removeEventListener('keydown', this.onKeyDown);
+        clearTimeout(this.linkCopiedTimer);
+    }
+
+    /** Ctrl+Z to undo, Ctrl+Y or Ctrl+Shift+Z to redo parameter changes. Editable fields keep their own undo. */
+    onKeyDown(e) {
+        if (!(e.ctrlKey || e.metaKey) || !this.props.activeProject?.id || isEditable(e.target))
+            return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.props.undoParameters(this.props.activeProject.id);
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            this.props.redoParameters(this.props.activeProject.id);
+        }
     }
 
     componentDidUpdate(prevProps) {
         // fetch parameters when params UI was active before projects initialized
-        if (this.props.activeProject.id !== prevProps.activeProject.id)
+        if (this.props.activeProject.id !== prevProps.activeProject.id) {
             this.props.fetchParameters(this.props.activeProject.id);
+            this.props.fetchRules(this.props.activeProject.id);
+        }
+    }
+
+    /** Parameters with the project rules applied for the current values */
+    evaluateRules(parameterList) {
+        return applyRules(parameterList, this.props.rules);
     }
 
     updateClicked() {
+        // do not waste a job on the values we know are wrong
+        const { parameters, errors } = this.evaluateRules(this.props.projectUpdateParameters);
+        if (errors.length > 0 || hasInvalidParameters(parameters))
+            return;
+
         this.props.updateModelWithParameters(this.props.activeProject.id, this.props.projectUpdateParameters);
         // mark drawing as not valid if any available
         this.props.invalidateDrawing();
     }
 
+    /** Copy link to the project, the active tab and the edited values */
+    async copyLinkClicked() {
+        const values = {};
+        for (const change of this.props.pendingChanges || []) {
+            if (change.newValue != null)
+                values[change.name] = change.newValue;
+        }
+
+        const link = makeShareLink(window.location, { projectId: this.props.activeProject.id, tabIndex: this.props.activeTabIndex, values });
+        try {
+            await navigator.clipboard.writeText(link);
+        } catch (error) {
+            // clipboard is not available (e.g. not secure context), let user copy it manually
+            window.prompt('Copy link', link);
+            return;
+        }
+
+        this.setState({ linkCopied: true });
+        clearTimeout(this.linkCopiedTimer);
+        this.linkCopiedTimer = setTimeout(() => this.setState({ linkCopied: false }), 2000);
+    }
+
+    toggleGroup(name) {
+        this.setState({ collapsed: { ...this.state.collapsed, [name]: !this.state.collapsed[name] } });
+    }
+
+    renderGroup(group) {
+        const parameters = group.parameters.map((parameter) => (<Parameter key={parameter.name} parameter={parameter}/>));
+        // parameters without category stay on top level
+        if (group.name == null)
+            return parameters;
+
+        // expand everything while searching, so all the matches are visible
+        const collapsed = !this.state.searchText.trim() && this.state.collapsed[group.name];
+        return (
+            <div className="parameterGroup" key={group.name}>
+                <div className="parameterGroupHeader" onClick={() => this.toggleGroup(group.name)}>
+                    {collapsed ? <CaretRight16/> : <CaretDown16/>}
+                    <span className="parameterGroupName">{group.name}</span>
+                    <span className="parameterGroupCount">{group.parameters.length}</span>
+                    {group.changed > 0 && <span className="parameterGroupBadge changed" title="Changed parameters">{group.changed}</span>}
+                    {group.errors > 0 && <span className="parameterGroupBadge error" title="Parameters with errors">{group.errors}</span>}
+                </div>
+                {!collapsed && parameters}
+            </div>
+        );
+    }
+
+    renderParameters(parameterList) {
+        if (!parameterList)
+            return "No parameters";
+
+        const groups = groupParameters(visibleParameters(parameterList), {
+            searchText: this.state.searchText,
+            onlyChanged: this.state.onlyChanged,
+            sourceParameters: this.props.projectSourceParameters
+        });
+
+        return groups.length > 0 ? groups.flatMap((group) => this.renderGroup(group)) : "No matching parameters";
+    }
+
     onUpdateFailedCloseClick() {
         this.props.showUpdateFailed(false);
     }
@@ -58,25 +192,98 @@ export class ParametersContainer extends Component {
     }
 
     render() {
-        const parameterList = this.props.activeProject ? this.props.projectUpdateParameters : [];
+        const { parameters: parameterList, errors: ruleErrors } = this.evaluateRules(this.props.activeProject ? this.props.projectUpdateParameters : []);
         const buttonsContainerClass = parameterList ? "buttonsContainer" : "buttonsContainer hidden";
 
         // if model adopted with warning - then button should became white and have a tooltip with warning details
         const adoptWarning = this.props.adoptWarning;
-        const tooltipProps = adoptWarning ? { openOnHover: true, content: () => <div className="warningButtonTooltip">{ adoptWarning }</div>  } : { open: false };
+        let tooltipProps = adoptWarning ? { openOnHover: true, content: () => <div className="warningButtonTooltip">{ adoptWarning }</div>  } : { open: false };
         const buttonProps = adoptWarning ? { type:"secondary", icon: <Alert24 style={ { color: "orange" }} /> } : { type: "primary" };
 
+        // invalid values block the update, the tooltip explains why
+        const invalidParameters = validateParameters(parameterList);
+        const updateBlocked = Object.keys(invalidParameters).length > 0 || ruleErrors.length > 0;
+        if (updateBlocked) {
+            const blockedMessage = invalidParametersMessage(invalidParameters, parameterList, ruleErrors);
+            tooltipProps = { openOnHover: true, content: () => <div className="warningButtonTooltip">{ blockedMessage }</div> };
+        }
+
         return (
             <div className="parametersContainer">
                 <div className="pencilContainer">
+                    {this.props.activeProject?.id && parameterList &&
+                        <Presets/>
+                    }
+                </div>
+                <div className="parametersToolbar">
+                    <Dropdown className="unitSystem"
+                        variant="box"
+                        title="Show values in"
+                        options={Object.keys(unitSystems)}
+                        formatOption={(system) => unitSystems[system]?.label}
+                        value={this.props.displayUnits || 'model'}
+                        onChange={(system) => this.props.setDisplayUnits(system)}
+                    />
+                    <IconButton
+                        icon={<Undo16 />}
+                        title="Undo (Ctrl+Z)"
+                        disabled={!this.props.canUndo}
+                        onClick={() => this.props.undoParameters(this.props.activeProject.id)}
+                    />
+                    <IconButton
+                        icon={<Redo16 />}
+                        title="Redo (Ctrl+Y)"
+                        disabled={!this.props.canRedo}
+                        onClick={() => this.props.redoParameters(this.props.activeProject.id)}
+                    />
+                    <IconButton className="copyLinkButton"
+                        icon={<Link16 />}
+                        title={this.state.linkCopied ? "Link copied" : "Copy link"}
+                        disabled={!this.props.activeProject?.id}
+                        onClick={() => this.copyLinkClicked()}
+                    />
+                    <IconButton className="configurationHistoryButton"
+                        icon={<Clock16 />}
+                        title="Configuration history"
+                        disabled={!this.props.activeProject?.id}
+                        onClick={() => this.props.showConfigurationHistory(true)}
+                    />
+                    <IconButton className="parametersFileButton"
+                        icon={<ExportMove16 />}
+                        title="Import / export parameters"
+                        disabled={!parameterList}
+                        onClick={() => this.props.showParametersFile(true)}
+                    />
+                    <IconButton className="batchVariantsButton"
+                        icon={<Grid16 />}
+                        title="Generate variants from a design table"
+                        disabled={!parameterList}
+                        onClick={() => this.props.showBatchVariants(true)}
+                    />
+                </div>
+                <div className="parametersFilter">
+                    <Input className="parametersSearch"
+                        variant="box"
+                        placeholder="Search parameters"
+                        value={this.state.searchText}
+                        onChange={(e) => this.setState({ searchText: e.target.value })}
+                    />
+                    <div className="parametersOnlyChanged">
+                        <Checkbox
+                            checked={this.state.onlyChanged}
+                            onChange={(checked) => this.setState({ onlyChanged: checked })}
+                        />
+                        <span>Show only changed</span>
+                    </div>
                 </div>
                 <div className="parameters">
-                {
-                    parameterList ?
-                        parameterList.map((parameter, index) => (<Parameter key={index} parameter={parameter}/>))
-                        : "No parameters"
-                }
+                    {this.renderParameters(parameterList)}
                 </div>
+                {ruleErrors.length > 0 &&
+                    <div className="parametersRuleErrors">
+                        {ruleErrors.map((error, index) => (<div key={index} className="parametersRuleError">{error}</div>))}
+                    </div>
+                }
                 <hr className="parametersSeparator"/>
                 <div className={buttonsContainerClass}>
                     <Button style={{width: '125px'}}
@@ -95,6 +302,7 @@ export class ParametersContainer extends Component {
                                 size="standard"
                                 title= "Update"
                                 width="grow"
+                                disabled={updateBlocked}
                                 onClick={() => this.updateClicked()}/>
                         </Tooltip>
                     </div>
@@ -107,9 +315,20 @@ export class ParametersContainer extends Component {
                             label={this.props.activeProject.id}
                             icon="/Assembly_icon.svg"
                             onClose={() => this.onModalProgressClose()}
+                            onCancel={() => this.props.cancelJob(jobKinds.update)}
+                            jobKind={jobKinds.update}
                             warningMsg={this.props.adoptWarning}
                         />
                     }
+                    {this.props.activeProject?.id && parameterList &&
+                        <BatchVariants/>
+                    }
+                    {this.props.activeProject?.id && parameterList &&
+                        <ParametersFile/>
+                    }
+                    {this.props.activeProject?.id &&
+                        <ConfigurationHistory/>
+                    }
                     {this.props.updateFailedShowing &&
                         <ModalFail
                             open={this.props.updateFailedShowing}
@@ -137,7 +356,13 @@ export default connect(function (store) {
         errorData: errorData(store),
         projectSourceParameters: getParameters(activeProject.id, store),
         projectUpdateParameters: getUpdateParameters(activeProject.id, store),
+        canUndo: canUndoParameters(activeProject.id, store),
+        canRedo: canRedoParameters(activeProject.id, store),
+        displayUnits: displayUnits(store),
+        activeTabIndex: activeTabIndex(store),
+        pendingChanges: getPendingChanges(activeProject.id, store),
+        rules: getRules(activeProject.id, store),
         adoptWarning: adoptWarning
     };
-}, { fetchParameters, resetParameters, updateModelWithParameters, showModalProgress, showUpdateFailed, invalidateDrawing,
+}, { fetchParameters, fetchRules, resetParameters, updateModelWithParameters, undoParameters, redoParameters, showModalProgress, showUpdateFailed, invalidateDrawing, setDisplayUnits, showBatchVariants, showParametersFile, showConfigurationHistory, cancelJob,
     hideModalProgress: () => async (dispatch) => { dispatch(showModalProgress(false)); } })(ParametersContainer);
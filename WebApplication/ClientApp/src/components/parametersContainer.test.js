@@ -20,6 +20,7 @@ import React from 'react';
 import Enzyme, { shallow } from 'enzyme';
 import Adapter from '@wojtekmaj/enzyme-adapter-react-17';
 import { ParametersContainer } from './parametersContainer';
+import { decodeLinkState } from '../utils/shareLink';
 
 Enzyme.configure({ adapter: new Adapter() });
 
@@ -41,36 +42,43 @@ const params = [
 ];
 
 const fetchMock = jest.fn();
+const fetchRulesMock = jest.fn();
 const projectId = 1;
 
 const emptyProps = {
     activeProject: { id: projectId },
-    fetchParameters: fetchMock
+    fetchParameters: fetchMock,
+    fetchRules: fetchRulesMock
 };
 
 describe('parameters container', () => {
 
     beforeEach(() => {
         fetchMock.mockClear();
+        fetchRulesMock.mockClear();
     });
 
     it('verify fetchParameters called immediatelly when component rendered', () => {
         shallow(<ParametersContainer {...emptyProps} />);
         expect(fetchMock).toHaveBeenCalledWith(projectId);
+        expect(fetchRulesMock).toHaveBeenCalledWith(projectId);
     });
 
     it('verify fetchParameters called immediatelly when active projecte id was changed', () => {
         const noProj = {
             activeProject: {},
-            fetchParameters: fetchMock
+            fetchParameters: fetchMock,
+            fetchRules: fetchRulesMock
         };
 
         const wrapper = shallow(<ParametersContainer {...noProj} />);
         fetchMock.mockClear();
+        fetchRulesMock.mockClear();
 
         const updatedProps = Object.assign(noProj, { activeProject: { id: 2 } });
         wrapper.setProps(updatedProps);
         expect(fetchMock).toHaveBeenCalledWith(2);
+        expect(fetchRulesMock).toHaveBeenCalledWith(2);
     });
 
     it('should show special message for empty parameters', () => {
@@ -101,6 +109,7 @@ describe('parameters container', () => {
         const props = {
             activeProject: { id: projectId },
             fetchParameters: () => {},
+            fetchRules: () => {},
             updateModelWithParameters: fnMock,
             invalidateDrawing: invalidateDrawingMock,
             projectUpdateParameters: null
@@ -112,11 +121,76 @@ describe('parameters container', () => {
         expect(fnMock).toHaveBeenCalledWith(projectId, props.projectUpdateParameters);
     });
 
+    it('blocks update when some parameter is invalid', () => {
+        const fnMock = jest.fn();
+        const invalidParams = [ params[0], { ...params[1], value: '2000 mn' } ];
+        const props = {
+            activeProject: { id: projectId },
+            fetchParameters: () => {},
+            fetchRules: () => {},
+            updateModelWithParameters: fnMock,
+            invalidateDrawing: () => {},
+            projectUpdateParameters: invalidParams
+        };
+
+        const wrapper = shallow(<ParametersContainer {...props} />);
+        const button = wrapper.find('#updateButton');
+        expect(button.prop('disabled')).toEqual(true);
+
+        button.simulate('click');
+        expect(fnMock).not.toHaveBeenCalled();
+
+        const tooltip = wrapper.find('.paramTooltip');
+        expect(tooltip.prop('openOnHover')).toEqual(true);
+        const tooltipContent = shallow(tooltip.prop('content')());
+        expect(tooltipContent.text()).toContain("Width: Unknown unit 'mn'");
+    });
+
+    it('applies the project rules', () => {
+        const rules = { rules: [
+            { when: { Length: '12000 mm' }, hide: [ 'Width' ] },
+            { when: { Length: '12000 mm' }, invalid: 'Too long' }
+        ] };
+        const props = {
+            activeProject: { id: projectId },
+            fetchParameters: () => {},
+            fetchRules: () => {},
+            updateModelWithParameters: jest.fn(),
+            projectUpdateParameters: params,
+            rules
+        };
+
+        const wrapper = shallow(<ParametersContainer {...props} />);
+        expect(wrapper.find('Connect(Parameter)').map(item => item.prop('parameter').name)).toEqual(['Length']);
+        expect(wrapper.find('.parametersRuleError').text()).toEqual('Too long');
+
+        const button = wrapper.find('#updateButton');
+        expect(button.prop('disabled')).toEqual(true);
+        button.simulate('click');
+        expect(props.updateModelWithParameters).not.toHaveBeenCalled();
+
+        const tooltipContent = shallow(wrapper.find('.paramTooltip').prop('content')());
+        expect(tooltipContent.text()).toContain('Too long');
+    });
+
+    it('does not block update for valid parameters', () => {
+        const props = {
+            activeProject: { id: projectId },
+            fetchParameters: () => {},
+            fetchRules: () => {},
+            projectUpdateParameters: params
+        };
+
+        const wrapper = shallow(<ParametersContainer {...props} />);
+        expect(wrapper.find('#updateButton').prop('disabled')).toEqual(false);
+    });
+
     it('Update button has correct props and renders Alert24 icon when adopt message is present', () => {
         const adoptWarning = 'Unsupported plugin!';
         const props = {
             activeProject: { id: projectId },
             fetchParameters: () => {},
+            fetchRules: () => {},
             adoptWarning: adoptWarning
         };
         const wrapper = shallow(<ParametersContainer {...props} />);
@@ -132,6 +206,7 @@ describe('parameters container', () => {
         const props = {
             activeProject: { id: projectId },
             fetchParameters: () => {},
+            fetchRules: () => {},
             adoptWarning: adoptWarning
         };
         const wrapper = shallow(<ParametersContainer {...props} />);
@@ -147,6 +222,7 @@ describe('parameters container', () => {
         const props = {
             activeProject: { id: projectId },
             fetchParameters: () => {},
+            fetchRules: () => {},
             resetParameters: fnMock,
             projectSourceParameters: null
         };
@@ -162,6 +238,7 @@ describe('parameters container', () => {
         const props = {
             activeProject: { id: projectId },
             fetchParameters: () => {},
+            fetchRules: () => {},
             hideModalProgress: handler
         };
 
@@ -175,6 +252,7 @@ describe('parameters container', () => {
         const props = {
             activeProject: { id: projectId },
             fetchParameters: () => {},
+            fetchRules: () => {},
             showUpdateFailed: handler
         };
 
@@ -182,4 +260,250 @@ describe('parameters container', () => {
         wrapper.instance().onUpdateFailedCloseClick();
         expect(handler).toHaveBeenCalledWith(false);
     });
+
+    describe('undo and redo', () => {
+        const undoMock = jest.fn();
+        const redoMock = jest.fn();
+        const props = {
+            activeProject: { id: projectId },
+            fetchParameters: () => {},
+            fetchRules: () => {},
+            undoParameters: undoMock,
+            redoParameters: redoMock,
+            canUndo: true,
+            canRedo: false
+        };
+
+        beforeEach(() => {
+            undoMock.mockClear();
+            redoMock.mockClear();
+        });
+
+        it('connects toolbar buttons', () => {
+            const wrapper = shallow(<ParametersContainer {...props} />);
+            const undoButton = wrapper.find({ title: 'Undo (Ctrl+Z)' });
+            const redoButton = wrapper.find({ title: 'Redo (Ctrl+Y)' });
+            expect(undoButton.prop('disabled')).toEqual(false);
+            expect(redoButton.prop('disabled')).toEqual(true);
+
+            undoButton.simulate('click');
+            expect(undoMock).toHaveBeenCalledWith(projectId);
+            redoButton.simulate('click');
+            expect(redoMock).toHaveBeenCalledWith(projectId);
+        });
+
+        it.each([
+            [{ key: 'z', ctrlKey: true }, 'undo'],
+            [{ key: 'Z', metaKey: true }, 'undo'],
+            [{ key: 'y', ctrlKey: true }, 'redo'],
+            [{ key: 'Z', ctrlKey: true, shiftKey: true }, 'redo']
+        ])('handles keyboard shortcut %o', (keys, expected) => {
+            const wrapper = shallow(<ParametersContainer {...props} />);
+            const preventDefault = jest.fn();
+            wrapper.instance().onKeyDown({ shiftKey: false, ...keys, preventDefault });
+            expect(preventDefault).toHaveBeenCalled();
+            expect(expected === 'undo' ? undoMock : redoMock).toHaveBeenCalledWith(projectId);
+        });
+
+        it('ignores keys without modifier', () => {
+            const wrapper = shallow(<ParametersContainer {...props} />);
+            wrapper.instance().onKeyDown({ key: 'z', preventDefault: () => {} });
+            expect(undoMock).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            [{ tagName: 'INPUT' }],
+            [{ tagName: 'TEXTAREA' }],
+            [{ tagName: 'SELECT' }],
+            [{ tagName: 'DIV', isContentEditable: true }]
+        ])('leaves shortcuts in editable field %o to the field', (target) => {
+            const wrapper = shallow(<ParametersContainer {...props} />);
+            const preventDefault = jest.fn();
+            wrapper.instance().onKeyDown({ key: 'z', ctrlKey: true, shiftKey: false, target, preventDefault });
+            expect(preventDefault).not.toHaveBeenCalled();
+            expect(undoMock).not.toHaveBeenCalled();
+        });
+
+        it('listens to the document keys while mounted', () => {
+            const addSpy = jest.spyOn(document, 'addEventListener');
+            const removeSpy = jest.spyOn(document, 'removeEventListener');
+
+            const wrapper = shallow(<ParametersContainer {...props} />);
+            const handler = wrapper.instance().onKeyDown;
+            expect(addSpy).toHaveBeenCalledWith('keydown', handler);
+
+            wrapper.unmount();
+            expect(removeSpy).toHaveBeenCalledWith('keydown', handler);
+
+            addSpy.mockRestore();
+            removeSpy.mockRestore();
+        });
+    });
+
+    describe('search, grouping and filter', () => {
+        const groupedParams = [
+            { name: 'Length', label: 'Frame: Length', value: '12000 mm', units: 'mm', allowedValues: [] },
+            { name: 'Note', label: 'Note', value: 'abc', units: 'Text', allowedValues: [] },
+            { name: 'Width', label: 'Frame: Width', value: '2000 mm', units: 'mm', allowedValues: [] },
+            { name: 'Jaw', label: 'Jaw Offset', value: '10 mm', units: 'mm', allowedValues: [], group: 'Jaw', changedOnUpdate: true }
+        ];
+
+        const props = {
+            activeProject: { id: projectId },
+            fetchParameters: () => {},
+            fetchRules: () => {},
+            projectUpdateParameters: groupedParams,
+            projectSourceParameters: groupedParams
+        };
+
+        const shownParameters = (wrapper) => wrapper.find('.parameters').find('Connect(Parameter)').map(item => item.prop('parameter').name);
+
+        it('groups parameters by category', () => {
+            const wrapper = shallow(<ParametersContainer {...props} />);
+
+            expect(wrapper.find('.parameterGroupName').map(item => item.text())).toEqual(['Frame', 'Jaw']);
+            expect(shownParameters(wrapper)).toEqual(['Length', 'Width', 'Note', 'Jaw']);
+            expect(wrapper.find('.parameterGroupBadge.changed').text()).toEqual('1');
+        });
+
+        it('collapses and expands the group', () => {
+            const wrapper = shallow(<ParametersContainer {...props} />);
+
+            wrapper.find('.parameterGroupHeader').first().simulate('click');
+            expect(shownParameters(wrapper)).toEqual(['Note', 'Jaw']);
+            expect(wrapper.find('CaretRight16')).toHaveLength(1);
+
+            wrapper.find('.parameterGroupHeader').first().simulate('click');
+            expect(shownParameters(wrapper)).toEqual(['Length', 'Width', 'Note', 'Jaw']);
+        });
+
+        it('filters by search text and expands collapsed groups', () => {
+            const wrapper = shallow(<ParametersContainer {...props} />);
+            wrapper.find('.parameterGroupHeader').first().simulate('click');
+
+            wrapper.find('.parametersSearch').simulate('change', { target: { value: 'wid' } });
+            expect(shownParameters(wrapper)).toEqual(['Width']);
+
+            wrapper.find('.parametersSearch').simulate('change', { target: { value: 'xyz' } });
+            expect(wrapper.find('.parameters').prop('children')).toEqual('No matching parameters');
+        });
+
+        it('shows only changed parameters', () => {
+            const edited = groupedParams.map(param => param.name === 'Note' ? { ...param, value: 'def' } : param);
+            const wrapper = shallow(<ParametersContainer {...props} projectUpdateParameters={edited} />);
+
+            wrapper.find('.parametersOnlyChanged Checkbox').simulate('change', true);
+            expect(shownParameters(wrapper)).toEqual(['Note', 'Jaw']);
+        });
+    });
+
+    describe('copy link', () => {
+        const props = {
+            activeProject: { id: 'Wrench' },
+            fetchParameters: () => {},
+            fetchRules: () => {},
+            projectUpdateParameters: params,
+            activeTabIndex: 1,
+            pendingChanges: [{ name: 'Width', label: 'Width', oldValue: '2000 mm', newValue: '3000 mm' }]
+        };
+
+        afterEach(() => {
+            delete navigator.clipboard;
+        });
+
+        it('copies link with the project, tab and edited values', async () => {
+            const writeText = jest.fn().mockResolvedValue();
+            navigator.clipboard = { writeText };
+
+            const wrapper = shallow(<ParametersContainer {...props} />);
+            await wrapper.instance().copyLinkClicked();
+
+            const link = writeText.mock.calls[0][0];
+            const state = decodeLinkState(new URL(link).hash);
+            expect(state).toEqual({ projectId: 'Wrench', tabIndex: 1, values: { Width: '3000 mm' } });
+            expect(wrapper.find('.copyLinkButton').prop('title')).toEqual('Link copied');
+            wrapper.unmount();
+        });
+
+        it('lets user copy the link when clipboard is not available', async () => {
+            const promptSpy = jest.spyOn(window, 'prompt').mockImplementation(() => {});
+
+            const wrapper = shallow(<ParametersContainer {...props} />);
+            await wrapper.instance().copyLinkClicked();
+
+            expect(promptSpy).toHaveBeenCalledWith('Copy link', expect.stringContaining('#project=Wrench&tab=1&values='));
+            expect(wrapper.find('.copyLinkButton').prop('title')).toEqual('Copy link');
+            promptSpy.mockRestore();
+        });
+    });
+
+    it('opens configuration history', () => {
+        const showConfigurationHistoryMock = jest.fn();
+        const props = {
+            activeProject: { id: projectId },
+            fetchParameters: () => {},
+            fetchRules: () => {},
+            projectUpdateParameters: params,
+            showConfigurationHistory: showConfigurationHistoryMock
+        };
+
+        const wrapper = shallow(<ParametersContainer {...props} />);
+        expect(wrapper.find('Connect(ConfigurationHistory)')).toHaveLength(1);
+
+        wrapper.find('.configurationHistoryButton').simulate('click');
+        expect(showConfigurationHistoryMock).toHaveBeenCalledWith(true);
+    });
+
+    it('opens import / export dialog', () => {
+        const showParametersFileMock = jest.fn();
+        const props = {
+            activeProject: { id: projectId },
+            fetchParameters: () => {},
+            fetchRules: () => {},
+            projectUpdateParameters: params,
+            showParametersFile: showParametersFileMock
+        };
+
+        const wrapper = shallow(<ParametersContainer {...props} />);
+        expect(wrapper.find('Connect(ParametersFile)')).toHaveLength(1);
+
+        wrapper.find('.parametersFileButton').simulate('click');
+        expect(showParametersFileMock).toHaveBeenCalledWith(true);
+    });
+
+    it('opens batch variants dialog', () => {
+        const showBatchVariantsMock = jest.fn();
+        const props = {
+            activeProject: { id: projectId },
+            fetchParameters: () => {},
+            fetchRules: () => {},
+            projectUpdateParameters: params,
+            showBatchVariants: showBatchVariantsMock
+        };
+
+        const wrapper = shallow(<ParametersContainer {...props} />);
+        expect(wrapper.find('Connect(BatchVariants)')).toHaveLength(1);
+
+        wrapper.find('.batchVariantsButton').simulate('click');
+        expect(showBatchVariantsMock).toHaveBeenCalledWith(true);
+    });
+
+    it('switches display units', () => {
+        const setDisplayUnitsMock = jest.fn();
+        const props = {
+            activeProject: { id: projectId },
+            fetchParameters: () => {},
+            fetchRules: () => {},
+            displayUnits: 'metric',
+            setDisplayUnits: setDisplayUnitsMock
+        };
+
+        const wrapper = shallow(<ParametersContainer {...props} />);
+        const dropdown = wrapper.find('.unitSystem');
+        expect(dropdown.prop('value')).toEqual('metric');
+        expect(dropdown.prop('formatOption')('imperial')).toEqual('Imperial');
+
+        dropdown.simulate('change', 'imperial');
+        expect(setDisplayUnitsMock).toHaveBeenCalledWith('imperial');
+    });
 });
@@ -0,0 +1,213 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import Modal from '@hig/modal';
+import Button from '@hig/button';
+import IconButton from '@hig/icon-button';
+import Input from '@hig/input';
+import Label from '@hig/label';
+import Spacer from '@hig/spacer';
+import { Folder24 } from '@hig/icons';
+import merge from "lodash.merge";
+import { getActiveProject, getUpdateParameters, parametersFileDlgVisible } from '../reducers/mainReducer';
+import { showParametersFile } from '../actions/uiFlagsActions';
+import { importParameters } from '../actions/parametersActions';
+import { exportParametersJson, exportParametersCsv } from '../utils/parameterFile';
+import './parametersFile.css';
+
+const statusLabels = {
+    applied: 'Applied',
+    converted: 'Applied',
+    unchanged: 'Unchanged',
+    unknown: 'Unknown name',
+    readonly: 'Skipped',
+    unitMismatch: 'Unit mismatch',
+    notAllowed: 'Not allowed'
+};
+
+const appliedStatuses = ['applied', 'converted'];
+
+/** Let browser save the text as a file */
+export function saveTextFile(text, fileName, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+export class ParametersFile extends Component {
+
+    constructor(props) {
+        super(props);
+        this.onFileChange = this.onFileChange.bind(this);
+        this.state = {
+            fileName: '',
+            report: null,
+            importError: null
+        };
+    }
+
+    exportClicked(format) {
+        const projectId = this.props.activeProject.id;
+        const parameters = this.props.projectUpdateParameters || [];
+        if (format === 'csv')
+            saveTextFile(exportParametersCsv(parameters), `${projectId}-parameters.csv`, 'text/csv');
+        else
+            saveTextFile(exportParametersJson(parameters), `${projectId}-parameters.json`, 'application/json');
+    }
+
+    async onFileChange(e) {
+        if (e.target.files.length === 0)
+            return;
+
+        const file = e.target.files[0];
+        await this.importText(await file.text(), file.name);
+        // allow to import the same file again
+        e.target.value = '';
+    }
+
+    async importText(text, fileName) {
+        try {
+            const report = await this.props.importParameters(this.props.activeProject.id, text, fileName);
+            this.setState({ fileName, report, importError: null });
+        } catch (error) {
+            this.setState({ fileName, report: null, importError: error.message });
+        }
+    }
+
+    renderReport() {
+        const report = this.state.report;
+        if (!report)
+            return null;
+
+        const applied = report.filter(row => appliedStatuses.includes(row.status)).length;
+        const skipped = report.filter(row => !appliedStatuses.includes(row.status) && row.status !== 'unchanged').length;
+
+        return (
+            <React.Fragment>
+                <div className="importSummary">{`${applied} applied, ${skipped} skipped`}</div>
+                <div className="importReport">
+                    <table>
+                        <tbody>
+                            {report.map(row => (
+                                <tr key={row.name} className={`importRow ${row.status}`}>
+                                    <td className="importName">{row.name}</td>
+                                    <td className="importStatus">{statusLabels[row.status]}</td>
+                                    <td className="importMessage">{row.message}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </React.Fragment>
+        );
+    }
+
+    render() {
+        const modalStyles = /* istanbul ignore next */ styles =>
+            merge(styles, {
+                modal: {
+                    window: { // by design
+                        width: "500px"
+                    }
+                }
+            });
+
+        return (
+            <Modal
+            open={this.props.parametersFileDlgVisible}
+            title="Import / Export parameters"
+            onCloseClick={() => { this.props.showParametersFile(false); }}
+            stylesheet={modalStyles} >
+                <div id="parametersFileModal">
+                    <Label variant="top" disabled={false}>Export current values</Label>
+                    <div className="exportButtons">
+                        <Button id="export_json_button"
+                            size="small"
+                            title="Export JSON"
+                            type="secondary"
+                            onClick={() => this.exportClicked('json')}
+                        />
+                        <div style={{width: '14px'}}/>
+                        <Button id="export_csv_button"
+                            size="small"
+                            title="Export CSV"
+                            type="secondary"
+                            onClick={() => this.exportClicked('csv')}
+                        />
+                    </div>
+                    <Spacer spacing="m"/>
+                    <div className="fileBrowseContainer">
+                        <div className="stretch">
+                            <Label variant="top" disabled={false}>
+                                Import values (JSON or CSV)
+                            </Label>
+                            <Input id="parameters_file"
+                                variant="box"
+                                value={this.state.fileName}
+                                disabled={true}
+                            />
+                        </div>
+                        <div className="browseButton">
+                            <label htmlFor="parametersFileInput">
+                                <IconButton
+                                    icon={<Folder24 />}
+                                    title="Browse parameters file"
+                                    onClick={ () => { document.getElementById("parametersFileInput").click(); }}
+                                />
+                            </label>
+                            <input id="parametersFileInput"
+                                type="file"
+                                accept=".csv,.json"
+                                onChange={this.onFileChange}
+                            />
+                        </div>
+                    </div>
+                    {this.state.importError && <div className="importError">{this.state.importError}</div>}
+                    {this.renderReport()}
+                    <Spacer spacing="l"/>
+                    <div className="buttonsContainer">
+                        <Button
+                            id="parameters_file_close_button"
+                            size="standard"
+                            title="Close"
+                            type="primary"
+                            onClick={() => { this.props.showParametersFile(false); }}
+                        />
+                    </div>
+                </div>
+            </Modal>
+        );
+    }
+}
+
+/* istanbul ignore next */
+export default connect(function (store) {
+    const activeProject = getActiveProject(store);
+    return {
+        activeProject: activeProject,
+        parametersFileDlgVisible: parametersFileDlgVisible(store),
+        projectUpdateParameters: getUpdateParameters(activeProject.id, store)
+    };
+}, { showParametersFile, importParameters })(ParametersFile);
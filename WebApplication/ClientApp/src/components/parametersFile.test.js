@@ -0,0 +1,104 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import React from 'react';
+import Enzyme, { shallow } from 'enzyme';
+import Adapter from '@wojtekmaj/enzyme-adapter-react-17';
+import { ParametersFile, saveTextFile } from './parametersFile';
+
+Enzyme.configure({ adapter: new Adapter() });
+
+const projectId = 'Wrench';
+const parameters = [
+    { name: 'Width', value: '10 mm', units: 'mm', label: 'Width', allowedValues: [] }
+];
+
+const baseProps = {
+    activeProject: { id: projectId },
+    parametersFileDlgVisible: true,
+    projectUpdateParameters: parameters,
+    showParametersFile: () => {}
+};
+
+describe('parameters file', () => {
+    beforeEach(() => {
+        URL.createObjectURL = jest.fn(() => 'blob:url');
+        URL.revokeObjectURL = jest.fn();
+    });
+
+    it('exports JSON and CSV files', () => {
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        const wrapper = shallow(<ParametersFile {...baseProps} />);
+
+        wrapper.find('#export_json_button').simulate('click');
+        wrapper.find('#export_csv_button').simulate('click');
+
+        expect(clickSpy).toHaveBeenCalledTimes(2);
+        expect(URL.createObjectURL.mock.calls.map(call => call[0].type)).toEqual(['application/json', 'text/csv']);
+        expect(clickSpy.mock.instances.map(link => link.download)).toEqual(['Wrench-parameters.json', 'Wrench-parameters.csv']);
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:url');
+        clickSpy.mockRestore();
+    });
+
+    it('saves text file', () => {
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+        saveTextFile('abc', 'a.txt', 'text/plain');
+
+        expect(clickSpy.mock.instances[0].href).toEqual('blob:url');
+        expect(document.querySelector('a[download]')).toBeNull();
+        clickSpy.mockRestore();
+    });
+
+    it('shows the import report', async () => {
+        const report = [
+            { name: 'Width', status: 'converted', message: 'Converted from in' },
+            { name: 'Depth', status: 'unknown', message: 'No such parameter in the project' },
+            { name: 'Height', status: 'unchanged', message: null }
+        ];
+        const importParameters = jest.fn().mockResolvedValue(report);
+        const wrapper = shallow(<ParametersFile {...baseProps} importParameters={importParameters} />);
+
+        await wrapper.instance().importText('{}', 'values.json');
+        wrapper.update();
+
+        expect(importParameters).toHaveBeenCalledWith(projectId, '{}', 'values.json');
+        expect(wrapper.find('#parameters_file').prop('value')).toEqual('values.json');
+        expect(wrapper.find('.importSummary').text()).toEqual('1 applied, 1 skipped');
+        expect(wrapper.find('.importStatus').map(item => item.text())).toEqual(['Applied', 'Unknown name', 'Unchanged']);
+    });
+
+    it('shows import error', async () => {
+        const importParameters = jest.fn().mockRejectedValue(new Error('Invalid JSON: oops'));
+        const wrapper = shallow(<ParametersFile {...baseProps} importParameters={importParameters} />);
+
+        await wrapper.instance().importText('{', 'values.json');
+        wrapper.update();
+
+        expect(wrapper.find('.importError').text()).toEqual('Invalid JSON: oops');
+        expect(wrapper.find('.importReport')).toHaveLength(0);
+    });
+
+    it('closes the dialog', () => {
+        const showParametersFile = jest.fn();
+        const wrapper = shallow(<ParametersFile {...baseProps} showParametersFile={showParametersFile} />);
+
+        wrapper.find('#parameters_file_close_button').simulate('click');
+        expect(showParametersFile).toHaveBeenCalledWith(false);
+    });
+});
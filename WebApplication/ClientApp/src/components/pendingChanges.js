@@ -0,0 +1,65 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import React, { Component } from 'react';
+import Button from '@hig/button';
+import IconButton from '@hig/icon-button';
+import { Undo16 } from '@hig/icons';
+import './pendingChanges.css';
+
+/** Lists parameter changes, which are going to be sent to Inventor with the next update */
+export class PendingChanges extends Component {
+
+    render() {
+        const changes = this.props.changes;
+        if (!changes?.length)
+            return null;
+
+        return (
+            <div className="pendingChanges">
+                <div className="pendingChangesHeader">
+                    <span className="pendingChangesTitle">Pending changes ({changes.length})</span>
+                    <Button className="pendingChangesRevertAll"
+                        type="flat"
+                        size="small"
+                        width="shrink"
+                        title="Revert all"
+                        onClick={() => this.props.onRevertAll()}
+                    />
+                </div>
+                <div className="pendingChangesList">
+                    {changes.map((change) => (
+                        <div className="pendingChangesRow" key={change.name}>
+                            <span className="pendingChangesLabel">{change.label}</span>
+                            <span className="pendingChangesOld">{change.oldValue}</span>
+                            <span className="pendingChangesArrow">&rarr;</span>
+                            <span className="pendingChangesNew">{change.newValue}</span>
+                            <IconButton
+                                icon={<Undo16 />}
+                                title="Revert"
+                                onClick={() => this.props.onRevert(change)}
+                            />
+                        </div>
+                    ))}
+                </div>
+            </div>
+        );
+    }
+}
+
+export default PendingChanges;
@@ -0,0 +1,63 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import React from 'react';
+import Enzyme, { shallow } from 'enzyme';
+import Adapter from '@wojtekmaj/enzyme-adapter-react-17';
+import { PendingChanges } from './pendingChanges';
+
+Enzyme.configure({ adapter: new Adapter() });
+
+const changes = [
+    { name: 'Length', label: 'Length', oldValue: '10 mm', newValue: '20 mm' },
+    { name: 'Note', label: 'Part Note', oldValue: 'abc', newValue: 'def' }
+];
+
+describe('pending changes', () => {
+    it('renders nothing without changes', () => {
+        const wrapper = shallow(<PendingChanges changes={[]} />);
+        expect(wrapper.isEmptyRender()).toEqual(true);
+    });
+
+    it('lists the changes', () => {
+        const wrapper = shallow(<PendingChanges changes={changes} />);
+        expect(wrapper.find('.pendingChangesTitle').text()).toEqual('Pending changes (2)');
+
+        const rows = wrapper.find('.pendingChangesRow');
+        expect(rows).toHaveLength(2);
+        expect(rows.at(1).find('.pendingChangesLabel').text()).toEqual('Part Note');
+        expect(rows.at(1).find('.pendingChangesOld').text()).toEqual('abc');
+        expect(rows.at(1).find('.pendingChangesNew').text()).toEqual('def');
+    });
+
+    it('reverts single change', () => {
+        const onRevert = jest.fn();
+        const wrapper = shallow(<PendingChanges changes={changes} onRevert={onRevert} />);
+
+        wrapper.find('.pendingChangesRow').at(1).find('IconButton').simulate('click');
+        expect(onRevert).toHaveBeenCalledWith(changes[1]);
+    });
+
+    it('reverts all changes', () => {
+        const onRevertAll = jest.fn();
+        const wrapper = shallow(<PendingChanges changes={changes} onRevertAll={onRevertAll} />);
+
+        wrapper.find('.pendingChangesRevertAll').simulate('click');
+        expect(onRevertAll).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,139 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import Input from '@hig/input';
+import IconButton from '@hig/icon-button';
+import Typography from '@hig/typography';
+import { Save16, Edit16, Trash16 } from '@hig/icons';
+import { getActiveProject, getPresets } from '../reducers/mainReducer';
+import { fetchPresets, savePreset, applyPreset, renamePreset, deletePreset } from '../actions/presetsActions';
+import './presets.css';
+
+export class Presets extends Component {
+
+    constructor(props) {
+        super(props);
+        this.state = {
+            newName: '',
+            renaming: null,
+            renameTo: ''
+        };
+    }
+
+    componentDidMount() {
+        this.props.fetchPresets(this.props.activeProject.id);
+    }
+
+    componentDidUpdate(prevProps) {
+        if (this.props.activeProject.id !== prevProps.activeProject.id)
+            this.props.fetchPresets(this.props.activeProject.id);
+    }
+
+    onSaveClick() {
+        this.props.savePreset(this.props.activeProject.id, this.state.newName);
+        this.setState({ newName: '' });
+    }
+
+    onRenameStart(preset) {
+        this.setState({ renaming: preset.name, renameTo: preset.name });
+    }
+
+    onRenameCommit() {
+        this.props.renamePreset(this.props.activeProject.id, this.state.renaming, this.state.renameTo);
+        this.setState({ renaming: null, renameTo: '' });
+    }
+
+    onRenameKeyDown(e) {
+        if (e.key === 'Enter') {
+            this.onRenameCommit();
+        } else if (e.key === 'Escape') {
+            this.setState({ renaming: null, renameTo: '' });
+        }
+    }
+
+    renderPreset(preset) {
+        const projectId = this.props.activeProject.id;
+        const isRenaming = this.state.renaming === preset.name;
+
+        return (
+            <div className="presetRow" key={preset.name}>
+                {isRenaming ?
+                    <Input className="presetRename"
+                        variant="box"
+                        value={this.state.renameTo}
+                        onChange={(e) => this.setState({ renameTo: e.target.value })}
+                        onKeyDown={(e) => this.onRenameKeyDown(e)}
+                    />
+                    :
+                    <a className="presetName" href="" title="Apply preset" onClick={(e) => {
+                        e.preventDefault();
+                        this.props.applyPreset(projectId, preset);
+                    }}>{preset.name}</a>
+                }
+                <IconButton
+                    icon={isRenaming ? <Save16 /> : <Edit16 />}
+                    title={isRenaming ? "Save name" : "Rename preset"}
+                    onClick={() => isRenaming ? this.onRenameCommit() : this.onRenameStart(preset)}
+                />
+                <IconButton
+                    icon={<Trash16 />}
+                    title="Delete preset"
+                    onClick={() => this.props.deletePreset(projectId, preset.name)}
+                />
+            </div>
+        );
+    }
+
+    render() {
+        const presets = this.props.presets || [];
+        const canSave = this.state.newName.trim().length > 0;
+
+        return (
+            <div className="presets">
+                <Typography className="presetsTitle">Presets</Typography>
+                <div className="presetRow">
+                    <Input className="presetNewName"
+                        variant="box"
+                        placeholder="Save current values as..."
+                        value={this.state.newName}
+                        onChange={(e) => this.setState({ newName: e.target.value })}
+                        onKeyDown={(e) => { if (e.key === 'Enter' && canSave) this.onSaveClick(); }}
+                    />
+                    <IconButton
+                        icon={<Save16 />}
+                        title="Save preset"
+                        disabled={!canSave}
+                        onClick={() => this.onSaveClick()}
+                    />
+                </div>
+                {presets.map(preset => this.renderPreset(preset))}
+            </div>
+        );
+    }
+}
+
+/* istanbul ignore next */
+export default connect(function (store) {
+    const activeProject = getActiveProject(store);
+    return {
+        activeProject: activeProject,
+        presets: getPresets(activeProject.id, store)
+    };
+}, { fetchPresets, savePreset, applyPreset, renamePreset, deletePreset })(Presets);
@@ -0,0 +1,88 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import React from 'react';
+import Enzyme, { shallow } from 'enzyme';
+import Adapter from '@wojtekmaj/enzyme-adapter-react-17';
+import { Presets } from './presets';
+
+Enzyme.configure({ adapter: new Adapter() });
+
+const presets = [
+    { name: 'Small', values: { Width: '10 mm' } },
+    { name: 'Large', values: { Width: '100 mm' } }
+];
+
+const baseProps = {
+    activeProject: { id: 'projectA' },
+    presets,
+    fetchPresets: () => {}
+};
+
+describe('presets', () => {
+
+    it('fetches presets for the active project', () => {
+        const fetchMock = jest.fn();
+        const wrapper = shallow(<Presets {...baseProps} fetchPresets={fetchMock} />);
+        expect(fetchMock).toHaveBeenCalledWith('projectA');
+
+        wrapper.setProps({ activeProject: { id: 'projectB' } });
+        expect(fetchMock).toHaveBeenCalledWith('projectB');
+    });
+
+    it('lists presets and applies the clicked one', () => {
+        const applyMock = jest.fn();
+        const wrapper = shallow(<Presets {...baseProps} applyPreset={applyMock} />);
+        const names = wrapper.find('.presetName');
+        expect(names.map(n => n.text())).toEqual([ 'Small', 'Large' ]);
+
+        names.at(1).simulate('click', { preventDefault: () => {} });
+        expect(applyMock).toHaveBeenCalledWith('projectA', presets[1]);
+    });
+
+    it('saves preset with the entered name', () => {
+        const saveMock = jest.fn();
+        const wrapper = shallow(<Presets {...baseProps} savePreset={saveMock} />);
+        expect(wrapper.find({ title: 'Save preset' }).prop('disabled')).toEqual(true);
+
+        wrapper.find('.presetNewName').simulate('change', { target: { value: 'Medium' } });
+        wrapper.find({ title: 'Save preset' }).simulate('click');
+        expect(saveMock).toHaveBeenCalledWith('projectA', 'Medium');
+        expect(wrapper.find('.presetNewName').prop('value')).toEqual('');
+    });
+
+    it('renames preset', () => {
+        const renameMock = jest.fn();
+        const wrapper = shallow(<Presets {...baseProps} renamePreset={renameMock} />);
+        wrapper.find({ title: 'Rename preset' }).first().simulate('click');
+
+        const input = wrapper.find('.presetRename');
+        expect(input.prop('value')).toEqual('Small');
+        input.simulate('change', { target: { value: 'Tiny' } });
+        wrapper.find('.presetRename').simulate('keyDown', { key: 'Enter' });
+        expect(renameMock).toHaveBeenCalledWith('projectA', 'Small', 'Tiny');
+        expect(wrapper.find('.presetRename').length).toEqual(0);
+    });
+
+    it('deletes preset', () => {
+        const deleteMock = jest.fn();
+        const wrapper = shallow(<Presets {...baseProps} deletePreset={deleteMock} />);
+        wrapper.find({ title: 'Delete preset' }).at(1).simulate('click');
+        expect(deleteMock).toHaveBeenCalledWith('projectA', 'Large');
+    });
+});
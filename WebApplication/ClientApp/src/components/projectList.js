@@ -23,7 +23,8 @@ import IconButton from '@hig/icon-button';
 import { Upload24, Trash24 } from '@hig/icons';
 import './projectList.css';
 import { showUploadPackage, updateActiveTabIndex, showDeleteProject, showModalProgress, invalidateDrawing } from '../actions/uiFlagsActions';
-import { setUploadProgressHidden, hideUploadFailed } from '../actions/uploadPackageActions';
+import { setUploadProgressHidden, hideUploadFailed, cancelUpload } from '../actions/uploadPackageActions';
+import { jobKinds } from '../actions/jobsActions';
 import { updateActiveProject } from '../actions/projectListActions';
 import UploadPackage from './uploadPackage';
 import DeleteProject from './deleteProject';
@@ -31,7 +32,7 @@ import DeleteProject from './deleteProject';
 import ModalProgressUpload from './modalProgressUpload';
 import ModalProgress from './modalProgress';
 import ModalFail from './modalFail';
-import { uploadProgressShowing, uploadProgressIsDone, uploadPackageData, uploadFailedShowing,
+import { uploadProgressShowing, uploadProgressIsDone, uploadBytesProgress, uploadPackageData, uploadFailedShowing,
   checkedProjects, modalProgressShowing, errorData, getAdoptWarnings } from '../reducers/mainReducer';
 import CheckboxTable from './checkboxTable';
 import { fullWarningMsg } from '../utils/conversion';
@@ -114,6 +115,9 @@ export class ProjectList extends Component {
                     icon='Archive.svg'
                     onClose={() => {this.onProgressCloseClick(); }}
                     onOpen={() => {this.onProgressOpenClick(); }}
+                    onCancel={() => {this.props.cancelUpload(); }}
+                    jobKind={jobKinds.adopt}
+                    bytesProgress={this.props.uploadBytesProgress}
                     url={null}
                     isDone={() => this.isDone() === true }
                     warningMsg={this.isDone() ? this.props.adoptWarning : null}
@@ -150,6 +154,7 @@ export default connect(function (store) {
     checkedProjects: checkedProjects(store),
     uploadProgressShowing: uploadProgressShowing(store),
     uploadProgressIsDone: uploadProgressIsDone(store),
+    uploadBytesProgress: uploadBytesProgress(store),
     uploadPackageData: uploadPackageData(store),
     uploadProjectName: uploadProjectName,
     uploadFailedShowing: uploadFailedShowing(store),
@@ -158,4 +163,4 @@ export default connect(function (store) {
     adoptWarning: adoptWarning
   };
 }, { showUploadPackage, updateActiveProject, updateActiveTabIndex, setUploadProgressHidden, hideUploadFailed,
-  showDeleteProject, showModalProgress, invalidateDrawing })(ProjectList);
+  showDeleteProject, showModalProgress, invalidateDrawing, cancelUpload })(ProjectList);
@@ -18,12 +18,15 @@
 
 import React, { Component } from 'react';
 import { connect } from 'react-redux';
-import { loadProfile } from '../actions/profileActions';
-import { getProfile, loginFailedShowing } from '../reducers/mainReducer';
+import { loadProfile, signIn, sessionStatuses } from '../actions/profileActions';
+import { getProfile, loginFailedShowing, sessionStatus, sessionExpiresAt } from '../reducers/mainReducer';
 import UserDetails from './userDetails.js';
+import JobTray from './jobTray';
 import ModalFail from './modalFail';
 import { showLoginFailed } from '../actions/uiFlagsActions';
 import './toolbar.css';
+import Banner from '@hig/banner';
+import Button from '@hig/button';
 
 import TopNav, {
   Logo,
@@ -35,7 +38,7 @@ import TopNav, {
 
 
 import styled from 'styled-components';
-import { Service24 } from "@hig/icons";
+import { Service24, List24 } from "@hig/icons";
 
 const PlaceCenterContainer = styled.div`
   align-items: center;
@@ -43,6 +46,11 @@ const PlaceCenterContainer = styled.div`
 `;
 
 export class Toolbar extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { sessionWarningDismissed: false };
+  }
+
   componentDidMount() {
     this.props.loadProfile();
   }
@@ -52,6 +60,24 @@ export class Toolbar extends Component {
     this.logout();
   }
 
+  componentDidUpdate(prevProps) {
+    // the dismissed warning is shown again when the session expires
+    if (prevProps.sessionStatus !== this.props.sessionStatus && this.state.sessionWarningDismissed)
+      this.setState({ sessionWarningDismissed: false });
+  }
+
+  sessionWarning() {
+    if (this.props.sessionStatus === sessionStatuses.expired)
+      return 'Your session has expired. Sign in again to continue, unsaved parameter changes are kept.';
+
+    if (this.props.sessionStatus === sessionStatuses.expiring && !this.state.sessionWarningDismissed) {
+      const time = new Date(this.props.sessionExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      return `Your session expires at ${time}. Sign in again to keep working, unsaved parameter changes are kept.`;
+    }
+
+    return null;
+  }
+
   logout() {
     const logoutFrame = document.getElementById('hiddenLogoutFrame');
     logoutFrame.onload = () => {
@@ -79,6 +105,9 @@ export class Toolbar extends Component {
               </PlaceCenterContainer>
               <Interactions>
                 <Separator />
+                <NavAction title="Jobs" icon={<List24 />}>
+                  <JobTray />
+                </NavAction>
                 <NavAction title="Log" icon={<Service24 />}>
                   <div>
                     <h3>Navigation Action</h3>
@@ -90,13 +119,30 @@ export class Toolbar extends Component {
                 </NavAction>
                 <span id="ProfileActionHolder">
                 <ProfileAction avatarName={this.props.profile.name} avatarImage={this.props.profile.avatarUrl}>
-                  <UserDetails profile={this.props.profile} logout={this.logout} />
+                  <UserDetails profile={this.props.profile} logout={this.logout} signIn={this.props.signIn} sessionStatus={this.props.sessionStatus} />
                 </ProfileAction>
                 </span>
               </Interactions>
             </React.Fragment>
           }
         />
+        {this.sessionWarning() &&
+          <div className="session-banner">
+            <Banner
+              type={this.props.sessionStatus === sessionStatuses.expired ? "urgent" : "warning"}
+              actions={({ isWrappingActions }) => (
+                <Banner.Interactions isWrappingActions={isWrappingActions}>
+                  <Banner.Action>
+                    <Button type="secondary" size="small" title="Sign In" onClick={() => this.props.signIn()} />
+                  </Banner.Action>
+                </Banner.Interactions>
+              )}
+              onDismiss={this.props.sessionStatus === sessionStatuses.expired ? undefined : () => this.setState({ sessionWarningDismissed: true })}
+            >
+              {this.sessionWarning()}
+            </Banner>
+          </div>
+        }
         {this.props.loginFailedShowing &&
           <ModalFail
               open={this.props.loginFailedShowing}
@@ -115,6 +161,8 @@ export class Toolbar extends Component {
 export default connect(function (store) {
   return {
     profile: getProfile(store),
-    loginFailedShowing: loginFailedShowing(store)
+    loginFailedShowing: loginFailedShowing(store),
+    sessionStatus: sessionStatus(store),
+    sessionExpiresAt: sessionExpiresAt(store)
   };
-}, { loadProfile, showLoginFailed })(Toolbar);
+}, { loadProfile, showLoginFailed, signIn })(Toolbar);
@@ -20,6 +20,7 @@ import React from 'react';
 import Enzyme, { shallow } from 'enzyme';
 import Adapter from '@wojtekmaj/enzyme-adapter-react-17';
 import { Toolbar } from './toolbar';
+import { sessionStatuses } from '../actions/profileActions';
 
 
 Enzyme.configure({ adapter: new Adapter() });
@@ -66,5 +67,44 @@ describe('Components', () => {
       expect(profileActionWrapper.prop('avatarName')).toEqual(toolbarProps.profile.name);
       expect(profileActionWrapper.prop('avatarImage')).toEqual(toolbarProps.profile.avatarUrl);
     });
+
+    describe('session warning', () => {
+      const props = {
+        loadProfile: () => {},
+        profile: { name: 'profileName', avatarUrl: 'avatarUrl', isLoggedIn: true }
+      };
+
+      it('is hidden for active session', () => {
+        const wrapper = shallow(<Toolbar {...props} sessionStatus={sessionStatuses.active} />);
+        expect(wrapper.find('.session-banner').exists()).toEqual(false);
+      });
+
+      it('warns about expiring session', () => {
+        const signIn = jest.fn();
+        const wrapper = shallow(<Toolbar {...props} sessionStatus={sessionStatuses.expiring} sessionExpiresAt={Date.now()} signIn={signIn} />);
+
+        const banner = wrapper.find('.session-banner').find('Banner');
+        expect(banner.prop('type')).toEqual('warning');
+        expect(banner.children().text()).toContain('Your session expires at');
+
+        const actions = shallow(banner.prop('actions')({ isWrappingActions: false }));
+        actions.find('Button').simulate('click');
+        expect(signIn).toHaveBeenCalled();
+
+        banner.prop('onDismiss')();
+        expect(wrapper.find('.session-banner').exists()).toEqual(false);
+      });
+
+      it('shows expired session until sign in', () => {
+        const wrapper = shallow(<Toolbar {...props} sessionStatus={sessionStatuses.expiring} sessionExpiresAt={Date.now()} />);
+        wrapper.find('Banner').prop('onDismiss')();
+
+        wrapper.setProps({ sessionStatus: sessionStatuses.expired });
+        const banner = wrapper.find('Banner');
+        expect(banner.prop('type')).toEqual('urgent');
+        expect(banner.prop('onDismiss')).toBeUndefined();
+        expect(banner.children().text()).toContain('Your session has expired');
+      });
+    });
   });
 });
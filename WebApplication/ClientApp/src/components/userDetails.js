@@ -20,6 +20,7 @@ import React, { Component } from 'react';
 import Avatar from '@hig/avatar';
 import "./userDetails.css";
 import Button from '@hig/button';
+import { sessionStatuses } from '../actions/profileActions';
 
 export class UserDetails extends Component {
     constructor(props) {
@@ -28,13 +29,23 @@ export class UserDetails extends Component {
     }
 
     handleAuthClick() {
-        if (this.props.profile.isLoggedIn) {
+        if (this.props.profile.isLoggedIn && this.props.sessionStatus !== sessionStatuses.expired) {
             this.props.logout();
+        } else if (this.props.signIn) {
+            this.props.signIn();
         } else {
             window.location.href = '/login';
         }
     }
 
+    sessionNote() {
+        switch (this.props.sessionStatus) {
+            case sessionStatuses.expiring: return 'Your session expires soon';
+            case sessionStatuses.expired: return 'Your session has expired';
+            default: return null;
+        }
+    }
+
     render() {
         return (
             <div>
@@ -43,11 +54,14 @@ export class UserDetails extends Component {
                     <Avatar className={"avatar-custom-style"} size="large" name={this.props.profile.name} image={this.props.profile.avatarUrl} />
                 </div>
                 <span className="username">{this.props.profile.name}</span>
+                {this.sessionNote() &&
+                    <span className="session-note">{this.sessionNote()}</span>
+                }
                 <Button className="auth-button" style={
                             { width: '244px', height: '36px', borderRadius: '2px', border: '1px solid rgb(128, 128, 128)', margin: '12px'}}
                             type="secondary"
                             size="small"
-                            title={this.props.profile.isLoggedIn ? "Sign Out" : "Sign In"}
+                            title={this.props.profile.isLoggedIn && this.props.sessionStatus !== sessionStatuses.expired ? "Sign Out" : "Sign In"}
                             onClick={this.handleAuthClick}
                         />
                 <span className="hyperlink">
@@ -20,6 +20,7 @@ import React from 'react';
 import Enzyme, { shallow } from 'enzyme';
 import Adapter from '@wojtekmaj/enzyme-adapter-react-17';
 import { UserDetails } from './userDetails';
+import { sessionStatuses } from '../actions/profileActions';
 
 Enzyme.configure({ adapter: new Adapter() });
 
@@ -43,4 +44,26 @@ describe('user dialog', () => {
         expect(hyperlinkSpan.find('a').prop('href')).toContain('about.md');
     });
 
-});
\ No newline at end of file
+    it('offers sign in for expired session', () => {
+        const signIn = jest.fn();
+        const logout = jest.fn();
+        const profile = { name: 'profileName', avatarUrl: 'avatarUrl', isLoggedIn: true };
+
+        const wrapper = shallow(<UserDetails profile={profile} sessionStatus={sessionStatuses.expired} signIn={signIn} logout={logout} />);
+
+        expect(wrapper.find('.session-note').text()).toEqual('Your session has expired');
+        const button = wrapper.find('.auth-button');
+        expect(button.prop('title')).toEqual('Sign In');
+        button.simulate('click');
+        expect(signIn).toHaveBeenCalled();
+        expect(logout).not.toHaveBeenCalled();
+    });
+
+    it('notes expiring session', () => {
+        const profile = { name: 'profileName', avatarUrl: 'avatarUrl', isLoggedIn: true };
+        const wrapper = shallow(<UserDetails profile={profile} sessionStatus={sessionStatuses.expiring} />);
+
+        expect(wrapper.find('.session-note').text()).toEqual('Your session expires soon');
+        expect(wrapper.find('.auth-button').prop('title')).toEqual('Sign Out');
+    });
+});
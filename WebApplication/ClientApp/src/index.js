@@ -25,11 +25,17 @@ import {createStore, applyMiddleware} from 'redux';
 import thunk from 'redux-thunk';
 
 import {mainReducer} from './reducers/mainReducer';
+import { Jobs } from './JobManager';
+import { FakeJobHub, fakeJobHubSettings } from './FakeJobHub';
+import repo from './Repository';
+import DemoRepository from './DemoRepository';
+import { tabSyncMiddleware } from './tabSync';
 
 import "@hig/fonts/build/ArtifaktElement.css";
 
 /* eslint-disable no-undef */
-const createStoreWithMiddleware = applyMiddleware(thunk)(createStore);
+// the other tabs of the app get projects and job results from this tab (see tabSync.js)
+const createStoreWithMiddleware = applyMiddleware(thunk, tabSyncMiddleware())(createStore);
 const store = createStoreWithMiddleware(mainReducer);
 
 // based on https://github.com/reduxjs/redux/issues/303#issuecomment-125184409
@@ -64,6 +70,15 @@ function logToConsole(oldMessages, newMessages) { // TODO: not clear how to diff
 // listen for notifications changes and stream them into console
 observeStore(store, logSelector, logToConsole);
 
+// run the jobs in browser, without the server (see FakeJobHub.js). The demo mode needs them to keep its data in sync.
+const demoMode = repo instanceof DemoRepository;
+const fakeJobHubOptions = fakeJobHubSettings(process.env.REACT_APP_FAKE_JOB_HUB);
+if (fakeJobHubOptions || demoMode) {
+    const hub = new FakeJobHub(demoMode ? repo.jobHubOptions(fakeJobHubOptions) : fakeJobHubOptions);
+    Jobs().useTransport(hub.createConnection);
+    window.fakeJobHub = hub; // to configure delays, failures and outputs from the browser console or UI tests
+}
+
 const rootElement = document.getElementById('root');
 
 ReactDOM.render(
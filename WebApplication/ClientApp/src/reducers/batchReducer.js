@@ -0,0 +1,70 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import batchActionTypes from "../actions/batchActions";
+
+export const initialState = {};
+
+export const getBatch = function(projectId, state) {
+    return state[projectId];
+};
+
+/** Count of the batch variants in each status, null when there is no batch */
+export const getBatchSummary = function(projectId, state) {
+    const batch = state[projectId];
+    if (!batch)
+        return null;
+
+    const summary = { total: batch.variants.length, queued: 0, running: 0, done: 0, failed: 0 };
+    for (const variant of batch.variants)
+        summary[variant.status]++;
+
+    return summary;
+};
+
+export default function(state = initialState, action) {
+
+    switch(action.type) {
+        case batchActionTypes.BATCH_STARTED: {
+            const variants = action.variants.map(variant => ({ ...variant, status: 'queued' }));
+            return { ...state, [action.projectId]: { variants, running: true } };
+        }
+        case batchActionTypes.BATCH_VARIANT_UPDATED: {
+            const batch = state[action.projectId];
+            if (!batch)
+                return state;
+
+            const variants = batch.variants.map((variant, index) => index === action.index ? { ...variant, ...action.data } : variant);
+            return { ...state, [action.projectId]: { ...batch, variants } };
+        }
+        case batchActionTypes.BATCH_FINISHED: {
+            const batch = state[action.projectId];
+            if (!batch)
+                return state;
+
+            return { ...state, [action.projectId]: { ...batch, running: false } };
+        }
+        case batchActionTypes.BATCH_CLEARED: {
+            const newState = { ...state };
+            delete newState[action.projectId];
+            return newState;
+        }
+        default:
+            return state;
+    }
+}
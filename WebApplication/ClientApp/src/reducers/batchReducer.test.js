@@ -0,0 +1,66 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import batchReducer, * as batch from './batchReducer';
+import { startBatch, updateVariant, finishBatch, clearBatch } from '../actions/batchActions';
+
+const projectId = '1';
+const variants = [
+    { name: 'A', values: { Width: '1 mm' } },
+    { name: 'B', values: { Width: '2 mm' } }
+];
+
+describe('batch reducer', () => {
+    it('starts the batch with queued variants', () => {
+        const state = batchReducer(undefined, startBatch(projectId, variants));
+        expect(batch.getBatch(projectId, state)).toEqual({
+            running: true,
+            variants: [{ ...variants[0], status: 'queued' }, { ...variants[1], status: 'queued' }]
+        });
+    });
+
+    it('updates the variant', () => {
+        let state = batchReducer(undefined, startBatch(projectId, variants));
+        state = batchReducer(state, updateVariant(projectId, 1, { status: 'done', hash: 'h' }));
+        expect(batch.getBatch(projectId, state).variants[1]).toEqual({ ...variants[1], status: 'done', hash: 'h' });
+        expect(batch.getBatch(projectId, state).variants[0].status).toEqual('queued');
+    });
+
+    it('ignores updates of missing batch', () => {
+        const state = {};
+        expect(batchReducer(state, updateVariant(projectId, 0, { status: 'done' }))).toBe(state);
+        expect(batchReducer(state, finishBatch(projectId))).toBe(state);
+    });
+
+    it('finishes and clears the batch', () => {
+        let state = batchReducer(undefined, startBatch(projectId, variants));
+        state = batchReducer(state, finishBatch(projectId));
+        expect(batch.getBatch(projectId, state).running).toEqual(false);
+
+        state = batchReducer(state, clearBatch(projectId));
+        expect(batch.getBatch(projectId, state)).toBeUndefined();
+    });
+
+    it('summarizes the batch', () => {
+        let state = batchReducer(undefined, startBatch(projectId, variants));
+        expect(batch.getBatchSummary('2', state)).toBeNull();
+
+        state = batchReducer(state, updateVariant(projectId, 0, { status: 'failed' }));
+        expect(batch.getBatchSummary(projectId, state)).toEqual({ total: 2, queued: 1, running: 0, done: 0, failed: 1 });
+    });
+});
@@ -0,0 +1,43 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import configurationHistoryActionTypes, { historyLimit } from "../actions/configurationHistoryActions";
+
+export const initialState = {};
+
+/** Applied configurations of the project, the oldest first */
+export const getConfigurationHistory = function(projectId, state) {
+    return state[projectId];
+};
+
+export default function(state = initialState, action) {
+
+    switch(action.type) {
+        case configurationHistoryActionTypes.CONFIGURATION_ADDED: {
+            const history = (state[action.projectId] || []).concat(action.configuration);
+            return { ...state, [action.projectId]: history.slice(-historyLimit) };
+        }
+        case configurationHistoryActionTypes.CONFIGURATION_HISTORY_CLEARED: {
+            const newState = { ...state };
+            delete newState[action.projectId];
+            return newState;
+        }
+        default:
+            return state;
+    }
+}
@@ -0,0 +1,58 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import configurationHistoryReducer, { initialState } from './configurationHistoryReducer';
+import { addConfiguration, clearConfigurationHistory, historyLimit } from '../actions/configurationHistoryActions';
+import { getConfigurationHistory } from './mainReducer';
+
+describe('configuration history reducer', () => {
+    const first = { timestamp: '1', values: { Width: '10 mm' } };
+    const second = { timestamp: '2', values: { Width: '20 mm' } };
+
+    it('should return the initial state', () => {
+        expect(configurationHistoryReducer(undefined, {})).toEqual(initialState);
+    });
+
+    it('appends configurations per project', () => {
+        let state = configurationHistoryReducer(initialState, addConfiguration('projectA', first));
+        state = configurationHistoryReducer(state, addConfiguration('projectA', second));
+        state = configurationHistoryReducer(state, addConfiguration('projectB', first));
+        expect(state).toEqual({ projectA: [ first, second ], projectB: [ first ] });
+    });
+
+    it('drops the oldest configurations', () => {
+        let state = initialState;
+        for (let i = 0; i <= historyLimit; i++) {
+            state = configurationHistoryReducer(state, addConfiguration('projectA', { timestamp: String(i) }));
+        }
+
+        expect(state.projectA).toHaveLength(historyLimit);
+        expect(state.projectA[0].timestamp).toEqual('1');
+    });
+
+    it('clears project history', () => {
+        const state = { projectA: [ first ], projectB: [ second ] };
+        expect(configurationHistoryReducer(state, clearConfigurationHistory('projectA'))).toEqual({ projectB: [ second ] });
+    });
+
+    it('returns the correct data', () => {
+        const mainState = { configurationHistory: { projectA: [ first ] } };
+        expect(getConfigurationHistory('projectA', mainState)).toEqual([ first ]);
+        expect(getConfigurationHistory('projectB', mainState)).toBeUndefined();
+    });
+});
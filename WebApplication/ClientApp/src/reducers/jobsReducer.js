@@ -0,0 +1,75 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+import jobsActionTypes, { jobStatuses, finishedJobsLimit } from "../actions/jobsActions";
+
+export const initialState = [];
+
+const findRunningJob = (kind, state) => {
+    return state.filter(job => job.kind === kind && job.status === jobStatuses.running).pop();
+};
+
+/** ID of the running job of the kind (see `jobKinds`), undefined if there is no such job */
+export const getRunningJobId = function(kind, state) {
+    return findRunningJob(kind, state)?.jobId;
+};
+
+/** Running job of the kind as { jobId, startedAt, stage, percent }, stage and percent are known after the first progress message */
+export const getJobProgress = function(kind, state) {
+    return findRunningJob(kind, state);
+};
+
+/** Jobs of the session, the oldest first */
+export const getJobs = function(state) {
+    return state;
+};
+
+const updateJob = (state, jobId, update) => {
+    return state.map(job => (job.jobId === jobId && job.status === jobStatuses.running) ? { ...job, ...update } : job);
+};
+
+const limitFinished = (state) => {
+    const finished = state.filter(job => job.status !== jobStatuses.running);
+    const dropCount = finished.length - finishedJobsLimit;
+    if (dropCount <= 0)
+        return state;
+
+    const dropped = new Set(finished.slice(0, dropCount));
+    return state.filter(job => !dropped.has(job));
+};
+
+export default function(state = initialState, action) {
+
+    switch(action.type) {
+        case jobsActionTypes.JOB_STARTED: {
+            const { kind, jobId, title, projectId, startedAt } = action;
+            return state.concat({ jobId, kind, title, projectId, startedAt, status: jobStatuses.running });
+        }
+        case jobsActionTypes.JOB_PROGRESS: {
+            return updateJob(state, action.jobId, { stage: action.stage, percent: action.percent });
+        }
+        case jobsActionTypes.JOB_FINISHED: {
+            const { status, stats, resultUrl, reportUrl, finishedAt } = action;
+            return limitFinished(updateJob(state, action.jobId, { status, stats, resultUrl, reportUrl, finishedAt }));
+        }
+        case jobsActionTypes.FINISHED_JOBS_CLEARED: {
+            return state.filter(job => job.status === jobStatuses.running);
+        }
+        default:
+            return state;
+    }
+}
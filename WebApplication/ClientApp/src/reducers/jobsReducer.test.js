@@ -0,0 +1,82 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+import jobsReducer, { initialState } from './jobsReducer';
+import { jobStarted, jobProgress, jobFinished, clearFinishedJobs, jobKinds, jobStatuses, finishedJobsLimit } from '../actions/jobsActions';
+import { getRunningJobId, getJobProgress, getJobs } from './mainReducer';
+
+describe('jobs reducer', () => {
+    it('should return the initial state', () => {
+        expect(jobsReducer(undefined, {})).toEqual(initialState);
+    });
+
+    it('adds started jobs', () => {
+        let state = jobsReducer(initialState, jobStarted(jobKinds.update, 'job1', { title: 'Update', projectId: 'projectA' }, 100));
+        state = jobsReducer(state, jobStarted(jobKinds.download, 'job2', {}, 200));
+        expect(state).toEqual([
+            { jobId: 'job1', kind: 'update', title: 'Update', projectId: 'projectA', startedAt: 100, status: 'running' },
+            { jobId: 'job2', kind: 'download', title: undefined, projectId: undefined, startedAt: 200, status: 'running' }
+        ]);
+    });
+
+    it('stores the job progress', () => {
+        let state = jobsReducer(initialState, jobStarted(jobKinds.drawing, 'job3', {}, 100));
+        state = jobsReducer(state, jobProgress('job3', { stage: 'processing', percent: 40 }));
+        expect(state[0]).toMatchObject({ stage: 'processing', percent: 40 });
+
+        state = jobsReducer(state, jobProgress('job3', { stage: 'upload' }));
+        expect(state[0]).toMatchObject({ stage: 'upload', percent: undefined });
+    });
+
+    it('keeps the result of finished job', () => {
+        let state = jobsReducer(initialState, jobStarted(jobKinds.download, 'job1', {}, 100));
+        const stats = { credits: 2 };
+        state = jobsReducer(state, jobFinished('job1', { status: jobStatuses.completed, stats, resultUrl: 'url', reportUrl: 'report' }, 500));
+        expect(state[0]).toMatchObject({ status: 'completed', stats, resultUrl: 'url', reportUrl: 'report', startedAt: 100, finishedAt: 500 });
+
+        // late messages do not change the finished job
+        const finished = jobsReducer(state, jobFinished('job1', { status: jobStatuses.failed }));
+        expect(jobsReducer(finished, jobProgress('job1', { stage: 'upload' }))).toEqual(state);
+    });
+
+    it('limits and clears finished jobs', () => {
+        let state = initialState;
+        for (let i = 0; i <= finishedJobsLimit; i++) {
+            state = jobsReducer(state, jobStarted(jobKinds.update, `job${i}`));
+            state = jobsReducer(state, jobFinished(`job${i}`, { status: jobStatuses.completed }));
+        }
+        state = jobsReducer(state, jobStarted(jobKinds.update, 'running'));
+
+        expect(state).toHaveLength(finishedJobsLimit + 1);
+        expect(state[0].jobId).toEqual('job1');
+
+        expect(jobsReducer(state, clearFinishedJobs()).map(job => job.jobId)).toEqual([ 'running' ]);
+    });
+
+    it('returns the correct data', () => {
+        const jobs = [
+            { jobId: 'job1', kind: 'drawing', status: 'cancelled' },
+            { jobId: 'job2', kind: 'drawing', status: 'running', stage: 'queueing' },
+            { jobId: 'job3', kind: 'update', status: 'completed' }
+        ];
+        const mainState = { jobs };
+        expect(getRunningJobId(jobKinds.drawing, mainState)).toEqual('job2');
+        expect(getRunningJobId(jobKinds.update, mainState)).toBeUndefined();
+        expect(getJobProgress(jobKinds.drawing, mainState)).toEqual(jobs[1]);
+        expect(getJobs(mainState)).toEqual(jobs);
+    });
+});
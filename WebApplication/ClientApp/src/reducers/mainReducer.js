@@ -22,21 +22,50 @@ import {notificationReducer} from './notificationReducer';
 import parametersReducer, * as params from './parametersReducer';
 import updateParametersReducer, * as updateParams from './updateParametersReducer';
 import uiFlagsReducer, * as uiFlags from './uiFlagsReducer';
-import profileReducer from './profileReducer';
+import profileReducer, * as profile from './profileReducer';
 import bomReducer, * as bom from './bomReducer';
-import { compareParameters } from "../actions/parametersActions";
+import presetsReducer, * as presets from './presetsReducer';
+import parametersHistoryReducer, * as parametersHistory from './parametersHistoryReducer';
+import batchReducer, * as batch from './batchReducer';
+import configurationHistoryReducer, * as configurationHistory from './configurationHistoryReducer';
+import rulesReducer, * as rules from './rulesReducer';
+import jobsReducer, * as jobs from './jobsReducer';
+import parameterActionTypes, { compareParameters } from "../actions/parametersActions";
 import { isEmptyObject } from 'jquery';
 
-export const mainReducer = combineReducers({
+const combinedReducer = combineReducers({
     projectList: projectListReducer,
     notifications: notificationReducer,
     parameters: parametersReducer,
     updateParameters: updateParametersReducer,
+    parametersHistory: parametersHistoryReducer,
     uiFlags: uiFlagsReducer,
     profile: profileReducer,
-    bom: bomReducer
+    bom: bomReducer,
+    presets: presetsReducer,
+    batch: batchReducer,
+    rules: rulesReducer,
+    configurationHistory: configurationHistoryReducer,
+    jobs: jobsReducer
 });
 
+/**
+ * Parameters updated in other tab must not drop the changes made in this tab, which are not applied yet.
+ * The pending changes are attached to the remote action, so the edited parameters (and their undo history) keep them.
+ */
+const keepPendingChanges = (state, action) => {
+    if (action.type !== parameterActionTypes.PARAMETERS_UPDATED || !action.remote || !state)
+        return action;
+
+    const pendingEdits = getPendingChanges(action.projectId, state)
+        .filter(change => change.newValue !== undefined)
+        .map(change => ({ name: change.name, value: change.newValue }));
+
+    return pendingEdits.length > 0 ? { ...action, pendingEdits } : action;
+};
+
+export const mainReducer = (state, action) => combinedReducer(state, keepPendingChanges(state, action));
+
 export const getActiveProject = function(state) {
     return list.getActiveProject(state.projectList);
 };
@@ -45,6 +74,10 @@ export const getProject = function(id, state) {
     return list.getProject(id, state.projectList);
 };
 
+export const isActiveProject = function(id, state) {
+    return list.isActiveProject(id, state.projectList);
+};
+
 export const getAdoptWarnings = function(projectId, state) {
     return list. getAdoptWarnings(projectId, state.projectList);
 };
@@ -57,31 +90,52 @@ export const getUpdateParameters = function(projectId, state) {
     return updateParams.getParameters(projectId, state.updateParameters);
 };
 
-export const parametersEditedMessageVisible = function(state) {
-    const loggedIn = state.profile.isLoggedIn;
-
-    if (state.uiFlags.parametersEditedMessageClosed === true || (loggedIn && state.uiFlags.parametersEditedMessageRejected === true) )
-        return false;
+export const canUndoParameters = function(projectId, state) {
+    return parametersHistory.canUndo(projectId, state.parametersHistory);
+};
 
-    const activeProject = getActiveProject(state);
-    if (!activeProject || isEmptyObject(activeProject))
-        return false;
+export const canRedoParameters = function(projectId, state) {
+    return parametersHistory.canRedo(projectId, state.parametersHistory);
+};
 
-    const parameters = getParameters(activeProject.id, state);
-    const updateParameters = getUpdateParameters(activeProject.id, state);
+/**
+ * Parameters changed in UI, which will be sent by the next update.
+ * Returns array of { name, label, oldValue, newValue }.
+ */
+export const getPendingChanges = function(projectId, state) {
+    const parameters = getParameters(projectId, state);
+    const updateParameters = getUpdateParameters(projectId, state);
 
     if (!parameters || !updateParameters)
-        return false;
+        return [];
 
-    for (const parameterId in parameters) {
-        const parameter = parameters[parameterId];
+    const changes = [];
+    for (const parameter of parameters) {
         const updateParameter = updateParameters.find(updatePar => updatePar.name === parameter.name);
         if (!compareParameters(parameter, updateParameter)) {
-            return true;
+            changes.push({
+                name: parameter.name,
+                label: updateParameter?.label || parameter.label || parameter.name,
+                oldValue: parameter.value,
+                newValue: updateParameter?.value
+            });
         }
     }
 
-    return false;
+    return changes;
+};
+
+export const parametersEditedMessageVisible = function(state) {
+    const loggedIn = state.profile.isLoggedIn;
+
+    if (state.uiFlags.parametersEditedMessageClosed === true || (loggedIn && state.uiFlags.parametersEditedMessageRejected === true) )
+        return false;
+
+    const activeProject = getActiveProject(state);
+    if (!activeProject || isEmptyObject(activeProject))
+        return false;
+
+    return getPendingChanges(activeProject.id, state).length > 0;
 };
 
 export const modalProgressShowing = function(state) {
@@ -129,6 +183,10 @@ export const uploadProgressShowing = function(state) {
     return uiFlags.uploadProgressShowing(state.uiFlags);
 };
 
+export const uploadBytesProgress = function(state) {
+    return uiFlags.uploadBytesProgress(state.uiFlags);
+};
+
 export const uploadProgressIsDone = function(state) {
     return uiFlags.uploadProgressIsDone(state.uiFlags);
 };
@@ -145,6 +203,14 @@ export const getProfile = function (state) {
     return state.profile;
 };
 
+export const sessionStatus = function(state) {
+    return profile.sessionStatus(state.profile);
+};
+
+export const sessionExpiresAt = function(state) {
+    return profile.sessionExpiresAt(state.profile);
+};
+
 export const activeTabIndex = function(state) {
     return uiFlags.activeTabIndex(state.uiFlags);
 };
@@ -165,6 +231,50 @@ export const getBom = function(projectId, state) {
     return bom.getBom(projectId, state.bom);
 };
 
+export const getPresets = function(projectId, state) {
+    return presets.getPresets(projectId, state.presets);
+};
+
+export const getBatch = function(projectId, state) {
+    return batch.getBatch(projectId, state.batch);
+};
+
+export const getBatchSummary = function(projectId, state) {
+    return batch.getBatchSummary(projectId, state.batch);
+};
+
+export const getRules = function(projectId, state) {
+    return rules.getRules(projectId, state.rules);
+};
+
+export const batchVariantsDlgVisible = function(state) {
+    return uiFlags.batchVariantsDlgVisible(state.uiFlags);
+};
+
+export const parametersFileDlgVisible = function(state) {
+    return uiFlags.parametersFileDlgVisible(state.uiFlags);
+};
+
+export const configurationHistoryDlgVisible = function(state) {
+    return uiFlags.configurationHistoryDlgVisible(state.uiFlags);
+};
+
+export const getConfigurationHistory = function(projectId, state) {
+    return configurationHistory.getConfigurationHistory(projectId, state.configurationHistory);
+};
+
+export const getRunningJobId = function(kind, state) {
+    return jobs.getRunningJobId(kind, state.jobs);
+};
+
+export const getJobProgress = function(kind, state) {
+    return jobs.getJobProgress(kind, state.jobs);
+};
+
+export const getJobs = function(state) {
+    return jobs.getJobs(state.jobs);
+};
+
 export const getDrawingPdfUrl = function(state) {
     return uiFlags.getDrawingPdfUrl(state.uiFlags.activeDrawing, state.uiFlags);
 };
@@ -205,3 +315,6 @@ export const getActiveDrawing = function(state) {
     return uiFlags.getActiveDrawing(state.uiFlags);
 };
 
+export const displayUnits = function(state) {
+    return uiFlags.displayUnits(state.uiFlags);
+};
@@ -144,6 +144,32 @@ describe('main reducer', () => {
       });
    });
 
+   describe('Pending changes', () => {
+      it('lists changed parameters with old and new values', () => {
+         const state = {
+            parameters: originalParameters,
+            updateParameters: editedParameters
+         };
+         expect(reducer.getPendingChanges(projectId, state)).toEqual([
+            { name: 'editedParameter', label: 'editedParameter', oldValue: '', newValue: '12000 mm' }
+         ]);
+      });
+      it('has no changes for the same parameters', () => {
+         const state = {
+            parameters: originalParameters,
+            updateParameters: originalParameters
+         };
+         expect(reducer.getPendingChanges(projectId, state)).toEqual([]);
+      });
+      it('has no changes when parameters are missing', () => {
+         const state = {
+            parameters: {[projectId]: null},
+            updateParameters: originalParameters
+         };
+         expect(reducer.getPendingChanges(projectId, state)).toEqual([]);
+      });
+   });
+
    describe('UI Flags getters', () => {
       it('gets modalProgressShowing', () => {
          expect(reducer.modalProgressShowing(uiFlagsTestState)).toEqual(uiFlagsTestState.uiFlags.modalProgressShowing);
@@ -228,6 +254,18 @@ describe('main reducer', () => {
       }),
       it('gets embedded mode url', () => {
          expect(reducer.embeddedModeUrl(uiFlagsTestState)).toEqual(uiFlagsTestState.uiFlags.embeddedModeUrl);
+      }),
+      it('gets batchVariantsDlgVisible', () => {
+         expect(reducer.batchVariantsDlgVisible(uiFlagsTestState)).toEqual(uiFlagsTestState.uiFlags.showBatchVariants); /* method and flag name differ */
+      }),
+      it('gets parametersFileDlgVisible', () => {
+         expect(reducer.parametersFileDlgVisible(uiFlagsTestState)).toEqual(uiFlagsTestState.uiFlags.showParametersFile); /* method and flag name differ */
+      }),
+      it('gets configurationHistoryDlgVisible', () => {
+         expect(reducer.configurationHistoryDlgVisible(uiFlagsTestState)).toEqual(uiFlagsTestState.uiFlags.showConfigurationHistory); /* method and flag name differ */
+      }),
+      it('gets display units', () => {
+         expect(reducer.displayUnits(uiFlagsTestState)).toEqual(uiFlagsTestState.uiFlags.displayUnits);
       });
    });
 
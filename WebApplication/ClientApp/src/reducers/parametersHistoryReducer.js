@@ -0,0 +1,132 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import parameterActionTypes from "../actions/parametersActions";
+import updateParametersReducer from "./updateParametersReducer";
+
+/** How many changes can be undone */
+export const historyLimit = 50;
+
+export const initialState = {};
+
+/*
+   Undo/redo history of the edited parameters, per project:
+   {
+      past: [ parameter sets, the most recent is the last ],
+      present: parameter set, same as in 'updateParameters' state,
+      future: [ undone parameter sets, the most recent is the first ],
+      lastEdited: name of text parameter edited by the last change
+   }
+*/
+
+export const canUndo = function(projectId, state) {
+    return state[projectId]?.past.length > 0;
+};
+
+export const canRedo = function(projectId, state) {
+    return state[projectId]?.future.length > 0;
+};
+
+/** Free text parameters are edited char by char, so consecutive edits are kept as a single change */
+const isTextInput = (parameter) => parameter && parameter.units !== 'Boolean' && !(parameter.allowedValues?.length > 0);
+
+/** Apply the action to the project parameters the same way as 'updateParameters' state does */
+const applyToPresent = (present, action) => {
+    return updateParametersReducer({ [action.projectId]: present }, action)[action.projectId];
+};
+
+const pushChange = (history, present, lastEdited = null) => {
+    // nothing to undo to before the parameters were loaded, or after they were dropped
+    if (!history.present || !present)
+        return { past: [], present, future: [], lastEdited };
+
+    const past = history.past.concat([history.present]).slice(-historyLimit);
+    return { past, present, future: [], lastEdited };
+};
+
+export default function(state = initialState, action) {
+
+    const history = state[action.projectId] || { past: [], present: null, future: [], lastEdited: null };
+    let newHistory;
+
+    switch(action.type) {
+        case parameterActionTypes.PARAMETERS_UPDATED:
+        case parameterActionTypes.PARAMETERS_RESET: {
+            newHistory = pushChange(history, applyToPresent(history.present, action));
+            break;
+        }
+
+        case parameterActionTypes.PARAMETER_EDITED: {
+            if (!history.present)
+                return state;
+
+            const present = applyToPresent(history.present, action);
+            const name = action.parameter.name;
+            const continuesTyping = history.lastEdited === name && history.past.length > 0;
+
+            if (continuesTyping) {
+                newHistory = { ...history, present, future: [] };
+            } else {
+                const edited = history.present.find(param => param.name === name);
+                newHistory = pushChange(history, present, isTextInput(edited) ? name : null);
+            }
+            break;
+        }
+
+        case parameterActionTypes.PARAMETERS_EDITED: {
+            if (!history.present)
+                return state;
+
+            newHistory = pushChange(history, applyToPresent(history.present, action));
+            break;
+        }
+
+        case parameterActionTypes.PARAMETERS_UNDONE: {
+            if (!history.past.length)
+                return state;
+
+            newHistory = {
+                past: history.past.slice(0, -1),
+                present: action.parameters,
+                future: [history.present].concat(history.future),
+                lastEdited: null
+            };
+            break;
+        }
+
+        case parameterActionTypes.PARAMETERS_REDONE: {
+            if (!history.future.length)
+                return state;
+
+            newHistory = {
+                past: history.past.concat([history.present]),
+                present: action.parameters,
+                future: history.future.slice(1),
+                lastEdited: null
+            };
+            break;
+        }
+
+        default:
+            return state;
+    }
+
+    const newState = { ...state };
+    newState[action.projectId] = newHistory;
+    return newState;
+}
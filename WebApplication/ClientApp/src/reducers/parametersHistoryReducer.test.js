@@ -0,0 +1,130 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import parametersHistoryReducer, { initialState, historyLimit } from './parametersHistoryReducer';
+import parameterActionTypes, { updateParameters, editParameter, editParameters, resetParameters } from '../actions/parametersActions';
+import { canUndoParameters, canRedoParameters } from './mainReducer';
+
+const projectId = 'Conveyor';
+const serverSet = [
+    { name: 'Length', value: '100 mm', units: 'mm', allowedValues: [] },
+    { name: 'Size', value: 'Small', units: 'Text', allowedValues: ['Small', 'Large'] }
+];
+
+const undone = (parameters) => ({ type: parameterActionTypes.PARAMETERS_UNDONE, projectId, parameters });
+const redone = (parameters) => ({ type: parameterActionTypes.PARAMETERS_REDONE, projectId, parameters });
+
+/** Run the actions through the reducer, starting with loaded parameters */
+const run = (...actions) => [updateParameters(projectId, serverSet), ...actions].reduce(parametersHistoryReducer, initialState);
+
+const values = (set) => set.map(param => param.value);
+
+describe('parametersHistory reducer', () => {
+    it('should return the initial state', () => {
+        expect(parametersHistoryReducer(undefined, {})).toEqual(initialState);
+    });
+
+    it('has nothing to undo after initial load', () => {
+        const state = run();
+        expect(state[projectId].past).toEqual([]);
+        expect(state[projectId].present).toBe(serverSet);
+    });
+
+    it('records dropdown edits as separate changes', () => {
+        const state = run(editParameter(projectId, { name: 'Size', value: 'Large' }), editParameter(projectId, { name: 'Size', value: 'Small' }));
+        const history = state[projectId];
+        expect(history.past.map(values)).toEqual([ ['100 mm', 'Small'], ['100 mm', 'Large'] ]);
+        expect(values(history.present)).toEqual(['100 mm', 'Small']);
+    });
+
+    it('records edit of several parameters as one change', () => {
+        const state = run(editParameters(projectId, [ { name: 'Length', value: '200 mm' }, { name: 'Size', value: 'Large' } ]));
+        const history = state[projectId];
+        expect(history.past.map(values)).toEqual([ ['100 mm', 'Small'] ]);
+        expect(values(history.present)).toEqual(['200 mm', 'Large']);
+        expect(history.lastEdited).toBeNull();
+    });
+
+    it('merges typing into the same text parameter into one change', () => {
+        const state = run(
+            editParameter(projectId, { name: 'Length', value: '1' }),
+            editParameter(projectId, { name: 'Length', value: '12' }),
+            editParameter(projectId, { name: 'Length', value: '120 mm' }));
+        const history = state[projectId];
+        expect(history.past.map(values)).toEqual([ ['100 mm', 'Small'] ]);
+        expect(values(history.present)).toEqual(['120 mm', 'Small']);
+    });
+
+    it('records resets and server updates', () => {
+        const state = run(
+            editParameter(projectId, { name: 'Size', value: 'Large' }),
+            resetParameters(projectId, serverSet),
+            updateParameters(projectId, serverSet.map(param => ({ ...param, value: param.name === 'Length' ? '110 mm' : param.value }))));
+        expect(state[projectId].past).toHaveLength(3);
+        expect(values(state[projectId].present)).toEqual(['110 mm', 'Small']);
+    });
+
+    it('drops history when parameters are reset to nothing', () => {
+        const state = run(editParameter(projectId, { name: 'Size', value: 'Large' }), resetParameters(projectId, null));
+        expect(state[projectId]).toEqual({ past: [], present: null, future: [], lastEdited: null });
+    });
+
+    it('moves the changes between past and future on undo and redo', () => {
+        let state = run(editParameter(projectId, { name: 'Size', value: 'Large' }));
+        const edited = state[projectId].present;
+
+        state = parametersHistoryReducer(state, undone(serverSet));
+        expect(state[projectId].present).toBe(serverSet);
+        expect(state[projectId].future).toEqual([ edited ]);
+        expect(canUndoParameters(projectId, { parametersHistory: state })).toEqual(false);
+        expect(canRedoParameters(projectId, { parametersHistory: state })).toEqual(true);
+
+        state = parametersHistoryReducer(state, redone(edited));
+        expect(state[projectId].present).toBe(edited);
+        expect(state[projectId].past).toEqual([ serverSet ]);
+        expect(state[projectId].future).toEqual([]);
+    });
+
+    it('forgets future after a new change', () => {
+        let state = run(editParameter(projectId, { name: 'Size', value: 'Large' }));
+        state = parametersHistoryReducer(state, undone(serverSet));
+        state = parametersHistoryReducer(state, editParameter(projectId, { name: 'Length', value: '5 mm' }));
+        expect(state[projectId].future).toEqual([]);
+    });
+
+    it('does not merge typing after undo', () => {
+        let state = run(editParameter(projectId, { name: 'Length', value: '1 mm' }), editParameter(projectId, { name: 'Size', value: 'Large' }));
+        state = parametersHistoryReducer(state, undone(state[projectId].past[1]));
+        state = parametersHistoryReducer(state, editParameter(projectId, { name: 'Length', value: '2 mm' }));
+        expect(state[projectId].past).toHaveLength(2);
+    });
+
+    it('limits history length', () => {
+        const edits = [];
+        for (let i = 0; i < historyLimit + 10; i++) {
+            edits.push(editParameter(projectId, { name: 'Size', value: i % 2 ? 'Small' : 'Large' }));
+        }
+        const state = run(...edits);
+        expect(state[projectId].past).toHaveLength(historyLimit);
+    });
+
+    it('ignores edits before parameters are loaded', () => {
+        const state = parametersHistoryReducer(initialState, editParameter(projectId, { name: 'Size', value: 'Large' }));
+        expect(state).toBe(initialState);
+    });
+});
@@ -34,6 +34,7 @@ export default function(state = initialState, action) {
         }
 
         case parameterActionTypes.PARAMETER_EDITED: // do nothing here!
+        case parameterActionTypes.PARAMETERS_EDITED: // do nothing here!
         case parameterActionTypes.PARAMETERS_RESET: // do nothing here!
         default:
             return state;
@@ -0,0 +1,41 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import presetsReducer, { initialState } from './presetsReducer';
+import { updatePresets } from '../actions/presetsActions';
+import { getPresets } from './mainReducer';
+
+describe('presets reducer', () => {
+    const presetsA = [ { name: 'Small', values: { Width: '10 mm' } } ];
+    const presetsB = [ { name: 'Large', values: { Width: '100 mm' } } ];
+
+    it('should return the initial state', () => {
+        expect(presetsReducer(undefined, {})).toEqual(initialState);
+    });
+
+    it('handles presets update per project', () => {
+        const state = { projectA: presetsA };
+        expect(presetsReducer(state, updatePresets('projectB', presetsB))).toEqual({ projectA: presetsA, projectB: presetsB });
+    });
+
+    it('returns the correct data', () => {
+        const mainState = { presets: { projectA: presetsA } };
+        expect(getPresets('projectA', mainState)).toEqual(presetsA);
+        expect(getPresets('projectB', mainState)).toBeUndefined();
+    });
+});
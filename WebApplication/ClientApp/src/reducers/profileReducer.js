@@ -16,18 +16,38 @@
 // UNINTERRUPTED OR ERROR FREE.
 /////////////////////////////////////////////////////////////////////
 
-import { UPDATE_PROFILE } from '../actions/profileActions';
+import { UPDATE_PROFILE, SESSION_UPDATED, SESSION_EXPIRING, SESSION_EXPIRED, sessionStatuses } from '../actions/profileActions';
 
-const initialState = {
+export const initialState = {
     name: 'Anonymous',
     avatarUrl: 'logo-xs-white-BG.svg',
-    isLoggedIn: false
+    isLoggedIn: false,
+    sessionStatus: null, // not tracked for anonymous user
+    sessionExpiresAt: null
+};
+
+/** One of `sessionStatuses`, null if the session is not tracked */
+export const sessionStatus = function(state) {
+    return state.sessionStatus;
+};
+
+export const sessionExpiresAt = function(state) {
+    return state.sessionExpiresAt;
 };
 
 export default function(state = initialState, action) {
     switch(action.type) {
         case UPDATE_PROFILE: {
-            return { isLoggedIn: action.isLoggedIn, name: action.profile.name, avatarUrl: action.profile.avatarUrl};
+            return { ...state, isLoggedIn: action.isLoggedIn, name: action.profile.name, avatarUrl: action.profile.avatarUrl};
+        }
+        case SESSION_UPDATED: {
+            return { ...state, sessionStatus: sessionStatuses.active, sessionExpiresAt: action.expiresAt };
+        }
+        case SESSION_EXPIRING: {
+            return state.sessionStatus === sessionStatuses.expired ? state : { ...state, sessionStatus: sessionStatuses.expiring };
+        }
+        case SESSION_EXPIRED: {
+            return { ...state, sessionStatus: sessionStatuses.expired };
         }
         default:
             return state;
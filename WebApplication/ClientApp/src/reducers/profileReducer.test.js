@@ -0,0 +1,48 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import profileReducer, * as profile from './profileReducer';
+import { UPDATE_PROFILE, sessionUpdated, sessionExpiring, sessionExpired, sessionStatuses } from '../actions/profileActions';
+
+describe('profile reducer', () => {
+    it('keeps the session over profile update', () => {
+        const state = profileReducer(profile.initialState, sessionUpdated(1000));
+        const updated = profileReducer(state, { type: UPDATE_PROFILE, profile: { name: 'John', avatarUrl: 'avatar' }, isLoggedIn: true });
+
+        expect(updated).toEqual({ name: 'John', avatarUrl: 'avatar', isLoggedIn: true, sessionStatus: sessionStatuses.active, sessionExpiresAt: 1000 });
+    });
+
+    it('tracks the session status', () => {
+        let state = profileReducer(profile.initialState, sessionUpdated(1000));
+        expect(profile.sessionStatus(state)).toEqual(sessionStatuses.active);
+        expect(profile.sessionExpiresAt(state)).toEqual(1000);
+
+        state = profileReducer(state, sessionExpiring());
+        expect(profile.sessionStatus(state)).toEqual(sessionStatuses.expiring);
+
+        state = profileReducer(state, sessionExpired());
+        expect(profile.sessionStatus(state)).toEqual(sessionStatuses.expired);
+
+        // late warning doesn't revive the expired session
+        state = profileReducer(state, sessionExpiring());
+        expect(profile.sessionStatus(state)).toEqual(sessionStatuses.expired);
+
+        state = profileReducer(state, sessionUpdated(2000));
+        expect(profile.sessionStatus(state)).toEqual(sessionStatuses.active);
+    });
+});
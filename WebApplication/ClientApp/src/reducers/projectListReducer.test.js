@@ -190,4 +190,12 @@ describe('projectList reducer', () => {
             expect(result.projects.find(p => p.id === '1')).toEqual(newProject);
         });
     });
-});
\ No newline at end of file
+
+    test('recognizes the active project', () => {
+        const state = projectListReducer(list.initialState, updateProjectList([ { id: '1', label: 'A' }, { id: '2', label: 'B' } ]));
+
+        expect(list.isActiveProject('1', state)).toEqual(true);
+        expect(list.isActiveProject('2', state)).toEqual(false);
+        expect(list.isActiveProject(null, list.initialState)).toEqual(false);
+    });
+});
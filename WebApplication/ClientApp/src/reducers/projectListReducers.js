@@ -29,6 +29,11 @@ export const getActiveProject = function(state) {
     return getProject(state.activeProjectId, state);
 };
 
+/** Check if the project is the active one, responses for other projects are stale */
+export const isActiveProject = function(id, state) {
+    return !! id && state.activeProjectId === id;
+};
+
 export const getProject = function(id, state) {
     if (! state.projects) return undefined;
     return state.projects.find(proj => proj.id === id);
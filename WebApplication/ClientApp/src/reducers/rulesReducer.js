@@ -0,0 +1,38 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import rulesActionTypes from "../actions/rulesActions";
+
+export const initialState = {};
+
+export const getRules = function(projectId, state) {
+    return state[projectId];
+};
+
+export default function(state = initialState, action) {
+
+    switch(action.type) {
+        case rulesActionTypes.RULES_UPDATED: {
+            const newState = { ...state };
+            newState[action.projectId] = action.rules;
+            return newState;
+        }
+        default:
+            return state;
+    }
+}
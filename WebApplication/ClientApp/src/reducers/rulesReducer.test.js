@@ -0,0 +1,40 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import rulesReducer, { initialState } from './rulesReducer';
+import { updateRules } from '../actions/rulesActions';
+import { getRules } from './mainReducer';
+
+describe('rules reducer', () => {
+    const rulesA = { rules: [ { when: { HasHandle: 'False' }, hide: [ 'HandleLength' ] } ] };
+
+    it('should return the initial state', () => {
+        expect(rulesReducer(undefined, {})).toEqual(initialState);
+    });
+
+    it('handles rules update per project', () => {
+        const state = { projectA: rulesA };
+        expect(rulesReducer(state, updateRules('projectB', null))).toEqual({ projectA: rulesA, projectB: null });
+    });
+
+    it('returns the correct data', () => {
+        const mainState = { rules: { projectA: rulesA } };
+        expect(getRules('projectA', mainState)).toEqual(rulesA);
+        expect(getRules('projectB', mainState)).toBeUndefined();
+    });
+});
@@ -19,6 +19,7 @@
 import parametersActionTypes from '../actions/parametersActions';
 import uiFlagsActionTypes from '../actions/uiFlagsActions';
 import uploadPackagesActionTypes from '../actions/uploadPackageActions';
+import { displayUnitsStorageKey } from '../actions/uiFlagsActions';
 
 /*
    we are looking for url parameter that points to configuration JSON file for project adoption / project update
@@ -40,6 +41,15 @@ export function getEmbeddedModeUrl() {
    return null;
 }
 
+/** Unit system preferred by user, see `unitSystems` */
+export function getStoredDisplayUnits() {
+   try {
+      return window.localStorage.getItem(displayUnitsStorageKey) || 'model';
+   } catch (error) {
+      return 'model';
+   }
+}
+
 export const initialState = {
    parametersEditedMessageClosed: false,
    parametersEditedMessageRejected: false,
@@ -54,11 +64,15 @@ export const initialState = {
    showUploadPackage: false,
    uploadProgressShowing: false,
    uploadProgressStatus: null,
+   uploadBytesProgress: null,
    package: { file: null, root: '', assemblies: null },
    uploadFailedShowing: false,
    activeTabIndex: 0,
    projectAlreadyExists: false,
    showDeleteProject: false,
+   showBatchVariants: false,
+   showParametersFile: false,
+   showConfigurationHistory: false,
    checkedProjects: [],
    drawingProgressShowing: false,
    adoptWithParamsProgressShowing: false,
@@ -68,7 +82,8 @@ export const initialState = {
    stats: {},
    reportUrl: null,
    activeDrawing: null,
-   drawings: null
+   drawings: null,
+   displayUnits: getStoredDisplayUnits()
 };
 
 export const modalProgressShowing = function(state) {
@@ -119,6 +134,10 @@ export const uploadProgressShowing = function(state) {
    return state.uploadProgressShowing;
 };
 
+export const uploadBytesProgress = function(state) {
+   return state.uploadBytesProgress;
+};
+
 export const uploadProgressIsDone = function(state) {
    return state.uploadProgressStatus === "done";
 };
@@ -139,6 +158,18 @@ export const deleteProjectDlgVisible = function(state) {
    return state.showDeleteProject;
 };
 
+export const batchVariantsDlgVisible = function(state) {
+   return state.showBatchVariants;
+};
+
+export const parametersFileDlgVisible = function(state) {
+   return state.showParametersFile;
+};
+
+export const configurationHistoryDlgVisible = function(state) {
+   return state.showConfigurationHistory;
+};
+
 export const checkedProjects = function(state) {
    return state.checkedProjects;
 };
@@ -183,13 +214,20 @@ export const getActiveDrawing = function(state) {
    return state.activeDrawing;
 };
 
+export const displayUnits = function(state) {
+   return state.displayUnits;
+};
+
 export default function(state = initialState, action) {
    switch(action.type) {
       case uiFlagsActionTypes.CLOSE_PARAMETERS_EDITED_MESSAGE:
           return { ...state, parametersEditedMessageClosed: true};
       case parametersActionTypes.PARAMETER_EDITED:
+      case parametersActionTypes.PARAMETERS_EDITED:
          return { ...state, parametersEditedMessageClosed: false};
       case parametersActionTypes.PARAMETERS_RESET:
+      case parametersActionTypes.PARAMETERS_UNDONE:
+      case parametersActionTypes.PARAMETERS_REDONE:
          return { ...state, parametersEditedMessageClosed: false};
       case uiFlagsActionTypes.REJECT_PARAMETERS_EDITED_MESSAGE:
          return { ...state, parametersEditedMessageRejected: action.show };
@@ -212,9 +250,11 @@ export default function(state = initialState, action) {
       case uiFlagsActionTypes.SHOW_UPLOAD_PACKAGE:
          return { ...state, showUploadPackage: action.visible, stats: null };
       case uploadPackagesActionTypes.SET_UPLOAD_PROGRESS_VISIBLE:
-         return { ...state, uploadProgressShowing: true};
+         return { ...state, uploadProgressShowing: true, uploadBytesProgress: null};
       case uploadPackagesActionTypes.SET_UPLOAD_PROGRESS_HIDDEN:
-         return { ...state, uploadProgressShowing: false, uploadProgressStatus: null};
+         return { ...state, uploadProgressShowing: false, uploadProgressStatus: null, uploadBytesProgress: null};
+      case uploadPackagesActionTypes.SET_UPLOAD_BYTES_PROGRESS:
+         return { ...state, uploadBytesProgress: action.progress};
       case uploadPackagesActionTypes.SET_UPLOAD_PROGRESS_DONE:
          return { ...state, uploadProgressStatus: "done"};
       case uploadPackagesActionTypes.SET_UPLOAD_FAILED:
@@ -231,6 +271,12 @@ export default function(state = initialState, action) {
          return { ...state, projectAlreadyExists: action.exists};
       case uiFlagsActionTypes.SHOW_DELETE_PROJECT:
          return { ...state, showDeleteProject: action.visible};
+      case uiFlagsActionTypes.SHOW_BATCH_VARIANTS:
+         return { ...state, showBatchVariants: action.visible};
+      case uiFlagsActionTypes.SHOW_PARAMETERS_FILE:
+         return { ...state, showParametersFile: action.visible};
+      case uiFlagsActionTypes.SHOW_CONFIGURATION_HISTORY:
+         return { ...state, showConfigurationHistory: action.visible};
       case uiFlagsActionTypes.SHOW_ADOPT_WITH_PROPERTIES_PROGRESS:
          return { ...state, adoptWithParamsProgressShowing: action.visible, stats: null};
       case uiFlagsActionTypes.SHOW_ADOPT_WITH_PARAMS_FAILED:
@@ -288,6 +334,8 @@ export default function(state = initialState, action) {
       case uiFlagsActionTypes.ACTIVE_DRAWING_UPDATED: {
          return { ...state, activeDrawing: action.activeDrawing};
       }
+      case uiFlagsActionTypes.SET_DISPLAY_UNITS:
+         return { ...state, displayUnits: action.system };
       default:
          return state;
   }
@@ -20,7 +20,7 @@ import * as uiFlagsActions from '../actions/uiFlagsActions';
 import uiFlagsReducer, * as uiFlags from './uiFlagsReducer';
 import { editParameter, resetParameters } from '../actions/parametersActions';
 import { stateParametersEditedMessageClosed, stateParametersEditedMessageNotRejected, stateParametersEditedMessageRejected } from './uiFlagsTestStates';
-import { setUploadProgressVisible, setUploadProgressHidden, setUploadProgressDone, setUploadFailed, hideUploadFailed } from '../actions/uploadPackageActions';
+import { setUploadProgressVisible, setUploadProgressHidden, setUploadProgressDone, setUploadBytesProgress, setUploadFailed, hideUploadFailed } from '../actions/uploadPackageActions';
 
 
 describe('uiFlags reducer', () => {
@@ -43,6 +43,18 @@ describe('uiFlags reducer', () => {
       expect(uiFlagsReducer(uiFlags.initialState, uiFlagsActions.showDeleteProject(true)).showDeleteProject).toEqual(true);
    });
 
+   it('Sets the show batch variants dlg', () => {
+      expect(uiFlagsReducer(uiFlags.initialState, uiFlagsActions.showBatchVariants(true)).showBatchVariants).toEqual(true);
+   });
+
+   it('Sets the show parameters file dlg', () => {
+      expect(uiFlagsReducer(uiFlags.initialState, uiFlagsActions.showParametersFile(true)).showParametersFile).toEqual(true);
+   });
+
+   it('Sets show configuration history dialog', () => {
+      expect(uiFlagsReducer(uiFlags.initialState, uiFlagsActions.showConfigurationHistory(true)).showConfigurationHistory).toEqual(true);
+   });
+
    it('Hides the download progress', () => {
       expect(uiFlagsReducer(uiFlags.initialState, uiFlagsActions.hideDownloadProgress()).downloadProgressShowing).toEqual(false);
    });
@@ -73,6 +85,14 @@ describe('uiFlags reducer', () => {
          expect(uploadProgressHiddenState.uploadProgressStatus).toEqual(null);
       });
 
+      it('Sets the sent bytes of the package', () => {
+         const progress = { loaded: 5, total: 10, percent: 50, speed: 1, eta: 5 };
+         const uploadingState = uiFlagsReducer(uiFlags.initialState, setUploadBytesProgress(progress));
+         expect(uiFlags.uploadBytesProgress(uploadingState)).toEqual(progress);
+         expect(uiFlags.uploadBytesProgress(uiFlagsReducer(uploadingState, setUploadProgressHidden()))).toEqual(null);
+         expect(uiFlags.uploadBytesProgress(uiFlagsReducer(uploadingState, setUploadProgressVisible()))).toEqual(null);
+      });
+
       it('Sets the upload done', () => {
          expect(uiFlagsReducer(uiFlags.initialState, setUploadProgressDone(true)).uploadProgressStatus).toEqual('done');
       });
@@ -235,6 +255,25 @@ describe('uiFlags reducer', () => {
       it('sets the drawing list', () => {
          const drawingList = [ "drawing 1", "drawing 2"];
          expect(uiFlagsReducer({}, uiFlagsActions.updateDrawingsList(drawingList)).drawings).toEqual(drawingList);
+      }),
+      it('sets the display units', () => {
+         const action = { type: uiFlagsActions.actionTypes.SET_DISPLAY_UNITS, system: 'metric' };
+         expect(uiFlagsReducer({}, action).displayUnits).toEqual('metric');
+      });
+   });
+
+   describe('Display units', () => {
+      afterEach(() => {
+         window.localStorage.clear();
+      });
+
+      it('uses model units by default', () => {
+         expect(uiFlags.getStoredDisplayUnits()).toEqual('model');
+      });
+
+      it('uses the stored unit system', () => {
+         window.localStorage.setItem(uiFlagsActions.displayUnitsStorageKey, 'imperial');
+         expect(uiFlags.getStoredDisplayUnits()).toEqual('imperial');
       });
    });
 });
@@ -36,6 +36,9 @@ export const testState = {
     activeTabIndex: 17,
     projectAlreadyExists: 18,
     showDeleteProject: 19,
+    showBatchVariants: true,
+    showParametersFile: true,
+    showConfigurationHistory: true,
     checkedProjects: [20],
     drawingProgressShowing: 21,
     drawingUrls: { "1" : "url1", "2" : "url2" },
@@ -45,7 +48,8 @@ export const testState = {
     reportUrl: "http://report",
     adoptWithParamsProgressShowing: true,
     adoptWithParamsFailed: false,
-    embeddedModeUrl: "http://embedded.json"
+    embeddedModeUrl: "http://embedded.json",
+    displayUnits: "imperial"
 };
 
  export const fullState = {
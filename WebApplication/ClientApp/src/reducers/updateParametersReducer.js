@@ -30,10 +30,17 @@ export default function(state = initialState, action) {
         case parameterActionTypes.PARAMETERS_UPDATED: {
             const prevState = state[action.projectId];
             let paramSet = action.parameters;
+
+            // update from other tab keeps the values edited here, but not applied yet
+            if (action.pendingEdits) {
+                const edits = new Map(action.pendingEdits.map(edit => [ edit.name, edit.value ]));
+                paramSet = paramSet.map( (param) => edits.has(param.name) ? { ...param, value: edits.get(param.name) } : param);
+            }
+
             if(prevState) {
                 // compare the new values to previous ones and mark those that have changed during the update
                 // no need to clear the changedOnUpdate if it was there as it is not part of the newly returned data
-                paramSet = action.parameters.map( (param) => compareParameters(param, prevState.find((elem) => elem.name == param.name)) ? param : { ...param, changedOnUpdate: true } );
+                paramSet = paramSet.map( (param) => compareParameters(param, prevState.find((elem) => elem.name == param.name)) ? param : { ...param, changedOnUpdate: true } );
             }
             const newState = { ...state };
             newState[action.projectId] = paramSet;
@@ -48,6 +55,16 @@ export default function(state = initialState, action) {
             return newState;
         }
 
+        case parameterActionTypes.PARAMETERS_EDITED: {
+            const values = new Map(action.parameters.map(edit => [ edit.name, edit.value ]));
+            const paramSet = (state[action.projectId]).map( (param) => values.has(param.name) ? { ...param, value: values.get(param.name), changedOnUpdate: null } : param);
+            const newState = { ...state };
+            newState[action.projectId] = paramSet;
+            return newState;
+        }
+
+        case parameterActionTypes.PARAMETERS_UNDONE:
+        case parameterActionTypes.PARAMETERS_REDONE:
         case parameterActionTypes.PARAMETERS_RESET: {
             const newState = { ...state };
             newState[action.projectId] = action.parameters;
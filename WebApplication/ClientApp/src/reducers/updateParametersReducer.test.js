@@ -17,7 +17,7 @@
 /////////////////////////////////////////////////////////////////////
 
 import updateParametersReducer, { initialState } from './updateParametersReducer';
-import { updateParameters, editParameter, resetParameters } from '../actions/parametersActions';
+import { updateParameters, editParameter, editParameters, resetParameters } from '../actions/parametersActions';
 
 describe('updateParameters reducer', () => {
     it('should return the initial state', () => {
@@ -140,6 +140,22 @@ describe('updateParameters reducer', () => {
         expect(updateParametersReducer(initialState, editParameter(projectId, newParameterValue))).toMatchObject(expectedState);
     });
 
+    it('handles edit of several parameters', () => {
+        const initialState = {};
+        initialState[projectId] = parameterSet;
+
+        const newState = updateParametersReducer(initialState, editParameters(projectId, [
+            { name: "ABC", value: 456 },
+            { name: "XYZ", value: "a new string" },
+            { name: "unknown", value: "ignored" }
+        ]));
+
+        expect(newState[projectId]).toEqual([
+            { name: "ABC", value: 456, changedOnUpdate: null },
+            { name: "XYZ", value: "a new string", other: "an attribute", changedOnUpdate: null }
+        ]);
+    });
+
     it('does reset parameters', () => {
         const initialState = {};
         initialState[projectId] = parameterSet;
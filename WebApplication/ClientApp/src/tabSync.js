@@ -0,0 +1,115 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import repo from './Repository';
+
+/**
+ * Synchronization of the Redux stores of the app tabs opened in the same browser.
+ * Actions marked with `broadcast` (results of the completed jobs, changes of the project list) are sent
+ * to the other tabs, which apply them as plain actions. So the other tabs get the new state,
+ * but the jobs and server requests behind it run in the originating tab only.
+ */
+
+export const tabSyncChannelName = 'inventor-configurator-sync';
+
+/** How many received message IDs are remembered to drop duplicates */
+const seenMessagesLimit = 100;
+
+/** Mark the action to be applied in the other tabs too */
+export const broadcast = (action) => {
+    return { ...action, broadcast: true };
+};
+
+/** Project the action is about, undefined for the project list changes */
+const projectIdOf = (action) => action.projectId ?? action.activeProjectId ?? action.newProject?.id;
+
+/**
+ * Channel between the tabs: BroadcastChannel, or `storage` events of local storage in browsers without it.
+ * Returns { post(message), subscribe(listener) => unsubscribe }, messages are not delivered back to the sender.
+ */
+export function createTabChannel(name = tabSyncChannelName) {
+    if (typeof BroadcastChannel !== 'undefined') {
+        const channel = new BroadcastChannel(name);
+        return {
+            post: (message) => channel.postMessage(message),
+            subscribe: (listener) => {
+                const handler = (event) => listener(event.data);
+                channel.addEventListener('message', handler);
+                return () => channel.removeEventListener('message', handler);
+            }
+        };
+    }
+
+    return {
+        // the item is removed immediately, the other tabs get the `storage` event anyway
+        post: (message) => {
+            window.localStorage.setItem(name, JSON.stringify(message));
+            window.localStorage.removeItem(name);
+        },
+        subscribe: (listener) => {
+            const handler = (event) => {
+                if (event.key === name && event.newValue)
+                    listener(JSON.parse(event.newValue));
+            };
+            window.addEventListener('storage', handler);
+            return () => window.removeEventListener('storage', handler);
+        }
+    };
+}
+
+/**
+ * Redux middleware, sends the `broadcast` actions to the other tabs and dispatches the actions received from them.
+ * Received actions are marked with `remote`, so they are never sent back.
+ * The received action means the data changed on the server, so the cached responses of its project
+ * (and the project list) are dropped, and the next request of this tab gets the new data.
+ *
+ * @param channel    Channel between the tabs (see `createTabChannel`), null if the tabs can't communicate.
+ * @param repository Repository with the cached responses.
+ */
+export const tabSyncMiddleware = (channel = createTabChannel(), repository = repo) => (store) => {
+    const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+    const seenMessages = [];
+    let messageCounter = 0;
+
+    if (channel) {
+        channel.subscribe((message) => {
+            if (!message?.action || message.tabId === tabId || seenMessages.includes(message.id))
+                return;
+
+            seenMessages.push(message.id);
+            if (seenMessages.length > seenMessagesLimit)
+                seenMessages.shift();
+
+            // eslint-disable-next-line no-unused-vars
+            const { broadcast, ...action } = message.action;
+            repository.invalidateProject(projectIdOf(action));
+            store.dispatch({ ...action, remote: true });
+        });
+    }
+
+    return (next) => (action) => {
+        const result = next(action);
+
+        if (channel && action?.broadcast && !action.remote) {
+            messageCounter++;
+            channel.post({ id: `${tabId}.${messageCounter}`, tabId, action });
+        }
+
+        return result;
+    };
+};
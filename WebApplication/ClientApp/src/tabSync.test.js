@@ -0,0 +1,209 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { createStore, applyMiddleware } from 'redux';
+import thunk from 'redux-thunk';
+import { mainReducer, getProject, getParameters } from './reducers/mainReducer';
+import { broadcast, createTabChannel, tabSyncMiddleware } from './tabSync';
+import { addProject, updateProjectList, updateProject, updateActiveProject } from './actions/projectListActions';
+import { updateParameters, editParameter } from './actions/parametersActions';
+
+/** Channels of the tabs, the message is delivered to all the tabs except the sender (like BroadcastChannel does) */
+function makeChannels(count) {
+    const listeners = [];
+    return [...Array(count).keys()].map(index => {
+        return {
+            post: jest.fn(message => listeners.forEach((listener, i) => { if (i !== index && listener) listener(message); })),
+            subscribe: (listener) => {
+                listeners[index] = listener;
+                return () => { listeners[index] = null; };
+            }
+        };
+    });
+}
+
+const makeRepository = () => ({ invalidateProject: jest.fn() });
+const makeStore = (channel, repository = makeRepository()) => createStore(mainReducer, applyMiddleware(thunk, tabSyncMiddleware(channel, repository)));
+
+describe('tab synchronization', () => {
+
+    let channels;
+    let repositories;
+    let first;
+    let second;
+
+    beforeEach(() => {
+        channels = makeChannels(2);
+        repositories = [ makeRepository(), makeRepository() ];
+        first = makeStore(channels[0], repositories[0]);
+        second = makeStore(channels[1], repositories[1]);
+
+        const projects = [ { id: 'a', label: 'A' }, { id: 'b', label: 'B' } ];
+        first.dispatch(updateProjectList(projects));
+        second.dispatch(updateProjectList(projects));
+    });
+
+    it('does not send local actions', () => {
+        first.dispatch(updateActiveProject('b'));
+
+        expect(channels[0].post).not.toHaveBeenCalled();
+        expect(second.getState().projectList.activeProjectId).toEqual('a');
+    });
+
+    it('applies added project in the other tab', () => {
+        first.dispatch(broadcast(addProject({ id: 'c', label: 'C' })));
+
+        expect(getProject('c', second.getState())).toEqual({ id: 'c', label: 'C' });
+    });
+
+    it('applies deleted projects in the other tab', () => {
+        second.dispatch(updateActiveProject('b'));
+        first.dispatch(broadcast(updateProjectList([ { id: 'a', label: 'A' } ])));
+
+        expect(second.getState().projectList.projects).toEqual([ { id: 'a', label: 'A' } ]);
+        expect(second.getState().projectList.activeProjectId).toEqual('a');
+    });
+
+    it('applies updated project and parameters in the other tab', () => {
+        const parameters = [ { name: 'Length', value: '10 mm' } ];
+        first.dispatch(broadcast(updateParameters('a', parameters)));
+        first.dispatch(broadcast(updateProject('a', { hash: 'new' })));
+
+        expect(getParameters('a', second.getState())).toEqual(parameters);
+        expect(second.getState().updateParameters['a']).toEqual(parameters);
+        expect(getProject('a', second.getState()).hash).toEqual('new');
+    });
+
+    it('drops cached data of the changed project in the other tab', () => {
+        first.dispatch(broadcast(updateParameters('a', [])));
+        first.dispatch(broadcast(updateProject('b', { hash: 'new' })));
+        first.dispatch(broadcast(addProject({ id: 'c', label: 'C' })));
+        first.dispatch(broadcast(updateProjectList([])));
+
+        expect(repositories[1].invalidateProject.mock.calls).toEqual([ [ 'a' ], [ 'b' ], [ 'c' ], [ undefined ] ]);
+        expect(repositories[0].invalidateProject).not.toHaveBeenCalled();
+    });
+
+    it('keeps the values edited but not applied in the other tab', () => {
+        const parameters = [ { name: 'Length', value: '10 mm' }, { name: 'Width', value: '5 mm' }, { name: 'Height', value: '1 mm' } ];
+        first.dispatch(updateParameters('a', parameters));
+        second.dispatch(updateParameters('a', parameters));
+        second.dispatch(editParameter('a', { name: 'Length', value: '12 mm' }));
+
+        const updated = [ { name: 'Length', value: '10 mm' }, { name: 'Width', value: '6 mm' }, { name: 'Height', value: '2 mm' } ];
+        first.dispatch(broadcast(updateParameters('a', updated)));
+
+        // the server values are updated, the edit is still pending
+        expect(getParameters('a', second.getState())).toEqual(updated);
+        const edited = second.getState().updateParameters['a'];
+        expect(edited.map(param => param.value)).toEqual([ '12 mm', '6 mm', '2 mm' ]);
+        expect(second.getState().parametersHistory['a'].present).toEqual(edited);
+
+        // the originating tab takes the update as is
+        expect(first.getState().updateParameters['a'].map(param => param.value)).toEqual([ '10 mm', '6 mm', '2 mm' ]);
+    });
+
+    it('does not send received actions back', () => {
+        first.dispatch(broadcast(addProject({ id: 'c', label: 'C' })));
+
+        expect(channels[0].post).toHaveBeenCalledTimes(1);
+        expect(channels[1].post).not.toHaveBeenCalled();
+    });
+
+    it('marks received actions as remote', () => {
+        const received = [];
+        const recorder = () => (next) => (action) => { received.push(action); return next(action); };
+        const third = createStore(mainReducer, applyMiddleware(tabSyncMiddleware(channels[1]), recorder));
+
+        first.dispatch(broadcast(addProject({ id: 'c', label: 'C' })));
+
+        expect(received.pop()).toEqual({ type: addProject({}).type, newProject: { id: 'c', label: 'C' }, remote: true });
+        expect(getProject('c', third.getState())).toBeTruthy();
+    });
+
+    it('drops duplicated and own messages', () => {
+        const listeners = [];
+        const channel = { post: jest.fn(), subscribe: (listener) => listeners.push(listener) };
+        const store = makeStore(channel);
+
+        store.dispatch(broadcast(addProject({ id: 'c', label: 'C' })));
+        const own = channel.post.mock.calls[0][0];
+        listeners[0]({ ...own, action: { ...own.action, newProject: { id: 'own', label: 'own' } } });
+        expect(getProject('own', store.getState())).toBeUndefined();
+
+        const message = { id: 'other.1', tabId: 'other', action: addProject({ id: 'd', label: 'D' }) };
+        listeners[0](message);
+        store.dispatch(updateProjectList([]));
+        listeners[0](message);
+        expect(getProject('d', store.getState())).toBeUndefined();
+    });
+
+    it('works without channel', () => {
+        const store = makeStore(null);
+        store.dispatch(broadcast(addProject({ id: 'c', label: 'C' })));
+
+        expect(getProject('c', store.getState())).toBeTruthy();
+    });
+});
+
+describe('createTabChannel', () => {
+
+    afterEach(() => {
+        delete window.BroadcastChannel;
+    });
+
+    it('uses BroadcastChannel', () => {
+        const instances = [];
+        window.BroadcastChannel = function(name) {
+            this.name = name;
+            this.postMessage = jest.fn();
+            this.addEventListener = jest.fn((type, handler) => { this.handler = handler; });
+            this.removeEventListener = jest.fn();
+            instances.push(this);
+        };
+
+        const channel = createTabChannel('test');
+        const listener = jest.fn();
+        const unsubscribe = channel.subscribe(listener);
+        channel.post({ id: 1 });
+        instances[0].handler({ data: { id: 2 } });
+        unsubscribe();
+
+        expect(instances[0].name).toEqual('test');
+        expect(instances[0].postMessage).toHaveBeenCalledWith({ id: 1 });
+        expect(listener).toHaveBeenCalledWith({ id: 2 });
+        expect(instances[0].removeEventListener).toHaveBeenCalled();
+    });
+
+    it('falls back to storage events', () => {
+        const channel = createTabChannel('test');
+        const listener = jest.fn();
+        const unsubscribe = channel.subscribe(listener);
+
+        channel.post({ id: 1 });
+        expect(window.localStorage.getItem('test')).toBeNull();
+
+        window.dispatchEvent(new StorageEvent('storage', { key: 'other', newValue: '{}' }));
+        window.dispatchEvent(new StorageEvent('storage', { key: 'test', newValue: null }));
+        window.dispatchEvent(new StorageEvent('storage', { key: 'test', newValue: '{"id":2}' }));
+        unsubscribe();
+        window.dispatchEvent(new StorageEvent('storage', { key: 'test', newValue: '{"id":3}' }));
+
+        expect(listener.mock.calls).toEqual([ [ { id: 2 } ] ]);
+    });
+});
@@ -20,20 +20,37 @@ import * as signalR from '@aspnet/signalr';
 
 const connectionMock = {
     onHandlers: {},
+    onCloseHandler: null,
+    lastJobId: null,
     start: function() {},
     on: function(name, fn) {
         this.onHandlers[name] = fn;
     },
-    invoke: function() {},
+    onclose: function(fn) {
+        this.onCloseHandler = fn;
+    },
+    // the first argument of every job method is the job ID
+    invoke: function(methodName, jobId) {
+        this.lastJobId = jobId;
+    },
     stop: function() {},
-    simulateComplete: function(data, stats) {
-        this.onHandlers['onComplete'](data, stats);
+    simulateComplete: function(data, stats, jobId = this.lastJobId) {
+        this.onHandlers['onComplete'](jobId, data, stats);
     },
     simulateErrorWithReport: function(jobId, link) {
-        this.onHandlers['onError']({ errorType: 1, jobId, reportUrl: link });
+        this.onHandlers['onError'](this.lastJobId, { errorType: 1, jobId, reportUrl: link });
     },
     simulateErrorWithMessage: function(jobId, message, title) {
-        this.onHandlers['onError']({ errorType: 2, jobId, messages: [message], title });
+        this.onHandlers['onError'](this.lastJobId, { errorType: 2, jobId, messages: [message], title });
+    },
+    simulateProgress: function(progress, jobId = this.lastJobId) {
+        this.onHandlers['onProgress'](jobId, progress);
+    },
+    simulateCancelled: function(jobId = this.lastJobId) {
+        this.onHandlers['onCancelled'](jobId);
+    },
+    simulateClose: function(error) {
+        this.onCloseHandler(error);
     }
 };
 
@@ -50,4 +67,10 @@ hubConnectionBuilder.prototype.withUrl = function(/*url*/) {
 // eslint-disable-next-line no-import-assign
 signalR.HubConnectionBuilder = hubConnectionBuilder;
 
-export default connectionMock;
\ No newline at end of file
+export default connectionMock;
+
+/** Let the started job reach the mocked connection, so its results can be simulated */
+export const flushJobs = async () => {
+    for (let i = 0; i < 10; i++)
+        await Promise.resolve();
+};
@@ -0,0 +1,68 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+/** Resolve after the delay (in ms) */
+export const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run async `worker` for each item, with at most `limit` workers running at the same time.
+ * Resolves with worker results in order of the items. Worker failures are not caught.
+ */
+export async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runner = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    const runners = [];
+    for (let i = 0; i < Math.min(Math.max(1, limit), items.length); i++)
+        runners.push(runner());
+
+    await Promise.all(runners);
+    return results;
+}
+
+/**
+ * Tracker of the requests superseding each other (e.g. data of the active project):
+ * the started request aborts the previous one, if it's still running.
+ */
+export function latestRequest() {
+    let controller = null;
+
+    return {
+        /** Abort the running request, returns AbortController signal for the new one */
+        start() {
+            if (controller)
+                controller.abort();
+
+            controller = new AbortController();
+            return controller.signal;
+        },
+
+        /** Forget the finished request, so it's not aborted in vain */
+        finish(signal) {
+            if (controller?.signal === signal)
+                controller = null;
+        }
+    };
+}
@@ -0,0 +1,100 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { runWithConcurrency, latestRequest, wait } from './concurrency';
+
+describe('wait', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('resolves after the delay', async () => {
+        jest.useFakeTimers();
+        let resolved = false;
+        const waiting = wait(1000).then(() => { resolved = true; });
+
+        jest.advanceTimersByTime(999);
+        await Promise.resolve();
+        expect(resolved).toEqual(false);
+
+        jest.advanceTimersByTime(1);
+        await waiting;
+        expect(resolved).toEqual(true);
+    });
+});
+
+describe('runWithConcurrency', () => {
+    it('returns results in order of the items', async () => {
+        const results = await runWithConcurrency([3, 1, 2], 2, async (item, index) => `${index}:${item}`);
+        expect(results).toEqual(['0:3', '1:1', '2:2']);
+    });
+
+    it('limits the number of running workers', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const worker = async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 1));
+            running--;
+        };
+
+        await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, worker);
+        expect(maxRunning).toEqual(3);
+    });
+
+    it('runs at least one worker', async () => {
+        const worker = jest.fn();
+        await runWithConcurrency([1, 2], 0, worker);
+        expect(worker).toHaveBeenCalledTimes(2);
+    });
+
+    it('handles empty items', async () => {
+        expect(await runWithConcurrency([], 3, jest.fn())).toEqual([]);
+    });
+});
+
+describe('latestRequest', () => {
+    it('aborts the superseded request', () => {
+        const request = latestRequest();
+        const first = request.start();
+        const second = request.start();
+
+        expect(first.aborted).toEqual(true);
+        expect(second.aborted).toEqual(false);
+    });
+
+    it('does not abort the finished request', () => {
+        const request = latestRequest();
+        const first = request.start();
+        request.finish(first);
+        request.start();
+
+        expect(first.aborted).toEqual(false);
+    });
+
+    it('ignores finish of the superseded request', () => {
+        const request = latestRequest();
+        const first = request.start();
+        const second = request.start();
+        request.finish(first);
+        request.start();
+
+        expect(second.aborted).toEqual(true);
+    });
+});
@@ -38,6 +38,19 @@ export const significantDigits = (number, minimumDigits) => {
     return number.toPrecision(trueSignificantDigits);
 };
 
+/** Human readable duration, like '45 s', '3 min 5 s' or '1 h 20 min'. Fractions of second are dropped. */
+export const formatDuration = (seconds) => {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const rest = total % 60;
+
+    if (hours > 0)
+        return `${hours} h ${minutes} min`;
+
+    return minutes > 0 ? `${minutes} min ${rest} s` : `${rest} s`;
+};
+
 // converts an array of (adoption) warnings into the final, single warning string
 export const fullWarningMsg = ( warningsArray ) => {
     if (!(warningsArray?.length > 0))
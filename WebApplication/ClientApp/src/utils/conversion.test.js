@@ -16,7 +16,7 @@
 // UNINTERRUPTED OR ERROR FREE.
 /////////////////////////////////////////////////////////////////////
 
-import { significantDigits, fullWarningMsg } from './conversion';
+import { significantDigits, fullWarningMsg, formatDuration } from './conversion';
 
 describe('Conversion utils', () => {
     describe('Significant digits conversion', () => {
@@ -41,6 +41,18 @@ describe('Conversion utils', () => {
         });
     });
 
+    describe('Duration formatting', () => {
+        it('formats seconds, minutes and hours', () => {
+            expect(formatDuration(0)).toEqual('0 s');
+            expect(formatDuration(42.9)).toEqual('42 s');
+            expect(formatDuration(125)).toEqual('2 min 5 s');
+            expect(formatDuration(4800)).toEqual('1 h 20 min');
+        });
+        it('does not show negative duration', () => {
+            expect(formatDuration(-3)).toEqual('0 s');
+        });
+    });
+
     describe('Warnings message array conversion', () => {
         it('returns null when array is null', () => {
             expect(fullWarningMsg(null)).toEqual(null);
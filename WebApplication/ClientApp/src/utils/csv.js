@@ -0,0 +1,82 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+/**
+ * Parse CSV text into array of rows, each row is array of cells.
+ * Supports quoted cells with delimiters, new lines and "" escapes inside.
+ * Delimiter is comma, or semicolon if the first line has no commas.
+ */
+export function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (!firstLine.includes(',') && firstLine.includes(';')) ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n')
+                i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted)
+        throw new Error('Unterminated quoted value');
+
+    row.push(cell);
+    rows.push(row);
+
+    // ignore empty lines
+    return rows
+        .map(cells => cells.map(item => item.trim()))
+        .filter(cells => cells.some(item => item !== ''));
+}
+
+// cells with delimiters, quotes, new lines or outer spaces have to be quoted
+const needsQuotes = /[",;\r\n]|^\s|\s$/;
+
+/** Format rows (arrays of cells) as CSV text */
+export function formatCsv(rows) {
+    return rows.map(cells => cells.map(cell => {
+        const text = cell == null ? '' : String(cell);
+        return needsQuotes.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,44 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { parseCsv, formatCsv } from './csv';
+
+describe('CSV', () => {
+    it('parses rows and cells', () => {
+        expect(parseCsv('a,b\r\n1, 2 \n\n3,4\n')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+    });
+    it('parses quoted cells', () => {
+        expect(parseCsv('a,b\n"x, ""y""","multi\nline"')).toEqual([['a', 'b'], ['x, "y"', 'multi\nline']]);
+    });
+    it('uses semicolon delimiter', () => {
+        expect(parseCsv('a;b\n1,5 mm;2')).toEqual([['a', 'b'], ['1,5 mm', '2']]);
+    });
+    it('reports unterminated quotes', () => {
+        expect(() => parseCsv('a\n"b')).toThrow('Unterminated quoted value');
+    });
+    it('formats rows', () => {
+        expect(formatCsv([['a', 'b'], [1, null]])).toEqual('a,b\r\n1,\r\n');
+    });
+    it('quotes cells when needed', () => {
+        expect(formatCsv([['x, "y"', 'a;b', 'multi\nline', ' pad']])).toEqual('"x, ""y""","a;b","multi\nline"," pad"\r\n');
+    });
+    it('formats what it parses', () => {
+        const rows = [['Name', 'Value'], ['Note', 'say "hi", please']];
+        expect(parseCsv(formatCsv(rows))).toEqual(rows);
+    });
+});
@@ -0,0 +1,112 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { parseCsv } from './csv';
+
+// column with the variant name, all the other columns are parameter names
+const variantColumn = 'variant';
+
+const isVariantColumn = (column) => column.trim().toLowerCase() === variantColumn;
+
+/** Convert CSV text with a header row to array of objects */
+function csvToRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header)
+        throw new Error('The table is empty');
+
+    return rows.map(cells => {
+        const record = {};
+        header.forEach((column, index) => {
+            if (column && cells[index] != null && cells[index] !== '')
+                record[column] = cells[index];
+        });
+        return record;
+    });
+}
+
+/** Convert parsed JSON (array of rows, or object with variant name as key) to array of objects */
+function jsonToRecords(json) {
+    if (Array.isArray(json))
+        return json;
+
+    if (json && typeof json === 'object')
+        return Object.entries(json).map(([name, values]) => ({ [variantColumn]: name, ...values }));
+
+    throw new Error('JSON must be an array or an object of parameter sets');
+}
+
+// value can be "10 mm" or Inventor-like { value: "10 mm" }
+const cellValue = (value) => (value && typeof value === 'object') ? value.value : value;
+
+/**
+ * Parse design table, where each row is a parameter set.
+ * Format is decided by the file extension (.json or .csv), or by the content.
+ * Returns array of { name, values }, where `values` maps parameter name to value.
+ */
+export function parseDesignTable(text, fileName) {
+    const isJson = fileName ? /\.json$/i.test(fileName) : /^\s*[[{]/.test(text);
+
+    let records;
+    if (isJson) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Invalid JSON: ' + error.message);
+        }
+        records = jsonToRecords(json);
+    } else {
+        records = csvToRecords(text);
+    }
+
+    const variants = records.map((record, index) => {
+        if (!record || typeof record !== 'object')
+            throw new Error(`Row ${index + 1} is not a parameter set`);
+
+        let name = null;
+        const values = {};
+        for (const [column, value] of Object.entries(record)) {
+            if (isVariantColumn(column)) {
+                name = String(value);
+            } else if (value != null) {
+                values[column] = String(cellValue(value));
+            }
+        }
+
+        return { name: name || `Variant ${index + 1}`, values };
+    });
+
+    if (variants.length === 0)
+        throw new Error('The table has no parameter sets');
+
+    return variants;
+}
+
+/**
+ * Apply variant values to the project parameters.
+ * Returns updated copy of the parameters and names of the values without matching parameter.
+ */
+export function applyVariant(parameters, values) {
+    const known = new Set(parameters.map(param => param.name));
+    const unknown = Object.keys(values).filter(name => !known.has(name));
+
+    return {
+        parameters: parameters.map(param => (values[param.name] != null) ? { ...param, value: values[param.name] } : param),
+        unknown
+    };
+}
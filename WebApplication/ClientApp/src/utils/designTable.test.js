@@ -0,0 +1,70 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { parseDesignTable, applyVariant } from './designTable';
+
+describe('Design table', () => {
+    describe('parsing', () => {
+        it('reads CSV with variant names', () => {
+            const text = 'Variant,Width,Height\nSmall,10 mm,20 mm\nLarge,30 mm,\n';
+            expect(parseDesignTable(text, 'sizes.csv')).toEqual([
+                { name: 'Small', values: { Width: '10 mm', Height: '20 mm' } },
+                { name: 'Large', values: { Width: '30 mm' } }
+            ]);
+        });
+        it('names variants without name column', () => {
+            expect(parseDesignTable('Width\n10 mm', 'sizes.csv')).toEqual([{ name: 'Variant 1', values: { Width: '10 mm' } }]);
+        });
+        it('reads JSON array', () => {
+            const text = '[{ "variant": "A", "Width": "10 mm", "Count": 3, "Flag": { "value": "True" } }]';
+            expect(parseDesignTable(text, 'table.json')).toEqual([{ name: 'A', values: { Width: '10 mm', Count: '3', Flag: 'True' } }]);
+        });
+        it('reads JSON object with variant names as keys', () => {
+            const text = '{ "A": { "Width": "10 mm" }, "B": { "Width": "20 mm" } }';
+            expect(parseDesignTable(text)).toEqual([
+                { name: 'A', values: { Width: '10 mm' } },
+                { name: 'B', values: { Width: '20 mm' } }
+            ]);
+        });
+        it('reports invalid tables', () => {
+            expect(() => parseDesignTable('{', 'a.json')).toThrow(/^Invalid JSON/);
+            expect(() => parseDesignTable('"text"', 'a.json')).toThrow('JSON must be an array or an object of parameter sets');
+            expect(() => parseDesignTable('[1]', 'a.json')).toThrow('Row 1 is not a parameter set');
+            expect(() => parseDesignTable('[]', 'a.json')).toThrow('The table has no parameter sets');
+            expect(() => parseDesignTable('Width\n', 'a.csv')).toThrow('The table has no parameter sets');
+            expect(() => parseDesignTable('', 'a.csv')).toThrow('The table is empty');
+        });
+    });
+
+    describe('applying', () => {
+        const parameters = [
+            { name: 'Width', value: '5 mm' },
+            { name: 'Height', value: '6 mm' }
+        ];
+
+        it('replaces values of the parameters', () => {
+            expect(applyVariant(parameters, { Width: '10 mm' })).toEqual({
+                parameters: [{ name: 'Width', value: '10 mm' }, { name: 'Height', value: '6 mm' }],
+                unknown: []
+            });
+        });
+        it('reports unknown parameters', () => {
+            expect(applyVariant(parameters, { Depth: '1 mm' }).unknown).toEqual(['Depth']);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { convertValue, formatQuantity } from './units';
+import { isNumericParameter } from './parameterValidation';
+
+// multipliers of the step for keyboard modifiers
+export const coarseFactor = 10;
+export const fineFactor = 0.1;
+
+// tolerate floating point noise when snapping to the steps
+const epsilon = 1e-9;
+
+/** True if the parameter has both limits, so it can be edited with a slider */
+export const hasRange = (parameter) => {
+    return isNumericParameter(parameter) && parameter.min != null && parameter.max != null && parameter.max > parameter.min;
+};
+
+/** Current value in the parameter units, null if the value is not a valid number */
+export const numericValue = (parameter) => {
+    return convertValue(parameter.value, parameter.units, parameter.units);
+};
+
+/**
+ * Size of one step in the parameter units.
+ * Step from metadata wins, then 1/100 of the range, then 1. Fine steps are not possible when the step is given,
+ * because the value would not be valid.
+ */
+export const stepSize = (parameter, factor = 1) => {
+    if (parameter.step > 0)
+        return parameter.step * Math.max(factor, 1);
+
+    const base = hasRange(parameter) ? (parameter.max - parameter.min) / 100 : 1;
+    return base * factor;
+};
+
+const clamp = (number, parameter) => {
+    if (parameter.min != null && number < parameter.min)
+        return parameter.min;
+
+    if (parameter.max != null && number > parameter.max)
+        return parameter.max;
+
+    return number;
+};
+
+/**
+ * Value after stepping up or down, snapped to the step grid and kept in the limits.
+ *
+ * @param {Object} parameter Numeric parameter in the client format.
+ * @param {number} direction 1 to increment, -1 to decrement.
+ * @param {number} factor Step multiplier, see `coarseFactor` and `fineFactor`.
+ * @returns {string|null} New value with the parameter units, null if the current value is not a number.
+ */
+export const stepValue = (parameter, direction, factor = 1) => {
+    const number = numericValue(parameter);
+    if (number == null)
+        return null;
+
+    const step = stepSize(parameter, factor);
+    const base = parameter.min != null ? parameter.min : 0;
+    // values out of the grid go to the nearest step in the direction first
+    const steps = (number - base) / step;
+    const next = direction > 0 ? Math.floor(steps + epsilon) + 1 : Math.ceil(steps - epsilon) - 1;
+
+    return formatQuantity(clamp(base + next * step, parameter), parameter.units);
+};
+
+/** Value from the slider position, in the parameter units */
+export const sliderValue = (parameter, position) => {
+    return formatQuantity(clamp(Number(position), parameter), parameter.units);
+};
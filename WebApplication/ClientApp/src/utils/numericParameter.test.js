@@ -0,0 +1,74 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { hasRange, numericValue, stepSize, stepValue, sliderValue, coarseFactor, fineFactor } from './numericParameter';
+
+const lengthParam = { name: 'Length', value: '10 mm', units: 'mm', allowedValues: [] };
+const rangeParam = { ...lengthParam, min: 0, max: 50, step: 2.5 };
+
+describe('Numeric parameter', () => {
+    it('detects range', () => {
+        expect(hasRange(rangeParam)).toEqual(true);
+        expect(hasRange(lengthParam)).toEqual(false);
+        expect(hasRange({ ...rangeParam, max: 0 })).toEqual(false);
+        expect(hasRange({ ...rangeParam, units: 'Text' })).toEqual(false);
+    });
+
+    it('reads value in parameter units', () => {
+        expect(numericValue({ ...lengthParam, value: '1 cm' })).toEqual(10);
+        expect(numericValue({ ...lengthParam, value: 'abc' })).toBeNull();
+    });
+
+    it('computes step size', () => {
+        expect(stepSize(lengthParam)).toEqual(1);
+        expect(stepSize(lengthParam, fineFactor)).toEqual(0.1);
+        expect(stepSize({ ...lengthParam, min: 0, max: 200 })).toEqual(2);
+        expect(stepSize(rangeParam, coarseFactor)).toEqual(25);
+        // fine step would make the value invalid
+        expect(stepSize(rangeParam, fineFactor)).toEqual(2.5);
+    });
+
+    describe('stepping', () => {
+        it('steps by one unit without metadata', () => {
+            expect(stepValue(lengthParam, 1)).toEqual('11 mm');
+            expect(stepValue(lengthParam, -1, fineFactor)).toEqual('9.9 mm');
+            expect(stepValue({ ...lengthParam, value: '0.3' }, 1, fineFactor)).toEqual('0.4 mm');
+        });
+        it('snaps to the steps and keeps the limits', () => {
+            expect(stepValue(rangeParam, 1)).toEqual('12.5 mm');
+            expect(stepValue({ ...rangeParam, value: '11 mm' }, 1)).toEqual('12.5 mm');
+            expect(stepValue({ ...rangeParam, value: '11 mm' }, -1)).toEqual('10 mm');
+            expect(stepValue({ ...rangeParam, value: '45 mm' }, 1, coarseFactor)).toEqual('50 mm');
+            expect(stepValue({ ...rangeParam, value: '1 mm' }, -1)).toEqual('0 mm');
+        });
+        it('converts value in other units', () => {
+            expect(stepValue({ ...lengthParam, value: '1 in' }, 1)).toEqual('26 mm');
+        });
+        it('keeps unitless values without unit', () => {
+            expect(stepValue({ name: 'Count', value: '3', units: 'ul', allowedValues: [] }, 1)).toEqual('4');
+        });
+        it('does not step invalid value', () => {
+            expect(stepValue({ ...lengthParam, value: 'abc' }, 1)).toBeNull();
+        });
+    });
+
+    it('formats slider value', () => {
+        expect(sliderValue(rangeParam, '27.5')).toEqual('27.5 mm');
+        expect(sliderValue(rangeParam, '70')).toEqual('50 mm');
+    });
+});
@@ -0,0 +1,148 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { parseCsv, formatCsv } from './csv';
+import { convertValue, formatQuantity, getUnit } from './units';
+
+const csvColumns = ['Name', 'Value', 'Unit', 'Label'];
+
+/**
+ * Export parameters in the same JSON format the server uses (see `adaptParameters`):
+ * { "<name>": { "value": ..., "unit": ..., "label": ... } }
+ */
+export function exportParametersJson(parameters) {
+    const result = {};
+    for (const param of parameters) {
+        result[param.name] = { value: param.value, unit: param.units, label: param.label };
+    }
+
+    return JSON.stringify(result, null, 2);
+}
+
+/** Export parameters as CSV with Name, Value, Unit and Label columns */
+export function exportParametersCsv(parameters) {
+    return formatCsv([csvColumns, ...parameters.map(param => [param.name, param.value, param.units, param.label])]);
+}
+
+/** Read parameters from CSV exported by `exportParametersCsv`, column order does not matter */
+function csvToParameters(text) {
+    const [header, ...rows] = parseCsv(text);
+    const columns = (header || []).map(column => column.toLowerCase());
+    const nameIndex = columns.indexOf('name');
+    const valueIndex = columns.indexOf('value');
+    if (nameIndex < 0 || valueIndex < 0)
+        throw new Error('CSV must have Name and Value columns');
+
+    const unitIndex = columns.findIndex(column => column === 'unit' || column === 'units');
+    return rows
+        .filter(cells => cells[nameIndex])
+        .map(cells => ({
+            name: cells[nameIndex],
+            value: cells[valueIndex] ?? '',
+            unit: unitIndex >= 0 ? cells[unitIndex] || null : null
+        }));
+}
+
+/** Read parameters from JSON object (name -> value or { value, unit }) or array of { name, value, unit } */
+function jsonToParameters(json) {
+    if (json === null || typeof json !== 'object')
+        throw new Error('JSON must be an object or an array of parameters');
+
+    const entries = Array.isArray(json) ? json.map(item => [item?.name, item]) : Object.entries(json);
+
+    return entries
+        .filter(([name]) => name)
+        .map(([name, item]) => (item && typeof item === 'object') ?
+            { name, value: item.value == null ? '' : String(item.value), unit: item.unit || item.units || null } :
+            { name, value: item == null ? '' : String(item), unit: null });
+}
+
+/**
+ * Parse parameter file, the format is decided by the file extension (.json or .csv), or by the content.
+ * Returns array of { name, value, unit }, `unit` is null when not specified.
+ */
+export function parseParameterFile(text, fileName) {
+    const isJson = fileName ? /\.json$/i.test(fileName) : /^\s*[[{]/.test(text);
+    if (!isJson)
+        return csvToParameters(text);
+
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Invalid JSON: ' + error.message);
+    }
+
+    return jsonToParameters(json);
+}
+
+/**
+ * Map imported values to the project parameters.
+ * Values in compatible units are converted to the parameter units.
+ *
+ * @returns {Object} { edits, report }, where `edits` is array of { name, value } to apply,
+ *   and `report` is array of { name, status, message } with status one of
+ *   'applied', 'converted', 'unchanged', 'unknown', 'readonly', 'unitMismatch', 'notAllowed'.
+ */
+export function mapImportedParameters(imported, parameters) {
+    const edits = [];
+    const report = [];
+
+    for (const item of imported) {
+        const param = parameters.find(p => p.name === item.name);
+        if (!param) {
+            report.push({ name: item.name, status: 'unknown', message: 'No such parameter in the project' });
+            continue;
+        }
+
+        if (param.readonly) {
+            report.push({ name: item.name, status: 'readonly', message: 'Parameter is read-only' });
+            continue;
+        }
+
+        let value = item.value;
+        let status = 'applied';
+        let message = null;
+        if (item.unit && param.units && item.unit !== param.units) {
+            const number = getUnit(item.unit).dimension === getUnit(param.units).dimension ? convertValue(value, item.unit, param.units) : null;
+            if (number == null) {
+                report.push({ name: item.name, status: 'unitMismatch', message: `Unit ${item.unit} does not match ${param.units}` });
+                continue;
+            }
+
+            value = formatQuantity(number, param.units);
+            status = 'converted';
+            message = `Converted from ${item.unit}`;
+        }
+
+        if (param.allowedValues?.length > 0 && !param.allowedValues.includes(value)) {
+            report.push({ name: item.name, status: 'notAllowed', message: `'${value}' is not one of the allowed values` });
+            continue;
+        }
+
+        if (value === param.value) {
+            report.push({ name: item.name, status: 'unchanged', message: null });
+            continue;
+        }
+
+        edits.push({ name: item.name, value });
+        report.push({ name: item.name, status, message });
+    }
+
+    return { edits, report };
+}
@@ -0,0 +1,105 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { exportParametersJson, exportParametersCsv, parseParameterFile, mapImportedParameters } from './parameterFile';
+
+const parameters = [
+    { name: 'Width', value: '10 mm', units: 'mm', label: 'Jaw Width', allowedValues: [] },
+    { name: 'Size', value: '"Small"', units: 'Text', label: 'Size', allowedValues: ['"Small"', '"Large"'] },
+    { name: 'Mass', value: '1 kg', units: 'kg', label: 'Mass', allowedValues: [], readonly: true }
+];
+
+describe('Parameter file', () => {
+    describe('export', () => {
+        it('exports JSON in server format', () => {
+            expect(JSON.parse(exportParametersJson(parameters))).toEqual({
+                Width: { value: '10 mm', unit: 'mm', label: 'Jaw Width' },
+                Size: { value: '"Small"', unit: 'Text', label: 'Size' },
+                Mass: { value: '1 kg', unit: 'kg', label: 'Mass' }
+            });
+        });
+        it('exports CSV', () => {
+            expect(exportParametersCsv(parameters.slice(0, 2))).toEqual(
+                'Name,Value,Unit,Label\r\nWidth,10 mm,mm,Jaw Width\r\nSize,"""Small""",Text,Size\r\n');
+        });
+    });
+
+    describe('parsing', () => {
+        it('reads exported JSON and CSV back', () => {
+            const expected = [
+                { name: 'Width', value: '10 mm', unit: 'mm' },
+                { name: 'Size', value: '"Small"', unit: 'Text' },
+                { name: 'Mass', value: '1 kg', unit: 'kg' }
+            ];
+            expect(parseParameterFile(exportParametersJson(parameters), 'a.json')).toEqual(expected);
+            expect(parseParameterFile(exportParametersCsv(parameters), 'a.csv')).toEqual(expected);
+        });
+        it('reads simple JSON forms', () => {
+            expect(parseParameterFile('{ "Width": "12 mm", "Count": 3 }')).toEqual([
+                { name: 'Width', value: '12 mm', unit: null },
+                { name: 'Count', value: '3', unit: null }
+            ]);
+            expect(parseParameterFile('[{ "name": "Width", "value": "12", "units": "in" }, { "value": "no name" }]')).toEqual([
+                { name: 'Width', value: '12', unit: 'in' }
+            ]);
+        });
+        it('reads CSV without unit column', () => {
+            expect(parseParameterFile('value,name\n12 mm,Width\n', 'a.csv')).toEqual([{ name: 'Width', value: '12 mm', unit: null }]);
+        });
+        it('reports invalid files', () => {
+            expect(() => parseParameterFile('{', 'a.json')).toThrow(/^Invalid JSON/);
+            expect(() => parseParameterFile('12', 'a.json')).toThrow('JSON must be an object or an array of parameters');
+            expect(() => parseParameterFile('a,b\n1,2', 'a.csv')).toThrow('CSV must have Name and Value columns');
+        });
+    });
+
+    describe('mapping', () => {
+        it('applies the changed values', () => {
+            const { edits, report } = mapImportedParameters([
+                { name: 'Width', value: '12 mm', unit: 'mm' },
+                { name: 'Size', value: '"Large"', unit: null }
+            ], parameters);
+
+            expect(edits).toEqual([{ name: 'Width', value: '12 mm' }, { name: 'Size', value: '"Large"' }]);
+            expect(report.map(row => row.status)).toEqual(['applied', 'applied']);
+        });
+        it('converts compatible units', () => {
+            const { edits, report } = mapImportedParameters([{ name: 'Width', value: '1', unit: 'in' }], parameters);
+            expect(edits).toEqual([{ name: 'Width', value: '25.4 mm' }]);
+            expect(report).toEqual([{ name: 'Width', status: 'converted', message: 'Converted from in' }]);
+        });
+        it('reports problems and skips the values', () => {
+            const { edits, report } = mapImportedParameters([
+                { name: 'Depth', value: '1 mm', unit: 'mm' },
+                { name: 'Width', value: '1 kg', unit: 'kg' },
+                { name: 'Size', value: '"Huge"', unit: 'Text' },
+                { name: 'Mass', value: '2 kg', unit: 'kg' },
+                { name: 'Width', value: '10 mm', unit: null }
+            ], parameters);
+
+            expect(edits).toEqual([]);
+            expect(report).toEqual([
+                { name: 'Depth', status: 'unknown', message: 'No such parameter in the project' },
+                { name: 'Width', status: 'unitMismatch', message: 'Unit kg does not match mm' },
+                { name: 'Size', status: 'notAllowed', message: '\'"Huge"\' is not one of the allowed values' },
+                { name: 'Mass', status: 'readonly', message: 'Parameter is read-only' },
+                { name: 'Width', status: 'unchanged', message: null }
+            ]);
+        });
+    });
+});
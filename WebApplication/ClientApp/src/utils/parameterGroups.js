@@ -0,0 +1,81 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { compareParameters } from '../actions/parametersActions';
+import { validateParameter } from './parameterValidation';
+
+// "Frame: Width" or "Frame.Width" labels put the parameter into "Frame" category,
+// numbers like "Size 2.5" are not treated as a category
+const categoryRegex = /^\s*([^.:]*[^.:\d\s])\s*[.:]\s*(\D.*)$/;
+
+// returns group of the parameter, server provided group wins over the label prefix
+export const parameterCategory = (parameter) => {
+    if (parameter.group)
+        return parameter.group;
+
+    const match = (parameter.label || '').match(categoryRegex);
+    return match ? match[1] : null;
+};
+
+// returns true when the search text is found in label, name or value of the parameter
+export const matchesSearch = (parameter, searchText) => {
+    const text = (searchText || '').trim().toLowerCase();
+    if (!text)
+        return true;
+
+    return [parameter.label, parameter.name, parameter.value]
+        .some(item => item != null && String(item).toLowerCase().includes(text));
+};
+
+// returns true when user edited the parameter or Inventor changed or rejected it
+export const isChangedParameter = (parameter, sourceParameters) => {
+    if (parameter.changedOnUpdate || parameter.errormessage)
+        return true;
+
+    const source = sourceParameters?.find(item => item.name === parameter.name);
+    return !compareParameters(parameter, source);
+};
+
+/**
+ * Filter the parameters and group them by category.
+ * Returns array of { name, parameters, changed, errors } in the order of the first parameter of each group,
+ * parameters without category are in the group with null name.
+ */
+export const groupParameters = (parameters, { searchText, onlyChanged, sourceParameters } = {}) => {
+    const groups = [];
+    for (const parameter of parameters || []) {
+        const changed = isChangedParameter(parameter, sourceParameters);
+        if (!matchesSearch(parameter, searchText) || (onlyChanged && !changed))
+            continue;
+
+        const name = parameterCategory(parameter);
+        let group = groups.find(item => item.name === name);
+        if (!group) {
+            group = { name, parameters: [], changed: 0, errors: 0 };
+            groups.push(group);
+        }
+
+        group.parameters.push(parameter);
+        if (changed)
+            group.changed++;
+        if (parameter.errormessage || validateParameter(parameter))
+            group.errors++;
+    }
+
+    return groups;
+};
@@ -0,0 +1,93 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { parameterCategory, matchesSearch, isChangedParameter, groupParameters } from './parameterGroups';
+
+const length = { name: 'Length', label: 'Frame: Length', value: '100 mm', units: 'mm' };
+const width = { name: 'Width', label: 'Frame.Width', value: '50 mm', units: 'mm' };
+const size = { name: 'Size', label: 'Size 2.5', value: 'Small', units: 'Text' };
+const jaw = { name: 'Jaw', label: 'Jaw Offset', value: '10 mm', units: 'mm', group: 'Jaw' };
+
+describe('Parameter groups', () => {
+    describe('category', () => {
+        it('uses server provided group', () => {
+            expect(parameterCategory(jaw)).toEqual('Jaw');
+            expect(parameterCategory({ ...length, group: 'Main' })).toEqual('Main');
+        });
+        it('uses label prefix', () => {
+            expect(parameterCategory(length)).toEqual('Frame');
+            expect(parameterCategory(width)).toEqual('Frame');
+        });
+        it('does not treat numbers as category', () => {
+            expect(parameterCategory(size)).toBeNull();
+            expect(parameterCategory({ name: 'NoLabel' })).toBeNull();
+        });
+    });
+
+    describe('search', () => {
+        it('matches label, name and value ignoring case', () => {
+            expect(matchesSearch(length, 'frame')).toEqual(true);
+            expect(matchesSearch(width, 'WIDTH')).toEqual(true);
+            expect(matchesSearch(size, 'small')).toEqual(true);
+            expect(matchesSearch(size, 'large')).toEqual(false);
+        });
+        it('matches everything for empty search', () => {
+            expect(matchesSearch(size, '  ')).toEqual(true);
+            expect(matchesSearch(size, undefined)).toEqual(true);
+        });
+    });
+
+    describe('changed', () => {
+        it('compares with the source parameters', () => {
+            expect(isChangedParameter(length, [length])).toEqual(false);
+            expect(isChangedParameter({ ...length, value: '10 cm' }, [length])).toEqual(false);
+            expect(isChangedParameter({ ...length, value: '101 mm' }, [length])).toEqual(true);
+            expect(isChangedParameter(length, null)).toEqual(true);
+        });
+        it('treats parameters updated or rejected by Inventor as changed', () => {
+            expect(isChangedParameter({ ...length, changedOnUpdate: true }, [length])).toEqual(true);
+            expect(isChangedParameter({ ...length, errormessage: 'Bad' }, [length])).toEqual(true);
+        });
+    });
+
+    describe('grouping', () => {
+        const parameters = [length, size, width, jaw];
+
+        it('groups in order of appearance', () => {
+            const groups = groupParameters(parameters, { sourceParameters: parameters });
+            expect(groups.map(group => group.name)).toEqual(['Frame', null, 'Jaw']);
+            expect(groups[0].parameters).toEqual([length, width]);
+            expect(groups[0]).toMatchObject({ changed: 0, errors: 0 });
+        });
+        it('counts changed and invalid parameters', () => {
+            const edited = [{ ...length, value: '1 kg' }, size, { ...width, errormessage: 'Bad' }, jaw];
+            const groups = groupParameters(edited, { sourceParameters: parameters });
+            expect(groups[0]).toMatchObject({ changed: 2, errors: 2 });
+        });
+        it('filters by search and changed', () => {
+            const edited = [length, { ...size, value: 'Large' }, width, { ...jaw, changedOnUpdate: true }];
+            expect(groupParameters(edited, { searchText: 'frame', sourceParameters: parameters })
+                .map(group => group.name)).toEqual(['Frame']);
+            expect(groupParameters(edited, { onlyChanged: true, sourceParameters: parameters })
+                .map(group => group.parameters.map(param => param.name))).toEqual([['Size'], ['Jaw']]);
+        });
+        it('handles missing parameters', () => {
+            expect(groupParameters(null)).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+/*
+   Rules document of the project. Every rule has a condition and effects applied while the condition holds:
+
+   {
+     "rules": [
+       { "when": { "HasHandle": "True" }, "show": [ "HandleLength" ] },
+       { "when": { "Material": [ "Steel", "Iron" ] }, "hide": [ "Coating" ], "readonly": [ "Finish" ] },
+       { "when": { "Size": { "not": "Large" } }, "allowedValues": { "Bolt": [ "M4", "M5" ] } },
+       { "when": { "Size": "Small", "Bolt": "M8" }, "invalid": "M8 bolt does not fit the small size" }
+     ]
+   }
+
+   Condition matches when all the listed parameters have one of the values. Parameters listed in "show"
+   are visible only while some of their "show" rules match.
+*/
+
+// Inventor quotes text values, rules may use them with or without quotes
+const normalizeValue = (value) => String(value).trim().replace(/^"(.*)"$/, '$1').toLowerCase();
+
+const sameValue = (left, right) => normalizeValue(left) === normalizeValue(right);
+
+const asArray = (value) => Array.isArray(value) ? value : [ value ];
+
+const matchesCondition = (value, condition) => {
+    if (value == null)
+        return false;
+
+    if (condition != null && typeof condition === 'object' && !Array.isArray(condition))
+        return !asArray(condition.not).some(item => sameValue(value, item));
+
+    return asArray(condition).some(item => sameValue(value, item));
+};
+
+/** True if the rule condition holds for the values (parameter name -> value) */
+export const ruleMatches = (rule, values) => {
+    return Object.entries(rule.when || {}).every(([name, condition]) => matchesCondition(values[name], condition));
+};
+
+const describeCondition = (condition) => {
+    if (condition != null && typeof condition === 'object' && !Array.isArray(condition))
+        return `is not ${asArray(condition.not).join(' or ')}`;
+
+    return `is ${asArray(condition).join(' or ')}`;
+};
+
+/** Human readable condition of the rule, e.g. "HasHandle is True and Size is Small or Medium" */
+export const describeRule = (rule, parameters) => {
+    return Object.entries(rule.when || {}).map(([name, condition]) => {
+        const label = parameters?.find(param => param.name === name)?.label || name;
+        return `${label} ${describeCondition(condition)}`;
+    }).join(' and ');
+};
+
+/** Rules from the rules document, which can be also a plain array of rules */
+export const getRuleList = (document) => {
+    const rules = Array.isArray(document) ? document : document?.rules;
+    return Array.isArray(rules) ? rules.filter(rule => rule && typeof rule === 'object') : [];
+};
+
+/**
+ * Evaluate the rules for the current parameter values.
+ * Parameters are returned with the effects applied:
+ *  - hidden - parameter is not shown and not validated
+ *  - readonly - parameter can't be edited
+ *  - allowedValues - restricted by the matching rules
+ *  - ruleError - explanation why the current value is not allowed
+ *
+ * @param {Array} parameters Parameters in the client format (see `adaptParameters`).
+ * @param {Object|Array} document Rules document of the project, can be null.
+ * @returns {Object} { parameters, errors } where errors are messages of the matching "invalid" rules.
+ */
+export const applyRules = (parameters, document) => {
+    const rules = getRuleList(document);
+    if (!parameters || rules.length === 0)
+        return { parameters, errors: [] };
+
+    const values = {};
+    parameters.forEach(param => values[param.name] = param.value);
+
+    const matching = rules.filter(rule => ruleMatches(rule, values));
+    const errors = matching
+        .filter(rule => rule.invalid)
+        .map(rule => typeof rule.invalid === 'string' ? rule.invalid : `Invalid combination: ${describeRule(rule, parameters)}`);
+
+    const evaluated = parameters.map((parameter) => {
+        const name = parameter.name;
+        const showRules = rules.filter(rule => rule.show?.includes(name));
+        const visible = (showRules.length === 0 || showRules.some(rule => matching.includes(rule)))
+            && !matching.some(rule => rule.hide?.includes(name));
+
+        const result = { ...parameter };
+        if (!visible)
+            result.hidden = true;
+
+        if (matching.some(rule => rule.readonly?.includes(name)))
+            result.readonly = true;
+
+        for (const rule of matching) {
+            const restriction = rule.allowedValues?.[name];
+            if (!Array.isArray(restriction))
+                continue;
+
+            // keep the values in the format Inventor uses for the parameter
+            const current = result.allowedValues?.length > 0 ? result.allowedValues : null;
+            result.allowedValues = current
+                ? current.filter(value => restriction.some(item => sameValue(value, item)))
+                : restriction.map(String);
+
+            if (!result.allowedValues.some(value => sameValue(value, result.value)))
+                result.ruleError = `'${result.value}' is not allowed when ${describeRule(rule, parameters)}`;
+        }
+
+        return result;
+    });
+
+    return { parameters: evaluated, errors };
+};
+
+export const visibleParameters = (parameters) => (parameters || []).filter(parameter => !parameter.hidden);
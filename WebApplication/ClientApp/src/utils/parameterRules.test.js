@@ -0,0 +1,110 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { ruleMatches, describeRule, getRuleList, applyRules, visibleParameters } from './parameterRules';
+
+const parameters = [
+    { name: 'HasHandle', value: 'False', units: 'Boolean', label: 'Has Handle' },
+    { name: 'HandleLength', value: '100 mm', units: 'mm', allowedValues: [] },
+    { name: 'Size', value: '"Small"', units: 'Text', allowedValues: [ '"Small"', '"Medium"', '"Large"' ] },
+    { name: 'Bolt', value: 'M8', units: 'Text', allowedValues: [] }
+];
+
+const valuesOf = (params) => params.reduce((values, param) => ({ ...values, [param.name]: param.value }), {});
+
+describe('Parameter rules', () => {
+    describe('conditions', () => {
+        const values = valuesOf(parameters);
+
+        it('compares values without quotes and case', () => {
+            expect(ruleMatches({ when: { Size: 'small' } }, values)).toEqual(true);
+            expect(ruleMatches({ when: { Size: '"Small"', HasHandle: false } }, values)).toEqual(true);
+            expect(ruleMatches({ when: { Size: 'Small', HasHandle: 'True' } }, values)).toEqual(false);
+        });
+        it('supports lists and negation', () => {
+            expect(ruleMatches({ when: { Size: [ 'Medium', 'Small' ] } }, values)).toEqual(true);
+            expect(ruleMatches({ when: { Size: { not: 'Small' } } }, values)).toEqual(false);
+            expect(ruleMatches({ when: { Size: { not: [ 'Medium', 'Large' ] } } }, values)).toEqual(true);
+        });
+        it('does not match unknown parameters', () => {
+            expect(ruleMatches({ when: { Unknown: { not: 'x' } } }, values)).toEqual(false);
+        });
+        it('describes the condition', () => {
+            expect(describeRule({ when: { HasHandle: 'False', Size: [ 'Small', 'Medium' ], Bolt: { not: 'M4' } } }, parameters))
+                .toEqual('Has Handle is False and Size is Small or Medium and Bolt is not M4');
+        });
+    });
+
+    it('reads rules document', () => {
+        const rule = { when: {}, hide: [ 'Bolt' ] };
+        expect(getRuleList({ rules: [ rule, null ] })).toEqual([ rule ]);
+        expect(getRuleList([ rule ])).toEqual([ rule ]);
+        expect(getRuleList(null)).toEqual([]);
+        expect(getRuleList({ rules: 'wrong' })).toEqual([]);
+    });
+
+    it('keeps parameters without rules', () => {
+        expect(applyRules(parameters, null)).toEqual({ parameters, errors: [] });
+        expect(applyRules(undefined, { rules: [ { hide: [ 'Bolt' ] } ] })).toEqual({ parameters: undefined, errors: [] });
+    });
+
+    describe('effects', () => {
+        it('shows parameters only when the condition holds', () => {
+            const rules = { rules: [ { when: { HasHandle: 'True' }, show: [ 'HandleLength' ] } ] };
+            expect(visibleParameters(applyRules(parameters, rules).parameters).map(param => param.name)).toEqual([ 'HasHandle', 'Size', 'Bolt' ]);
+
+            const withHandle = parameters.map(param => param.name === 'HasHandle' ? { ...param, value: 'True' } : param);
+            expect(visibleParameters(applyRules(withHandle, rules).parameters)).toHaveLength(4);
+        });
+        it('hides and locks parameters', () => {
+            const rules = [ { when: { Size: 'Small' }, hide: [ 'Bolt' ], readonly: [ 'HandleLength' ] } ];
+            const result = applyRules(parameters, rules).parameters;
+            expect(result.find(param => param.name === 'Bolt').hidden).toEqual(true);
+            expect(result.find(param => param.name === 'HandleLength').readonly).toEqual(true);
+            expect(result.find(param => param.name === 'Size').hidden).toBeUndefined();
+        });
+        it('restricts allowed values in Inventor format', () => {
+            const rules = [
+                { when: { HasHandle: 'False' }, allowedValues: { Size: [ 'Small', 'Medium' ] } },
+                { when: { HasHandle: 'False' }, allowedValues: { Size: [ 'Medium', 'Large' ] } }
+            ];
+            const size = applyRules(parameters, rules).parameters.find(param => param.name === 'Size');
+            expect(size.allowedValues).toEqual([ '"Medium"' ]);
+            expect(size.ruleError).toEqual("'\"Small\"' is not allowed when Has Handle is False");
+        });
+        it('turns free values into list', () => {
+            const rules = [ { when: { Size: 'Small' }, allowedValues: { Bolt: [ 'M4', 'M8' ] } } ];
+            const bolt = applyRules(parameters, rules).parameters.find(param => param.name === 'Bolt');
+            expect(bolt.allowedValues).toEqual([ 'M4', 'M8' ]);
+            expect(bolt.ruleError).toBeUndefined();
+        });
+        it('reports invalid combinations', () => {
+            const rules = [
+                { when: { Size: 'Small', Bolt: 'M8' }, invalid: 'M8 bolt does not fit the small size' },
+                { when: { Bolt: 'M8' }, invalid: true },
+                { when: { Bolt: 'M4' }, invalid: 'Not matching' }
+            ];
+            expect(applyRules(parameters, rules).errors).toEqual([ 'M8 bolt does not fit the small size', 'Invalid combination: Bolt is M8' ]);
+        });
+        it('does not modify the original parameters', () => {
+            applyRules(parameters, [ { when: { Size: 'Small' }, hide: [ 'Bolt' ], allowedValues: { Size: [ 'Large' ] } } ]);
+            expect(parameters[3].hidden).toBeUndefined();
+            expect(parameters[2].allowedValues).toHaveLength(3);
+        });
+    });
+});
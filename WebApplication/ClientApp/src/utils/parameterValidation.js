@@ -0,0 +1,138 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { parseQuantity, getUnit, fromBase } from './units';
+
+// units that are not numeric, all the others are expected to have "<number> <unit>" format
+const nonNumericUnits = ['Text', 'Boolean'];
+
+// returns true if the parameter holds a number (with or without units)
+export const isNumericParameter = (parameter) => {
+    if (!parameter || nonNumericUnits.includes(parameter.units))
+        return false;
+
+    return !(parameter.allowedValues?.length > 0);
+};
+
+const validateNumber = (parameter) => {
+    // not a plain number, so it's an expression (like 'd0 * 2' or 'Length / 2'), Inventor evaluates it on update
+    const quantity = parseQuantity(parameter.value, parameter.units);
+    if (!quantity)
+        return null;
+
+    if (quantity.error)
+        return quantity.error;
+
+    if (quantity.dimension !== getUnit(parameter.units).dimension)
+        return `Unit is not compatible with ${parameter.units}`;
+
+    // limits are in the parameter units
+    const number = fromBase(quantity.value, parameter.units);
+    if (parameter.min != null && number < parameter.min)
+        return `Value must be at least ${parameter.min}`;
+
+    if (parameter.max != null && number > parameter.max)
+        return `Value must be at most ${parameter.max}`;
+
+    if (parameter.step != null && parameter.step > 0) {
+        const base = parameter.min != null ? parameter.min : 0;
+        const steps = (number - base) / parameter.step;
+        // tolerate floating point noise, e.g. 0.3 / 0.1
+        if (Math.abs(steps - Math.round(steps)) > 1e-9)
+            return `Value must be in steps of ${parameter.step}`;
+    }
+
+    return null;
+};
+
+const validateText = (parameter) => {
+    if (parameter.pattern) {
+        let regex;
+        try {
+            regex = new RegExp(`^(?:${parameter.pattern})$`);
+        } catch (e) {
+            // broken pattern in metadata should not block the user
+            return null;
+        }
+
+        if (!regex.test(parameter.value))
+            return parameter.patternMessage || 'Value has invalid format';
+    }
+
+    return null;
+};
+
+/**
+ * Validate parameter value on client side.
+ * The optional validation metadata are:
+ *  - min, max, step - for numeric parameters, in the parameter units (from the slider of iLogic form)
+ *  - required - value must not be empty
+ *  - pattern, patternMessage - regular expression for text parameters, with optional error message
+ * Effects of the project rules (`hidden`, `ruleError`) are respected too.
+ *
+ * @param {Object} parameter Parameter in the client format (see `adaptParameters`).
+ * @returns {string|null} Error message, or null if the value is valid.
+ */
+export const validateParameter = (parameter) => {
+    // hidden by rules (see `applyRules`), user can't fix it anyway
+    if (!parameter || parameter.hidden)
+        return null;
+
+    if (parameter.ruleError)
+        return parameter.ruleError;
+
+    if (parameter.readonly)
+        return null;
+
+    const value = parameter.value == null ? '' : String(parameter.value);
+    if (value.trim().length === 0) {
+        // numbers can't be empty at all
+        return (parameter.required || isNumericParameter(parameter)) ? 'Value is required' : null;
+    }
+
+    if (parameter.units === 'Boolean')
+        return (value === 'True' || value === 'False') ? null : 'Value must be True or False';
+
+    if (parameter.allowedValues?.length > 0)
+        return parameter.allowedValues.includes(value) ? null : 'Value is not one of the allowed values';
+
+    if (isNumericParameter(parameter))
+        return validateNumber(parameter);
+
+    return validateText(parameter);
+};
+
+// returns map of invalid parameters (name -> error message), empty if all are valid
+export const validateParameters = (parameters) => {
+    const errors = {};
+    if (!parameters)
+        return errors;
+
+    parameters.forEach((parameter) => {
+        const error = validateParameter(parameter);
+        if (error)
+            errors[parameter.name] = error;
+    });
+
+    return errors;
+};
+
+// returns true if any of the parameters is invalid
+export const hasInvalidParameters = (parameters) => {
+    return Object.keys(validateParameters(parameters)).length > 0;
+};
@@ -0,0 +1,119 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { isNumericParameter, validateParameter, validateParameters, hasInvalidParameters } from './parameterValidation';
+
+const lengthParam = { name: 'Length', value: '10 mm', units: 'mm', allowedValues: [] };
+
+describe('Parameter validation', () => {
+    describe('numeric detection', () => {
+        it('treats unit parameters as numeric', () => {
+            expect(isNumericParameter(lengthParam)).toEqual(true);
+        });
+        it('does not treat text, boolean nor list parameters as numeric', () => {
+            expect(isNumericParameter({ units: 'Text' })).toEqual(false);
+            expect(isNumericParameter({ units: 'Boolean' })).toEqual(false);
+            expect(isNumericParameter({ units: 'mm', allowedValues: ['1 mm', '2 mm'] })).toEqual(false);
+        });
+    });
+
+    describe('single parameter', () => {
+        it('accepts valid number with or without unit', () => {
+            expect(validateParameter(lengthParam)).toBeNull();
+            expect(validateParameter({ ...lengthParam, value: '12' })).toBeNull();
+        });
+        it('rejects typos', () => {
+            expect(validateParameter({ ...lengthParam, value: '1o mm' })).toEqual("Unknown unit 'o'");
+            expect(validateParameter({ ...lengthParam, value: '10 mn' })).toEqual("Unknown unit 'mn'");
+        });
+        it.each([ 'd0 * 2', 'Length / 2', '2 * 25 mm', 'mm' ])('leaves expression "%s" to Inventor', (value) => {
+            expect(validateParameter({ ...lengthParam, value })).toBeNull();
+            expect(validateParameter({ ...lengthParam, value, min: 100 })).toBeNull();
+        });
+        it('accepts other compatible units and mixed units', () => {
+            expect(validateParameter({ ...lengthParam, value: '2 in' })).toBeNull();
+            expect(validateParameter({ ...lengthParam, value: '1 ft 2 in' })).toBeNull();
+            expect(validateParameter({ ...lengthParam, value: '10 deg' })).toEqual('Unit is not compatible with mm');
+            expect(validateParameter({ ...lengthParam, value: '1 ft 2 deg' })).toEqual('Units in the value are not compatible');
+        });
+        it('accepts compound units which are the parameter units', () => {
+            expect(validateParameter({ units: 'mm^2', value: '100 mm^2' })).toBeNull();
+            expect(validateParameter({ units: 'mm/s', value: '12.5 mm/s' })).toBeNull();
+            expect(validateParameter({ units: 'N m', value: '5 N m' })).toBeNull();
+            expect(validateParameter({ units: 'N m', value: '5' })).toBeNull();
+            expect(validateParameter({ units: 'N m', value: '5 mm' })).toEqual('Unit is not compatible with N m');
+            expect(validateParameter({ units: 'N m', value: '5 N' })).toEqual("Unknown unit 'N'");
+        });
+        it('rejects empty number', () => {
+            expect(validateParameter({ ...lengthParam, value: ' ' })).toEqual('Value is required');
+        });
+        it('checks range and step', () => {
+            const param = { ...lengthParam, min: 5, max: 50, step: 0.5 };
+            expect(validateParameter({ ...param, value: '4 mm' })).toEqual('Value must be at least 5');
+            expect(validateParameter({ ...param, value: '51 mm' })).toEqual('Value must be at most 50');
+            expect(validateParameter({ ...param, value: '7.25 mm' })).toEqual('Value must be in steps of 0.5');
+            expect(validateParameter({ ...param, value: '7.5 mm' })).toBeNull();
+            // limits are in the parameter units
+            expect(validateParameter({ ...param, value: '0.5 in' })).toEqual('Value must be in steps of 0.5');
+            expect(validateParameter({ ...param, value: '2.5 cm' })).toBeNull();
+            expect(validateParameter({ ...param, value: '3 in' })).toEqual('Value must be at most 50');
+        });
+        it('tolerates floating point noise in steps', () => {
+            expect(validateParameter({ ...lengthParam, value: '0.3 mm', step: 0.1 })).toBeNull();
+        });
+        it('checks boolean values', () => {
+            expect(validateParameter({ units: 'Boolean', value: 'True' })).toBeNull();
+            expect(validateParameter({ units: 'Boolean', value: 'Yes' })).toEqual('Value must be True or False');
+        });
+        it('checks allowed values', () => {
+            const param = { units: 'Text', value: 'Small', allowedValues: ['Small', 'Large'] };
+            expect(validateParameter(param)).toBeNull();
+            expect(validateParameter({ ...param, value: 'Huge' })).toEqual('Value is not one of the allowed values');
+        });
+        it('checks required text and pattern', () => {
+            const param = { units: 'Text', value: '', required: true, pattern: '[A-Z]{2}-\\d+' };
+            expect(validateParameter(param)).toEqual('Value is required');
+            expect(validateParameter({ ...param, value: 'AB-12' })).toBeNull();
+            expect(validateParameter({ ...param, value: 'ab-12' })).toEqual('Value has invalid format');
+            expect(validateParameter({ ...param, value: 'ab', patternMessage: 'Use XX-123' })).toEqual('Use XX-123');
+        });
+        it('allows optional empty text and ignores broken patterns', () => {
+            expect(validateParameter({ units: 'Text', value: '' })).toBeNull();
+            expect(validateParameter({ units: 'Text', value: 'a', pattern: '(' })).toBeNull();
+        });
+        it('skips readonly parameters', () => {
+            expect(validateParameter({ ...lengthParam, value: 'wrong', readonly: true })).toBeNull();
+        });
+        it('respects the rules effects', () => {
+            expect(validateParameter({ ...lengthParam, value: 'wrong', hidden: true })).toBeNull();
+            expect(validateParameter({ ...lengthParam, ruleError: 'Not allowed', readonly: true })).toEqual('Not allowed');
+        });
+    });
+
+    describe('parameter set', () => {
+        it('collects errors by parameter name', () => {
+            const params = [ lengthParam, { ...lengthParam, name: 'Width', value: '10 mn' } ];
+            expect(validateParameters(params)).toEqual({ Width: "Unknown unit 'mn'" });
+            expect(hasInvalidParameters(params)).toEqual(true);
+        });
+        it('handles missing parameters', () => {
+            expect(validateParameters(null)).toEqual({});
+            expect(hasInvalidParameters(undefined)).toEqual(false);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+// Shareable link keeps the state in URL fragment, like `#project=Wrench&tab=1&values=<base64url JSON>`.
+// Fragment is not sent to the server, and only values different from the project defaults are stored.
+
+// UTF-8 safe base64url encoding, so parameter values can contain any text
+export function toBase64Url(text) {
+    const binary = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return decodeURIComponent(Array.from(binary, char => '%' + char.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+}
+
+/**
+ * Encode link state into URL fragment (without '#').
+ * @param {object} state { projectId, tabIndex, values }, where `values` maps parameter name to value.
+ */
+export function encodeLinkState({ projectId, tabIndex, values }) {
+    const params = new URLSearchParams();
+    params.set('project', projectId);
+    if (tabIndex != null)
+        params.set('tab', tabIndex);
+    if (values && Object.keys(values).length > 0)
+        params.set('values', toBase64Url(JSON.stringify(values)));
+
+    return params.toString();
+}
+
+/** Decode link state from URL fragment, returns null if the fragment has no project */
+export function decodeLinkState(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const projectId = params.get('project');
+    if (!projectId)
+        return null;
+
+    const tab = parseInt(params.get('tab'), 10);
+    let values = {};
+    if (params.get('values')) {
+        try {
+            values = JSON.parse(fromBase64Url(params.get('values')));
+        } catch (error) {
+            // broken values should not prevent opening of the project
+            values = {};
+        }
+    }
+
+    return { projectId, tabIndex: isNaN(tab) ? null : tab, values };
+}
+
+/** Full link to the current page with the state */
+export function makeShareLink(location, state) {
+    return `${location.origin}${location.pathname}${location.search}#${encodeLinkState(state)}`;
+}
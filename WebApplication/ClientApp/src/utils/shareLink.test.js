@@ -0,0 +1,55 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { toBase64Url, fromBase64Url, encodeLinkState, decodeLinkState, makeShareLink } from './shareLink';
+
+describe('Share link', () => {
+    it('encodes text to URL safe base64', () => {
+        const text = 'Size = "12 mm" ~ ü €?>';
+        const encoded = toBase64Url(text);
+        expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+        expect(fromBase64Url(encoded)).toEqual(text);
+    });
+
+    it('encodes and decodes the state', () => {
+        const state = { projectId: 'Wrench Assembly', tabIndex: 2, values: { Width: '10 mm', Note: 'a&b=c' } };
+        const hash = encodeLinkState(state);
+        expect(hash).toMatch(/^project=Wrench\+Assembly&tab=2&values=/);
+        expect(decodeLinkState('#' + hash)).toEqual(state);
+    });
+
+    it('skips empty values and tab', () => {
+        expect(encodeLinkState({ projectId: 'Wrench', values: {} })).toEqual('project=Wrench');
+        expect(decodeLinkState('project=Wrench')).toEqual({ projectId: 'Wrench', tabIndex: null, values: {} });
+    });
+
+    it('ignores fragments without project', () => {
+        expect(decodeLinkState('')).toBeNull();
+        expect(decodeLinkState(undefined)).toBeNull();
+        expect(decodeLinkState('#tab=1')).toBeNull();
+    });
+
+    it('ignores broken values', () => {
+        expect(decodeLinkState('#project=Wrench&values=%%%').values).toEqual({});
+    });
+
+    it('makes link to the current page', () => {
+        const location = { origin: 'https://host', pathname: '/app', search: '?a=1' };
+        expect(makeShareLink(location, { projectId: 'Wrench', tabIndex: 0 })).toEqual('https://host/app?a=1#project=Wrench&tab=0');
+    });
+});
@@ -0,0 +1,191 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+/*
+   Subset of Inventor units. Every unit has dimension and factor to convert
+   the value into the base unit of the dimension (m, rad, kg, s).
+*/
+const unitTable = {
+    // length
+    nm:     { dimension: 'length', factor: 1e-9 },
+    micron: { dimension: 'length', factor: 1e-6 },
+    um:     { dimension: 'length', factor: 1e-6 },
+    mm:     { dimension: 'length', factor: 0.001 },
+    cm:     { dimension: 'length', factor: 0.01 },
+    m:      { dimension: 'length', factor: 1 },
+    km:     { dimension: 'length', factor: 1000 },
+    mil:    { dimension: 'length', factor: 0.0000254 },
+    in:     { dimension: 'length', factor: 0.0254 },
+    inch:   { dimension: 'length', factor: 0.0254 },
+    ft:     { dimension: 'length', factor: 0.3048 },
+    foot:   { dimension: 'length', factor: 0.3048 },
+    feet:   { dimension: 'length', factor: 0.3048 },
+    yd:     { dimension: 'length', factor: 0.9144 },
+    mile:   { dimension: 'length', factor: 1609.344 },
+    mi:     { dimension: 'length', factor: 1609.344 },
+    // angle
+    rad:    { dimension: 'angle', factor: 1 },
+    deg:    { dimension: 'angle', factor: Math.PI / 180 },
+    grad:   { dimension: 'angle', factor: Math.PI / 200 },
+    // mass
+    g:      { dimension: 'mass', factor: 0.001 },
+    kg:     { dimension: 'mass', factor: 1 },
+    ozmass: { dimension: 'mass', factor: 0.028349523125 },
+    lbmass: { dimension: 'mass', factor: 0.45359237 },
+    slug:   { dimension: 'mass', factor: 14.5939029372 },
+    // time
+    s:      { dimension: 'time', factor: 1 },
+    min:    { dimension: 'time', factor: 60 },
+    hr:     { dimension: 'time', factor: 3600 },
+    // unitless
+    ul:     { dimension: 'unitless', factor: 1 }
+};
+
+/** Units used to display values for the unit systems. 'model' means no conversion. */
+export const unitSystems = {
+    model: { label: 'Model units' },
+    metric: { label: 'Metric', units: { length: 'mm', angle: 'deg', mass: 'kg' } },
+    imperial: { label: 'Imperial', units: { length: 'in', angle: 'deg', mass: 'lbmass' } }
+};
+
+/**
+ * Get unit information. Units unknown to the table are treated as a dimension of their own,
+ * so values are still comparable when the units are the same.
+ * Empty unit means unitless value.
+ */
+export const getUnit = (unit) => {
+    if (!unit)
+        return unitTable.ul;
+
+    return unitTable[unit] || { dimension: unit, factor: 1 };
+};
+
+export const isKnownUnit = (unit) => !unit || unitTable[unit] != null;
+
+// one term of expression: optional operator, number and optional unit
+const termRegex = /^\s*([-+]?)\s*(\d+\.?\d*|\.\d+)(?:[eE]([-+]?\d+))?\s*([a-zA-Z_]*)/;
+
+// the same with compound unit, like 'mm^2', 'mm/s' or 'N m'
+const compoundTermRegex = /^\s*([-+]?)\s*(\d+\.?\d*|\.\d+)(?:[eE]([-+]?\d+))?\s*([a-zA-Z_]+(?:\s*\^\s*[-+]?\d+|\s*[*/]\s*[a-zA-Z_]+|\s+[a-zA-Z_]+)*)?/;
+
+/** Unit text without optional spaces, so 'N  m' equals 'N m' and 'mm ^ 2' equals 'mm^2' */
+const normalizeUnit = (unit) => unit ? unit.trim().replace(/\s*([\^*/])\s*/g, '$1').replace(/\s+/g, ' ') : unit;
+
+/** Match the next term. Compound unit is taken only if it's the default unit, it can't be converted otherwise. */
+const matchTerm = (text, defaultUnit) => {
+    const compound = text.match(compoundTermRegex);
+    if (compound && compound[4] && normalizeUnit(compound[4]) === normalizeUnit(defaultUnit))
+        return [ ...compound.slice(0, 4), defaultUnit ];
+
+    return text.match(termRegex);
+};
+
+/**
+ * Parse value like '10 in', '25.4 mm', '1 ft 2 in' or '10 mm + 2 mm' into the value in base units.
+ * Terms without unit use the default unit. Compound units (like 'mm^2' or 'N m') are not converted,
+ * they are accepted only when they are the default unit.
+ *
+ * @param {string} text Value to parse.
+ * @param {string} defaultUnit Unit for numbers without unit (usually the parameter units).
+ * @returns {Object|null} { value, dimension } or { error } for unknown or mixed units, null if the text is not a number.
+ */
+export const parseQuantity = (text, defaultUnit) => {
+    if (text == null)
+        return null;
+
+    let rest = String(text).trim();
+    if (rest.length === 0)
+        return null;
+
+    let value = 0;
+    let dimension = null;
+    while (rest.length > 0) {
+        const match = matchTerm(rest, defaultUnit);
+        if (!match)
+            return null;
+
+        const [ term, sign, digits, exponent, unitName ] = match;
+        const unit = unitName || defaultUnit;
+        if (unitName && !isKnownUnit(unitName) && unitName !== defaultUnit)
+            return { error: `Unknown unit '${unitName}'` };
+
+        const { dimension: termDimension, factor } = getUnit(unit);
+        if (dimension != null && termDimension !== dimension)
+            return { error: 'Units in the value are not compatible' };
+
+        dimension = termDimension;
+        const number = parseFloat(digits + (exponent ? 'e' + exponent : ''));
+        value += (sign === '-' ? -number : number) * factor;
+        rest = rest.substring(term.length);
+    }
+
+    return { value, dimension };
+};
+
+/** Round away the floating point noise of conversions */
+const clean = (number, precision) => parseFloat(number.toPrecision(precision));
+
+/** Convert value in base units to the unit */
+export const fromBase = (value, unit) => clean(value / getUnit(unit).factor, 12);
+
+/** Convert the text value into number in the target unit, null if not possible */
+export const convertValue = (text, defaultUnit, targetUnit) => {
+    const quantity = parseQuantity(text, defaultUnit);
+    if (!quantity || quantity.error || quantity.dimension !== getUnit(targetUnit).dimension)
+        return null;
+
+    return fromBase(quantity.value, targetUnit);
+};
+
+/** Format number with unit, the way Inventor expects it */
+export const formatQuantity = (number, unit, precision = 12) => {
+    const formatted = String(clean(number, precision));
+    return (unit && unit !== 'ul') ? `${formatted} ${unit}` : formatted;
+};
+
+/** True if the text is just a number with the given unit (or without unit) */
+export const isPlainValue = (text, unit) => {
+    const match = String(text).trim().match(compoundTermRegex);
+    return match != null && match[0].length === String(text).trim().length && (!match[4] || normalizeUnit(match[4]) === normalizeUnit(unit));
+};
+
+const bareNumberRegex = /^\s*[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?\s*$/;
+
+/** Add the unit to the number without unit, other values are returned as is */
+export const appendUnit = (text, unit) => {
+    return (unit && bareNumberRegex.test(text)) ? `${text.trim()} ${unit}` : text;
+};
+
+/** Find the unit to display values of the given unit in the unit system, or null for no conversion */
+export const displayUnitFor = (unit, system) => {
+    const systemUnits = unitSystems[system]?.units;
+    if (!systemUnits || !unit || !isKnownUnit(unit))
+        return null;
+
+    const displayUnit = systemUnits[getUnit(unit).dimension];
+    return (displayUnit && displayUnit !== unit) ? displayUnit : null;
+};
+
+/** Value converted to the display unit, or the original value if it can't be converted */
+export const toDisplayValue = (text, unit, displayUnit) => {
+    if (!displayUnit)
+        return text;
+
+    const number = convertValue(text, unit, displayUnit);
+    return number == null ? text : formatQuantity(number, displayUnit, 6);
+};
@@ -0,0 +1,119 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { parseQuantity, convertValue, formatQuantity, isPlainValue, appendUnit, displayUnitFor, toDisplayValue, getUnit } from './units';
+
+describe('Units', () => {
+    describe('parsing', () => {
+        it('parses value with unit into base units', () => {
+            expect(parseQuantity('10 in', 'mm')).toEqual({ value: 0.254, dimension: 'length' });
+            expect(parseQuantity('25.4 mm', 'mm').value).toBeCloseTo(0.0254, 12);
+        });
+        it('uses default unit for numbers without unit', () => {
+            expect(parseQuantity('2', 'cm')).toEqual({ value: 0.02, dimension: 'length' });
+            expect(parseQuantity('2', 'ul')).toEqual({ value: 2, dimension: 'unitless' });
+            expect(parseQuantity('2', undefined)).toEqual({ value: 2, dimension: 'unitless' });
+        });
+        it('sums mixed units', () => {
+            expect(parseQuantity('1 ft 2 in', 'in').value).toBeCloseTo(14 * 0.0254, 12);
+            expect(parseQuantity('10 mm + 2 mm', 'mm').value).toBeCloseTo(0.012, 12);
+            expect(parseQuantity('1 ft - 2 in', 'in').value).toBeCloseTo(10 * 0.0254, 12);
+        });
+        it('parses angles and masses', () => {
+            expect(parseQuantity('90 deg', 'deg').value).toBeCloseTo(Math.PI / 2, 12);
+            expect(parseQuantity('1 lbmass', 'kg')).toEqual({ value: 0.45359237, dimension: 'mass' });
+        });
+        it('reports unknown and incompatible units', () => {
+            expect(parseQuantity('1 xyz', 'mm')).toEqual({ error: "Unknown unit 'xyz'" });
+            expect(parseQuantity('1 ft 2 kg', 'mm')).toEqual({ error: 'Units in the value are not compatible' });
+        });
+        it('accepts units unknown to the table when they are the parameter units', () => {
+            expect(parseQuantity('2 lbforce', 'lbforce')).toEqual({ value: 2, dimension: 'lbforce' });
+            expect(getUnit('lbforce')).toEqual({ dimension: 'lbforce', factor: 1 });
+        });
+        it('accepts compound units when they are the parameter units', () => {
+            expect(parseQuantity('100 mm^2', 'mm^2')).toEqual({ value: 100, dimension: 'mm^2' });
+            expect(parseQuantity('100 mm ^ 2', 'mm^2')).toEqual({ value: 100, dimension: 'mm^2' });
+            expect(parseQuantity('12.5 mm/s', 'mm/s')).toEqual({ value: 12.5, dimension: 'mm/s' });
+            expect(parseQuantity('5 N m', 'N m')).toEqual({ value: 5, dimension: 'N m' });
+            expect(parseQuantity('5 N m + 2 N m', 'N m')).toEqual({ value: 7, dimension: 'N m' });
+            expect(parseQuantity('5', 'N m')).toEqual({ value: 5, dimension: 'N m' });
+        });
+        it('reports compound units which are not the parameter units', () => {
+            expect(parseQuantity('5 N m', 'mm')).toEqual({ error: "Unknown unit 'N'" });
+            expect(parseQuantity('100 mm^2', 'mm')).toBeNull();
+            expect(parseQuantity('100 mm + 2 mm^2', 'mm^2')).toEqual({ error: 'Units in the value are not compatible' });
+        });
+        it('returns null for non-numbers', () => {
+            expect(parseQuantity('Width * 2', 'mm')).toBeNull();
+            expect(parseQuantity('', 'mm')).toBeNull();
+            expect(parseQuantity(null, 'mm')).toBeNull();
+        });
+    });
+
+    describe('conversion', () => {
+        it('converts between units', () => {
+            expect(convertValue('1.5 in', 'mm', 'mm')).toEqual(38.1);
+            expect(convertValue('100 mm', 'mm', 'in')).toEqual(3.93700787402);
+            expect(convertValue('1 ft 2 in', 'in', 'in')).toEqual(14);
+        });
+        it('does not convert between dimensions', () => {
+            expect(convertValue('1 kg', 'kg', 'mm')).toBeNull();
+            expect(convertValue('abc', 'mm', 'mm')).toBeNull();
+        });
+        it('formats values', () => {
+            expect(formatQuantity(38.1, 'mm')).toEqual('38.1 mm');
+            expect(formatQuantity(3.93700787402, 'in', 6)).toEqual('3.93701 in');
+            expect(formatQuantity(3, 'ul')).toEqual('3');
+        });
+        it('detects plain values', () => {
+            expect(isPlainValue('12 mm', 'mm')).toEqual(true);
+            expect(isPlainValue('12', 'mm')).toEqual(true);
+            expect(isPlainValue('12 in', 'mm')).toEqual(false);
+            expect(isPlainValue('1 ft 2 in', 'ft')).toEqual(false);
+            expect(isPlainValue('100 mm^2', 'mm^2')).toEqual(true);
+            expect(isPlainValue('5 N m', 'N m')).toEqual(true);
+            expect(isPlainValue('5 N m', 'N')).toEqual(false);
+        });
+        it('appends unit to bare numbers only', () => {
+            expect(appendUnit(' 12 ', 'in')).toEqual('12 in');
+            expect(appendUnit('12 mm', 'in')).toEqual('12 mm');
+            expect(appendUnit('12', null)).toEqual('12');
+        });
+    });
+
+    describe('display units', () => {
+        it('finds display unit for the unit system', () => {
+            expect(displayUnitFor('mm', 'imperial')).toEqual('in');
+            expect(displayUnitFor('in', 'metric')).toEqual('mm');
+            expect(displayUnitFor('rad', 'metric')).toEqual('deg');
+        });
+        it('does not convert in model units, the same unit or unknown units', () => {
+            expect(displayUnitFor('mm', 'model')).toBeNull();
+            expect(displayUnitFor('mm', 'metric')).toBeNull();
+            expect(displayUnitFor('lbforce', 'metric')).toBeNull();
+            expect(displayUnitFor('Text', 'metric')).toBeNull();
+            expect(displayUnitFor('s', 'metric')).toBeNull();
+        });
+        it('converts value for display', () => {
+            expect(toDisplayValue('100 mm', 'mm', 'in')).toEqual('3.93701 in');
+            expect(toDisplayValue('Width * 2', 'mm', 'in')).toEqual('Width * 2');
+            expect(toDisplayValue('100 mm', 'mm', null)).toEqual('100 mm');
+        });
+    });
+});
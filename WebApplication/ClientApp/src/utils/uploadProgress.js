@@ -0,0 +1,67 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { formatDuration } from './conversion';
+
+const byteUnits = [ 'B', 'KB', 'MB', 'GB', 'TB' ];
+
+/** Human readable size, like '512 B' or '12.3 MB' */
+export function formatBytes(bytes) {
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < byteUnits.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+
+    const digits = unit === 0 || value >= 100 ? 0 : 1;
+    return `${value.toFixed(digits)} ${byteUnits[unit]}`;
+}
+
+/**
+ * Tracker of the upload speed and remaining time: `(loaded, total) => { loaded, total, percent, speed, eta }`,
+ * where speed is in bytes per second and ETA in seconds (both null until known).
+ * The bytes loaded before the first call (resumed upload) are not counted into the speed.
+ */
+export function uploadProgressTracker(now = Date.now) {
+    let start = null;
+
+    return (loaded, total) => {
+        const time = now();
+        if (!start)
+            start = { time, loaded };
+
+        const seconds = (time - start.time) / 1000;
+        const speed = seconds > 0 ? (loaded - start.loaded) / seconds : null;
+        const eta = speed > 0 ? (total - loaded) / speed : null;
+
+        return { loaded, total, percent: total > 0 ? loaded * 100 / total : 0, speed, eta };
+    };
+}
+
+/** Progress line for the upload dialog, like '45% · 12.3 MB of 27.0 MB · 1.5 MB/s · 10 s left' */
+export function formatUploadProgress({ loaded, total, percent, speed, eta }) {
+    const parts = [ `${Math.floor(percent)}%`, `${formatBytes(loaded)} of ${formatBytes(total)}` ];
+    if (speed > 0)
+        parts.push(`${formatBytes(speed)}/s`);
+
+    if (eta != null)
+        parts.push(`${formatDuration(Math.ceil(eta))} left`);
+
+    return parts.join(' · ');
+}
@@ -0,0 +1,55 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+import { formatBytes, uploadProgressTracker, formatUploadProgress } from './uploadProgress';
+
+describe('upload progress', () => {
+
+    it('formats sizes', () => {
+        expect(formatBytes(0)).toEqual('0 B');
+        expect(formatBytes(512)).toEqual('512 B');
+        expect(formatBytes(1536)).toEqual('1.5 KB');
+        expect(formatBytes(300 * 1024 * 1024)).toEqual('300 MB');
+        expect(formatBytes(2.25 * 1024 * 1024 * 1024)).toEqual('2.3 GB');
+    });
+
+    it('tracks speed and remaining time', () => {
+        let time = 1000;
+        const track = uploadProgressTracker(() => time);
+
+        expect(track(0, 1000)).toEqual({ loaded: 0, total: 1000, percent: 0, speed: null, eta: null });
+
+        time += 2000;
+        expect(track(200, 1000)).toEqual({ loaded: 200, total: 1000, percent: 20, speed: 100, eta: 8 });
+    });
+
+    it('does not count resumed bytes into the speed', () => {
+        let time = 0;
+        const track = uploadProgressTracker(() => time);
+
+        track(500, 1000);
+        time += 1000;
+        expect(track(600, 1000)).toMatchObject({ percent: 60, speed: 100, eta: 4 });
+    });
+
+    it('formats the progress line', () => {
+        expect(formatUploadProgress({ loaded: 512, total: 2048, percent: 25, speed: null, eta: null })).toEqual('25% · 512 B of 2.0 KB');
+        expect(formatUploadProgress({ loaded: 1024, total: 2048, percent: 50, speed: 1024, eta: 1 })).toEqual('50% · 1.0 KB of 2.0 KB · 1.0 KB/s · 1 s left');
+        expect(formatUploadProgress({ loaded: 1024, total: 2048, percent: 50, speed: 1024, eta: 184.2 })).toMatch(/ · 3 min 5 s left$/);
+    });
+});
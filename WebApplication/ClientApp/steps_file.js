@@ -286,6 +286,17 @@ module.exports = function() {
     {
       this.waitForElement(locators.embeddedLoadingFailButtonOk, 3);
       this.click(locators.embeddedLoadingFailButtonOk);
+    },
+    // run the jobs with in-browser fake hub instead of the server one (see src/FakeJobHub.js for the options)
+    useFakeJobHub(options = {})
+    {
+      this.executeScript((value) => window.localStorage.setItem('fakeJobHub', value), JSON.stringify(options));
+      this.refreshPage();
+    },
+    useServerJobHub()
+    {
+      this.executeScript(() => window.localStorage.removeItem('fakeJobHub'));
+      this.refreshPage();
     }
   });
 };
@@ -55,6 +55,16 @@ namespace WebApplication.Controllers
             /// </summary>
             private const string OnError = "onError";
 
+            /// <summary>
+            /// Remote method name to be called when the job is cancelled.
+            /// </summary>
+            private const string OnCancelled = "onCancelled";
+
+            /// <summary>
+            /// Remote method name to be called with intermediate progress.
+            /// </summary>
+            private const string OnProgress = "onProgress";
+
             /// <summary>
             /// Where to send response.
             /// Notify only the client, who send the job request.
@@ -62,34 +72,51 @@ namespace WebApplication.Controllers
             private IClientProxy Destination => _hub.Clients.Caller;
             private readonly Hub _hub;
 
-            public Sender(Hub hub)
+            /// <summary>
+            /// Job ID generated by the client. It's sent as the first argument,
+            /// so the client can route results of concurrent jobs over the same connection.
+            /// </summary>
+            private readonly string _clientJobId;
+
+            public Sender(Hub hub, string clientJobId)
             {
                 _hub = hub;
+                _clientJobId = clientJobId;
             }
 
             public async Task SendSuccessAsync()
             {
-                await Destination.SendAsync(OnComplete);
+                await Destination.SendAsync(OnComplete, _clientJobId);
             }
 
             public async Task SendSuccessAsync(object arg0)
             {
-                await Destination.SendAsync(OnComplete, arg0);
+                await Destination.SendAsync(OnComplete, _clientJobId, arg0);
             }
 
             public async Task SendSuccessAsync(object arg0, object arg1)
             {
-                await Destination.SendAsync(OnComplete, arg0, arg1);
+                await Destination.SendAsync(OnComplete, _clientJobId, arg0, arg1);
             }
 
             public async Task SendSuccessAsync(object arg0, object arg1, object arg2)
             {
-                await Destination.SendAsync(OnComplete, arg0, arg1, arg2);
+                await Destination.SendAsync(OnComplete, _clientJobId, arg0, arg1, arg2);
             }
 
             public async Task SendErrorAsync(ProcessingError error)
             {
-                await Destination.SendAsync(OnError, error);
+                await Destination.SendAsync(OnError, _clientJobId, error);
+            }
+
+            public async Task SendProgressAsync(JobProgressDTO progress)
+            {
+                await Destination.SendAsync(OnProgress, _clientJobId, progress);
+            }
+
+            public async Task SendCancelledAsync()
+            {
+                await Destination.SendAsync(OnCancelled, _clientJobId);
             }
         }
 
@@ -100,16 +127,17 @@ namespace WebApplication.Controllers
         private readonly LinkGenerator _linkGenerator;
         private readonly ProfileProvider _profileProvider;
         private readonly UserResolver _userResolver;
-        private readonly Sender _sender;
         private readonly Uploads _uploads;
         private readonly DtoGenerator _dtoGenerator;
         private readonly ProjectService _projectService;
         private readonly AdoptProjectWithParametersPayloadProvider _adoptProjectWithParametersPayloadProvider;
         private readonly IConfiguration _configuration;
+        private readonly JobCancellation _jobCancellation;
 
         public JobsHub(ILogger<JobsHub> logger, ProjectWork projectWork, LinkGenerator linkGenerator, UserResolver userResolver, 
             ProfileProvider profileProvider, Uploads uploads, DtoGenerator dtoGenerator, ProjectService projectService,
-            AdoptProjectWithParametersPayloadProvider adoptProjectWithParametersPayloadProvider, IConfiguration configuration)
+            AdoptProjectWithParametersPayloadProvider adoptProjectWithParametersPayloadProvider, IConfiguration configuration,
+            JobCancellation jobCancellation)
         {
             _logger = logger;
             _projectWork = projectWork;
@@ -121,10 +149,10 @@ namespace WebApplication.Controllers
             _projectService = projectService;
             _adoptProjectWithParametersPayloadProvider = adoptProjectWithParametersPayloadProvider;
             _configuration = configuration;
-            _sender = new Sender(this);
+            _jobCancellation = jobCancellation;
         }
 
-        public async Task CreateUpdateJob(string projectId, InventorParameters parameters, string token)
+        public async Task CreateUpdateJob(string clientJobId, string projectId, InventorParameters parameters, string token)
         {
             _logger.LogInformation($"invoked CreateJob, connectionId : {Context.ConnectionId}");
 
@@ -132,10 +160,10 @@ namespace WebApplication.Controllers
 
             // create job and run it
             var job = new UpdateModelJobItem(_logger, projectId, parameters, _projectWork);
-            await RunJobAsync(job);
+            await RunJobAsync(clientJobId, job);
         }
 
-        public async Task CreateRFAJob(string projectId, string hash, string token)
+        public async Task CreateRFAJob(string clientJobId, string projectId, string hash, string token)
         {
             _logger.LogInformation($"invoked CreateRFAJob, connectionId : {Context.ConnectionId}");
 
@@ -143,10 +171,10 @@ namespace WebApplication.Controllers
 
             // create job and run it
             var job = new RFAJobItem(_logger, projectId, hash, _projectWork, _linkGenerator);
-            await RunJobAsync(job);
+            await RunJobAsync(clientJobId, job);
         }
 
-        public async Task CreateDrawingDownloadJob(string projectId, string hash, string token)
+        public async Task CreateDrawingDownloadJob(string clientJobId, string projectId, string hash, string token)
         {
             _logger.LogInformation($"invoked CreateDrawingDownloadJob, connectionId : {Context.ConnectionId}");
 
@@ -154,10 +182,10 @@ namespace WebApplication.Controllers
 
             // create job and run it
             var job = new DrawingJobItem(_logger, projectId, hash, _projectWork, _linkGenerator);
-            await RunJobAsync(job);
+            await RunJobAsync(clientJobId, job);
         }
 
-        public async Task CreateAdoptJob(string packageId, string token)
+        public async Task CreateAdoptJob(string clientJobId, string packageId, string token)
         {
             _logger.LogInformation($"invoked CreateAdoptJob, connectionId : {Context.ConnectionId}");
 
@@ -169,10 +197,10 @@ namespace WebApplication.Controllers
 
             // create job and run it
             var job = new AdoptJobItem(_logger, projectInfo, fileName, _projectWork, _dtoGenerator, _userResolver);
-            await RunJobAsync(job);
+            await RunJobAsync(clientJobId, job);
         }
 
-        public async Task CreateDrawingPdfJob(string projectId, string hash, string drawingKey, string token)
+        public async Task CreateDrawingPdfJob(string clientJobId, string projectId, string hash, string drawingKey, string token)
         {
             _logger.LogInformation($"invoked CreateDrawingPdfJob, connectionId : {Context.ConnectionId}");
 
@@ -180,10 +208,10 @@ namespace WebApplication.Controllers
 
             // create job and run it
             var job = new ExportDrawingPdfJobItem(_logger, projectId, hash, drawingKey, _projectWork, _linkGenerator);
-            await RunJobAsync(job);
+            await RunJobAsync(clientJobId, job);
         }
 
-        public async Task CreateAdoptProjectWithParametersJob(string payloadUrl, string token = null)
+        public async Task CreateAdoptProjectWithParametersJob(string clientJobId, string payloadUrl, string token = null)
         {
             if (!_configuration.GetValue<bool>("embedded"))
             {
@@ -197,30 +225,73 @@ namespace WebApplication.Controllers
 
             // create job and run it
             var job = new AdoptProjectWithParametersJobItem(_logger, _projectService, payloadUrl, _adoptProjectWithParametersPayloadProvider);
-            await RunJobAsync(job);
+            await RunJobAsync(clientJobId, job);
         }
 
-        private async Task RunJobAsync(JobItemBase job)
+        /// <summary>
+        /// Cancel the running job of the caller, started over the current or the previous connection of the client session.
+        /// </summary>
+        /// <param name="clientJobId">Job ID generated by the client.</param>
+        /// <returns><c>true</c> if the job was running.</returns>
+        public bool CancelJob(string clientJobId)
         {
+            _logger.LogInformation($"invoked CancelJob for {clientJobId}, connectionId : {Context.ConnectionId}, sessionId : {ClientSessionId}");
+
+            return _jobCancellation.Cancel(CancellationKey(clientJobId));
+        }
+
+        /// <summary>
+        /// Client job IDs are unique for the client session only.
+        /// </summary>
+        private string CancellationKey(string clientJobId) => $"{ClientSessionId}:{clientJobId}";
+
+        /// <summary>
+        /// Client session ID, sent by the client in the connection URL.
+        /// Unlike connection ID it survives reconnects, so the jobs started before the reconnect still can be cancelled.
+        /// </summary>
+        private string ClientSessionId
+        {
+            get
+            {
+                string sessionId = Context.GetHttpContext()?.Request.Query["sessionId"];
+                return string.IsNullOrEmpty(sessionId) ? Context.ConnectionId : sessionId;
+            }
+        }
+
+        private async Task RunJobAsync(string clientJobId, JobItemBase job)
+        {
+            var sender = new Sender(this, clientJobId);
+            var cancellationKey = CancellationKey(clientJobId);
+            _jobCancellation.Register(cancellationKey);
+            JobProgress.Use(sender.SendProgressAsync);
             try
             {
-                await job.ProcessJobAsync(_sender);
+                await job.ProcessJobAsync(sender);
+            }
+            catch (OperationCanceledException)
+            {
+                _logger.LogInformation($"Processing cancelled for {job.Id}");
+                await sender.SendCancelledAsync();
             }
             catch (FdaProcessingException fpe)
             {
                 _logger.LogError(fpe, $"Processing failed for {job.Id}");
-                await _sender.SendErrorAsync(new ReportUrlError(job.Id, fpe.ReportUrl));
+                await sender.SendErrorAsync(new ReportUrlError(job.Id, fpe.ReportUrl));
             }
             catch (ProcessingException pe)
             {
-                await _sender.SendErrorAsync(new MessagesError(job.Id, pe.Title, pe.Messages));
+                await sender.SendErrorAsync(new MessagesError(job.Id, pe.Title, pe.Messages));
             }
             catch (Exception e)
             {
                 _logger.LogError(e, $"Processing failed for {job.Id}");
 
                 var message = $"Try to repeat your last action and please report the following message: {e.Message}";
-                await _sender.SendErrorAsync(new MessagesError(job.Id, "Internal error", new[]{ message }));
+                await sender.SendErrorAsync(new MessagesError(job.Id, "Internal error", new[]{ message }));
+            }
+            finally
+            {
+                _jobCancellation.Unregister(cancellationKey);
             }
         }
     }
@@ -24,6 +24,7 @@ using System.Text.Json;
 using System.Threading.Tasks;
 using System.Web;
 using Autodesk.Forge.Core;
+using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Options;
@@ -40,6 +41,12 @@ namespace WebApplication.Controllers
     {
         private static readonly ProfileDTO AnonymousProfile = new ProfileDTO { Name = "Anonymous", AvatarUrl = "logo-xs-white-BG.svg" };
 
+        /// <summary>
+        /// Cookie with refresh token, used for silent refresh of the expired access token.
+        /// It's not accessible for the client code.
+        /// </summary>
+        private const string RefreshTokenCookie = "refresh_token";
+
         private readonly ILogger<LoginController> _logger;
         private readonly ProfileProvider _profileProvider;
         private readonly InviteOnlyModeConfiguration _inviteOnlyModeConfig;
@@ -98,10 +105,13 @@ namespace WebApplication.Controllers
             try
             {
                 // Exchange authorization code for access token
-                var accessToken = await ExchangeCodeForTokenAsync(code);
-                
-                // Redirect to frontend with token
-                return Redirect($"/?access_token={accessToken}");
+                var tokens = await RequestTokenAsync(new KeyValuePair<string, string>("grant_type", "authorization_code"),
+                                                     new KeyValuePair<string, string>("code", code),
+                                                     new KeyValuePair<string, string>("redirect_uri", GetCallbackUrl() + "login/callback"));
+                StoreRefreshToken(tokens);
+
+                // Redirect to frontend with token and its lifetime (in seconds)
+                return Redirect($"/?access_token={GetAccessToken(tokens)}&expires_in={GetExpiresIn(tokens)}");
             }
             catch (Exception ex)
             {
@@ -110,24 +120,71 @@ namespace WebApplication.Controllers
             }
         }
 
-        private async Task<string> ExchangeCodeForTokenAsync(string code)
+        /// <summary>
+        /// Get new access token with the refresh token from the cookie, without user interaction.
+        /// </summary>
+        /// <returns>New access token and its lifetime (in seconds), or 401 if the user has to sign in again.</returns>
+        [HttpPost("refresh")]
+        public async Task<ActionResult<AccessTokenDTO>> Refresh()
+        {
+            _logger.LogInformation("Refresh access token");
+
+            if (!Request.Cookies.TryGetValue(RefreshTokenCookie, out var refreshToken) || string.IsNullOrEmpty(refreshToken))
+            {
+                return Unauthorized();
+            }
+
+            try
+            {
+                var tokens = await RequestTokenAsync(new KeyValuePair<string, string>("grant_type", "refresh_token"),
+                                                     new KeyValuePair<string, string>("refresh_token", refreshToken));
+                StoreRefreshToken(tokens);
+
+                return new AccessTokenDTO { AccessToken = GetAccessToken(tokens), ExpiresIn = GetExpiresIn(tokens) };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to refresh access token");
+                Response.Cookies.Delete(RefreshTokenCookie, RefreshCookieOptions());
+                return Unauthorized();
+            }
+        }
+
+        private static string GetAccessToken(JsonElement tokens) => tokens.GetProperty("access_token").GetString();
+
+        private static int GetExpiresIn(JsonElement tokens) => tokens.TryGetProperty("expires_in", out var expiresIn) ? expiresIn.GetInt32() : 0;
+
+        /// <summary>
+        /// Keep refresh token (if any) in HTTP only cookie, so only the refresh endpoint can use it.
+        /// </summary>
+        private void StoreRefreshToken(JsonElement tokens)
+        {
+            if (tokens.TryGetProperty("refresh_token", out var refreshToken))
+            {
+                Response.Cookies.Append(RefreshTokenCookie, refreshToken.GetString(), RefreshCookieOptions());
+            }
+        }
+
+        private static CookieOptions RefreshCookieOptions()
+        {
+            return new CookieOptions
+            {
+                HttpOnly = true,
+                Secure = true,
+                SameSite = SameSiteMode.Strict,
+                Path = "/login",
+                MaxAge = TimeSpan.FromDays(14)
+            };
+        }
+
+        private async Task<JsonElement> RequestTokenAsync(params KeyValuePair<string, string>[] formData)
         {
             var httpClient = _httpClientFactory.CreateClient();
             
-            var callbackUrl = GetCallbackUrl() + "login/callback";
-            
             // Prepare Basic Auth header
             var credentials = Convert.ToBase64String(Encoding.UTF8.GetBytes($"{Configuration.ClientId}:{Configuration.ClientSecret}"));
             httpClient.DefaultRequestHeaders.Add("Authorization", $"Basic {credentials}");
             
-            // Prepare form data
-            var formData = new List<KeyValuePair<string, string>>
-            {
-                new KeyValuePair<string, string>("grant_type", "authorization_code"),
-                new KeyValuePair<string, string>("code", code),
-                new KeyValuePair<string, string>("redirect_uri", callbackUrl)
-            };
-            
             var formContent = new FormUrlEncodedContent(formData);
             
             string baseUrl = Configuration.AuthenticationAddress.GetLeftPart(System.UriPartial.Authority);
@@ -141,9 +198,7 @@ namespace WebApplication.Controllers
             }
             
             var responseContent = await response.Content.ReadAsStringAsync();
-            var tokenResponse = JsonSerializer.Deserialize<JsonElement>(responseContent);
-            
-            return tokenResponse.GetProperty("access_token").GetString();
+            return JsonSerializer.Deserialize<JsonElement>(responseContent);
         }
 
         private string GetCallbackUrl()
@@ -0,0 +1,84 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+using System;
+using System.Text.Json;
+using System.Threading.Tasks;
+using Autodesk.Forge.Client;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WebApplication.Services;
+using WebApplication.State;
+
+namespace WebApplication.Controllers
+{
+    /// <summary>
+    /// Named parameter presets of the project, stored with the project attributes.
+    /// </summary>
+    /// <remarks>
+    /// Anonymous user shares the projects with others, so the client keeps its presets in the browser.
+    /// </remarks>
+    [ApiController]
+    [Route("presets")]
+    public class PresetsController : ControllerBase
+    {
+        private readonly ILogger<PresetsController> _logger;
+        private readonly UserResolver _userResolver;
+        private readonly ProfileProvider _profileProvider;
+
+        public PresetsController(ILogger<PresetsController> logger, UserResolver userResolver, ProfileProvider profileProvider)
+        {
+            _logger = logger;
+            _userResolver = userResolver;
+            _profileProvider = profileProvider;
+        }
+
+        [HttpGet("{projectName}")]
+        public async Task<JsonElement[]> Get(string projectName)
+        {
+            var bucket = await _userResolver.GetBucketAsync();
+            var project = await _userResolver.GetProjectAsync(projectName, ensureDir: false);
+
+            try
+            {
+                return await bucket.DeserializeAsync<JsonElement[]>(project.OssAttributes.Presets);
+            }
+            catch (ApiException ex) when (ex.ErrorCode == 404)
+            {
+                // the project has no presets yet
+                return Array.Empty<JsonElement>();
+            }
+        }
+
+        [HttpPut("{projectName}")]
+        public async Task<ActionResult<JsonElement[]>> Set(string projectName, [FromBody] JsonElement[] presets)
+        {
+            if (!_profileProvider.IsAuthenticated)
+            {
+                _logger.LogError("Attempt to store presets for anonymous user");
+                return BadRequest();
+            }
+
+            var bucket = await _userResolver.GetBucketAsync();
+            var project = await _userResolver.GetProjectAsync(projectName, ensureDir: false);
+            await bucket.UploadAsJsonAsync(project.OssAttributes.Presets, presets);
+
+            return presets;
+        }
+    }
+}
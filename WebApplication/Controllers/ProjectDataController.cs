@@ -17,10 +17,12 @@
 /////////////////////////////////////////////////////////////////////
 
 using System;
+using System.IO;
 using System.Threading.Tasks;
 using Autodesk.Forge.DesignAutomation.Model;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
+using Microsoft.Net.Http.Headers;
 using WebApplication.Processing;
 using WebApplication.State;
 using WebApplication.Utilities;
@@ -85,11 +87,18 @@ namespace WebApplication.Controllers
 
         /// <summary>
         /// Send local file for the project.
+        /// The file is sent with ETag, so the client can revalidate its cached copy and get 304 (Not Modified) for unchanged file.
         /// </summary>
         private async Task<ActionResult> SendLocalFileContent(string projectName, string fileName, string hash = null, string contentType = "application/json")
         {
             string localFile = await _userResolver.EnsureLocalFile(projectName, fileName, hash);
-            return new PhysicalFileResult(localFile, contentType);
+
+            var fileInfo = new FileInfo(localFile);
+            return new PhysicalFileResult(localFile, contentType)
+            {
+                LastModified = fileInfo.LastWriteTimeUtc,
+                EntityTag = new EntityTagHeaderValue($"\"{fileInfo.LastWriteTimeUtc.Ticks:x}-{fileInfo.Length:x}\"")
+            };
         }
     }
 }
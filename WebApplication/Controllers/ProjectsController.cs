@@ -19,9 +19,12 @@
 using System;
 using System.Collections.Generic;
 using System.IO;
+using System.Text.Json;
 using System.Threading.Tasks;
+using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
+using Microsoft.Net.Http.Headers;
 using WebApplication.Definitions;
 using WebApplication.Services;
 using WebApplication.State;
@@ -38,20 +41,23 @@ namespace WebApplication.Controllers
         private readonly UserResolver _userResolver;
         private readonly ProfileProvider _profileProvider;
         private readonly Uploads _uploads;
+        private readonly ChunkedUploads _chunkedUploads;
         private readonly ProjectService _projectService;
 
-        public ProjectsController(ILogger<ProjectsController> logger, DtoGenerator dtoGenerator, UserResolver userResolver, ProfileProvider profileProvider, Uploads uploads, ProjectService projectService)
+        public ProjectsController(ILogger<ProjectsController> logger, DtoGenerator dtoGenerator, UserResolver userResolver, ProfileProvider profileProvider, Uploads uploads,
+                                    ChunkedUploads chunkedUploads, ProjectService projectService)
         {
             _logger = logger;
             _dtoGenerator = dtoGenerator;
             _userResolver = userResolver;
             _profileProvider = profileProvider;
             _uploads = uploads;
+            _chunkedUploads = chunkedUploads;
             _projectService = projectService;
         }
 
         [HttpGet("")]
-        public async Task<IEnumerable<ProjectDTO>> ListAsync()
+        public async Task<ActionResult<IEnumerable<ProjectDTO>>> ListAsync()
         {
             var bucket = await _userResolver.GetBucketAsync(tryToCreate: true);
 
@@ -75,6 +81,14 @@ namespace WebApplication.Controllers
                 }
             }
 
+            // the client revalidates its cached list with the ETag, so unchanged list is not sent again
+            var etag = $"\"{Crypto.GenerateHashString(JsonSerializer.Serialize(projectDTOs))}\"";
+            if (Request.Headers[HeaderNames.IfNoneMatch].ToString() == etag)
+            {
+                return StatusCode(StatusCodes.Status304NotModified);
+            }
+
+            Response.Headers[HeaderNames.ETag] = etag;
             return projectDTOs;
         }
 
@@ -89,15 +103,9 @@ namespace WebApplication.Controllers
 
             var projectName = Path.GetFileNameWithoutExtension(projectModel.package.FileName);
 
-            // Check if project already exists
-            var projectNames = await _projectService.GetProjectNamesAsync();
-            foreach (var existingProjectName in projectNames)
+            if (await ProjectExistsAsync(projectName))
             {
-                if (projectName == existingProjectName)
-                {
-                    _logger.LogError($"Found existing '{projectName}' project");
-                    return Conflict();
-                }
+                return Conflict();
             }
 
             var projectInfo = new ProjectInfo
@@ -121,6 +129,111 @@ namespace WebApplication.Controllers
             return Ok(packageId);
         }
 
+        /// <summary>
+        /// Start package upload, which is sent in chunks.
+        /// </summary>
+        [HttpPost("uploads")]
+        public async Task<ActionResult<ChunkedUploadDTO>> StartUpload([FromBody] NewChunkedUploadModel uploadModel)
+        {
+            if (!_profileProvider.IsAuthenticated)
+            {
+                _logger.LogError("Attempt to upload package for anonymous user");
+                return BadRequest();
+            }
+
+            var projectName = Path.GetFileNameWithoutExtension(uploadModel.fileName);
+            if (await ProjectExistsAsync(projectName))
+            {
+                return Conflict();
+            }
+
+            var projectInfo = new ProjectInfo
+            {
+                Name = projectName,
+                TopLevelAssembly = uploadModel.root
+            };
+
+            var uploadId = _chunkedUploads.Start(await GetUploadOwnerAsync(), projectInfo, uploadModel.size);
+            _logger.LogInformation($"started upload {uploadId} of '{uploadModel.fileName}' ({uploadModel.size} bytes)");
+
+            return new ChunkedUploadDTO { UploadId = uploadId, Size = uploadModel.size, Received = 0 };
+        }
+
+        /// <summary>
+        /// Get state of the upload, the client resumes the failed upload from the received bytes.
+        /// </summary>
+        [HttpGet("uploads/{uploadId}")]
+        public async Task<ActionResult<ChunkedUploadDTO>> GetUpload(string uploadId)
+        {
+            var upload = _chunkedUploads.Get(uploadId, await GetUploadOwnerAsync());
+            if (upload == null) return NotFound();
+
+            return new ChunkedUploadDTO { UploadId = uploadId, Size = upload.Size, Received = upload.Received };
+        }
+
+        /// <summary>
+        /// Append the chunk (request body) starting at <paramref name="offset"/>.
+        /// </summary>
+        [HttpPut("uploads/{uploadId}")]
+        [DisableRequestSizeLimit]
+        public async Task<ActionResult<ChunkedUploadDTO>> AppendChunk(string uploadId, [FromQuery] long offset)
+        {
+            var upload = _chunkedUploads.Get(uploadId, await GetUploadOwnerAsync());
+            if (upload == null) return NotFound();
+
+            var length = Request.ContentLength;
+            if (length == null)
+            {
+                _logger.LogError($"Chunk of upload {uploadId} has no length");
+                return StatusCode(StatusCodes.Status411LengthRequired);
+            }
+
+            if (offset < 0 || offset + length > upload.Size)
+            {
+                _logger.LogError($"Chunk at {offset} is out of upload {uploadId}");
+                return BadRequest();
+            }
+
+            var received = await _chunkedUploads.AppendAsync(upload, offset, length.Value, Request.Body);
+            return new ChunkedUploadDTO { UploadId = uploadId, Size = upload.Size, Received = received };
+        }
+
+        /// <summary>
+        /// Finish the upload with all the chunks received.
+        /// </summary>
+        /// <returns>Package ID for adoption.</returns>
+        [HttpPost("uploads/{uploadId}/complete")]
+        public async Task<ActionResult<string>> CompleteUpload(string uploadId)
+        {
+            var upload = _chunkedUploads.Get(uploadId, await GetUploadOwnerAsync());
+            if (upload == null) return NotFound();
+
+            if (upload.Received != upload.Size)
+            {
+                _logger.LogError($"Upload {uploadId} is incomplete, received {upload.Received} of {upload.Size} bytes");
+                return BadRequest();
+            }
+
+            _chunkedUploads.Remove(uploadId, deleteFile: false);
+            _uploads.AddUploadData(uploadId, upload.ProjectInfo, upload.FileName);
+
+            _logger.LogInformation($"created project with packageId {uploadId}");
+
+            return Ok(uploadId);
+        }
+
+        /// <summary>
+        /// Drop the cancelled upload.
+        /// </summary>
+        [HttpDelete("uploads/{uploadId}")]
+        public async Task<StatusCodeResult> CancelUpload(string uploadId)
+        {
+            if (_chunkedUploads.Get(uploadId, await GetUploadOwnerAsync()) == null) return NotFound();
+
+            _chunkedUploads.Remove(uploadId, deleteFile: true);
+            return NoContent();
+        }
+
         [HttpDelete]
         public async Task<StatusCodeResult> DeleteProjects([FromBody] List<string> projectNameList)
         {
@@ -134,5 +247,29 @@ namespace WebApplication.Controllers
 
             return NoContent();
         }
+
+        private async Task<bool> ProjectExistsAsync(string projectName)
+        {
+            var projectNames = await _projectService.GetProjectNamesAsync();
+            foreach (var existingProjectName in projectNames)
+            {
+                if (projectName == existingProjectName)
+                {
+                    _logger.LogError($"Found existing '{projectName}' project");
+                    return true;
+                }
+            }
+
+            return false;
+        }
+
+        /// <summary>
+        /// Uploads are available to the user, who started them.
+        /// </summary>
+        private async Task<string> GetUploadOwnerAsync()
+        {
+            var bucket = await _userResolver.GetBucketAsync();
+            return bucket.BucketKey;
+        }
     }
 }
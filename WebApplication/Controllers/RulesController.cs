@@ -0,0 +1,111 @@
+/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+using System.Text.Json;
+using System.Threading.Tasks;
+using Autodesk.Forge.Client;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WebApplication.Services;
+using WebApplication.State;
+
+namespace WebApplication.Controllers
+{
+    /// <summary>
+    /// Parameter rules document of the project (see `ClientApp/src/utils/parameterRules.js` for the format),
+    /// stored with the project attributes.
+    /// </summary>
+    [ApiController]
+    [Route("rules")]
+    public class RulesController : ControllerBase
+    {
+        private readonly ILogger<RulesController> _logger;
+        private readonly UserResolver _userResolver;
+        private readonly ProfileProvider _profileProvider;
+
+        public RulesController(ILogger<RulesController> logger, UserResolver userResolver, ProfileProvider profileProvider)
+        {
+            _logger = logger;
+            _userResolver = userResolver;
+            _profileProvider = profileProvider;
+        }
+
+        /// <returns>The rules document, or 404 (Not Found) if the project has no rules.</returns>
+        [HttpGet("{projectName}")]
+        public async Task<ActionResult<JsonElement>> Get(string projectName)
+        {
+            var bucket = await _userResolver.GetBucketAsync();
+            var project = await _userResolver.GetProjectAsync(projectName, ensureDir: false);
+
+            try
+            {
+                return await bucket.DeserializeAsync<JsonElement>(project.OssAttributes.Rules);
+            }
+            catch (ApiException ex) when (ex.ErrorCode == 404)
+            {
+                return NotFound();
+            }
+        }
+
+        [HttpPut("{projectName}")]
+        public async Task<ActionResult<JsonElement>> Set(string projectName, [FromBody] JsonElement document)
+        {
+            if (!_profileProvider.IsAuthenticated)
+            {
+                _logger.LogError("Attempt to store rules for anonymous user");
+                return BadRequest();
+            }
+
+            if (document.ValueKind != JsonValueKind.Object ||
+                !document.TryGetProperty("rules", out var rules) || rules.ValueKind != JsonValueKind.Array)
+            {
+                _logger.LogError($"Rules document of '{projectName}' project has no 'rules' list");
+                return BadRequest();
+            }
+
+            var bucket = await _userResolver.GetBucketAsync();
+            var project = await _userResolver.GetProjectAsync(projectName, ensureDir: false);
+            await bucket.UploadAsJsonAsync(project.OssAttributes.Rules, document);
+
+            return document;
+        }
+
+        [HttpDelete("{projectName}")]
+        public async Task<StatusCodeResult> Delete(string projectName)
+        {
+            if (!_profileProvider.IsAuthenticated)
+            {
+                _logger.LogError("Attempt to delete rules for anonymous user");
+                return BadRequest();
+            }
+
+            var bucket = await _userResolver.GetBucketAsync();
+            var project = await _userResolver.GetProjectAsync(projectName, ensureDir: false);
+            try
+            {
+                await bucket.DeleteObjectAsync(project.OssAttributes.Rules);
+            }
+            catch (ApiException ex) when (ex.ErrorCode == 404)
+            {
+                // the project has no rules already
+            }
+
+            return NoContent();
+        }
+    }
+}
@@ -0,0 +1,86 @@
+﻿/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+using System.Globalization;
+using Autodesk.Forge.DesignAutomation.Model;
+
+namespace WebApplication.Definitions
+{
+    /// <summary>
+    /// Intermediate state of the running work item.
+    /// Stage names match the timings of <see cref="FdaStatsDTO"/>.
+    /// </summary>
+    public class JobProgressDTO
+    {
+        public const string Queueing = "queueing";
+        public const string Download = "download";
+        public const string Processing = "processing";
+        public const string Upload = "upload";
+
+        public string Stage { get; set; }
+
+        /// <summary>
+        /// Percent of the stage, if reported by the work item.
+        /// </summary>
+        public double? Percent { get; set; }
+
+        /// <summary>
+        /// Get progress of the running work item, <c>null</c> if it's finished.
+        /// </summary>
+        public static JobProgressDTO FromStatus(WorkItemStatus status)
+        {
+            if (status.Status == Status.Pending)
+            {
+                return new JobProgressDTO { Stage = Queueing };
+            }
+
+            if (status.Status != Status.Inprogress) return null;
+
+            var stats = status.Stats;
+            string stage;
+            if (stats?.TimeInstructionsStarted == null)
+            {
+                stage = Download;
+            }
+            else if (stats.TimeInstructionsEnded == null)
+            {
+                stage = Processing;
+            }
+            else
+            {
+                stage = Upload;
+            }
+
+            return new JobProgressDTO { Stage = stage, Percent = ParsePercent(status.Progress) };
+        }
+
+        private static double? ParsePercent(string progress)
+        {
+            if (string.IsNullOrWhiteSpace(progress)) return null;
+
+            if (!double.TryParse(progress.Trim().TrimEnd('%'), NumberStyles.Float, CultureInfo.InvariantCulture, out var percent)) return null;
+            if (percent < 0 || percent > 100) return null;
+
+            return percent;
+        }
+
+        public override bool Equals(object obj) => obj is JobProgressDTO other && Stage == other.Stage && Percent == other.Percent;
+
+        public override int GetHashCode() => (Stage, Percent).GetHashCode();
+    }
+}
@@ -17,6 +17,7 @@
 /////////////////////////////////////////////////////////////////////
 
 using System.Threading.Tasks;
+using WebApplication.Definitions;
 
 namespace WebApplication.Job
 {
@@ -36,5 +37,10 @@ namespace WebApplication.Job
         /// <param name="jobId">ID of the job.</param> // TODO: is it useful?
         /// <param name="error">Error details</param>
         Task SendErrorAsync(ProcessingError error);
+
+        /// <summary>
+        /// Send intermediate progress of the job.
+        /// </summary>
+        Task SendProgressAsync(JobProgressDTO progress);
     }
 }
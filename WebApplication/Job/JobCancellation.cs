@@ -0,0 +1,87 @@
+﻿/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+using System;
+using System.Collections.Concurrent;
+using System.Threading;
+
+namespace WebApplication.Job
+{
+    /// <summary>
+    /// Cancellation of running jobs.
+    /// </summary>
+    /// <remarks>
+    /// Token of the running job is available as <see cref="Current"/> to all the code called by the job,
+    /// so it's not necessary to pass it through all the processing layers.
+    /// </remarks>
+    public class JobCancellation
+    {
+        private static readonly AsyncLocal<CancellationToken> _current = new AsyncLocal<CancellationToken>();
+
+        private readonly ConcurrentDictionary<string, CancellationTokenSource> _sources = new ConcurrentDictionary<string, CancellationTokenSource>();
+
+        /// <summary>
+        /// Cancellation token of the job running in the current async flow.
+        /// </summary>
+        public static CancellationToken Current => _current.Value;
+
+        /// <summary>
+        /// Register the job, and make its cancellation token current for the caller.
+        /// </summary>
+        /// <param name="key">Unique job key.</param>
+        public CancellationToken Register(string key)
+        {
+            var source = new CancellationTokenSource();
+            _sources[key] = source;
+
+            _current.Value = source.Token;
+            return source.Token;
+        }
+
+        /// <summary>
+        /// Forget the finished job.
+        /// </summary>
+        public void Unregister(string key)
+        {
+            if (_sources.TryRemove(key, out var source))
+            {
+                source.Dispose();
+            }
+        }
+
+        /// <summary>
+        /// Request cancellation of the job.
+        /// </summary>
+        /// <returns><c>true</c> if the job is running.</returns>
+        public bool Cancel(string key)
+        {
+            if (!_sources.TryGetValue(key, out var source)) return false;
+
+            try
+            {
+                source.Cancel();
+                return true;
+            }
+            catch (ObjectDisposedException)
+            {
+                // the job is just finished
+                return false;
+            }
+        }
+    }
+}
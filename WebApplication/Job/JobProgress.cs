@@ -0,0 +1,55 @@
+﻿/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+using System;
+using System.Threading;
+using System.Threading.Tasks;
+using WebApplication.Definitions;
+
+namespace WebApplication.Job
+{
+    /// <summary>
+    /// Reporting of intermediate job progress.
+    /// </summary>
+    /// <remarks>
+    /// Similar to <see cref="JobCancellation"/>, the reporter is available to all the code called by the job.
+    /// </remarks>
+    public static class JobProgress
+    {
+        private static readonly AsyncLocal<Func<JobProgressDTO, Task>> _reporter = new AsyncLocal<Func<JobProgressDTO, Task>>();
+
+        /// <summary>
+        /// Set progress reporter for the job running in the current async flow.
+        /// </summary>
+        public static void Use(Func<JobProgressDTO, Task> reporter)
+        {
+            _reporter.Value = reporter;
+        }
+
+        /// <summary>
+        /// Report progress of the current job. Does nothing outside of jobs.
+        /// </summary>
+        public static async Task ReportAsync(JobProgressDTO progress)
+        {
+            var reporter = _reporter.Value;
+            if (reporter == null || progress == null) return;
+
+            await reporter(progress);
+        }
+    }
+}
@@ -21,6 +21,7 @@ using System.Collections.Concurrent;
 using System.Collections.Generic;
 using System.Diagnostics;
 using System.IO;
+using System.Threading;
 using System.Threading.Tasks;
 using Autodesk.Forge.DesignAutomation;
 using Autodesk.Forge.DesignAutomation.Http;
@@ -28,6 +29,7 @@ using Autodesk.Forge.DesignAutomation.Model;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Options;
 using WebApplication.Definitions;
+using WebApplication.Job;
 using WebApplication.Utilities;
 using Activity = Autodesk.Forge.DesignAutomation.Model.Activity;
 
@@ -100,31 +102,57 @@ namespace WebApplication.Processing
         /// <summary>
         /// Run the work item and wait for results.
         /// </summary>
+        /// <remarks>
+        /// Cancellation of the running job (<see cref="JobCancellation.Current"/>) stops the work item,
+        /// so it doesn't consume credits anymore.
+        /// </remarks>
         private async Task<WorkItemStatus> LaunchAndWait(WorkItem wi)
         {
+            var cancellationToken = JobCancellation.Current;
+
             //use polling if not configured otherwise
             return CompletionCheck switch
             {
-                CompletionCheck.Callback => await RunWithCallback(wi),
-                _ => await RunWithPolling(wi)
+                CompletionCheck.Callback => await RunWithCallback(wi, cancellationToken),
+                _ => await RunWithPolling(wi, cancellationToken)
             };
         }
 
-        private async Task<WorkItemStatus> RunWithPolling(WorkItem wi)
+        private async Task<WorkItemStatus> RunWithPolling(WorkItem wi, CancellationToken cancellationToken)
         {
+            cancellationToken.ThrowIfCancellationRequested();
+
             WorkItemStatus status = (await _workItemsApi.CreateWorkItemAsync(wi)).Content;
             _logger.LogInformation($"Created WI {status.Id} (polling mode)");
+
+            JobProgressDTO lastProgress = null;
             while (status.Status == Status.Pending || status.Status == Status.Inprogress)
             {
+                // report changes only
+                var progress = JobProgressDTO.FromStatus(status);
+                if (!Equals(progress, lastProgress))
+                {
+                    await JobProgress.ReportAsync(progress);
+                    lastProgress = progress;
+                }
+
                 await _taskUtil.Sleep(2000);
+                if (cancellationToken.IsCancellationRequested)
+                {
+                    await CancelWorkItemAsync(status.Id);
+                    cancellationToken.ThrowIfCancellationRequested();
+                }
+
                 status = (await _workItemsApi.GetWorkitemStatusAsync(status.Id)).Content;
             }
 
             return status;
         }
 
-        private async Task<WorkItemStatus> RunWithCallback(WorkItem wi)
+        private async Task<WorkItemStatus> RunWithCallback(WorkItem wi, CancellationToken cancellationToken)
         {
+            cancellationToken.ThrowIfCancellationRequested();
+
             // register tracking key for callback task
             string trackingKey = _guidGenerator.GenerateGuid();
             var completionSource = Tracker.GetOrAdd(trackingKey, new TaskCompletionSource<WorkItemStatus>());
@@ -140,10 +168,11 @@ namespace WebApplication.Processing
                 Verb = Verb.Post
             });
 
+            WorkItemStatus created;
             try
             {
                 // post work item
-                WorkItemStatus created = (await _workItemsApi.CreateWorkItemAsync(wi)).Content;
+                created = (await _workItemsApi.CreateWorkItemAsync(wi)).Content;
                 _logger.LogInformation($"Created WI {created.Id} with tracker ID {trackingKey}");
             }
             catch
@@ -153,8 +182,25 @@ namespace WebApplication.Processing
                 throw;
             }
 
+            // no intermediate statuses are coming in callback mode
+            await JobProgress.ReportAsync(JobProgressDTO.FromStatus(created));
+
             // wait for completion
-            WorkItemStatus status = await completionSource.Task;
+            WorkItemStatus status;
+            using (cancellationToken.Register(() => completionSource.TrySetCanceled()))
+            {
+                try
+                {
+                    status = await completionSource.Task;
+                }
+                catch (OperationCanceledException)
+                {
+                    Tracker.TryRemove(trackingKey, out var _);
+                    await CancelWorkItemAsync(created.Id);
+                    throw;
+                }
+            }
+
             _logger.LogInformation($"Completing WI {status.Id} with tracker ID {trackingKey}");
 
             return status;
@@ -164,7 +210,7 @@ namespace WebApplication.Processing
         {
             if (Tracker.TryRemove(trackerId, out var completionSource))
             {
-                completionSource.SetResult(status);
+                completionSource.TrySetResult(status);
             }
             else
             {
@@ -172,6 +218,22 @@ namespace WebApplication.Processing
             }
         }
 
+        /// <summary>
+        /// Stop the running work item. Failure to stop it is not fatal, the job is cancelled anyway.
+        /// </summary>
+        private async Task CancelWorkItemAsync(string workItemId)
+        {
+            _logger.LogInformation($"Cancelling WI {workItemId}");
+            try
+            {
+                await _workItemsApi.DeleteWorkitemAsync(workItemId);
+            }
+            catch (Exception e)
+            {
+                _logger.LogWarning(e, $"Failed to cancel WI {workItemId}");
+            }
+        }
+
         private async Task PostAppBundleAsync(string packagePathname, ForgeAppBase config)
         {
             if (!File.Exists(packagePathname))
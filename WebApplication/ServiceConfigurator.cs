@@ -20,6 +20,7 @@ using Autodesk.Forge.Core;
 using Microsoft.AspNetCore.Http.Features;
 using Microsoft.Extensions.DependencyInjection;
 using WebApplication.Definitions;
+using WebApplication.Job;
 using WebApplication.Processing;
 using WebApplication.Services;
 using WebApplication.Utilities;
@@ -54,6 +55,9 @@ namespace WebApplication
             services.AddSignalR(o =>
             {
                 o.EnableDetailedErrors = true;
+
+                // client runs all its jobs over single connection, so a download can run while an update is in progress
+                o.MaximumParallelInvocationsPerClient = 8;
             });
 
             // In production, the React files will be served from this directory
@@ -100,6 +104,8 @@ namespace WebApplication
             services.AddSingleton<BucketPrefixProvider>();
             services.AddSingleton<LocalCache>();
             services.AddSingleton<Uploads>();
+            services.AddSingleton<ChunkedUploads>();
+            services.AddSingleton<JobCancellation>();
             services.AddSingleton<OssBucketFactory>();
             services.AddSingleton<AdoptProjectWithParametersPayloadProvider>();
             services.AddSingleton<IGuidGenerator, GuidGenerator>();
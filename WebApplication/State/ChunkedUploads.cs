@@ -0,0 +1,186 @@
+﻿/////////////////////////////////////////////////////////////////////
+// Copyright (c) Autodesk, Inc. All rights reserved
+// Written by Autodesk Design Automation team for Inventor
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+/////////////////////////////////////////////////////////////////////
+
+using System;
+using System.Collections.Concurrent;
+using System.IO;
+using System.Threading;
+using System.Threading.Tasks;
+using WebApplication.Definitions;
+
+namespace WebApplication.State
+{
+    /// <summary>
+    /// Package uploads sent in chunks.
+    /// </summary>
+    /// <remarks>
+    /// The package is appended to a temporary file, so a failed upload is resumed from the last received byte.
+    /// Complete package is handed over to <see cref="Uploads"/> for adoption.
+    /// Uploads without activity for <see cref="StaleAfter"/> are dropped together with their files.
+    /// </remarks>
+    public class ChunkedUploads
+    {
+        /// <summary>
+        /// How long the abandoned upload is kept.
+        /// </summary>
+        public static readonly TimeSpan StaleAfter = TimeSpan.FromHours(24);
+
+        private const int CopyBufferSize = 81920;
+
+        public class ChunkedUpload
+        {
+            /// <summary>
+            /// Bucket key of the user, who started the upload.
+            /// </summary>
+            public string Owner { get; init; }
+            public ProjectInfo ProjectInfo { get; init; }
+
+            /// <summary>
+            /// Temporary file with the received bytes.
+            /// </summary>
+            public string FileName { get; init; }
+            public long Size { get; init; }
+            public long Received { get; set; }
+
+            /// <summary>
+            /// Time (UTC) of the last request for the upload.
+            /// </summary>
+            public DateTime LastActivity { get; set; } = DateTime.UtcNow;
+
+            /// <summary>
+            /// Chunks of the upload are appended one by one.
+            /// </summary>
+            public SemaphoreSlim Lock { get; } = new SemaphoreSlim(1, 1);
+        }
+
+        private readonly ConcurrentDictionary<string, ChunkedUpload> _uploads = new ConcurrentDictionary<string, ChunkedUpload>();
+
+        /// <summary>
+        /// Start new upload.
+        /// </summary>
+        /// <returns>Upload ID.</returns>
+        public string Start(string owner, ProjectInfo projectInfo, long size)
+        {
+            RemoveStale();
+
+            var uploadId = Guid.NewGuid().ToString();
+            _uploads[uploadId] = new ChunkedUpload
+            {
+                Owner = owner,
+                ProjectInfo = projectInfo,
+                FileName = Path.GetTempFileName(),
+                Size = size
+            };
+
+            return uploadId;
+        }
+
+        /// <summary>
+        /// Get the upload started by the owner.
+        /// </summary>
+        /// <returns><c>null</c> if the upload is not known.</returns>
+        public ChunkedUpload Get(string uploadId, string owner)
+        {
+            if (!_uploads.TryGetValue(uploadId, out var upload) || upload.Owner != owner) return null;
+
+            upload.LastActivity = DateTime.UtcNow;
+            return upload;
+        }
+
+        /// <summary>
+        /// Append the chunk of <paramref name="length"/> bytes, which starts at <paramref name="offset"/>.
+        /// </summary>
+        /// <returns>
+        /// Number of the received bytes. The chunk is ignored if it doesn't continue the received ones
+        /// (e.g. it's repeated after lost response), so the caller can resume from the returned position.
+        /// </returns>
+        public async Task<long> AppendAsync(ChunkedUpload upload, long offset, long length, Stream chunk)
+        {
+            await upload.Lock.WaitAsync();
+            try
+            {
+                if (offset != upload.Received) return upload.Received;
+
+                await using var fileStream = new FileStream(upload.FileName, FileMode.OpenOrCreate, FileAccess.Write);
+
+                // drop the bytes of a previous chunk broken in the middle, they are not acknowledged
+                fileStream.SetLength(upload.Received);
+                fileStream.Seek(upload.Received, SeekOrigin.Begin);
+
+                // the received bytes are counted only if the chunk is read without failure
+                var copied = await CopyAsync(chunk, fileStream, Math.Min(length, upload.Size - upload.Received));
+                await fileStream.FlushAsync();
+                upload.Received += copied;
+
+                return upload.Received;
+            }
+            finally
+            {
+                upload.Lock.Release();
+            }
+        }
+
+        /// <summary>
+        /// Copy at most <paramref name="maxLength"/> bytes.
+        /// </summary>
+        /// <returns>Number of the copied bytes.</returns>
+        private static async Task<long> CopyAsync(Stream source, Stream destination, long maxLength)
+        {
+            var buffer = new byte[CopyBufferSize];
+            long copied = 0;
+            while (copied < maxLength)
+            {
+                var read = await source.ReadAsync(buffer, 0, (int) Math.Min(buffer.Length, maxLength - copied));
+                if (read == 0) break;
+
+                await destination.WriteAsync(buffer, 0, read);
+                copied += read;
+            }
+
+            return copied;
+        }
+
+        /// <summary>
+        /// Forget the upload. The temporary file is deleted unless it's handed over for adoption.
+        /// </summary>
+        public void Remove(string uploadId, bool deleteFile)
+        {
+            if (!_uploads.TryRemove(uploadId, out var upload)) return;
+
+            if (deleteFile && File.Exists(upload.FileName))
+            {
+                File.Delete(upload.FileName);
+            }
+        }
+
+        /// <summary>
+        /// Drop the abandoned uploads.
+        /// </summary>
+        public void RemoveStale()
+        {
+            var staleBefore = DateTime.UtcNow - StaleAfter;
+            foreach (var (uploadId, upload) in _uploads)
+            {
+                if (upload.LastActivity < staleBefore)
+                {
+                    Remove(uploadId, deleteFile: true);
+                }
+            }
+        }
+    }
+}
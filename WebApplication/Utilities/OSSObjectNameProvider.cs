@@ -63,6 +63,16 @@ namespace WebApplication.Utilities
         /// JSON file with BOM data.
         /// </summary>
         public const string BOM = "bom.json";
+
+        /// <summary>
+        /// Named parameter presets of the project.
+        /// </summary>
+        public const string Presets = "presets.json";
+
+        /// <summary>
+        /// Parameter rules document of the project.
+        /// </summary>
+        public const string Rules = "rules.json";
         
         /// <summary>
         /// Drawing in format ForgeView can load and show
@@ -244,6 +254,8 @@ namespace WebApplication.Utilities
 
         public string DrawingsList => ToFullName(LocalName.DrawingsList);
         public string AdoptMessages => ToFullName(LocalName.AdoptMessages);
+        public string Presets => ToFullName(LocalName.Presets);
+        public string Rules => ToFullName(LocalName.Rules);
 
         /// <summary>
         /// Constructor.